@@ -7,6 +7,8 @@ import PitchbookList from './pages/PitchbookList';
 import CreatePitchbook from './pages/CreatePitchbook';
 import EditPitchbook from './pages/EditPitchbook';
 import Templates from './pages/Templates';
+import AssetLibrary from './pages/AssetLibrary';
+import Presets from './pages/Presets';
 import './styles/theme.css';
 import './App.css';
 
@@ -21,6 +23,8 @@ function App() {
             <Route path="create" element={<CreatePitchbook />} />
             <Route path="pitchbook/:id/edit" element={<EditPitchbook />} />
             <Route path="templates" element={<Templates />} />
+            <Route path="assets" element={<AssetLibrary />} />
+            <Route path="presets" element={<Presets />} />
           </Route>
         </Routes>
       </Router>
@@ -1,5 +1,5 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { geminiAPI } from '../services/geminiApiSimple';  // Using geminiApiSimple with gemini-2.5-flash
+import { llmAPI } from '../services/llmApi';
 import CloseIcon from '@mui/icons-material/Close';
 import './AIChatbot.css';
 
@@ -8,6 +8,7 @@ const AIChatbot = ({ open, onClose }) => {
   const [inputValue, setInputValue] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [model, setModel] = useState(null);
   const messagesEndRef = useRef(null);
   const inputRef = useRef(null);
   const sessionId = useRef(`chat_${Date.now()}`);
@@ -31,13 +32,16 @@ const AIChatbot = ({ open, onClose }) => {
       console.log('[AIChatbot] Initializing chat...');
       
       // Simple initialization
-      await geminiAPI.startChat(sessionId.current);
+      await llmAPI.startChat(sessionId.current);
+      llmAPI.getProvider()
+        .then(({ model }) => setModel(model))
+        .catch(() => setModel(null));
       
       // Add welcome message
       setMessages([{
         id: 'welcome',
         role: 'assistant',
-        content: 'Hello! I\'m your AI assistant powered by Gemini. How can I help you today?',
+        content: 'Hello! I\'m your AI assistant. How can I help you today?',
         timestamp: new Date().toISOString()
       }]);
       setError(null);
@@ -84,8 +88,8 @@ const AIChatbot = ({ open, onClose }) => {
     setError(null);
 
     try {
-      console.log('[AIChatbot] Calling geminiAPI.sendMessage...');
-      const response = await geminiAPI.sendMessage(messageToSend, sessionId.current);
+      console.log('[AIChatbot] Calling llmAPI.sendMessage...');
+      const response = await llmAPI.sendMessage(messageToSend, sessionId.current);
       console.log('[AIChatbot] Response received:', response);
       console.log('[AIChatbot] Response type:', typeof response);
       console.log('[AIChatbot] Response length:', response?.length);
@@ -142,9 +146,9 @@ const AIChatbot = ({ open, onClose }) => {
       content: 'Chat cleared. How can I help you?',
       timestamp: new Date().toISOString()
     }]);
-    geminiAPI.clearChat(sessionId.current);
+    llmAPI.clearChat(sessionId.current);
     sessionId.current = `chat_${Date.now()}`;
-    geminiAPI.startChat(sessionId.current);
+    llmAPI.startChat(sessionId.current);
   };
 
   const handleTestConnection = async () => {
@@ -154,7 +158,7 @@ const AIChatbot = ({ open, onClose }) => {
     
     try {
       console.log('[AIChatbot] Testing with generateContent (no chat session)...');
-      const response = await geminiAPI.generateContent('Say "Hello! Connection successful!" if you can hear me.');
+      const response = await llmAPI.generateContent('Say "Hello! Connection successful!" if you can hear me.');
       console.log('[AIChatbot] Test response:', response);
       console.log('[AIChatbot] Test response type:', typeof response);
       console.log('[AIChatbot] Test response length:', response?.length);
@@ -208,7 +212,7 @@ const AIChatbot = ({ open, onClose }) => {
               <path d="M12 17c2.21 0 4-1.79 4-4h-8c0 2.21 1.79 4 4 4z" fill="currentColor"/>
             </svg>
             <h2>AI Assistant</h2>
-            <span className="chatbot-badge">Powered by Gemini</span>
+            {model && <span className="chatbot-badge">Powered by {model}</span>}
           </div>
           <div className="chatbot-header-actions">
             <button 
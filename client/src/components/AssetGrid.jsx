@@ -0,0 +1,43 @@
+import React from 'react';
+import { assetAPI } from '../services/api';
+import './AssetGrid.css';
+
+// Shared by the asset library page and the image picker; renderActions adds per-asset buttons
+const AssetGrid = ({ assets, selectedId, onSelect, onTagClick, activeTags = [], renderActions }) => (
+  <div className="asset-grid">
+    {assets.map(asset => (
+      <div
+        key={asset.id}
+        className={`asset-card ${selectedId === asset.id ? 'selected' : ''}`}
+        onClick={() => onSelect?.(asset)}
+      >
+        <div className="asset-card-image">
+          <img src={assetAPI.getFileUrl(asset.id)} alt={asset.name} loading="lazy" />
+        </div>
+        <div className="asset-card-body">
+          <div className="asset-card-name" title={asset.name}>{asset.name}</div>
+          <div className="asset-card-meta">{asset.width} × {asset.height} {asset.extension.toUpperCase()}</div>
+          {asset.tags.length > 0 && (
+            <div className="asset-card-tags">
+              {asset.tags.map(tag => (
+                <button
+                  key={tag}
+                  className={`asset-tag ${activeTags.includes(tag) ? 'active' : ''}`}
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    onTagClick?.(tag);
+                  }}
+                >
+                  {tag}
+                </button>
+              ))}
+            </div>
+          )}
+          {renderActions && <div className="asset-card-actions">{renderActions(asset)}</div>}
+        </div>
+      </div>
+    ))}
+  </div>
+);
+
+export default AssetGrid;
\ No newline at end of file
@@ -0,0 +1,107 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Button,
+  Typography
+} from '@mui/material';
+import { assetAPI } from '../services/api';
+import AssetGrid from './AssetGrid';
+
+// Pick an image from the asset library; onSelect receives the chosen asset
+const AssetPickerDialog = ({ open, onClose, onSelect, selectedAssetId = null, title = 'Choose image' }) => {
+  const [assets, setAssets] = useState([]);
+  const [query, setQuery] = useState('');
+  const [selected, setSelected] = useState(null);
+
+  useEffect(() => {
+    if (!open) return;
+    setSelected(null);
+
+    assetAPI.getAll({ q: query })
+      .then(response => setAssets(response.assets || []))
+      .catch(err => console.error('Error loading assets:', err));
+  }, [open, query]);
+
+  const handleConfirm = () => {
+    if (selected) {
+      onSelect(selected);
+    }
+    onClose();
+  };
+
+  return (
+    <Dialog
+      open={open}
+      onClose={onClose}
+      maxWidth="md"
+      fullWidth
+      PaperProps={{
+        sx: {
+          bgcolor: 'var(--bg-card)',
+          backgroundImage: 'none',
+          border: '1px solid var(--border-color)',
+          maxHeight: '80vh'
+        }
+      }}
+    >
+      <DialogTitle sx={{ color: 'var(--text-primary)', borderBottom: '1px solid var(--border-color)' }}>
+        {title}
+      </DialogTitle>
+
+      <DialogContent sx={{ mt: 2 }}>
+        <TextField
+          fullWidth
+          size="small"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search by name or tag (e.g. logo)..."
+          sx={{
+            mb: 2,
+            mt: 1,
+            '& .MuiOutlinedInput-root': {
+              color: 'var(--text-primary)',
+              '& fieldset': { borderColor: 'var(--border-color)' },
+            },
+          }}
+        />
+
+        {assets.length > 0 ? (
+          <AssetGrid
+            assets={assets}
+            selectedId={selected?.id || selectedAssetId}
+            onSelect={setSelected}
+            onTagClick={setQuery}
+          />
+        ) : (
+          <Typography sx={{ color: 'var(--text-muted)', textAlign: 'center', p: 3 }}>
+            No images found. Upload logos and photos on the Assets page.
+          </Typography>
+        )}
+      </DialogContent>
+
+      <DialogActions sx={{ borderTop: '1px solid var(--border-color)', p: 2 }}>
+        <Button onClick={onClose} sx={{ color: 'var(--text-secondary)' }}>
+          Cancel
+        </Button>
+        <Button
+          onClick={handleConfirm}
+          variant="contained"
+          disabled={!selected}
+          sx={{
+            bgcolor: 'var(--primary-color)',
+            color: 'white',
+            '&:hover': { bgcolor: 'var(--primary-hover)' }
+          }}
+        >
+          Use Image
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default AssetPickerDialog;
\ No newline at end of file
@@ -11,24 +11,67 @@ import {
   Accordion,
   AccordionSummary,
   AccordionDetails,
-  Chip
+  Chip,
+  MenuItem,
+  FormControlLabel,
+  Checkbox
 } from '@mui/material';
 import ExpandMoreIcon from '@mui/icons-material/ExpandMore';
 import CheckCircleOutlineIcon from '@mui/icons-material/CheckCircleOutline';
 import { usePitchbook } from '../contexts/PitchbookContext';
+import ChartDataEditor from './ChartDataEditor';
+import AssetPickerDialog from './AssetPickerDialog';
+import RichTextPreview from './RichTextPreview';
+import ResolvedPromptView from './ResolvedPromptView';
+import aiContentGenerator from '../services/aiContentGenerator';
+import { resolveFooter } from '../services/footerFields';
+
+// Chart placeholders, and untyped content placeholders that can take a chart instead of text
+const canHoldChart = (placeholder) => placeholder.type === 'chart' || !placeholder.phType;
+const canHoldTable = (placeholder) => placeholder.type === 'table' || !placeholder.phType;
+const canHoldImage = (placeholder) => placeholder.type === 'picture' || !placeholder.phType;
+
+// Footer, date and slide number placeholders are filled from the footer settings, not prompted
+const HEADER_FOOTER_TYPES = ['dt', 'ftr', 'hdr', 'sldNum'];
+
+const FOOTER_FIELD_LABELS = { footer: 'Footer', date: 'Date', slideNumber: 'Slide number' };
+
+// Select values for a slide's footer override; 'default' follows the pitchbook's footer settings
+const toOverrideValue = (value) => value === true ? 'show' : value === false ? 'hide' : 'default';
+const fromOverrideValue = (value) => value === 'show' ? true : value === 'hide' ? false : null;
 
 const CentralizedPromptEditor = ({ open, onClose, slide }) => {
   const [slidePrompt, setSlidePrompt] = useState('');
+  const [slidePromptMode, setSlidePromptMode] = useState('append');
   const [placeholderPrompts, setPlaceholderPrompts] = useState({});
   const [expandedSection, setExpandedSection] = useState('slide-prompt');
   const [hasChanges, setHasChanges] = useState(false);
   const [initialPrompts, setInitialPrompts] = useState({});
-  const { updateSlidePrompt, updatePrompts } = usePitchbook();
+  const [chartPlaceholder, setChartPlaceholder] = useState(null);
+  const [draftingTable, setDraftingTable] = useState(null);
+  const [imagePlaceholder, setImagePlaceholder] = useState(null);
+  const [notes, setNotes] = useState('');
+  const [notesSource, setNotesSource] = useState('manual');
+  const [draftingNotes, setDraftingNotes] = useState(false);
+  const [notesError, setNotesError] = useState(null);
+  const [footerOverrides, setFooterOverrides] = useState({});
+  const {
+    currentPitchbook,
+    updateSlidePrompt,
+    updateSlideNotes,
+    updateSlideFooter,
+    updatePrompts,
+    updateTable,
+    removeTable,
+    updateImage,
+    removeImage
+  } = usePitchbook();
 
   useEffect(() => {
     if (slide) {
       // Initialize slide prompt
       setSlidePrompt(slide.slidePrompt || '');
+      setSlidePromptMode(slide.slidePromptScoped?.mode || 'append');
       
       // Initialize placeholder prompts
       const prompts = {};
@@ -39,9 +82,22 @@ const CentralizedPromptEditor = ({ open, onClose, slide }) => {
       }
       setPlaceholderPrompts(prompts);
       
+      setNotes(slide.notes || '');
+      setNotesSource(slide.notesSource || 'manual');
+      setNotesError(null);
+
+      const overrides = {};
+      Object.keys(FOOTER_FIELD_LABELS).forEach(field => {
+        overrides[field] = toOverrideValue(slide.footer?.[field]);
+      });
+      setFooterOverrides(overrides);
+
       // Store initial state for change detection
       setInitialPrompts({
         slidePrompt: slide.slidePrompt || '',
+        slidePromptMode: slide.slidePromptScoped?.mode || 'append',
+        notes: slide.notes || '',
+        footerOverrides: JSON.stringify(overrides),
         ...prompts
       });
       
@@ -53,7 +109,9 @@ const CentralizedPromptEditor = ({ open, onClose, slide }) => {
   // Sort placeholders by Y position (top to bottom)
   const getSortedPlaceholders = () => {
     if (!slide?.layout?.placeholders) return [];
-    return [...slide.layout.placeholders].sort((a, b) => a.y - b.y);
+    return slide.layout.placeholders
+      .filter(placeholder => !HEADER_FOOTER_TYPES.includes(placeholder.phType))
+      .sort((a, b) => a.y - b.y);
   };
 
   const handleSlidePromptChange = (e) => {
@@ -62,15 +120,50 @@ const CentralizedPromptEditor = ({ open, onClose, slide }) => {
     checkForChanges({ slidePrompt: newValue });
   };
 
+  const handleSlidePromptModeChange = (e) => {
+    const newMode = e.target.checked ? 'override' : 'append';
+    setSlidePromptMode(newMode);
+    checkForChanges({ slidePromptMode: newMode });
+  };
+
   const handlePlaceholderPromptChange = (placeholderId, value) => {
     const newPrompts = { ...placeholderPrompts, [placeholderId]: value };
     setPlaceholderPrompts(newPrompts);
     checkForChanges({ [placeholderId]: value });
   };
 
+  const handleNotesChange = (value, source = 'manual') => {
+    setNotes(value);
+    setNotesSource(source);
+    checkForChanges({ notes: value });
+  };
+
+  const handleFooterOverrideChange = (field, value) => {
+    const newOverrides = { ...footerOverrides, [field]: value };
+    setFooterOverrides(newOverrides);
+    checkForChanges({ footerOverrides: JSON.stringify(newOverrides) });
+  };
+
+  // Notes are drafted from the slide's generated content, so they only make sense after generation
+  const handleDraftNotes = async () => {
+    setDraftingNotes(true);
+    setNotesError(null);
+    const result = await aiContentGenerator.generateSpeakerNotes(currentPitchbook, slide.slideNumber);
+    setDraftingNotes(false);
+
+    if (result.success) {
+      handleNotesChange(result.notes, 'ai');
+    } else {
+      setNotesError(result.error);
+    }
+  };
+
   const checkForChanges = (updates) => {
     const current = {
       slidePrompt,
+      slidePromptMode,
+      notes,
+      footerOverrides: JSON.stringify(footerOverrides),
       ...placeholderPrompts,
       ...updates
     };
@@ -91,8 +184,20 @@ const CentralizedPromptEditor = ({ open, onClose, slide }) => {
     
     try {
       // Save slide prompt if changed
-      if (slidePrompt !== initialPrompts.slidePrompt) {
-        await updateSlidePrompt(slide.slideNumber, slidePrompt);
+      if (slidePrompt !== initialPrompts.slidePrompt || slidePromptMode !== initialPrompts.slidePromptMode) {
+        await updateSlidePrompt(slide.slideNumber, slidePrompt, slidePromptMode);
+      }
+
+      if (notes !== initialPrompts.notes) {
+        await updateSlideNotes(slide.slideNumber, notes, notesSource);
+      }
+
+      if (JSON.stringify(footerOverrides) !== initialPrompts.footerOverrides) {
+        const overrides = {};
+        Object.entries(footerOverrides).forEach(([field, value]) => {
+          overrides[field] = fromOverrideValue(value);
+        });
+        await updateSlideFooter(slide.slideNumber, overrides);
       }
       
       // Save placeholder prompts if changed
@@ -109,6 +214,26 @@ const CentralizedPromptEditor = ({ open, onClose, slide }) => {
     }
   };
 
+  // Tables are drafted from the placeholder's prompt and saved straight away; the exporter formats the numbers
+  const handleDraftTable = async (placeholder) => {
+    const prompt = placeholderPrompts[placeholder.id];
+    if (!prompt) return;
+
+    setDraftingTable(placeholder.id);
+    const result = await aiContentGenerator.generateTableContent(prompt, {
+      pitchbookTitle: currentPitchbook?.title,
+      sectionTitle: slide.sectionTitle || '',
+      slideTitle: slide.layoutName || '',
+      target: { pitchbookId: currentPitchbook?.id, slideNumber: slide.slideNumber, placeholderId: placeholder.id }
+    });
+    if (result.success) {
+      await updateTable(slide.slideNumber, placeholder.id, { ...result.table, source: 'ai' });
+    } else {
+      console.error('Failed to draft table:', result.error);
+    }
+    setDraftingTable(null);
+  };
+
   const handleClose = () => {
     if (hasChanges) {
       const confirmClose = window.confirm('You have unsaved changes. Are you sure you want to close?');
@@ -123,6 +248,8 @@ const CentralizedPromptEditor = ({ open, onClose, slide }) => {
   if (!slide) return null;
 
   const sortedPlaceholders = getSortedPlaceholders();
+  const pitchbookFooter = resolveFooter(currentPitchbook?.footer, null, slide.slideNumber);
+  const hasFooterOverrides = Object.values(footerOverrides).some(value => value !== 'default');
 
   return (
     <Dialog 
@@ -216,22 +343,192 @@ const CentralizedPromptEditor = ({ open, onClose, slide }) => {
                   },
                 }}
               />
-              <Box sx={{ mt: 1, display: 'flex', gap: 2 }}>
+              <Box sx={{ mt: 1, display: 'flex', gap: 2, alignItems: 'center' }}>
                 <Typography variant="caption" sx={{ color: 'var(--text-muted)' }}>
                   {getCharCount(slidePrompt)} characters
                 </Typography>
                 <Typography variant="caption" sx={{ color: 'var(--text-muted)' }}>
                   {getWordCount(slidePrompt)} words
                 </Typography>
+                <FormControlLabel
+                  control={
+                    <Checkbox
+                      size="small"
+                      checked={slidePromptMode === 'override'}
+                      onChange={handleSlidePromptModeChange}
+                      disabled={!slidePrompt}
+                      sx={{ color: 'var(--text-secondary)' }}
+                    />
+                  }
+                  label="Replace the pitchbook and section prompts"
+                  sx={{ ml: 'auto', color: 'var(--text-secondary)', '& .MuiFormControlLabel-label': { fontSize: '0.75rem' } }}
+                />
+              </Box>
+            </Box>
+          </AccordionDetails>
+        </Accordion>
+
+        {/* Speaker Notes Section */}
+        <Accordion 
+          expanded={expandedSection === 'speaker-notes'}
+          onChange={handleAccordionChange('speaker-notes')}
+          sx={{
+            bgcolor: 'var(--bg-secondary)',
+            border: '1px solid var(--border-color)',
+            mb: 2,
+            '&:before': { display: 'none' }
+          }}
+        >
+          <AccordionSummary
+            expandIcon={<ExpandMoreIcon sx={{ color: 'var(--text-secondary)' }} />}
+            sx={{ 
+              '& .MuiAccordionSummary-content': { 
+                alignItems: 'center',
+                gap: 2
+              }
+            }}
+          >
+            <Typography sx={{ color: 'var(--text-primary)' }}>
+              Speaker Notes
+            </Typography>
+            {notes && (
+              <Chip 
+                icon={<CheckCircleOutlineIcon />}
+                label={notesSource === 'ai' ? 'AI draft' : 'Has notes'}
+                size="small"
+                color="success"
+                variant="outlined"
+                sx={{ ml: 'auto', mr: 2 }}
+              />
+            )}
+          </AccordionSummary>
+          <AccordionDetails>
+            <Box>
+              <Typography variant="body2" sx={{ color: 'var(--text-secondary)', mb: 2 }}>
+                Talking points for the presenter. They are exported to the notes page of this slide.
+              </Typography>
+              <TextField
+                fullWidth
+                multiline
+                rows={5}
+                value={notes}
+                onChange={(e) => handleNotesChange(e.target.value)}
+                placeholder="- Key point to make when presenting this slide..."
+                variant="outlined"
+                sx={{
+                  '& .MuiOutlinedInput-root': {
+                    color: 'var(--text-primary)',
+                    '& fieldset': {
+                      borderColor: 'var(--border-color)',
+                    },
+                    '&:hover fieldset': {
+                      borderColor: 'var(--border-hover)',
+                    },
+                    '&.Mui-focused fieldset': {
+                      borderColor: 'var(--primary-color)',
+                    },
+                  },
+                  '& .MuiInputBase-input': {
+                    color: 'var(--text-primary)',
+                  },
+                }}
+              />
+              <Box sx={{ mt: 1, display: 'flex', gap: 2, alignItems: 'center' }}>
+                <Typography variant="caption" sx={{ color: 'var(--text-muted)' }}>
+                  {getWordCount(notes)} words
+                </Typography>
+                {notesError && (
+                  <Typography variant="caption" sx={{ color: 'var(--danger-color)' }}>
+                    {notesError}
+                  </Typography>
+                )}
+                <Button
+                  size="small"
+                  onClick={handleDraftNotes}
+                  disabled={draftingNotes}
+                  sx={{ ml: 'auto', color: 'var(--primary-color)' }}
+                >
+                  {draftingNotes ? 'Drafting...' : 'Draft with AI'}
+                </Button>
               </Box>
             </Box>
           </AccordionDetails>
         </Accordion>
 
+        {/* Footer Section */}
+        <Accordion 
+          expanded={expandedSection === 'footer'}
+          onChange={handleAccordionChange('footer')}
+          sx={{
+            bgcolor: 'var(--bg-secondary)',
+            border: '1px solid var(--border-color)',
+            mb: 2,
+            '&:before': { display: 'none' }
+          }}
+        >
+          <AccordionSummary
+            expandIcon={<ExpandMoreIcon sx={{ color: 'var(--text-secondary)' }} />}
+            sx={{ 
+              '& .MuiAccordionSummary-content': { 
+                alignItems: 'center',
+                gap: 2
+              }
+            }}
+          >
+            <Typography sx={{ color: 'var(--text-primary)' }}>
+              Footer
+            </Typography>
+            {hasFooterOverrides && (
+              <Chip 
+                label="Overridden"
+                size="small"
+                variant="outlined"
+                sx={{ ml: 'auto', mr: 2, color: 'var(--text-secondary)', borderColor: 'var(--border-color)' }}
+              />
+            )}
+          </AccordionSummary>
+          <AccordionDetails>
+            <Typography variant="body2" sx={{ color: 'var(--text-secondary)', mb: 2 }}>
+              Show or hide the pitchbook's footer fields on this slide, e.g. to keep the cover unnumbered.
+            </Typography>
+            <Box sx={{ display: 'flex', gap: 2 }}>
+              {Object.entries(FOOTER_FIELD_LABELS).map(([field, label]) => (
+                <TextField
+                  key={field}
+                  select
+                  label={label}
+                  value={footerOverrides[field] || 'default'}
+                  onChange={(e) => handleFooterOverrideChange(field, e.target.value)}
+                  size="small"
+                  sx={{
+                    flex: 1,
+                    '& .MuiOutlinedInput-root': {
+                      color: 'var(--text-primary)',
+                      '& fieldset': { borderColor: 'var(--border-color)' },
+                    },
+                    '& .MuiInputLabel-root': { color: 'var(--text-secondary)' },
+                  }}
+                >
+                  <MenuItem value="default">
+                    Default ({pitchbookFooter[field] !== null ? 'shown' : 'hidden'})
+                  </MenuItem>
+                  <MenuItem value="show">Show</MenuItem>
+                  <MenuItem value="hide">Hide</MenuItem>
+                </TextField>
+              ))}
+            </Box>
+          </AccordionDetails>
+        </Accordion>
+
         {/* Placeholder Prompts Sections */}
         {sortedPlaceholders.map((placeholder, index) => {
           const prompt = placeholderPrompts[placeholder.id] || '';
           const panelId = `placeholder-${placeholder.id}`;
+          const generated = currentPitchbook?.generatedContent?.[`slide_${slide.slideNumber}`]?.[placeholder.id];
+          const chart = generated?.chart;
+          const table = !chart && generated?.table;
+          const image = generated?.image;
+          const generatedText = !chart && !table && !image && typeof generated?.content === 'string' ? generated.content : null;
           
           return (
             <Accordion 
@@ -266,6 +563,30 @@ const CentralizedPromptEditor = ({ open, onClose, slide }) => {
                     borderColor: 'var(--border-color)'
                   }}
                 />
+                {chart && (
+                  <Chip 
+                    label={`${chart.type} chart`}
+                    size="small"
+                    color="info"
+                    variant="outlined"
+                  />
+                )}
+                {image && (
+                  <Chip 
+                    label={`image: ${image.name}`}
+                    size="small"
+                    color="info"
+                    variant="outlined"
+                  />
+                )}
+                {table && (
+                  <Chip 
+                    label={`table ${table.columns.length}×${table.rows.length}`}
+                    size="small"
+                    color="info"
+                    variant="outlined"
+                  />
+                )}
                 {prompt && (
                   <Chip 
                     icon={<CheckCircleOutlineIcon />}
@@ -315,7 +636,66 @@ const CentralizedPromptEditor = ({ open, onClose, slide }) => {
                     <Typography variant="caption" sx={{ color: 'var(--text-muted)' }}>
                       {getWordCount(prompt)} words
                     </Typography>
+                    {canHoldChart(placeholder) && (
+                      <Button
+                        size="small"
+                        onClick={() => setChartPlaceholder(placeholder)}
+                        sx={{ ml: 'auto', color: 'var(--primary-color)' }}
+                      >
+                        {chart ? 'Edit chart data' : 'Chart data'}
+                      </Button>
+                    )}
+                    {canHoldTable(placeholder) && (
+                      <Button
+                        size="small"
+                        onClick={() => handleDraftTable(placeholder)}
+                        disabled={!prompt || draftingTable === placeholder.id}
+                        sx={{ ml: canHoldChart(placeholder) ? 0 : 'auto', color: 'var(--primary-color)' }}
+                      >
+                        {draftingTable === placeholder.id ? 'Drafting table...' : (table ? 'Redraft table' : 'Draft table with AI')}
+                      </Button>
+                    )}
+                    {table && (
+                      <Button
+                        size="small"
+                        color="error"
+                        onClick={() => removeTable(slide.slideNumber, placeholder.id)}
+                      >
+                        Remove table
+                      </Button>
+                    )}
+                    {canHoldImage(placeholder) && (
+                      <Button
+                        size="small"
+                        onClick={() => setImagePlaceholder(placeholder)}
+                        sx={{ color: 'var(--primary-color)' }}
+                      >
+                        {image ? 'Change image' : 'Choose image'}
+                      </Button>
+                    )}
+                    {image && (
+                      <Button
+                        size="small"
+                        color="error"
+                        onClick={() => removeImage(slide.slideNumber, placeholder.id)}
+                      >
+                        Remove image
+                      </Button>
+                    )}
                   </Box>
+                  {generatedText && (
+                    <Box sx={{ mt: 2, p: 1.5, borderRadius: 1, bgcolor: 'var(--bg-card)', color: 'var(--text-secondary)' }}>
+                      <Typography variant="caption" sx={{ color: 'var(--text-muted)', display: 'block', mb: 0.5 }}>
+                        Generated content
+                      </Typography>
+                      <RichTextPreview text={generatedText} />
+                    </Box>
+                  )}
+                  <ResolvedPromptView
+                    pitchbookId={currentPitchbook?.id}
+                    slideNumber={slide.slideNumber}
+                    placeholderId={placeholder.id}
+                  />
                 </Box>
               </AccordionDetails>
             </Accordion>
@@ -357,6 +737,20 @@ const CentralizedPromptEditor = ({ open, onClose, slide }) => {
           Save All Prompts
         </Button>
       </DialogActions>
+
+      <ChartDataEditor
+        open={Boolean(chartPlaceholder)}
+        onClose={() => setChartPlaceholder(null)}
+        slide={slide}
+        placeholder={chartPlaceholder}
+      />
+
+      <AssetPickerDialog
+        open={Boolean(imagePlaceholder)}
+        onClose={() => setImagePlaceholder(null)}
+        onSelect={(asset) => updateImage(slide.slideNumber, imagePlaceholder.id, asset.id)}
+        selectedAssetId={imagePlaceholder && currentPitchbook?.generatedContent?.[`slide_${slide.slideNumber}`]?.[imagePlaceholder.id]?.image?.assetId}
+      />
     </Dialog>
   );
 };
@@ -0,0 +1,241 @@
+import React, { useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  MenuItem,
+  Button,
+  Box,
+  Typography,
+  Alert
+} from '@mui/material';
+import { usePitchbook } from '../contexts/PitchbookContext';
+import aiContentGenerator from '../services/aiContentGenerator';
+
+const CHART_TYPES = [
+  { value: 'bar', label: 'Bar' },
+  { value: 'stackedBar', label: 'Stacked bar' },
+  { value: 'line', label: 'Line' },
+  { value: 'pie', label: 'Pie' },
+  { value: 'waterfall', label: 'Waterfall' }
+];
+
+const CSV_EXAMPLE = 'Year,Revenue,EBITDA\n2022,120,30\n2023,145,38\n2024,170,46';
+
+const fieldSx = {
+  '& .MuiOutlinedInput-root': {
+    color: 'var(--text-primary)',
+    '& fieldset': { borderColor: 'var(--border-color)' },
+    '&:hover fieldset': { borderColor: 'var(--border-hover)' },
+    '&.Mui-focused fieldset': { borderColor: 'var(--primary-color)' },
+  },
+  '& .MuiInputBase-input': { color: 'var(--text-primary)' },
+  '& .MuiInputLabel-root': { color: 'var(--text-secondary)' },
+};
+
+// Saved charts are edited as CSV so pasted and AI-drafted data look the same
+const chartToCsv = (chart) => {
+  const quote = (value) => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+  const header = ['Category', ...chart.series.map(series => series.name)].map(quote).join(',');
+  const rows = chart.categories.map((category, index) =>
+    [quote(category), ...chart.series.map(series => series.values[index] ?? '')].join(',')
+  );
+  return [header, ...rows].join('\n');
+};
+
+const ChartDataEditor = ({ open, onClose, slide, placeholder }) => {
+  const { currentPitchbook, updateChart, removeChart } = usePitchbook();
+  const [type, setType] = useState('bar');
+  const [title, setTitle] = useState('');
+  const [numberFormat, setNumberFormat] = useState('');
+  const [csv, setCsv] = useState('');
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const existing = slide && placeholder
+    ? currentPitchbook?.generatedContent?.[`slide_${slide.slideNumber}`]?.[placeholder.id]?.chart
+    : null;
+
+  // Load the saved chart when the dialog opens on a placeholder, not on every save
+  const openedFor = open ? placeholder?.id ?? null : null;
+  const [loadedFor, setLoadedFor] = useState(null);
+  if (openedFor !== loadedFor) {
+    setLoadedFor(openedFor);
+    if (openedFor !== null) {
+      setType(existing?.type || 'bar');
+      setTitle(existing?.title || '');
+      setNumberFormat(existing?.numberFormat && existing.numberFormat !== 'General' ? existing.numberFormat : '');
+      setCsv(existing ? chartToCsv(existing) : '');
+      setError(null);
+    }
+  }
+
+  const handleFileUpload = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => setCsv(String(reader.result));
+    reader.readAsText(file);
+    e.target.value = '';
+  };
+
+  const handleDraftWithAI = async () => {
+    const prompt = currentPitchbook?.prompts?.[`slide_${slide.slideNumber}`]?.[placeholder.id];
+    if (!prompt) {
+      setError('Add a prompt for this placeholder first, then draft the chart from it.');
+      return;
+    }
+
+    setBusy(true);
+    setError(null);
+    const result = await aiContentGenerator.generateChartContent(prompt, {
+      chartType: type,
+      pitchbookTitle: currentPitchbook.title,
+      sectionTitle: slide.sectionTitle || '',
+      slideTitle: slide.layoutName || '',
+      target: { pitchbookId: currentPitchbook.id, slideNumber: slide.slideNumber, placeholderId: placeholder.id }
+    });
+    setBusy(false);
+
+    if (!result.success) {
+      setError(`Could not draft chart data: ${result.error}`);
+      return;
+    }
+
+    if (result.chart.type) setType(result.chart.type);
+    if (result.chart.title) setTitle(result.chart.title);
+    if (result.chart.numberFormat) setNumberFormat(result.chart.numberFormat);
+    setCsv(chartToCsv(result.chart));
+  };
+
+  const handleSave = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      await updateChart(slide.slideNumber, placeholder.id, {
+        type,
+        title: title || undefined,
+        numberFormat: numberFormat || undefined,
+        csv
+      });
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRemove = async () => {
+    await removeChart(slide.slideNumber, placeholder.id);
+    onClose();
+  };
+
+  if (!slide || !placeholder) return null;
+
+  return (
+    <Dialog
+      open={open}
+      onClose={onClose}
+      maxWidth="sm"
+      fullWidth
+      PaperProps={{
+        sx: {
+          bgcolor: 'var(--bg-card)',
+          backgroundImage: 'none',
+          border: '1px solid var(--border-color)'
+        }
+      }}
+    >
+      <DialogTitle sx={{ color: 'var(--text-primary)', borderBottom: '1px solid var(--border-color)' }}>
+        Chart data - {placeholder.name || 'Placeholder'}
+      </DialogTitle>
+
+      <DialogContent sx={{ mt: 2, display: 'flex', flexDirection: 'column', gap: 2 }}>
+        {error && <Alert severity="error">{error}</Alert>}
+
+        <Box sx={{ display: 'flex', gap: 2, mt: 1 }}>
+          <TextField
+            select
+            label="Chart type"
+            value={type}
+            onChange={(e) => setType(e.target.value)}
+            sx={{ ...fieldSx, minWidth: 160 }}
+          >
+            {CHART_TYPES.map(option => (
+              <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            label="Title (optional)"
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            fullWidth
+            sx={fieldSx}
+          />
+        </Box>
+
+        <TextField
+          label="Number format (optional)"
+          value={numberFormat}
+          onChange={(e) => setNumberFormat(e.target.value)}
+          placeholder="#,##0"
+          sx={fieldSx}
+        />
+
+        <TextField
+          label="Data (CSV)"
+          multiline
+          rows={8}
+          value={csv}
+          onChange={(e) => setCsv(e.target.value)}
+          placeholder={CSV_EXAMPLE}
+          sx={{ ...fieldSx, '& textarea': { fontFamily: 'monospace' } }}
+        />
+
+        <Typography variant="caption" sx={{ color: 'var(--text-muted)' }}>
+          First column holds the categories, each further column is a series. Pie and waterfall charts use the
+          first series only; waterfall rows named "Total" or "Subtotal" are drawn as totals.
+        </Typography>
+
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <Button component="label" variant="outlined" size="small" disabled={busy}>
+            Upload CSV
+            <input type="file" accept=".csv,.tsv,.txt,text/csv" hidden onChange={handleFileUpload} />
+          </Button>
+          <Button variant="outlined" size="small" onClick={handleDraftWithAI} disabled={busy}>
+            Draft with AI
+          </Button>
+        </Box>
+      </DialogContent>
+
+      <DialogActions sx={{ borderTop: '1px solid var(--border-color)', p: 2 }}>
+        {existing && (
+          <Button onClick={handleRemove} color="error" disabled={busy} sx={{ mr: 'auto' }}>
+            Remove chart
+          </Button>
+        )}
+        <Button onClick={onClose} sx={{ color: 'var(--text-secondary)' }}>
+          Cancel
+        </Button>
+        <Button
+          onClick={handleSave}
+          variant="contained"
+          disabled={busy || !csv.trim()}
+          sx={{
+            bgcolor: 'var(--primary-color)',
+            color: 'white',
+            '&:hover': { bgcolor: 'var(--primary-hover)' }
+          }}
+        >
+          Save Chart
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ChartDataEditor;
\ No newline at end of file
@@ -1,11 +1,21 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import aiContentGenerator from '../services/aiContentGenerator';
 import promptEnhancer from '../services/promptEnhancer';
+import { generateAPI, pitchbookAPI } from '../services/api';
+import { watchJob, isJobActive } from '../services/generationJobs';
+import { findUndefinedVariables } from '../services/promptVariables';
 import { usePitchbook } from '../contexts/PitchbookContext';
+import RichTextPreview from './RichTextPreview';
 import CloseIcon from '@mui/icons-material/Close';
 import ErrorOutlineIcon from '@mui/icons-material/ErrorOutline';
 import './ContentGenerator.css';
 
+// Stopped jobs that still have placeholders to generate
+const RESUMABLE_STATUSES = ['cancelled', 'failed', 'interrupted'];
+
+const describeProgress = ({ total, done, failed }) =>
+  `${done + failed} of ${total} placeholders${failed ? ` (${failed} failed)` : ''}`;
+
 const ContentGenerator = ({ pitchbook, open, onClose, onGenerated }) => {
   const [generating, setGenerating] = useState(false);
   const [progress, setProgress] = useState(0);
@@ -20,139 +30,217 @@ const ContentGenerator = ({ pitchbook, open, onClose, onGenerated }) => {
   });
   const [enhancedPrompts, setEnhancedPrompts] = useState({});
   const [showPreview, setShowPreview] = useState(false);
+  const [job, setJob] = useState(null);
+  const [stopping, setStopping] = useState(false);
+  const [preset, setPreset] = useState(null);
+  const [sourceCount, setSourceCount] = useState(0);
+  const stopWatching = useRef(null);
+  const resultsRef = useRef({});
+  const finishJobRef = useRef(null);
+
+  const { layouts } = usePitchbook();
+
+  // The style and audience preset the prompts are enhanced with
+  useEffect(() => {
+    if (!open || !pitchbook?.id) return;
 
-  const { updatePitchbook } = usePitchbook();
+    pitchbookAPI.getPreset(pitchbook.id)
+      .then(response => setPreset(response.preset))
+      .catch(err => {
+        console.error('Failed to load the pitchbook preset:', err);
+        setError(err?.error || err?.message || 'Failed to load the pitchbook preset');
+      });
+  }, [open, pitchbook?.id, pitchbook?.presetId]);
 
+  // Source documents the server grounds each prompt in
   useEffect(() => {
-    if (pitchbook) {
+    if (!open || !pitchbook?.id) return;
+
+    pitchbookAPI.getSources(pitchbook.id)
+      .then(response => setSourceCount(response.documents?.length || 0))
+      .catch(err => console.error('Failed to load source documents:', err));
+  }, [open, pitchbook?.id]);
+
+  useEffect(() => {
+    if (pitchbook && preset) {
       // Get enhanced prompts for preview
-      const enhanced = promptEnhancer.enhanceAllPrompts(pitchbook);
+      const enhanced = promptEnhancer.enhanceAllPrompts(pitchbook, layouts, preset);
       setEnhancedPrompts(enhanced);
       
       // Select all slides by default
       const allSlideKeys = Object.keys(pitchbook.prompts || {});
       setSelectedSlides(allSlideKeys);
     }
-  }, [pitchbook]);
+  }, [pitchbook, layouts, preset]);
+
+  const setResult = useCallback((slideKey, placeholderKey, result) => {
+    resultsRef.current = {
+      ...resultsRef.current,
+      [slideKey]: { ...resultsRef.current[slideKey], [placeholderKey]: result }
+    };
+    setResults(resultsRef.current);
+  }, []);
 
-  const handleGenerate = async () => {
+  // The job stream finishes through finishJobRef, which always holds the latest finishJob, so following a job
+  // doesn't depend on the options or pitchbook in the render that started it
+  const followJob = useCallback((jobId) => {
+    stopWatching.current?.();
     setGenerating(true);
     setError(null);
-    setProgress(0);
-    setCurrentTask('Initializing AI generator...');
 
-    try {
-      // Generate content for the pitchbook
-      const generationResult = await aiContentGenerator.generatePitchbookContent(
-        pitchbook,
-        {
-          regenerate: options.regenerate,
-          selectedSlides: selectedSlides.length > 0 ? selectedSlides : null,
-          onProgress: (prog) => {
-            setProgress(prog.percentage);
-            setCurrentTask(`Processing prompt ${prog.current} of ${prog.total}...`);
-          }
-        }
-      );
-
-      if (generationResult.success) {
-        setResults(generationResult.results);
-        setCurrentTask('Generation complete!');
-        
-        // Auto-review if enabled
-        if (options.autoReview) {
-          setCurrentTask('Reviewing and improving content...');
-          await reviewContent(generationResult.results);
-        }
-        
-        // Update pitchbook with generated content
-        await saveToPitchbook(generationResult.results);
-        
-        // Generate executive summary
-        if (options.includeVariations) {
-          setCurrentTask('Generating executive summary...');
-          const summary = await aiContentGenerator.generateExecutiveSummary({
-            ...pitchbook,
-            generatedContent: generationResult.results
-          });
-          
-          if (summary.success) {
-            setResults(prev => ({
-              ...prev,
-              executiveSummary: summary.summary
-            }));
-          }
+    stopWatching.current = watchJob(jobId, {
+      onSnapshot: (snapshot) => {
+        setJob(snapshot);
+        setProgress(snapshot.progress.percentage);
+        setCurrentTask(describeProgress(snapshot.progress));
+        if (!isJobActive(snapshot)) finishJobRef.current(snapshot);
+      },
+      onTask: ({ task, progress: jobProgress, result }) => {
+        setJob(prev => prev && {
+          ...prev,
+          progress: jobProgress,
+          tasks: prev.tasks.map(t =>
+            t.slideKey === task.slideKey && t.placeholderKey === task.placeholderKey ? task : t
+          )
+        });
+        setProgress(jobProgress.percentage);
+        setCurrentTask(task.status === 'running'
+          ? `Generating ${task.slideKey.replace('slide_', 'slide ')} ${task.placeholderKey}... (${describeProgress(jobProgress)})`
+          : describeProgress(jobProgress));
+
+        if (result) {
+          setResult(task.slideKey, task.placeholderKey, result);
+        } else if (task.status === 'failed') {
+          setResult(task.slideKey, task.placeholderKey, { success: false, error: task.error });
         }
-      } else {
-        setError('Generation failed. Please try again.');
+      },
+      onStatus: (event) => {
+        setJob(prev => prev && { ...prev, status: event.status, error: event.error, progress: event.progress });
+        setProgress(event.progress.percentage);
+        if (!isJobActive(event)) finishJobRef.current(event);
+      },
+      onError: (err) => {
+        setError(err.message);
+        setGenerating(false);
       }
-    } catch (err) {
-      console.error('Generation error:', err);
-      setError(err.message || 'An error occurred during generation');
-    } finally {
-      setGenerating(false);
-      setProgress(100);
+    });
+  }, [setResult]);
+
+  const finishJob = async ({ status, error: jobError }) => {
+    stopWatching.current = null;
+    setGenerating(false);
+    setStopping(false);
+
+    if (status === 'completed') {
+      setCurrentTask('Generation complete!');
+    } else if (status === 'cancelled') {
+      setCurrentTask('Generation stopped');
+    } else {
+      setError(jobError || 'Generation failed. Please try again.');
     }
-  };
 
-  const reviewContent = async (content) => {
-    // Review and improve each piece of generated content
-    const reviewed = {};
-    
-    for (const [slideKey, slideContent] of Object.entries(content)) {
-      reviewed[slideKey] = {};
-      
-      for (const [placeholderKey, result] of Object.entries(slideContent)) {
-        if (result.success && result.content) {
-          const improved = await aiContentGenerator.reviewAndImprove(
-            result.content,
-            { targetAudience: getTargetAudience() }
-          );
-          
-          reviewed[slideKey][placeholderKey] = {
-            ...result,
-            content: improved.improved,
-            originalContent: result.content
-          };
-        } else {
-          reviewed[slideKey][placeholderKey] = result;
-        }
+    // The server saved each placeholder as it finished; refresh the pitchbook to show them
+    if (onGenerated) {
+      onGenerated(resultsRef.current);
+    }
+
+    // Generate executive summary
+    if (status === 'completed' && options.includeVariations) {
+      setCurrentTask('Generating executive summary...');
+      const summary = await aiContentGenerator.generateExecutiveSummary({
+        ...pitchbook,
+        generatedContent: { ...pitchbook.generatedContent, ...resultsRef.current }
+      });
+      setCurrentTask('Generation complete!');
+
+      if (summary.success) {
+        resultsRef.current = { ...resultsRef.current, executiveSummary: summary.summary };
+        setResults(resultsRef.current);
       }
     }
-    
-    return reviewed;
   };
 
-  const saveToPitchbook = async (generatedContent) => {
-    // Merge generated content with existing pitchbook
-    const updatedPitchbook = {
-      ...pitchbook,
-      generatedContent: {
-        ...pitchbook.generatedContent,
-        ...generatedContent
-      },
-      lastGenerated: new Date().toISOString()
+  useEffect(() => {
+    finishJobRef.current = finishJob;
+  });
+
+  // Pick up the pitchbook's latest job once per opening: follow it if it is still running, or offer to resume it
+  useEffect(() => {
+    if (!open || !pitchbook?.id) return;
+
+    generateAPI.getJobs(pitchbook.id)
+      .then(({ jobs }) => {
+        const [latest] = jobs || [];
+        if (!latest) return;
+        setJob(latest);
+        if (isJobActive(latest)) followJob(latest.id);
+      })
+      .catch(err => console.error('Failed to load generation jobs:', err));
+
+    // Closing the dialog stops following; the job carries on on the server
+    return () => {
+      stopWatching.current?.();
+      stopWatching.current = null;
     };
-    
-    // Save to context/backend
-    await updatePitchbook(pitchbook.id, updatedPitchbook);
-    
-    if (onGenerated) {
-      onGenerated(generatedContent);
+  }, [open, pitchbook?.id, followJob]);
+
+  // Start a server job; the tab can close while it runs
+  const startJob = async (request) => {
+    setError(null);
+    setProgress(0);
+    setCurrentTask('Starting generation...');
+
+    if (request.tasks.length === 0) {
+      setError('There are no prompts to generate for the selected slides.');
+      return;
+    }
+
+    try {
+      const { job: started } = await generateAPI.generate(pitchbook.id, request);
+      resultsRef.current = {};
+      setResults(null);
+      setJob(started);
+      followJob(started.id);
+    } catch (err) {
+      // Another job is already generating this pitchbook; follow that one instead
+      if (err?.jobId) {
+        followJob(err.jobId);
+        return;
+      }
+      console.error('Generation error:', err);
+      setError(err?.error || err?.message || 'An error occurred during generation');
+    }
+  };
+
+  const handleGenerate = () => startJob(aiContentGenerator.buildGenerationRequest(pitchbook, {
+    regenerate: options.regenerate,
+    selectedSlides: selectedSlides.length > 0 ? selectedSlides : null,
+    review: options.autoReview ? { audience: preset.audience } : null,
+    layouts,
+    preset
+  }));
+
+  const handleStop = async () => {
+    if (!job) return;
+    setStopping(true);
+    setCurrentTask('Stopping after the placeholders in progress...');
+    try {
+      await generateAPI.cancelJob(job.id);
+    } catch (err) {
+      setStopping(false);
+      setError(err?.error || err?.message || 'Failed to stop generation');
     }
   };
 
-  const getTargetAudience = () => {
-    // Determine target audience based on pitchbook type
-    switch (pitchbook?.type) {
-      case 'investor':
-        return 'investors and venture capitalists';
-      case 'executive':
-        return 'C-level executives and board members';
-      case 'sales':
-        return 'potential customers and partners';
-      default:
-        return 'business professionals';
+  const handleResume = async () => {
+    if (!job) return;
+    setError(null);
+    try {
+      const { job: resumed } = await generateAPI.resumeJob(job.id);
+      setJob(resumed);
+      followJob(resumed.id);
+    } catch (err) {
+      setError(err?.error || err?.message || 'Failed to resume generation');
     }
   };
 
@@ -166,29 +254,24 @@ const ContentGenerator = ({ pitchbook, open, onClose, onGenerated }) => {
     });
   };
 
-  const handleRegenerateSlide = async (slideKey) => {
-    setGenerating(true);
-    setCurrentTask(`Regenerating content for ${slideKey}...`);
-    
-    try {
-      const slideNumber = parseInt(slideKey.replace('slide_', ''));
-      const result = await aiContentGenerator.generateSlideContent(pitchbook, slideNumber);
-      
-      setResults(prev => ({
-        ...prev,
-        [slideKey]: result.results
-      }));
-      
-      await saveToPitchbook({
-        ...results,
-        [slideKey]: result.results
-      });
-    } catch (err) {
-      setError(`Failed to regenerate ${slideKey}: ${err.message}`);
-    } finally {
-      setGenerating(false);
-    }
-  };
+  const handleRegenerateSlide = (slideKey) => startJob(aiContentGenerator.buildGenerationRequest(pitchbook, {
+    regenerate: true,
+    selectedSlides: [slideKey],
+    review: options.autoReview ? { audience: preset.audience } : null,
+    layouts,
+    preset
+  }));
+
+  const canResume = !generating && job && RESUMABLE_STATUSES.includes(job.status) &&
+    job.progress.done < job.progress.total;
+
+  // The server stops a job whose prompts use undefined variables; say so before starting one
+  const undefinedVariables = pitchbook ? findUndefinedVariables([
+    pitchbook.pitchbookPrompt,
+    ...Object.values(pitchbook.sectionPrompts || {}),
+    ...(pitchbook.slides || []).map(slide => slide.slidePrompt),
+    ...Object.values(pitchbook.prompts || {}).flatMap(slidePrompts => Object.values(slidePrompts || {}))
+  ], pitchbook.variables) : [];
 
   if (!pitchbook || !open) return null;
 
@@ -212,6 +295,17 @@ const ContentGenerator = ({ pitchbook, open, onClose, onGenerated }) => {
                 {showPreview ? 'Hide' : 'Show'} Details
               </button>
             </div>
+            {preset && (
+              <p className="preset-note">
+                Enhanced with the {preset.name} preset (version {preset.version}), for {preset.audience}
+              </p>
+            )}
+            {sourceCount > 0 && (
+              <p className="preset-note">
+                Grounded in {sourceCount} source document{sourceCount === 1 ? '' : 's'}: matching passages are added to
+                each prompt on the server
+              </p>
+            )}
             
             {showPreview && (
               <div className="enhanced-prompts-list">
@@ -286,6 +380,18 @@ const ContentGenerator = ({ pitchbook, open, onClose, onGenerated }) => {
             </div>
           </div>
 
+          {undefinedVariables.length > 0 && (
+            <div className="variables-warning">
+              <p>
+                These prompt variables are not defined yet; define them under Pitchbook Prompts before generating
+                the slides that use them:
+              </p>
+              <p>
+                {undefinedVariables.map(name => <code key={name}>{`{{${name}}}`}</code>)}
+              </p>
+            </div>
+          )}
+
           {/* Progress Section */}
           {generating && (
             <div className="progress-section">
@@ -300,12 +406,12 @@ const ContentGenerator = ({ pitchbook, open, onClose, onGenerated }) => {
           )}
 
           {/* Results Section */}
-          {results && !generating && (
+          {results && (
             <div className="results-section">
               <h3>Generation Results</h3>
               <div className="results-summary">
                 <p className="success-message">
-                  ✅ Successfully generated content for {Object.keys(results).length} slides
+                  ✅ Generated content for {Object.keys(results).filter(key => key !== 'executiveSummary').length} slides
                 </p>
                 
                 {results.executiveSummary && (
@@ -319,6 +425,7 @@ const ContentGenerator = ({ pitchbook, open, onClose, onGenerated }) => {
                   <button 
                     className="btn btn-secondary"
                     onClick={() => setResults(null)}
+                    disabled={generating}
                   >
                     Generate More
                   </button>
@@ -340,6 +447,7 @@ const ContentGenerator = ({ pitchbook, open, onClose, onGenerated }) => {
                       <button 
                         className="regenerate-btn"
                         onClick={() => handleRegenerateSlide(slideKey)}
+                        disabled={generating || !preset}
                       >
                         🔄 Regenerate
                       </button>
@@ -349,7 +457,7 @@ const ContentGenerator = ({ pitchbook, open, onClose, onGenerated }) => {
                       <div key={placeholderKey} className="placeholder-result">
                         {result.success ? (
                           <div className="content-preview">
-                            {result.content.substring(0, 200)}...
+                            <RichTextPreview text={aiContentGenerator.describeGeneratedContent(result)} maxParagraphs={4} />
                           </div>
                         ) : (
                           <div className="error-message">
@@ -373,17 +481,36 @@ const ContentGenerator = ({ pitchbook, open, onClose, onGenerated }) => {
         </div>
 
         <div className="generator-footer">
+          {generating && (
+            <span className="footer-note">Generation continues on the server if you close this dialog</span>
+          )}
           <button 
             className="btn btn-secondary" 
             onClick={onClose}
-            disabled={generating}
           >
-            Cancel
+            Close
           </button>
+          {generating && (
+            <button 
+              className="btn btn-secondary" 
+              onClick={handleStop}
+              disabled={stopping}
+            >
+              {stopping ? 'Stopping...' : 'Stop'}
+            </button>
+          )}
+          {canResume && (
+            <button 
+              className="btn btn-secondary" 
+              onClick={handleResume}
+            >
+              Resume ({describeProgress(job.progress)})
+            </button>
+          )}
           <button 
             className="btn btn-primary" 
             onClick={handleGenerate}
-            disabled={generating || selectedSlides.length === 0}
+            disabled={generating || !preset || selectedSlides.length === 0}
           >
             {generating ? 'Generating...' : 'Generate Content'}
           </button>
@@ -1,6 +1,7 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { usePitchbook } from '../contexts/PitchbookContext';
+import { templateAPI, presetAPI } from '../services/api';
 import './CreatePitchbookWizard.css';
 
 const CreatePitchbookWizard = () => {
@@ -11,8 +12,24 @@ const CreatePitchbookWizard = () => {
   const [formData, setFormData] = useState({
     title: '',
     type: 'standard',
+    templateId: 'default',
+    presetId: '',
     sections: []
   });
+  const [templates, setTemplates] = useState([]);
+  const [presets, setPresets] = useState([]);
+
+  useEffect(() => {
+    templateAPI.getAll()
+      .then(response => setTemplates(response.templates || []))
+      .catch(error => console.error('Error loading templates:', error));
+    presetAPI.getAll()
+      .then(response => {
+        setPresets(response.presets || []);
+        setFormData(prev => ({ ...prev, presetId: prev.presetId || response.defaultPresetId }));
+      })
+      .catch(error => console.error('Error loading presets:', error));
+  }, []);
   
   const [newSection, setNewSection] = useState({
     title: '',
@@ -87,10 +104,12 @@ const CreatePitchbookWizard = () => {
     }
   };
 
+  const selectedPreset = presets.find(preset => preset.id === formData.presetId);
+
   const isStepValid = () => {
     switch (currentStep) {
       case 1:
-        return formData.title.trim() !== '';
+        return formData.title.trim() !== '' && formData.presetId !== '';
       case 2:
         return formData.sections.length > 0;
       case 3:
@@ -150,6 +169,39 @@ const CreatePitchbookWizard = () => {
                   <option value="proposal">Business Proposal</option>
                 </select>
               </div>
+              <div className="form-group">
+                <label className="form-label">Template</label>
+                <select
+                  name="templateId"
+                  value={formData.templateId}
+                  onChange={handleInputChange}
+                  className="form-control"
+                >
+                  {templates.map(template => (
+                    <option key={template.id} value={template.id}>
+                      {template.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="form-group">
+                <label className="form-label">Style & Audience Preset</label>
+                <select
+                  name="presetId"
+                  value={formData.presetId}
+                  onChange={handleInputChange}
+                  className="form-control"
+                >
+                  {presets.map(preset => (
+                    <option key={preset.id} value={preset.id}>
+                      {preset.name}
+                    </option>
+                  ))}
+                </select>
+                {selectedPreset && (
+                  <small className="text-muted">For {selectedPreset.audience}</small>
+                )}
+              </div>
             </div>
           )}
 
@@ -230,6 +282,18 @@ const CreatePitchbookWizard = () => {
                   <span className="review-label">Type:</span>
                   <span className="review-value">{formData.type}</span>
                 </div>
+                <div className="review-item">
+                  <span className="review-label">Template:</span>
+                  <span className="review-value">
+                    {templates.find(t => t.id === formData.templateId)?.name || 'Default template'}
+                  </span>
+                </div>
+                <div className="review-item">
+                  <span className="review-label">Preset:</span>
+                  <span className="review-value">
+                    {selectedPreset?.name || 'Default preset'}
+                  </span>
+                </div>
               </div>
 
               <div className="review-section">
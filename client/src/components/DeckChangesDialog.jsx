@@ -0,0 +1,175 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  ToggleButton,
+  ToggleButtonGroup,
+  Box,
+  Typography,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import { usePitchbook } from '../contexts/PitchbookContext';
+
+const textSx = {
+  whiteSpace: 'pre-wrap',
+  fontSize: '0.8125rem',
+  p: 1,
+  borderRadius: 1
+};
+
+// Changes made to an exported deck in PowerPoint, reviewed slide by slide before they replace the stored content
+const DeckChangesDialog = ({ open, file, onClose }) => {
+  const { compareDeck, applyDeckChanges } = usePitchbook();
+  const [diff, setDiff] = useState(null);
+  const [decisions, setDecisions] = useState({});
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  // Compare once per uploaded file
+  useEffect(() => {
+    if (!open || !file) return;
+
+    setDiff(null);
+    setDecisions({});
+    setError(null);
+    setBusy(true);
+    compareDeck(file)
+      .then(setDiff)
+      .catch(err => setError(err.message))
+      .finally(() => setBusy(false));
+  }, [open, file, compareDeck]);
+
+  const accepted = diff?.slides.filter(slide => decisions[slide.slideNumber] === 'accept') || [];
+
+  const setAll = (decision) => {
+    setDecisions(Object.fromEntries(diff.slides.map(slide => [slide.slideNumber, decision])));
+  };
+
+  const handleApply = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      await applyDeckChanges(accepted.map(({ slideNumber, changes }) => ({ slideNumber, changes })));
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Dialog
+      open={open}
+      onClose={onClose}
+      maxWidth="md"
+      fullWidth
+      PaperProps={{
+        sx: {
+          bgcolor: 'var(--bg-card)',
+          backgroundImage: 'none',
+          border: '1px solid var(--border-color)'
+        }
+      }}
+    >
+      <DialogTitle sx={{ color: 'var(--text-primary)', borderBottom: '1px solid var(--border-color)' }}>
+        Changes from PowerPoint{file ? ` - ${file.name}` : ''}
+      </DialogTitle>
+
+      <DialogContent sx={{ mt: 2, display: 'flex', flexDirection: 'column', gap: 2 }}>
+        {error && <Alert severity="error">{error}</Alert>}
+        {busy && !diff && (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+            <CircularProgress size={28} />
+          </Box>
+        )}
+
+        {diff && diff.slides.length === 0 && (
+          <Typography sx={{ color: 'var(--text-secondary)' }}>
+            The deck's placeholder text matches the pitchbook.
+          </Typography>
+        )}
+
+        {diff?.warnings.length > 0 && (
+          <Alert severity="info">
+            {diff.warnings.map(warning => <div key={warning}>{warning}</div>)}
+          </Alert>
+        )}
+        {diff?.missingSlides.length > 0 && (
+          <Alert severity="warning">
+            Slides {diff.missingSlides.join(', ')} were deleted from the deck; they stay in the pitchbook.
+          </Alert>
+        )}
+
+        {diff?.slides.map(slide => (
+          <Box
+            key={slide.slideNumber}
+            sx={{ border: '1px solid var(--border-color)', borderRadius: 1, p: 2 }}
+          >
+            <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 1 }}>
+              <Typography sx={{ color: 'var(--text-primary)', fontWeight: 600 }}>
+                Slide {slide.slideNumber} - {slide.layoutName}
+                {slide.sectionTitle ? ` (${slide.sectionTitle})` : ''}
+              </Typography>
+              <ToggleButtonGroup
+                size="small"
+                exclusive
+                value={decisions[slide.slideNumber] || null}
+                onChange={(e, decision) => setDecisions(prev => ({ ...prev, [slide.slideNumber]: decision }))}
+              >
+                <ToggleButton value="accept" color="success">Accept</ToggleButton>
+                <ToggleButton value="reject" color="error">Reject</ToggleButton>
+              </ToggleButtonGroup>
+            </Box>
+
+            {slide.changes.map(change => (
+              <Box key={change.placeholderId} sx={{ mt: 1.5 }}>
+                <Typography variant="caption" sx={{ color: 'var(--text-muted)' }}>
+                  {change.name}
+                </Typography>
+                <Box sx={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 1 }}>
+                  <Typography sx={{ ...textSx, bgcolor: 'rgba(253, 93, 147, 0.1)', color: 'var(--text-secondary)' }}>
+                    {change.before || <em>(empty)</em>}
+                  </Typography>
+                  <Typography sx={{ ...textSx, bgcolor: 'rgba(0, 242, 195, 0.1)', color: 'var(--text-primary)' }}>
+                    {change.after || <em>(empty)</em>}
+                  </Typography>
+                </Box>
+              </Box>
+            ))}
+          </Box>
+        ))}
+      </DialogContent>
+
+      <DialogActions sx={{ borderTop: '1px solid var(--border-color)', p: 2 }}>
+        {diff?.slides.length > 0 && (
+          <Box sx={{ mr: 'auto', display: 'flex', gap: 1 }}>
+            <Button size="small" onClick={() => setAll('accept')} disabled={busy}>Accept all</Button>
+            <Button size="small" onClick={() => setAll('reject')} disabled={busy}>Reject all</Button>
+          </Box>
+        )}
+        <Button onClick={onClose} sx={{ color: 'var(--text-secondary)' }}>
+          Cancel
+        </Button>
+        <Button
+          onClick={handleApply}
+          variant="contained"
+          disabled={busy || accepted.length === 0}
+          sx={{
+            bgcolor: 'var(--primary-color)',
+            color: 'white',
+            '&:hover': { bgcolor: 'var(--primary-hover)' }
+          }}
+        >
+          Apply accepted ({accepted.length})
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default DeckChangesDialog;
\ No newline at end of file
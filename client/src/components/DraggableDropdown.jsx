@@ -6,8 +6,9 @@ import './DraggableDropdown.css';
 // Create SVG preview based on layout placeholders
 const createLayoutSVG = (layout) => {
   const placeholders = layout.placeholders || [];
+  const slideSize = layout.slideSize || { width: 1024, height: 768 };
   const viewBoxWidth = 60;
-  const viewBoxHeight = 45;
+  const viewBoxHeight = Math.round(viewBoxWidth * slideSize.height / slideSize.width);
   
   return (
     <svg 
@@ -30,9 +31,9 @@ const createLayoutSVG = (layout) => {
       
       {/* Placeholder outlines */}
       {placeholders.map((placeholder, index) => {
-        // Scale coordinates from 1024x768 to 60x45
-        const scaleX = viewBoxWidth / 1024;
-        const scaleY = viewBoxHeight / 768;
+        // Scale coordinates from the template's slide size to the viewBox
+        const scaleX = viewBoxWidth / slideSize.width;
+        const scaleY = viewBoxHeight / slideSize.height;
         
         return (
           <rect
@@ -14,7 +14,10 @@ const DraggableSlideThumbnail = ({
   moveSlide, 
   insertSlide,
   onSlidePromptClick,
-  onDelete
+  onDelete,
+  onSplit,
+  contentsEntries,
+  footerSettings
 }) => {
   const ref = useRef(null);
   const [showDropIndicator, setShowDropIndicator] = useState(false);
@@ -121,6 +124,10 @@ const DraggableSlideThumbnail = ({
           slide={slide}
           onSlidePromptClick={onSlidePromptClick}
           onDelete={onDelete}
+          onSplit={onSplit}
+          contentsEntries={contentsEntries}
+          footerSettings={footerSettings}
+          page={index + 1}
           showDelete={true}
         />
       </div>
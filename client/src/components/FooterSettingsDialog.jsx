@@ -0,0 +1,162 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  MenuItem,
+  Button,
+  Box,
+  Typography,
+  FormControlLabel,
+  Checkbox,
+  Alert
+} from '@mui/material';
+import { usePitchbook } from '../contexts/PitchbookContext';
+import { resolveFooter } from '../services/footerFields';
+
+const CONFIDENTIALITY_LABELS = ['Strictly Confidential', 'Confidential', 'Internal', 'Draft'];
+
+const fieldSx = {
+  '& .MuiOutlinedInput-root': {
+    color: 'var(--text-primary)',
+    '& fieldset': { borderColor: 'var(--border-color)' },
+    '&:hover fieldset': { borderColor: 'var(--border-hover)' },
+    '&.Mui-focused fieldset': { borderColor: 'var(--primary-color)' },
+  },
+  '& .MuiInputBase-input': { color: 'var(--text-primary)' },
+  '& .MuiInputLabel-root': { color: 'var(--text-secondary)' },
+};
+
+// Pitchbook-wide footer fields; slides can hide any of them in the slide prompt editor
+const FooterSettingsDialog = ({ open, onClose }) => {
+  const { currentPitchbook, updateFooterSettings } = usePitchbook();
+  const [clientName, setClientName] = useState('');
+  const [confidentiality, setConfidentiality] = useState('');
+  const [asOfDate, setAsOfDate] = useState('');
+  const [showSlideNumbers, setShowSlideNumbers] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (open) {
+      const footer = currentPitchbook?.footer || {};
+      setClientName(footer.clientName || '');
+      setConfidentiality(footer.confidentiality || '');
+      setAsOfDate(footer.asOfDate || '');
+      setShowSlideNumbers(Boolean(footer.showSlideNumbers));
+      setError(null);
+    }
+  }, [open, currentPitchbook]);
+
+  const settings = { clientName, confidentiality, asOfDate: asOfDate || null, showSlideNumbers };
+  const preview = resolveFooter(settings, null, 1);
+
+  const handleSave = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      await updateFooterSettings(settings);
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Dialog
+      open={open}
+      onClose={onClose}
+      maxWidth="sm"
+      fullWidth
+      PaperProps={{
+        sx: {
+          bgcolor: 'var(--bg-card)',
+          backgroundImage: 'none',
+          border: '1px solid var(--border-color)'
+        }
+      }}
+    >
+      <DialogTitle sx={{ color: 'var(--text-primary)', borderBottom: '1px solid var(--border-color)' }}>
+        Footer
+      </DialogTitle>
+
+      <DialogContent sx={{ mt: 2, display: 'flex', flexDirection: 'column', gap: 2 }}>
+        {error && <Alert severity="error">{error}</Alert>}
+
+        <TextField
+          label="Client name"
+          value={clientName}
+          onChange={(e) => setClientName(e.target.value)}
+          fullWidth
+          sx={{ ...fieldSx, mt: 1 }}
+        />
+
+        <Box sx={{ display: 'flex', gap: 2 }}>
+          <TextField
+            select
+            label="Confidentiality"
+            value={confidentiality}
+            onChange={(e) => setConfidentiality(e.target.value)}
+            sx={{ ...fieldSx, flex: 1 }}
+          >
+            <MenuItem value="">None</MenuItem>
+            {[...new Set([...CONFIDENTIALITY_LABELS, confidentiality].filter(Boolean))].map(label => (
+              <MenuItem key={label} value={label}>{label}</MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            label="As-of date"
+            type="date"
+            value={asOfDate}
+            onChange={(e) => setAsOfDate(e.target.value)}
+            InputLabelProps={{ shrink: true }}
+            sx={{ ...fieldSx, flex: 1 }}
+          />
+        </Box>
+
+        <FormControlLabel
+          control={
+            <Checkbox
+              checked={showSlideNumbers}
+              onChange={(e) => setShowSlideNumbers(e.target.checked)}
+              sx={{ color: 'var(--text-secondary)' }}
+            />
+          }
+          label="Show slide numbers"
+          sx={{ color: 'var(--text-primary)' }}
+        />
+
+        <Typography variant="caption" sx={{ color: 'var(--text-muted)' }}>
+          {[preview.footer, preview.date].filter(Boolean).join(' | ') || 'No footer text'}
+          {preview.slideNumber !== null && ' • numbered'}
+          . Fields go in the layout's footer, date and slide number placeholders, or along the bottom of slides whose
+          layout has none.
+        </Typography>
+      </DialogContent>
+
+      <DialogActions sx={{ borderTop: '1px solid var(--border-color)', p: 2 }}>
+        <Button onClick={onClose} sx={{ color: 'var(--text-secondary)' }}>
+          Cancel
+        </Button>
+        <Button
+          onClick={handleSave}
+          variant="contained"
+          disabled={busy}
+          sx={{
+            bgcolor: 'var(--primary-color)',
+            color: 'white',
+            '&:hover': { bgcolor: 'var(--primary-hover)' }
+          }}
+        >
+          Save Footer
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default FooterSettingsDialog;
\ No newline at end of file
@@ -0,0 +1,64 @@
+import React from 'react';
+import { LAYOUT_FACETS, getFacetOptions, formatFacetValue } from '../services/layoutFacets';
+import './LayoutFacetFilter.css';
+
+const LayoutFacetFilter = ({ layouts, filters, onFiltersChange, groupBy, onGroupByChange, compact = false }) => {
+  // Facets with a single value (e.g. no colour variants in a template) are not worth a control
+  const facets = LAYOUT_FACETS
+    .map(facet => ({ ...facet, options: getFacetOptions(layouts, facet.key) }))
+    .filter(facet => facet.options.length > 1);
+
+  const hasFilters = Object.values(filters).some(Boolean);
+
+  const handleFilterChange = (key, value) => {
+    onFiltersChange({ ...filters, [key]: value });
+  };
+
+  if (facets.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className={`layout-facet-filter ${compact ? 'compact' : ''}`}>
+      {facets.map(facet => (
+        <label key={facet.key} className="layout-facet-field">
+          <span className="layout-facet-label">{facet.label}</span>
+          <select
+            className="form-control layout-facet-select"
+            value={filters[facet.key] || ''}
+            onChange={(e) => handleFilterChange(facet.key, e.target.value)}
+          >
+            <option value="">Any</option>
+            {facet.options.map(value => (
+              <option key={value} value={value}>{formatFacetValue(facet.key, value)}</option>
+            ))}
+          </select>
+        </label>
+      ))}
+
+      {onGroupByChange && (
+        <label className="layout-facet-field">
+          <span className="layout-facet-label">Group by</span>
+          <select
+            className="form-control layout-facet-select"
+            value={groupBy || ''}
+            onChange={(e) => onGroupByChange(e.target.value)}
+          >
+            <option value="">None</option>
+            {facets.map(facet => (
+              <option key={facet.key} value={facet.key}>{facet.label}</option>
+            ))}
+          </select>
+        </label>
+      )}
+
+      {hasFilters && (
+        <button className="layout-facet-clear" onClick={() => onFiltersChange({})}>
+          Clear filters
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default LayoutFacetFilter;
\ No newline at end of file
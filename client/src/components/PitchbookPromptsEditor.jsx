@@ -10,12 +10,32 @@ import {
   Typography,
   Divider,
   Paper,
-  IconButton
+  IconButton,
+  Chip,
+  Alert,
+  MenuItem
 } from '@mui/material';
 import EditIcon from '@mui/icons-material/Edit';
 import CheckIcon from '@mui/icons-material/Check';
 import CloseIcon from '@mui/icons-material/Close';
+import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline';
+import AddIcon from '@mui/icons-material/Add';
 import { usePitchbook } from '../contexts/PitchbookContext';
+import { presetAPI } from '../services/api';
+import { VARIABLE_NAME, findVariables, toVariableName } from '../services/promptVariables';
+
+const fieldSx = {
+  '& .MuiOutlinedInput-root': {
+    color: 'var(--text-primary)',
+    '& fieldset': { borderColor: 'var(--border-color)' },
+    '&:hover fieldset': { borderColor: 'var(--border-hover)' },
+    '&.Mui-focused fieldset': { borderColor: 'var(--primary-color)' },
+  },
+  '& .MuiInputBase-input': { color: 'var(--text-primary)' },
+};
+
+// Variables are edited as rows so a name can be changed without losing its value
+const toVariableRows = (variables = {}) => Object.entries(variables).map(([name, value]) => ({ name, value }));
 
 const PitchbookPromptsEditor = ({ open, onClose, pitchbook }) => {
   const [pitchbookPrompt, setPitchbookPrompt] = useState('');
@@ -24,7 +44,18 @@ const PitchbookPromptsEditor = ({ open, onClose, pitchbook }) => {
   const [editingSection, setEditingSection] = useState(null);
   const [editedTitle, setEditedTitle] = useState('');
   const [touched, setTouched] = useState(false);
-  const { updatePitchbookPrompts, updateSectionTitle } = usePitchbook();
+  const [variableRows, setVariableRows] = useState([]);
+  const [variablesError, setVariablesError] = useState(null);
+  const [presets, setPresets] = useState([]);
+  const [defaultPresetId, setDefaultPresetId] = useState(null);
+  const [presetId, setPresetId] = useState('');
+  const [presetError, setPresetError] = useState(null);
+  const {
+    updatePitchbookPrompts,
+    updateSectionTitle,
+    updatePitchbookVariables,
+    updatePitchbookPreset
+  } = usePitchbook();
 
   // Extract unique sections from slides
   const sections = pitchbook?.slides
@@ -36,6 +67,7 @@ const PitchbookPromptsEditor = ({ open, onClose, pitchbook }) => {
     if (pitchbook) {
       setPitchbookPrompt(pitchbook.pitchbookPrompt || '');
       setSectionPrompts(pitchbook.sectionPrompts || {});
+      setVariableRows(toVariableRows(pitchbook.variables));
       
       // Initialize section titles
       const titles = {};
@@ -46,8 +78,71 @@ const PitchbookPromptsEditor = ({ open, onClose, pitchbook }) => {
     }
     setTouched(false);
     setEditingSection(null);
+    setVariablesError(null);
+    setPresetId('');
+    setPresetError(null);
   }, [pitchbook, open]);
 
+  useEffect(() => {
+    if (!open) return;
+    presetAPI.getAll()
+      .then(response => {
+        setPresets(response.presets || []);
+        setDefaultPresetId(response.defaultPresetId);
+      })
+      .catch(err => console.error('Error loading presets:', err));
+  }, [open]);
+
+  // A pitchbook without a preset, or whose preset was deleted, is enhanced with the default one
+  const savedPresetId = presets.some(preset => preset.id === pitchbook?.presetId)
+    ? pitchbook.presetId
+    : defaultPresetId;
+  const selectedPresetId = presetId || savedPresetId || '';
+  const selectedPreset = presets.find(preset => preset.id === selectedPresetId);
+
+  // Every prompt that can reference variables: this dialog's (possibly unsaved) ones, then the slides' saved ones
+  const promptTexts = [
+    pitchbookPrompt,
+    ...Object.values(sectionPrompts),
+    ...(pitchbook?.slides || []).map(slide => slide.slidePrompt),
+    ...Object.values(pitchbook?.prompts || {}).flatMap(slidePrompts => Object.values(slidePrompts || {}))
+  ];
+  const usageCounts = {};
+  promptTexts.forEach(text => findVariables(text).forEach(name => {
+    usageCounts[name] = (usageCounts[name] || 0) + 1;
+  }));
+
+  const definedNames = variableRows.map(row => row.name).filter(Boolean);
+  const undefinedNames = Object.keys(usageCounts).filter(name =>
+    !variableRows.some(row => row.name === name && row.value.trim())
+  );
+  const getNameError = (name, index) => {
+    if (!name) return null;
+    if (!VARIABLE_NAME.test(name)) return 'Lowercase letters, digits and _';
+    if (definedNames.indexOf(name) !== index) return 'Already defined';
+    return null;
+  };
+  const hasInvalidVariables = variableRows.some((row, index) => getNameError(row.name, index));
+
+  const handleVariableChange = (index, field, value) => {
+    setVariableRows(prev => prev.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+    setTouched(true);
+  };
+
+  const handleAddVariable = (name = '') => {
+    setVariableRows(prev => {
+      // Defining a variable that already has an empty row just focuses on filling it in
+      if (name && prev.some(row => row.name === name)) return prev;
+      return [...prev, { name, value: '' }];
+    });
+    setTouched(true);
+  };
+
+  const handleRemoveVariable = (index) => {
+    setVariableRows(prev => prev.filter((_, i) => i !== index));
+    setTouched(true);
+  };
+
   const handleSave = async () => {
     if (!pitchbook) return;
     
@@ -56,6 +151,28 @@ const PitchbookPromptsEditor = ({ open, onClose, pitchbook }) => {
       pitchbookPrompt,
       sectionPrompts
     });
+
+    if (presetId && presetId !== savedPresetId) {
+      try {
+        await updatePitchbookPreset(presetId);
+      } catch (err) {
+        setPresetError(err.message);
+        return;
+      }
+    }
+
+    const variables = {};
+    variableRows.forEach(({ name, value }) => {
+      if (name) variables[name] = value;
+    });
+    if (JSON.stringify(variables) !== JSON.stringify(pitchbook.variables || {})) {
+      try {
+        await updatePitchbookVariables(variables);
+      } catch (err) {
+        setVariablesError(err.message);
+        return;
+      }
+    }
     
     // Save any changed section titles
     for (const [oldTitle, newTitle] of Object.entries(sectionTitles)) {
@@ -150,6 +267,118 @@ const PitchbookPromptsEditor = ({ open, onClose, pitchbook }) => {
       </DialogTitle>
       
       <DialogContent sx={{ mt: 2, overflowY: 'auto' }}>
+        {/* Style and audience preset */}
+        <Box sx={{ mb: 4 }}>
+          <Typography variant="subtitle1" sx={{ color: 'var(--text-primary)', mb: 1, fontWeight: 500 }}>
+            Style & Audience Preset
+          </Typography>
+          <Typography variant="body2" sx={{ color: 'var(--text-secondary)', mb: 2 }}>
+            Sets the audience, tone, style and prompt templates every prompt is enhanced with. Presets are managed
+            on the Presets page.
+          </Typography>
+          <TextField
+            select
+            value={selectedPresetId}
+            onChange={(e) => {
+              setPresetId(e.target.value);
+              setTouched(true);
+            }}
+            size="small"
+            fullWidth
+            sx={fieldSx}
+          >
+            {presets.map(preset => (
+              <MenuItem key={preset.id} value={preset.id}>
+                {preset.name}{preset.organizationId ? '' : ' (shared)'}
+              </MenuItem>
+            ))}
+          </TextField>
+          {selectedPreset && (
+            <Typography variant="caption" sx={{ color: 'var(--text-muted)', display: 'block', mt: 1 }}>
+              For {selectedPreset.audience}; {selectedPreset.tone}. Version {selectedPreset.version}.
+              {selectedPreset.id === pitchbook?.presetId && pitchbook.presetVersion
+                && pitchbook.presetVersion !== selectedPreset.version
+                && ` Picked for this pitchbook at version ${pitchbook.presetVersion}.`}
+            </Typography>
+          )}
+          {presetError && (
+            <Alert severity="error" sx={{ mt: 1 }}>{presetError}</Alert>
+          )}
+        </Box>
+
+        <Divider sx={{ my: 3, borderColor: 'var(--border-color)' }} />
+
+        {/* Prompt variables */}
+        <Box sx={{ mb: 4 }}>
+          <Typography variant="subtitle1" sx={{ color: 'var(--text-primary)', mb: 1, fontWeight: 500 }}>
+            Variables
+          </Typography>
+          <Typography variant="body2" sx={{ color: 'var(--text-secondary)', mb: 2 }}>
+            Facts the prompts share, such as the client name or deal size. Write {'{{client_name}}'} in any prompt,
+            including template prompts, and it is filled in from here when content is generated.
+          </Typography>
+          {variableRows.map((row, index) => (
+            <Box key={index} sx={{ display: 'flex', gap: 1, mb: 1, alignItems: 'flex-start' }}>
+              <TextField
+                value={row.name}
+                onChange={(e) => handleVariableChange(index, 'name', e.target.value)}
+                onBlur={(e) => handleVariableChange(index, 'name', toVariableName(e.target.value))}
+                placeholder="client_name"
+                size="small"
+                error={Boolean(getNameError(row.name, index))}
+                helperText={getNameError(row.name, index) ||
+                  (row.name && `Used in ${usageCounts[row.name] || 0} prompt${usageCounts[row.name] === 1 ? '' : 's'}`)}
+                sx={{ ...fieldSx, width: 220, '& .MuiFormHelperText-root': { color: 'var(--text-muted)' } }}
+              />
+              <TextField
+                value={row.value}
+                onChange={(e) => handleVariableChange(index, 'value', e.target.value)}
+                placeholder="Northwind Systems"
+                size="small"
+                fullWidth
+                sx={fieldSx}
+              />
+              <IconButton
+                size="small"
+                onClick={() => handleRemoveVariable(index)}
+                sx={{ color: 'var(--text-secondary)', mt: 0.5 }}
+              >
+                <DeleteOutlineIcon fontSize="small" />
+              </IconButton>
+            </Box>
+          ))}
+          <Button
+            size="small"
+            startIcon={<AddIcon />}
+            onClick={() => handleAddVariable()}
+            sx={{ color: 'var(--primary-color)' }}
+          >
+            Add variable
+          </Button>
+          {undefinedNames.length > 0 && (
+            <Box sx={{ mt: 1, display: 'flex', gap: 1, flexWrap: 'wrap', alignItems: 'center' }}>
+              <Typography variant="caption" sx={{ color: 'var(--warning-color)' }}>
+                Used in prompts but not defined (generation stops until they are):
+              </Typography>
+              {undefinedNames.map(name => (
+                <Chip
+                  key={name}
+                  label={`{{${name}}}`}
+                  size="small"
+                  color="warning"
+                  variant="outlined"
+                  onClick={() => handleAddVariable(name)}
+                />
+              ))}
+            </Box>
+          )}
+          {variablesError && (
+            <Alert severity="error" sx={{ mt: 1 }}>{variablesError}</Alert>
+          )}
+        </Box>
+
+        <Divider sx={{ my: 3, borderColor: 'var(--border-color)' }} />
+
         {/* Pitchbook-level prompt */}
         <Box sx={{ mb: 4 }}>
           <Typography variant="subtitle1" sx={{ color: 'var(--text-primary)', mb: 1, fontWeight: 500 }}>
@@ -321,7 +550,7 @@ const PitchbookPromptsEditor = ({ open, onClose, pitchbook }) => {
         <Button 
           onClick={handleSave}
           variant="contained"
-          disabled={!touched}
+          disabled={!touched || hasInvalidVariables}
           sx={{
             bgcolor: 'var(--primary-color)',
             color: 'white',
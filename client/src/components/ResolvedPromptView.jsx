@@ -0,0 +1,124 @@
+import React, { useState } from 'react';
+import { Box, Button, Chip, Typography } from '@mui/material';
+import { pitchbookAPI } from '../services/api';
+
+const SCOPE_COLORS = {
+  pitchbook: 'primary',
+  section: 'secondary',
+  slide: 'info',
+  placeholder: 'success'
+};
+
+// The prompt generation sends for a placeholder, built on the server from the pitchbook, section, slide and
+// placeholder prompts, with the scope each fragment came from and the source document passages put in front of
+// it. It reflects saved prompts only.
+const ResolvedPromptView = ({ pitchbookId, slideNumber, placeholderId }) => {
+  const [resolved, setResolved] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleToggle = async () => {
+    if (resolved) {
+      setResolved(null);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+    try {
+      setResolved(await pitchbookAPI.getResolvedPrompt(pitchbookId, slideNumber, placeholderId));
+    } catch (err) {
+      setError(err?.error || err?.message || 'Failed to load the effective prompt');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Box sx={{ mt: 2 }}>
+      <Button
+        size="small"
+        onClick={handleToggle}
+        disabled={loading || !pitchbookId}
+        sx={{ color: 'var(--text-secondary)', px: 0 }}
+      >
+        {loading ? 'Loading...' : resolved ? 'Hide effective prompt' : 'Show effective prompt'}
+      </Button>
+      {error && (
+        <Typography variant="caption" sx={{ color: 'var(--danger-color)', display: 'block' }}>
+          {error}
+        </Typography>
+      )}
+      {resolved && (
+        <Box sx={{ mt: 1, p: 1.5, borderRadius: 1, bgcolor: 'var(--bg-card)' }}>
+          <Typography variant="caption" sx={{ color: 'var(--text-muted)', display: 'block', mb: 1 }}>
+            Saved prompts, from the whole pitchbook down to this placeholder, with variables filled in. Later ones
+            take precedence.
+          </Typography>
+          {resolved.missingVariables.length > 0 && (
+            <Typography variant="caption" sx={{ color: 'var(--warning-color)', display: 'block', mb: 1 }}>
+              Not defined yet: {resolved.missingVariables.map(name => `{{${name}}}`).join(', ')}
+            </Typography>
+          )}
+          {resolved.fragments.length === 0 && (
+            <Typography variant="body2" sx={{ color: 'var(--text-muted)' }}>
+              No prompts reach this placeholder yet.
+            </Typography>
+          )}
+          {resolved.fragments.map((fragment) => (
+            <Box
+              key={fragment.source}
+              sx={{ display: 'flex', gap: 1, alignItems: 'flex-start', mb: 1, opacity: fragment.applied ? 1 : 0.5 }}
+            >
+              <Chip
+                label={fragment.mode === 'override' ? `${fragment.scope} (override)` : fragment.scope}
+                size="small"
+                color={SCOPE_COLORS[fragment.scope]}
+                variant="outlined"
+                sx={{ minWidth: 96 }}
+              />
+              <Box>
+                <Typography variant="caption" sx={{ color: 'var(--text-muted)', display: 'block' }}>
+                  {fragment.label}
+                  {!fragment.applied && ` - set aside by the ${fragment.overriddenBy.scope} prompt`}
+                </Typography>
+                <Typography
+                  variant="body2"
+                  sx={{
+                    color: 'var(--text-primary)',
+                    whiteSpace: 'pre-wrap',
+                    textDecoration: fragment.applied ? 'none' : 'line-through'
+                  }}
+                >
+                  {fragment.text}
+                </Typography>
+              </Box>
+            </Box>
+          ))}
+          {resolved.passages?.length > 0 && (
+            <>
+              <Typography variant="caption" sx={{ color: 'var(--text-muted)', display: 'block', mt: 2, mb: 1 }}>
+                Source passages sent with the prompt
+              </Typography>
+              {resolved.passages.map((passage, index) => (
+                <Box key={`${passage.documentId}-${index}`} sx={{ display: 'flex', gap: 1, alignItems: 'flex-start', mb: 1 }}>
+                  <Chip label={`[${index + 1}]`} size="small" variant="outlined" sx={{ minWidth: 96 }} />
+                  <Box>
+                    <Typography variant="caption" sx={{ color: 'var(--text-muted)', display: 'block' }}>
+                      {passage.documentName}{passage.location && `, ${passage.location}`}
+                    </Typography>
+                    <Typography variant="body2" sx={{ color: 'var(--text-primary)', whiteSpace: 'pre-wrap' }}>
+                      {passage.text}
+                    </Typography>
+                  </Box>
+                </Box>
+              ))}
+            </>
+          )}
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default ResolvedPromptView;
\ No newline at end of file
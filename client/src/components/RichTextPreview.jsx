@@ -0,0 +1,56 @@
+import React, { useMemo } from 'react';
+import { parseRichText } from '../services/richText';
+import './RichTextPreview.css';
+
+const renderRun = (run, index) => {
+  if (run.break) {
+    return <br key={index} />;
+  }
+
+  let node = run.text;
+  if (run.italic) node = <em>{node}</em>;
+  if (run.bold) node = <strong>{node}</strong>;
+  return <React.Fragment key={index}>{node}</React.Fragment>;
+};
+
+// Generated text as the export lays it out: list levels, bullets/numbers and bold/italic runs.
+// maxParagraphs cuts long content short for compact previews.
+const RichTextPreview = ({ text, maxParagraphs }) => {
+  const paragraphs = useMemo(() => parseRichText(text), [text]);
+  const shown = maxParagraphs ? paragraphs.slice(0, maxParagraphs) : paragraphs;
+
+  // Numbers count up per level and restart when a list is interrupted
+  const counters = [];
+  return (
+    <div className="rich-text-preview">
+      {shown.map((paragraph, index) => {
+        let marker = null;
+        if (!paragraph.list) {
+          counters.length = 0;
+        } else {
+          counters.length = paragraph.level + 1;
+          const previous = counters[paragraph.level];
+          counters[paragraph.level] = {
+            list: paragraph.list,
+            count: previous?.list === paragraph.list ? previous.count + 1 : 1
+          };
+          marker = paragraph.list === 'number' ? `${counters[paragraph.level].count}.` : '•';
+        }
+
+        return (
+          <p
+            key={index}
+            className={`rich-text-paragraph ${paragraph.list ? 'list-item' : ''}`}
+            style={paragraph.list ? { paddingLeft: `${(paragraph.level + 1) * 1.25}em` } : undefined}
+          >
+            {marker && <span className="rich-text-marker">{marker}</span>}
+            {paragraph.runs.length ? paragraph.runs.map(renderRun) : ' '}
+          </p>
+        );
+      })}
+      {shown.length < paragraphs.length && <p className="rich-text-more">…</p>}
+    </div>
+  );
+};
+
+export default RichTextPreview;
\ No newline at end of file
@@ -1,10 +1,16 @@
 import React, { useState } from 'react';
 import DraggableTemplateItem from './DraggableTemplateItem';
 import DraggableDropdown from './DraggableDropdown';
+import LayoutFacetFilter from './LayoutFacetFilter';
+import { filterLayouts, groupLayouts } from '../services/layoutFacets';
 import './RightSidebar.css';
 
 const RightSidebar = ({ layouts, onAddSlide, onToggle }) => {
   const [collapsed, setCollapsed] = useState(false);
+  const [filters, setFilters] = useState({});
+  const [groupBy, setGroupBy] = useState('role');
+
+  const layoutGroups = groupLayouts(filterLayouts(layouts, filters), groupBy);
 
   const handleToggle = () => {
     const newCollapsed = !collapsed;
@@ -35,15 +41,32 @@ const RightSidebar = ({ layouts, onAddSlide, onToggle }) => {
           <div className="template-section-divider">
             <span className="divider-text">Or browse templates</span>
           </div>
-          <div className="add-slides-list">
-            {layouts.map((layout, index) => (
-              <DraggableTemplateItem
-                key={index}
-                layout={layout}
-                onAddSlide={onAddSlide}
-              />
-            ))}
-          </div>
+          <LayoutFacetFilter
+            layouts={layouts}
+            filters={filters}
+            onFiltersChange={setFilters}
+            groupBy={groupBy}
+            onGroupByChange={setGroupBy}
+            compact
+          />
+          {layoutGroups.map(group => (
+            <React.Fragment key={group.key}>
+              {group.label && (
+                <div className="template-section-divider">
+                  <span className="divider-text">{group.label} ({group.layouts.length})</span>
+                </div>
+              )}
+              <div className="add-slides-list">
+                {group.layouts.map((layout, index) => (
+                  <DraggableTemplateItem
+                    key={layout.id || index}
+                    layout={layout}
+                    onAddSlide={onAddSlide}
+                  />
+                ))}
+              </div>
+            </React.Fragment>
+          ))}
         </div>
       )}
 
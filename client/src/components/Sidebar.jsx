@@ -4,6 +4,8 @@ import AIChatbot from './AIChatbot';
 import AddCircleOutlineIcon from '@mui/icons-material/AddCircleOutline';
 import LibraryBooksIcon from '@mui/icons-material/LibraryBooks';
 import DescriptionIcon from '@mui/icons-material/Description';
+import PhotoLibraryIcon from '@mui/icons-material/PhotoLibrary';
+import TuneIcon from '@mui/icons-material/Tune';
 import DashboardIcon from '@mui/icons-material/Dashboard';
 import AutoAwesomeIcon from '@mui/icons-material/AutoAwesome';
 import ChevronLeftIcon from '@mui/icons-material/ChevronLeft';
@@ -33,6 +35,16 @@ const Sidebar = ({ collapsed = false, onToggle }) => {
       icon: <DescriptionIcon />,
       path: '/templates'
     },
+    {
+      title: 'Assets',
+      icon: <PhotoLibraryIcon />,
+      path: '/assets'
+    },
+    {
+      title: 'Presets',
+      icon: <TuneIcon />,
+      path: '/presets'
+    },
     {
       title: 'Dashboard',
       icon: <DashboardIcon />,
@@ -5,10 +5,20 @@ import ConfirmDialog from './ConfirmDialog';
 import CentralizedPromptEditor from './CentralizedPromptEditor';
 import PitchbookPromptsEditor from './PitchbookPromptsEditor';
 import ContentGenerator from './ContentGenerator';
+import FooterSettingsDialog from './FooterSettingsDialog';
+import SourceDocumentsDialog from './SourceDocumentsDialog';
 import { usePitchbook } from '../contexts/PitchbookContext';
+import { checkFit, getGeneratedText, usesFallbackMetrics } from '../services/textFit';
+import { paginateSlide } from '../services/pagination';
 import AutoAwesomeIcon from '@mui/icons-material/AutoAwesome';
 import './SlideGrid.css';
 
+// Slides added from a Contents layout become the Contents slide; other layouts start as body slides
+const getSlideType = (layout) => layout.type || (layout.facets?.role === 'contents' ? 'contents' : 'body');
+
+// Slides numbered by position, as copies so the slides being replaced keep their numbers for a rollback
+const renumber = (slides) => slides.map((slide, index) => ({ ...slide, slideNumber: index + 1 }));
+
 const SlideGrid = ({ pitchbookId }) => {
   const { currentPitchbook, loadPitchbook, layouts, loading, updateSlides, updateSlideOrder, success, error } = usePitchbook();
   const [slides, setSlides] = useState([]);
@@ -18,8 +28,11 @@ const SlideGrid = ({ pitchbookId }) => {
   const [selectedSlideForPrompt, setSelectedSlideForPrompt] = useState(null);
   const [pitchbookPromptsOpen, setPitchbookPromptsOpen] = useState(false);
   const [contentGeneratorOpen, setContentGeneratorOpen] = useState(false);
+  const [footerSettingsOpen, setFooterSettingsOpen] = useState(false);
+  const [sourceDocumentsOpen, setSourceDocumentsOpen] = useState(false);
   const [isSaving, setIsSaving] = useState(false);
   const saveTimeoutRef = useRef(null);
+  const unsavedSlidesRef = useRef(null);
 
   useEffect(() => {
     if (pitchbookId && (!currentPitchbook || currentPitchbook.id !== pitchbookId)) {
@@ -31,8 +44,10 @@ const SlideGrid = ({ pitchbookId }) => {
     if (currentPitchbook && currentPitchbook.slides) {
       // Map slides with their layout information
       const slidesWithLayouts = currentPitchbook.slides.map(slide => {
-        // First try to use saved layout data
-        let layout = slide.layoutData || slide.layout;
+        // The layout id pins the slide to a template layout; saved layout data and the
+        // name are only used for slides that have no id (or whose layout is gone)
+        let layout = (slide.layoutId && layouts.find(l => l.id === slide.layoutId)) ||
+          slide.layoutData || slide.layout;
         
         // If no saved layout data, try to find it from available layouts
         if (!layout || !layout.placeholders) {
@@ -46,13 +61,24 @@ const SlideGrid = ({ pitchbookId }) => {
           ...slide,
           layout: layout || { name: slide.layoutName, placeholders: [] },
           layoutData: layout,  // Ensure layoutData is preserved
-          prompts: currentPitchbook.prompts?.[`slide_${slide.slideNumber}`] || {}
+          prompts: currentPitchbook.prompts?.[`slide_${slide.slideNumber}`] || {},
+          generatedContent: currentPitchbook.generatedContent?.[`slide_${slide.slideNumber}`] || {}
         };
       });
       setSlides(slidesWithLayouts);
     }
   }, [currentPitchbook, layouts]);
 
+  // Placeholders whose generated text is estimated not to fit; the thumbnails mark each one
+  const overflowCount = slides.reduce((count, slide) => count + (slide.layout?.placeholders || [])
+    .filter(placeholder => checkFit(getGeneratedText(slide.generatedContent?.[placeholder.id]), placeholder.capacity)?.overflow)
+    .length, 0);
+  // The template's fonts could not be measured, so those capacities are rough
+  const estimatedFit = slides.some(slide => usesFallbackMetrics(slide.layout?.placeholders));
+
+  // The Contents slide lists the sections as the server counts them; each slide save brings them up to date
+  const contentsEntries = currentPitchbook?.contentsEntries;
+
   const handleSlidePromptClick = (slide) => {
     setSelectedSlideForPrompt(slide);
     setCentralizedPromptEditorOpen(true);
@@ -91,19 +117,34 @@ const SlideGrid = ({ pitchbookId }) => {
     }
   };
 
-  // Debounced save function
-  const debouncedSave = useCallback((saveFunction) => {
+  // Saves a change already shown in the grid; when the save fails, the grid goes back to previousSlides
+  const saveSlides = useCallback(async (previousSlides, saveFunction) => {
+    setIsSaving(true);
+    try {
+      await saveFunction();
+    } catch (err) {
+      console.error('Error saving slides:', err);
+      setSlides(previousSlides);
+    } finally {
+      setIsSaving(false);
+    }
+  }, []);
+
+  // Debounced save function; a burst of changes saves once and, on failure, goes back to before the first of them
+  const debouncedSave = useCallback((previousSlides, saveFunction) => {
     setIsSaving(true);
     
     if (saveTimeoutRef.current) {
       clearTimeout(saveTimeoutRef.current);
+    } else {
+      unsavedSlidesRef.current = previousSlides;
     }
     
-    saveTimeoutRef.current = setTimeout(async () => {
-      await saveFunction();
-      setIsSaving(false);
+    saveTimeoutRef.current = setTimeout(() => {
+      saveTimeoutRef.current = null;
+      saveSlides(unsavedSlidesRef.current, saveFunction);
     }, 500);
-  }, []);
+  }, [saveSlides]);
 
   const moveSlide = useCallback(async (dragIndex, targetIndex) => {
     if (dragIndex === targetIndex) return;
@@ -120,15 +161,13 @@ const SlideGrid = ({ pitchbookId }) => {
     newSlides.splice(insertIndex, 0, draggedSlide);
     
     // Update slide numbers to reflect new order
-    newSlides.forEach((slide, index) => {
-      slide.slideNumber = index + 1;
-    });
+    const renumbered = renumber(newSlides);
     
-    setSlides(newSlides);
+    setSlides(renumbered);
     
     // Auto-save to backend with section detection (debounced)
     if (pitchbookId) {
-      debouncedSave(() => updateSlideOrder(pitchbookId, newSlides));
+      debouncedSave(slides, () => updateSlideOrder(pitchbookId, renumbered));
     }
   }, [slides, pitchbookId, updateSlideOrder, debouncedSave]);
 
@@ -146,10 +185,11 @@ const SlideGrid = ({ pitchbookId }) => {
     
     const newSlide = {
       slideNumber: position + 1,
+      layoutId: layout.id || null,
       layoutName: layout.name,
       layout: layout,  // Save complete layout object
       layoutData: layout,  // Ensure layout data is saved
-      type: layout.type || 'body',
+      type: getSlideType(layout),
       sectionTitle: sectionTitle,
       placeholders: {},
       prompts: {},
@@ -160,19 +200,26 @@ const SlideGrid = ({ pitchbookId }) => {
     newSlides.splice(position, 0, newSlide);
     
     // Update slide numbers
-    newSlides.forEach((slide, index) => {
-      slide.slideNumber = index + 1;
-    });
+    const renumbered = renumber(newSlides);
     
-    setSlides(newSlides);
+    setSlides(renumbered);
     
     // Auto-save to backend (immediate for new slides)
     if (pitchbookId) {
-      setIsSaving(true);
-      await updateSlides(pitchbookId, newSlides);
-      setIsSaving(false);
+      await saveSlides(slides, () => updateSlides(pitchbookId, renumbered));
     }
-  }, [slides, pitchbookId, updateSlides]);
+  }, [slides, pitchbookId, updateSlides, saveSlides]);
+
+  // Moves overflowing body text onto continuation slides right after this one
+  const splitSlide = useCallback(async (slide) => {
+    const result = paginateSlide(currentPitchbook, slides, slide.slideNumber);
+    if (!result || !pitchbookId) return;
+
+    const { slides: newSlides, slideData } = result;
+    setSlides(newSlides);
+
+    await saveSlides(slides, () => updateSlides(pitchbookId, newSlides, slideData));
+  }, [currentPitchbook, slides, pitchbookId, updateSlides, saveSlides]);
 
   const handleDeleteClick = (slide) => {
     setSlideToDelete(slide);
@@ -181,20 +228,14 @@ const SlideGrid = ({ pitchbookId }) => {
 
   const handleDeleteConfirm = async () => {
     if (slideToDelete) {
-      const newSlides = slides.filter(s => s.slideNumber !== slideToDelete.slideNumber);
-      
       // Update slide numbers
-      newSlides.forEach((slide, index) => {
-        slide.slideNumber = index + 1;
-      });
+      const newSlides = renumber(slides.filter(s => s.slideNumber !== slideToDelete.slideNumber));
       
       setSlides(newSlides);
       
       // Auto-save to backend (immediate for deletions)
       if (pitchbookId) {
-        setIsSaving(true);
-        await updateSlides(pitchbookId, newSlides);
-        setIsSaving(false);
+        await saveSlides(slides, () => updateSlides(pitchbookId, newSlides));
       }
     }
     setDeleteConfirmOpen(false);
@@ -211,9 +252,10 @@ const SlideGrid = ({ pitchbookId }) => {
       // It's a layout/template
       const newSlide = {
         slideNumber: slides.length + 1,
+        layoutId: layoutOrSlide.id || null,
         layoutName: layoutOrSlide.name,
         layout: layoutOrSlide,
-        type: layoutOrSlide.type || 'body',
+        type: getSlideType(layoutOrSlide),
         placeholders: {},
         prompts: {}
       };
@@ -287,12 +329,40 @@ const SlideGrid = ({ pitchbookId }) => {
             Pitchbook Prompts
           </button>
           {' • '}
+          <button
+            className="pitchbook-prompts-link"
+            onClick={() => setFooterSettingsOpen(true)}
+          >
+            Footer
+          </button>
+          {' • '}
+          <button
+            className="pitchbook-prompts-link"
+            onClick={() => setSourceDocumentsOpen(true)}
+          >
+            Source Documents
+          </button>
+          {' • '}
           <button 
             className="generate-content-link"
             onClick={handleGenerateContentClick}
           >
             <><AutoAwesomeIcon sx={{ fontSize: 16, marginRight: 0.5, verticalAlign: 'middle' }} /> Generate Content</>
           </button>
+          {overflowCount > 0 && (
+            <>
+              {' • '}
+              <span
+                className="overflow-summary"
+                title={estimatedFit
+                  ? 'Box sizes are estimated with standard font metrics because the template\'s embedded fonts could not be read'
+                  : undefined}
+              >
+                {overflowCount} placeholder{overflowCount === 1 ? '' : 's'} with text that may not fit
+                {estimatedFit && ' (estimated)'}
+              </span>
+            </>
+          )}
           {isSaving && (
             <>
               {' • '}
@@ -314,6 +384,9 @@ const SlideGrid = ({ pitchbookId }) => {
             insertSlide={insertSlide}
             onSlidePromptClick={handleSlidePromptClick}
             onDelete={handleDeleteClick}
+            onSplit={splitSlide}
+            contentsEntries={contentsEntries}
+            footerSettings={currentPitchbook.footer}
           />
         ))}
         <DropZone
@@ -343,6 +416,17 @@ const SlideGrid = ({ pitchbookId }) => {
         pitchbook={currentPitchbook}
       />
       
+      <FooterSettingsDialog
+        open={footerSettingsOpen}
+        onClose={() => setFooterSettingsOpen(false)}
+      />
+      
+      <SourceDocumentsDialog
+        open={sourceDocumentsOpen}
+        onClose={() => setSourceDocumentsOpen(false)}
+        pitchbookId={currentPitchbook.id}
+      />
+      
       <ContentGenerator
         pitchbook={currentPitchbook}
         open={contentGeneratorOpen}
@@ -1,25 +1,101 @@
 import React from 'react';
 import AddIcon from '@mui/icons-material/Add';
+import CallSplitIcon from '@mui/icons-material/CallSplit';
 import CheckCircleOutlineIcon from '@mui/icons-material/CheckCircleOutline';
 import DeleteIcon from '@mui/icons-material/Delete';
+import WarningAmberIcon from '@mui/icons-material/WarningAmber';
+import { thumbnailAPI } from '../services/api';
+import { checkFit, getGeneratedText } from '../services/textFit';
+import { FOOTER_PLACEHOLDER_TYPES, resolveFooter } from '../services/footerFields';
 import './SlideThumbnail.css';
 
-const SlideThumbnail = ({ slide, onDelete, onSlidePromptClick, showDelete = false }) => {
+// Fallback for layouts saved before slide size was read from presentation.xml
+const DEFAULT_SLIDE_SIZE = { width: 1024, height: 768 };
+
+// Footer fields whose layout has no placeholder for them sit along the bottom, as the export places them
+const FOOTER_STRIP = { top: 0.94, height: 0.02 };
+
+const SlideThumbnail = ({ slide, onDelete, onSlidePromptClick, onSplit, contentsEntries, footerSettings, page, showDelete = false, showRendering = false, templateId }) => {
+  const slideSize = slide.layout?.slideSize || DEFAULT_SLIDE_SIZE;
+  const layoutRef = slide.layout?.id || slide.layout?.name;
+  const renderUrl = showRendering && layoutRef ? thumbnailAPI.getRenderUrl(layoutRef, templateId) : null;
+
+  // Generated text estimated against each placeholder's capacity
+  const fits = Object.fromEntries((slide.layout?.placeholders || []).map(placeholder => [
+    placeholder.id,
+    checkFit(getGeneratedText(slide.generatedContent?.[placeholder.id]), placeholder.capacity)
+  ]));
+  const overflowCount = Object.values(fits).filter(fit => fit?.overflow).length;
+
+  const footer = resolveFooter(footerSettings, slide, page ?? slide.slideNumber);
+  const footerFieldFor = (placeholder) => Object.keys(FOOTER_PLACEHOLDER_TYPES)
+    .find(field => FOOTER_PLACEHOLDER_TYPES[field] === placeholder.phType);
+  const unplacedFooter = Object.keys(FOOTER_PLACEHOLDER_TYPES).filter(field => footer[field] !== null &&
+    !slide.layout?.placeholders?.some(placeholder => placeholder.phType === FOOTER_PLACEHOLDER_TYPES[field]));
+
+  const renderFooterStrip = () => {
+    const title = slide.layout?.placeholders?.find(placeholder => placeholder.type === 'title');
+    const left = title ? title.x / slideSize.width : 0.05;
+    const right = title ? (title.x + title.width) / slideSize.width : 0.95;
+    const text = ['footer', 'date'].filter(field => unplacedFooter.includes(field)).map(field => footer[field]).join(' | ');
+
+    return (
+      <div
+        className="thumbnail-footer-strip"
+        style={{
+          left: `${left * 100}%`,
+          width: `${(right - left) * 100}%`,
+          top: `${FOOTER_STRIP.top * 100}%`,
+          height: `${FOOTER_STRIP.height * 100}%`
+        }}
+      >
+        <span className="footer-strip-text">{text}</span>
+        {unplacedFooter.includes('slideNumber') && <span className="footer-strip-number">{footer.slideNumber}</span>}
+      </div>
+    );
+  };
+
+  const renderFooterPlaceholder = (placeholder, field) => (
+    <div
+      key={placeholder.id}
+      className="thumbnail-footer-field"
+      style={{
+        left: `${(placeholder.x / slideSize.width) * 100}%`,
+        top: `${(placeholder.y / slideSize.height) * 100}%`,
+        width: `${(placeholder.width / slideSize.width) * 100}%`,
+        height: `${(placeholder.height / slideSize.height) * 100}%`
+      }}
+    >
+      {footer[field]}
+    </div>
+  );
+
   const renderPlaceholder = (placeholder) => {
+    const footerField = footerFieldFor(placeholder);
+    if (footerField) {
+      return footer[footerField] === null ? null : renderFooterPlaceholder(placeholder, footerField);
+    }
+
     const hasPrompt = slide.prompts && slide.prompts[placeholder.id];
+    const fit = fits[placeholder.id];
 
     return (
       <div
         key={placeholder.id}
-        className={`thumbnail-placeholder ${placeholder.type} ${hasPrompt ? 'has-prompt' : ''}`}
+        className={`thumbnail-placeholder ${placeholder.type} ${hasPrompt ? 'has-prompt' : ''} ${fit?.overflow ? 'overflow' : ''}`}
+        title={fit?.overflow
+          ? `Text needs about ${fit.lines} lines; this box holds ${fit.capacityLines}${fit.estimated ? ' (estimated with standard font metrics)' : ''}`
+          : undefined}
         style={{
-          left: `${(placeholder.x / 1024) * 100}%`,
-          top: `${(placeholder.y / 768) * 100}%`,
-          width: `${(placeholder.width / 1024) * 100}%`,
-          height: `${(placeholder.height / 768) * 100}%`
+          left: `${(placeholder.x / slideSize.width) * 100}%`,
+          top: `${(placeholder.y / slideSize.height) * 100}%`,
+          width: `${(placeholder.width / slideSize.width) * 100}%`,
+          height: `${(placeholder.height / slideSize.height) * 100}%`
         }}
       >
-        {hasPrompt && <span className="prompt-indicator"><CheckCircleOutlineIcon sx={{ fontSize: 14 }} /></span>}
+        {fit?.overflow
+          ? <span className="overflow-indicator"><WarningAmberIcon sx={{ fontSize: 14 }} /></span>
+          : hasPrompt && <span className="prompt-indicator"><CheckCircleOutlineIcon sx={{ fontSize: 14 }} /></span>}
         <div className="placeholder-content">
           <span className="placeholder-label">
             {placeholder.name || placeholder.type}
@@ -49,10 +125,28 @@ const SlideThumbnail = ({ slide, onDelete, onSlidePromptClick, showDelete = fals
       </div>
       
       <div className="thumbnail-content">
-        <div className="thumbnail-preview">
+        <div
+          className={`thumbnail-preview ${renderUrl ? 'rendered' : ''}`}
+          style={{ aspectRatio: `${slideSize.width} / ${slideSize.height}` }}
+        >
+          {renderUrl && (
+            <img className="thumbnail-rendering" src={renderUrl} alt={slide.layoutName} loading="lazy" />
+          )}
           {slide.layout?.placeholders?.map(placeholder => 
             renderPlaceholder(placeholder)
           )}
+          {unplacedFooter.length > 0 && renderFooterStrip()}
+          {slide.type === 'contents' && contentsEntries && (
+            <ol className="thumbnail-contents" title="Built from the sections; page numbers follow the slide order">
+              {contentsEntries.map(entry => (
+                <li key={entry.title}>
+                  <span className="contents-entry-title">{entry.title}</span>
+                  <span className="contents-entry-page">{entry.page}</span>
+                </li>
+              ))}
+              {contentsEntries.length === 0 && <li className="contents-empty">No sections yet</li>}
+            </ol>
+          )}
           {(!slide.layout?.placeholders || slide.layout.placeholders.length === 0) && (
             <div className="thumbnail-empty">
               <span>{slide.layoutName || 'No layout'}</span>
@@ -65,7 +159,22 @@ const SlideThumbnail = ({ slide, onDelete, onSlidePromptClick, showDelete = fals
         <span className="prompt-count">
           {Object.keys(slide.prompts || {}).length} / {slide.layout?.placeholders?.length || 0} prompts
           {slide.slidePrompt && ' + slide'}
+          {overflowCount > 0 && (
+            <span className="overflow-count"> • {overflowCount} overflowing</span>
+          )}
         </span>
+        {onSplit && overflowCount > 0 && (
+          <button
+            className="split-slide-btn"
+            onClick={(e) => {
+              e.stopPropagation();
+              onSplit(slide);
+            }}
+            title="Move overflowing text onto continuation slides"
+          >
+            <CallSplitIcon sx={{ fontSize: 18 }} />
+          </button>
+        )}
         {showDelete && (
           <button 
             className="delete-slide-btn"
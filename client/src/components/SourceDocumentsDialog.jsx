@@ -0,0 +1,224 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Button,
+  Box,
+  Typography,
+  IconButton,
+  Alert
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { pitchbookAPI } from '../services/api';
+
+const ACCEPTED_FILES = '.pdf,.docx,.xlsx,.txt,.md,.csv';
+
+const FORMAT_LABELS = { pdf: 'PDF', docx: 'Word', xlsx: 'Excel', text: 'Text' };
+
+const fieldSx = {
+  '& .MuiOutlinedInput-root': {
+    color: 'var(--text-primary)',
+    '& fieldset': { borderColor: 'var(--border-color)' },
+    '&:hover fieldset': { borderColor: 'var(--border-hover)' },
+    '&.Mui-focused fieldset': { borderColor: 'var(--primary-color)' },
+  },
+  '& .MuiInputBase-input': { color: 'var(--text-primary)' },
+  '& .MuiInputLabel-root': { color: 'var(--text-secondary)' },
+};
+
+// Documents a pitchbook's generated content is grounded in: CIMs, models, research notes. The server extracts
+// and indexes their text locally and puts the passages matching each placeholder's prompt in front of it.
+const SourceDocumentsDialog = ({ open, onClose, pitchbookId }) => {
+  const [documents, setDocuments] = useState([]);
+  const [query, setQuery] = useState('');
+  const [passages, setPassages] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    if (!open || !pitchbookId) return;
+    setError(null);
+    setPassages(null);
+    pitchbookAPI.getSources(pitchbookId)
+      .then(response => setDocuments(response.documents || []))
+      .catch(err => setError(err?.error || err?.message || 'Failed to load source documents'));
+  }, [open, pitchbookId]);
+
+  // Files upload one at a time; a file the server cannot read doesn't stop the others
+  const handleFiles = async (event) => {
+    const files = [...event.target.files];
+    event.target.value = '';
+    setBusy(true);
+    setError(null);
+
+    const failures = [];
+    for (const file of files) {
+      try {
+        const response = await pitchbookAPI.uploadSource(pitchbookId, file, { name: file.name.replace(/\.[^.]+$/, '') });
+        setDocuments(prev => [...prev, response.document]);
+      } catch (err) {
+        failures.push(`${file.name}: ${err?.error || err?.message || 'upload failed'}`);
+      }
+    }
+    if (failures.length > 0) setError(failures.join('\n'));
+    setBusy(false);
+  };
+
+  const handleDelete = async (document) => {
+    if (!window.confirm(`Remove "${document.name}"? Content already generated from it is kept.`)) return;
+    try {
+      await pitchbookAPI.deleteSource(pitchbookId, document.id);
+      setDocuments(prev => prev.filter(d => d.id !== document.id));
+      setPassages(null);
+    } catch (err) {
+      setError(err?.error || err?.message || 'Failed to remove source document');
+    }
+  };
+
+  const handleSearch = async (event) => {
+    event.preventDefault();
+    if (!query.trim()) return;
+    try {
+      const response = await pitchbookAPI.searchSources(pitchbookId, query);
+      setPassages(response.passages || []);
+    } catch (err) {
+      setError(err?.error || err?.message || 'Failed to search source documents');
+    }
+  };
+
+  return (
+    <Dialog
+      open={open}
+      onClose={onClose}
+      maxWidth="md"
+      fullWidth
+      PaperProps={{
+        sx: {
+          bgcolor: 'var(--bg-card)',
+          backgroundImage: 'none',
+          border: '1px solid var(--border-color)'
+        }
+      }}
+    >
+      <DialogTitle sx={{ color: 'var(--text-primary)', borderBottom: '1px solid var(--border-color)' }}>
+        Source Documents
+      </DialogTitle>
+
+      <DialogContent sx={{ mt: 2, display: 'flex', flexDirection: 'column', gap: 2 }}>
+        {error && <Alert severity="error" sx={{ whiteSpace: 'pre-line' }}>{error}</Alert>}
+
+        <Typography variant="body2" sx={{ color: 'var(--text-secondary)' }}>
+          PDF, Word (.docx), Excel (.xlsx) and text files. Their text is extracted and searched on the server; when
+          content is generated, the passages that best match each placeholder's prompt are sent with it, labelled
+          with their document and page, sheet or heading. Scanned PDFs have no text to extract.
+        </Typography>
+
+        <Box>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept={ACCEPTED_FILES}
+            multiple
+            hidden
+            onChange={handleFiles}
+          />
+          <Button
+            variant="outlined"
+            onClick={() => fileInputRef.current?.click()}
+            disabled={busy || !pitchbookId}
+            sx={{ color: 'var(--text-primary)', borderColor: 'var(--border-color)' }}
+          >
+            {busy ? 'Reading documents...' : 'Add documents'}
+          </Button>
+        </Box>
+
+        {documents.length === 0 ? (
+          <Typography variant="body2" sx={{ color: 'var(--text-muted)' }}>
+            No source documents yet. Content is generated from the prompts alone.
+          </Typography>
+        ) : (
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1 }}>
+            {documents.map(document => (
+              <Box
+                key={document.id}
+                sx={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: 1,
+                  p: 1,
+                  border: '1px solid var(--border-color)',
+                  borderRadius: 1
+                }}
+              >
+                <Box sx={{ flex: 1, minWidth: 0 }}>
+                  <Typography variant="body2" sx={{ color: 'var(--text-primary)' }}>
+                    {document.name}
+                  </Typography>
+                  <Typography variant="caption" sx={{ color: 'var(--text-muted)', display: 'block' }}>
+                    {FORMAT_LABELS[document.format] || document.format} · {document.sections} section
+                    {document.sections === 1 ? '' : 's'} · {document.chunkCount} passage{document.chunkCount === 1 ? '' : 's'}
+                    {document.fileName && ` · ${document.fileName}`}
+                  </Typography>
+                  {document.warnings?.map(warning => (
+                    <Typography key={warning} variant="caption" sx={{ color: 'var(--warning-color)', display: 'block' }}>
+                      {warning}
+                    </Typography>
+                  ))}
+                </Box>
+                <IconButton size="small" onClick={() => handleDelete(document)} sx={{ color: 'var(--text-secondary)' }}>
+                  <DeleteIcon fontSize="small" />
+                </IconButton>
+              </Box>
+            ))}
+          </Box>
+        )}
+
+        {documents.length > 0 && (
+          <Box component="form" onSubmit={handleSearch} sx={{ display: 'flex', gap: 1 }}>
+            <TextField
+              label="Try a search"
+              placeholder="e.g. EBITDA margin by segment"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              size="small"
+              fullWidth
+              sx={fieldSx}
+            />
+            <Button type="submit" sx={{ color: 'var(--text-secondary)' }}>
+              Search
+            </Button>
+          </Box>
+        )}
+
+        {passages && (
+          passages.length === 0 ? (
+            <Typography variant="body2" sx={{ color: 'var(--text-muted)' }}>
+              Nothing in the documents matches.
+            </Typography>
+          ) : passages.map((passage, index) => (
+            <Box key={`${passage.documentId}-${index}`} sx={{ p: 1.5, borderRadius: 1, bgcolor: 'var(--bg-secondary)' }}>
+              <Typography variant="caption" sx={{ color: 'var(--text-muted)', display: 'block', mb: 0.5 }}>
+                [{index + 1}] {passage.documentName}{passage.location && `, ${passage.location}`} · score {passage.score}
+              </Typography>
+              <Typography variant="body2" sx={{ color: 'var(--text-primary)', whiteSpace: 'pre-wrap' }}>
+                {passage.text}
+              </Typography>
+            </Box>
+          ))
+        )}
+      </DialogContent>
+
+      <DialogActions sx={{ borderTop: '1px solid var(--border-color)', p: 2 }}>
+        <Button onClick={onClose} sx={{ color: 'var(--text-secondary)' }}>
+          Close
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default SourceDocumentsDialog;
\ No newline at end of file
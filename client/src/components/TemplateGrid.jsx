@@ -1,10 +1,14 @@
 import React, { useEffect, useState } from 'react';
 import SlideThumbnail from './SlideThumbnail';
+import LayoutFacetFilter from './LayoutFacetFilter';
 import { templatePromptsAPI } from '../services/api';
+import { filterLayouts, groupLayouts } from '../services/layoutFacets';
 import './SlideGrid.css';
 
-const TemplateGrid = ({ layouts, onPromptEdit }) => {
+const TemplateGrid = ({ layouts, templateId, onPromptEdit }) => {
   const [templatePrompts, setTemplatePrompts] = useState({});
+  const [filters, setFilters] = useState({});
+  const [groupBy, setGroupBy] = useState('');
 
   useEffect(() => {
     loadTemplatePrompts();
@@ -33,35 +37,67 @@ const TemplateGrid = ({ layouts, onPromptEdit }) => {
     );
   }
 
+  const visibleLayouts = filterLayouts(layouts, filters);
+  const layoutGroups = groupLayouts(visibleLayouts, groupBy);
+
   return (
     <div className="slide-grid-container">
       <div className="slide-grid-header">
         <h2 className="slide-grid-title">Template Library</h2>
         <p className="slide-grid-subtitle">
-          Click on placeholders to set default prompts • {layouts.length} templates total
+          Click on placeholders to set default prompts • {visibleLayouts.length === layouts.length
+            ? `${layouts.length} templates total`
+            : `${visibleLayouts.length} of ${layouts.length} templates`}
         </p>
       </div>
 
-      <div className="slide-grid">
-        {layouts.map((layout, index) => {
-          const slide = {
-            slideNumber: index + 1,
-            layoutName: layout.name,
-            layout: layout,
-            prompts: templatePrompts[layout.name] || {}
-          };
+      <LayoutFacetFilter
+        layouts={layouts}
+        filters={filters}
+        onFiltersChange={setFilters}
+        groupBy={groupBy}
+        onGroupByChange={setGroupBy}
+      />
 
-          return (
-            <SlideThumbnail
-              key={`${layout.name}-${index}`}
-              slide={slide}
-              onPlaceholderClick={(placeholderId, placeholderInfo) => 
-                handlePlaceholderClick(layout.name, placeholderId, placeholderInfo)
-              }
-            />
-          );
-        })}
-      </div>
+      {visibleLayouts.length === 0 && (
+        <div className="empty-state">
+          <p>No templates match these filters</p>
+        </div>
+      )}
+
+      {layoutGroups.map(group => (
+        <React.Fragment key={group.key}>
+          {group.label && (
+            <h3 className="layout-group-heading">
+              {group.label}
+              <span className="layout-group-count">{group.layouts.length}</span>
+            </h3>
+          )}
+          <div className="slide-grid">
+            {group.layouts.map((layout, index) => {
+              const slide = {
+                slideNumber: layouts.indexOf(layout) + 1,
+                layoutId: layout.id,
+                layoutName: layout.name,
+                layout: layout,
+                prompts: templatePrompts[layout.name] || {}
+              };
+
+              return (
+                <SlideThumbnail
+                  key={layout.id || `${layout.name}-${index}`}
+                  slide={slide}
+                  showRendering
+                  templateId={templateId}
+                  onPlaceholderClick={(placeholderId, placeholderInfo) => 
+                    handlePlaceholderClick(layout.name, placeholderId, placeholderInfo)
+                  }
+                />
+              );
+            })}
+          </div>
+        </React.Fragment>
+      ))}
     </div>
   );
 };
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { Modal, Box, Fade, Backdrop } from '@mui/material';
 import { templatePromptsAPI } from '../services/api';
+import { findVariables } from '../services/promptVariables';
 import './PromptEditor.css';
 
 const TemplatePromptEditor = ({ 
@@ -129,6 +130,11 @@ const TemplatePromptEditor = ({
                 This default prompt will be inherited when creating new pitchbooks. 
                 Leave empty if no default prompt is needed.
               </p>
+              <p className="prompt-editor-hint">
+                Write deal facts as variables, e.g. {'{{client_name}}'} or {'{{deal_size}}'}; each pitchbook fills them in
+                from its own variables.
+                {findVariables(prompt).length > 0 && ` Uses: ${findVariables(prompt).join(', ')}.`}
+              </p>
             </div>
 
             <div className="prompt-editor-footer">
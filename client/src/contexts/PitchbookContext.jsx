@@ -1,5 +1,7 @@
 import React, { createContext, useContext, useState, useCallback, useEffect } from 'react';
 import { pitchbookAPI, layoutAPI, generateAPI } from '../services/api';
+import aiContentGenerator from '../services/aiContentGenerator';
+import { waitForJob } from '../services/generationJobs';
 
 const PitchbookContext = createContext();
 
@@ -15,6 +17,7 @@ export const PitchbookProvider = ({ children }) => {
   const [currentPitchbook, setCurrentPitchbook] = useState(null);
   const [pitchbooks, setPitchbooks] = useState([]);
   const [layouts, setLayouts] = useState([]);
+  const [layoutsTemplateId, setLayoutsTemplateId] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
@@ -25,12 +28,13 @@ export const PitchbookProvider = ({ children }) => {
     loadPitchbooks();
   }, []);
 
-  // Load all layouts
-  const loadLayouts = useCallback(async () => {
+  // Load all layouts for a template (the default template when no id is given)
+  const loadLayouts = useCallback(async (templateId) => {
     try {
       setLoading(true);
-      const response = await layoutAPI.getAll();
+      const response = await layoutAPI.getAll(templateId);
       setLayouts(response.layouts || []);
+      setLayoutsTemplateId(response.templateId || null);
     } catch (err) {
       setError('Failed to load layouts');
       console.error(err);
@@ -73,6 +77,24 @@ export const PitchbookProvider = ({ children }) => {
     }
   }, []);
 
+  // Import a .pptx as a new pitchbook; resolves to { pitchbook, warnings }
+  const importPitchbook = useCallback(async (file, options) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await pitchbookAPI.importPptx(file, options);
+      setPitchbooks(prev => [...prev, response.pitchbook]);
+      setSuccess('Pitchbook imported successfully');
+      return { pitchbook: response.pitchbook, warnings: response.warnings || [] };
+    } catch (err) {
+      setError('Failed to import pitchbook');
+      console.error(err);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
   // Load specific pitchbook
   const loadPitchbook = useCallback(async (id) => {
     try {
@@ -145,8 +167,8 @@ export const PitchbookProvider = ({ children }) => {
     }
   }, [currentPitchbook]);
 
-  // Update slide prompt with proper scoping
-  const updateSlidePrompt = useCallback(async (slideNumber, prompt) => {
+  // Update slide prompt with proper scoping; mode 'override' sets aside the pitchbook and section prompts
+  const updateSlidePrompt = useCallback(async (slideNumber, prompt, mode = 'append') => {
     if (!currentPitchbook) return;
 
     try {
@@ -160,6 +182,7 @@ export const PitchbookProvider = ({ children }) => {
               slideNumber: slideNumber,
               slideTitle: slide.layoutName || slide.type,
               text: prompt,
+              mode,
               appliesTo: `slide_${slideNumber}_only`
             }
           };
@@ -187,31 +210,224 @@ export const PitchbookProvider = ({ children }) => {
     }
   }, [currentPitchbook]);
 
+  // Save a slide's speaker notes; source is 'ai' when the notes were drafted by the generator
+  const updateSlideNotes = useCallback(async (slideNumber, notes, source = 'manual') => {
+    if (!currentPitchbook) return;
+
+    try {
+      const response = await pitchbookAPI.saveNotes(currentPitchbook.id, slideNumber, notes, source);
+      setCurrentPitchbook(response.pitchbook);
+      setSuccess('Speaker notes saved');
+    } catch (err) {
+      setError('Failed to save speaker notes');
+      console.error(err);
+    }
+  }, [currentPitchbook]);
+
+  // Compare an edited copy of the exported deck; resolves to { slides, missingSlides, warnings }. Depends on the
+  // pitchbook's id only, so saving other changes doesn't make the dialog compare the same file again.
+  const currentPitchbookId = currentPitchbook?.id;
+  const compareDeck = useCallback(async (file) => {
+    if (!currentPitchbookId) return null;
+
+    try {
+      return await pitchbookAPI.compareDeck(currentPitchbookId, file);
+    } catch (err) {
+      console.error(err);
+      throw new Error(err?.message || err?.error || 'Failed to compare deck');
+    }
+  }, [currentPitchbookId]);
+
+  // Write the accepted slides' changes back into the generated content
+  const applyDeckChanges = useCallback(async (slides) => {
+    if (!currentPitchbook) return;
+
+    try {
+      const response = await pitchbookAPI.applyDeckChanges(currentPitchbook.id, slides);
+      setCurrentPitchbook(response.pitchbook);
+      setSuccess(`${response.applied} change${response.applied === 1 ? '' : 's'} from PowerPoint applied`);
+    } catch (err) {
+      console.error(err);
+      throw new Error(err?.error || err?.message || 'Failed to apply changes');
+    }
+  }, [currentPitchbook]);
+
+  // Save the footer fields shown on every slide
+  const updateFooterSettings = useCallback(async (footer) => {
+    if (!currentPitchbook) return;
+
+    try {
+      const response = await pitchbookAPI.saveFooter(currentPitchbook.id, footer);
+      setCurrentPitchbook(response.pitchbook);
+      setSuccess('Footer settings saved');
+    } catch (err) {
+      console.error(err);
+      throw new Error(err?.error || err?.message || 'Failed to save footer settings');
+    }
+  }, [currentPitchbook]);
+
+  // Override which footer fields one slide shows ({ footer, date, slideNumber }; null follows the pitchbook)
+  const updateSlideFooter = useCallback(async (slideNumber, overrides) => {
+    if (!currentPitchbook) return;
+
+    try {
+      const response = await pitchbookAPI.saveSlideFooter(currentPitchbook.id, slideNumber, overrides);
+      setCurrentPitchbook(response.pitchbook);
+    } catch (err) {
+      setError('Failed to save slide footer');
+      console.error(err);
+    }
+  }, [currentPitchbook]);
+
+  // Replace the pitchbook's prompt variables ({{client_name}} and the like); invalid names are reported to the editor
+  const updatePitchbookVariables = useCallback(async (variables) => {
+    if (!currentPitchbook) return;
+
+    try {
+      const response = await pitchbookAPI.saveVariables(currentPitchbook.id, variables);
+      setCurrentPitchbook(response.pitchbook);
+      setSuccess('Prompt variables saved');
+    } catch (err) {
+      console.error(err);
+      throw new Error(err?.message || err?.error || 'Failed to save prompt variables');
+    }
+  }, [currentPitchbook]);
+
+  // Pick the style and audience preset the pitchbook's prompts are enhanced with
+  const updatePitchbookPreset = useCallback(async (presetId) => {
+    if (!currentPitchbook) return null;
+
+    try {
+      const response = await pitchbookAPI.savePreset(currentPitchbook.id, presetId);
+      setCurrentPitchbook(response.pitchbook);
+      setSuccess(`Preset set to ${response.preset.name}`);
+      return response.preset;
+    } catch (err) {
+      console.error(err);
+      throw new Error(err?.message || err?.error || 'Failed to save the preset');
+    }
+  }, [currentPitchbook]);
+
+  // Save chart data (structured or CSV) for a chart-capable placeholder
+  const updateChart = useCallback(async (slideNumber, placeholderId, chart) => {
+    if (!currentPitchbook) return null;
+
+    try {
+      const response = await pitchbookAPI.saveChart(currentPitchbook.id, slideNumber, placeholderId, chart);
+      setCurrentPitchbook(response.pitchbook);
+      setSuccess('Chart data saved');
+      return response.chart;
+    } catch (err) {
+      // Invalid CSV or series data is reported back to the editor rather than the global banner
+      console.error(err);
+      throw new Error(err?.message || err?.error || 'Failed to save chart data');
+    }
+  }, [currentPitchbook]);
+
+  const removeChart = useCallback(async (slideNumber, placeholderId) => {
+    if (!currentPitchbook) return;
+
+    try {
+      const response = await pitchbookAPI.deleteChart(currentPitchbook.id, slideNumber, placeholderId);
+      setCurrentPitchbook(response.pitchbook);
+      setSuccess('Chart removed');
+    } catch (err) {
+      setError('Failed to remove chart');
+      console.error(err);
+    }
+  }, [currentPitchbook]);
+
+  // Save structured table data (columns, rows, footnotes) for a table-capable placeholder
+  const updateTable = useCallback(async (slideNumber, placeholderId, table) => {
+    if (!currentPitchbook) return null;
+
+    try {
+      const response = await pitchbookAPI.saveTable(currentPitchbook.id, slideNumber, placeholderId, table);
+      setCurrentPitchbook(response.pitchbook);
+      setSuccess('Table saved');
+      return response.table;
+    } catch (err) {
+      setError(`Failed to save table: ${err?.message || err?.error || 'unknown error'}`);
+      console.error(err);
+      return null;
+    }
+  }, [currentPitchbook]);
+
+  const removeTable = useCallback(async (slideNumber, placeholderId) => {
+    if (!currentPitchbook) return;
+
+    try {
+      const response = await pitchbookAPI.deleteTable(currentPitchbook.id, slideNumber, placeholderId);
+      setCurrentPitchbook(response.pitchbook);
+      setSuccess('Table removed');
+    } catch (err) {
+      setError('Failed to remove table');
+      console.error(err);
+    }
+  }, [currentPitchbook]);
+
+  // Put an asset library image in a picture-capable placeholder
+  const updateImage = useCallback(async (slideNumber, placeholderId, assetId) => {
+    if (!currentPitchbook) return;
+
+    try {
+      const response = await pitchbookAPI.saveImage(currentPitchbook.id, slideNumber, placeholderId, assetId);
+      setCurrentPitchbook(response.pitchbook);
+      setSuccess('Image assigned');
+    } catch (err) {
+      setError('Failed to assign image');
+      console.error(err);
+    }
+  }, [currentPitchbook]);
+
+  const removeImage = useCallback(async (slideNumber, placeholderId) => {
+    if (!currentPitchbook) return;
+
+    try {
+      const response = await pitchbookAPI.deleteImage(currentPitchbook.id, slideNumber, placeholderId);
+      setCurrentPitchbook(response.pitchbook);
+      setSuccess('Image removed');
+    } catch (err) {
+      setError('Failed to remove image');
+      console.error(err);
+    }
+  }, [currentPitchbook]);
+
   // Update all slides at once (for reordering, adding, deleting)
-  const updateSlides = useCallback(async (pitchbookId, slides) => {
+  // slideData carries slide-keyed maps (generatedContent, prompts) renumbered along with the slides
+  const updateSlides = useCallback(async (pitchbookId, slides, slideData = {}) => {
     if (!currentPitchbook || currentPitchbook.id !== pitchbookId) return;
 
     try {
       // Update local state immediately for responsiveness
       const updatedPitchbook = {
         ...currentPitchbook,
+        ...slideData,
         slides: slides
       };
       
       setCurrentPitchbook(updatedPitchbook);
 
       // Save to backend
-      await pitchbookAPI.update(pitchbookId, { 
+      const response = await pitchbookAPI.update(pitchbookId, { 
+        ...slideData,
         slides: slides.map(slide => ({
           slideNumber: slide.slideNumber,
+          layoutId: slide.layoutId || slide.layout?.id || null,
           layoutName: slide.layoutName,
           layoutData: slide.layout || null,
           type: slide.type || slide.layout?.type || 'body',
           sectionTitle: slide.sectionTitle || null,
           prompts: slide.prompts || {},
-          slidePrompt: slide.slidePrompt || null
+          slidePrompt: slide.slidePrompt || null,
+          slidePromptScoped: slide.slidePromptScoped || null,
+          notes: slide.notes || null,
+          notesSource: slide.notesSource || null,
+          footer: slide.footer || null
         }))
       });
+      // The server lists the Contents slide's entries as the saved slides stand
+      setCurrentPitchbook(prev => ({ ...prev, contentsEntries: response.pitchbook.contentsEntries }));
       
       // Save to local storage as draft
       localStorage.setItem(`pitchbook_draft_${pitchbookId}`, JSON.stringify(updatedPitchbook));
@@ -220,8 +436,9 @@ export const PitchbookProvider = ({ children }) => {
     } catch (err) {
       setError('Failed to save changes');
       console.error(err);
-      // Revert on error
+      // Revert on error; callers that changed their own view roll it back too
       setCurrentPitchbook(currentPitchbook);
+      throw err;
     }
   }, [currentPitchbook]);
 
@@ -270,6 +487,7 @@ export const PitchbookProvider = ({ children }) => {
     } catch (err) {
       setError('Failed to update slide order');
       console.error(err);
+      throw err;
     }
   }, [currentPitchbook, updateSlides]);
 
@@ -294,7 +512,8 @@ export const PitchbookProvider = ({ children }) => {
       setCurrentPitchbook(updatedPitchbook);
 
       // Save to backend
-      await pitchbookAPI.update(pitchbookId, { slides: updatedSlides });
+      const response = await pitchbookAPI.update(pitchbookId, { slides: updatedSlides });
+      setCurrentPitchbook(prev => ({ ...prev, contentsEntries: response.pitchbook.contentsEntries }));
       
       // Save to local storage as draft
       localStorage.setItem(`pitchbook_draft_${pitchbookId}`, JSON.stringify(updatedPitchbook));
@@ -365,13 +584,19 @@ export const PitchbookProvider = ({ children }) => {
       setError(null);
       setSuccess('Generating content...');
       
-      const response = await generateAPI.generate(currentPitchbook.id);
+      const { preset } = await pitchbookAPI.getPreset(currentPitchbook.id);
+      const request = aiContentGenerator.buildGenerationRequest(currentPitchbook, { layouts, preset });
+      const { job } = await generateAPI.generate(currentPitchbook.id, request);
+      const result = await waitForJob(job.id);
       
       // Reload pitchbook to get generated content
       await loadPitchbook(currentPitchbook.id);
       
+      if (result.status !== 'completed') {
+        throw new Error(result.error || `Generation ${result.status}`);
+      }
       setSuccess('Content generated successfully');
-      return response;
+      return result;
     } catch (err) {
       setError('Failed to generate content');
       console.error(err);
@@ -379,7 +604,7 @@ export const PitchbookProvider = ({ children }) => {
     } finally {
       setLoading(false);
     }
-  }, [currentPitchbook, loadPitchbook]);
+  }, [currentPitchbook, layouts, loadPitchbook]);
 
   // Check generation status
   const checkGenerationStatus = useCallback(async () => {
@@ -398,11 +623,16 @@ export const PitchbookProvider = ({ children }) => {
   const clearError = useCallback(() => setError(null), []);
   const clearSuccess = useCallback(() => setSuccess(null), []);
 
-  // Get layout by name
+  // Get layout by id (stable across renames in PowerPoint)
+  const getLayoutById = useCallback((id) => {
+    return layouts.find(layout => layout.id === id);
+  }, [layouts]);
+
+  // Get layout by name; names are display aliases, so only exact matches count
   const getLayoutByName = useCallback((name) => {
     return layouts.find(layout => 
       layout.name?.toLowerCase() === name?.toLowerCase() ||
-      layout.fileName?.toLowerCase().includes(name?.toLowerCase())
+      layout.fileName?.toLowerCase() === name?.toLowerCase()
     );
   }, [layouts]);
 
@@ -410,15 +640,30 @@ export const PitchbookProvider = ({ children }) => {
     currentPitchbook,
     pitchbooks,
     layouts,
+    layoutsTemplateId,
     loading,
     error,
     success,
     setCurrentPitchbook,
     createPitchbook,
+    importPitchbook,
     loadPitchbook,
     loadPitchbooks,
     updatePrompts,
     updateSlidePrompt,
+    updateSlideNotes,
+    updateFooterSettings,
+    updateSlideFooter,
+    updatePitchbookVariables,
+    updatePitchbookPreset,
+    compareDeck,
+    applyDeckChanges,
+    updateChart,
+    removeChart,
+    updateTable,
+    removeTable,
+    updateImage,
+    removeImage,
     updateSlides,
     updateSlideOrder,
     updateSectionTitle,
@@ -427,6 +672,7 @@ export const PitchbookProvider = ({ children }) => {
     checkGenerationStatus,
     clearError,
     clearSuccess,
+    getLayoutById,
     getLayoutByName,
     loadLayouts
   };
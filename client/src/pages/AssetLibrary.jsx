@@ -0,0 +1,141 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { assetAPI } from '../services/api';
+import AssetGrid from '../components/AssetGrid';
+import './AssetLibrary.css';
+
+const AssetLibrary = () => {
+  const [assets, setAssets] = useState([]);
+  const [query, setQuery] = useState('');
+  const [activeTags, setActiveTags] = useState([]);
+  const [uploadTags, setUploadTags] = useState('');
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadAssets = useCallback(async () => {
+    try {
+      const response = await assetAPI.getAll({ q: query, tag: activeTags.join(',') });
+      setAssets(response.assets || []);
+    } catch (err) {
+      console.error('Error loading assets:', err);
+    }
+  }, [query, activeTags]);
+
+  useEffect(() => {
+    loadAssets();
+  }, [loadAssets]);
+
+  const handleUpload = async (e) => {
+    const files = [...(e.target.files || [])];
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    try {
+      setUploading(true);
+      setError(null);
+      for (const file of files) {
+        await assetAPI.upload(file, { tags: uploadTags });
+      }
+      await loadAssets();
+    } catch (err) {
+      console.error('Error uploading asset:', err);
+      setError(err?.message || err?.error || 'Failed to upload image');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleToggleTag = (tag) => {
+    setActiveTags(tags => (tags.includes(tag) ? tags.filter(t => t !== tag) : [...tags, tag]));
+  };
+
+  const handleRename = async (asset) => {
+    const name = window.prompt('Image name', asset.name);
+    if (name === null) return;
+    await assetAPI.update(asset.id, { name });
+    await loadAssets();
+  };
+
+  const handleEditTags = async (asset) => {
+    const tags = window.prompt('Tags (comma-separated)', asset.tags.join(', '));
+    if (tags === null) return;
+    await assetAPI.update(asset.id, { tags });
+    await loadAssets();
+  };
+
+  const handleDelete = async (asset) => {
+    if (!window.confirm(`Delete "${asset.name}"? Slides using it will export without the image.`)) return;
+    await assetAPI.delete(asset.id);
+    await loadAssets();
+  };
+
+  return (
+    <div className="asset-library-page">
+      <div className="content-header">
+        <h1 className="content-title">Asset Library</h1>
+        <p className="content-subtitle">
+          Logos, headshots and product shots for picture placeholders
+        </p>
+      </div>
+
+      <div className="asset-toolbar">
+        <input
+          className="form-control asset-search"
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search by name or tag..."
+        />
+        <input
+          className="form-control asset-upload-tags"
+          value={uploadTags}
+          onChange={(e) => setUploadTags(e.target.value)}
+          placeholder="Tags for new uploads (e.g. logo, client)"
+        />
+        <label className={`btn btn-primary ${uploading ? 'disabled' : ''}`}>
+          {uploading ? 'Uploading...' : 'Upload images'}
+          <input
+            type="file"
+            accept="image/png,image/jpeg,image/gif"
+            multiple
+            onChange={handleUpload}
+            disabled={uploading}
+            hidden
+          />
+        </label>
+        {error && <span className="asset-upload-error">{error}</span>}
+      </div>
+
+      {activeTags.length > 0 && (
+        <div className="asset-active-tags">
+          Tagged:
+          {activeTags.map(tag => (
+            <button key={tag} className="asset-tag active" onClick={() => handleToggleTag(tag)}>
+              {tag} ×
+            </button>
+          ))}
+        </div>
+      )}
+
+      {assets.length > 0 ? (
+        <AssetGrid
+          assets={assets}
+          activeTags={activeTags}
+          onTagClick={handleToggleTag}
+          renderActions={(asset) => (
+            <>
+              <button className="btn btn-secondary btn-sm" onClick={() => handleRename(asset)}>Rename</button>
+              <button className="btn btn-secondary btn-sm" onClick={() => handleEditTags(asset)}>Tags</button>
+              <button className="btn btn-secondary btn-sm" onClick={() => handleDelete(asset)}>Delete</button>
+            </>
+          )}
+        />
+      ) : (
+        <div className="empty-state">
+          <p>{query || activeTags.length ? 'No images match your search' : 'No images uploaded yet'}</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AssetLibrary;
\ No newline at end of file
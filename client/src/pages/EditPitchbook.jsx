@@ -3,13 +3,18 @@ import { useParams } from 'react-router-dom';
 import DndProvider from '../components/DndProvider';
 import SlideGrid from '../components/SlideGrid';
 import RightSidebar from '../components/RightSidebar';
+import DeckChangesDialog from '../components/DeckChangesDialog';
 import { usePitchbook } from '../contexts/PitchbookContext';
+import { pitchbookAPI } from '../services/api';
 import './EditPitchbook.css';
 
 const EditPitchbook = () => {
   const { id } = useParams();
-  const { currentPitchbook, generateContent, loading, loadPitchbook, layouts } = usePitchbook();
+  const { currentPitchbook, generateContent, loading, loadPitchbook, layouts, layoutsTemplateId, loadLayouts } = usePitchbook();
   const [rightSidebarCollapsed, setRightSidebarCollapsed] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [contentsLinks, setContentsLinks] = useState(false);
+  const [editedDeck, setEditedDeck] = useState(null);
 
   useEffect(() => {
     if (id) {
@@ -17,6 +22,13 @@ const EditPitchbook = () => {
     }
   }, [id]);
 
+  // Slides are laid out with the template the pitchbook was created from
+  useEffect(() => {
+    const templateId = currentPitchbook?.templateId || 'default';
+    if (currentPitchbook && templateId !== layoutsTemplateId) {
+      loadLayouts(templateId);
+    }
+  }, [currentPitchbook, layoutsTemplateId, loadLayouts]);
 
   const handleGenerate = async () => {
     if (currentPitchbook) {
@@ -24,6 +36,31 @@ const EditPitchbook = () => {
     }
   };
 
+  const handleExport = async () => {
+    if (!currentPitchbook) return;
+
+    try {
+      setExporting(true);
+      const blob = await pitchbookAPI.exportPptx(currentPitchbook.id, { contentsLinks });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${currentPitchbook.title || 'pitchbook'}.pptx`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Failed to export pitchbook:', err);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleEditedDeck = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (file) setEditedDeck(file);
+  };
+
   const handleAddSlide = (layoutName) => {
     console.log('Adding slide with layout:', layoutName);
     // TODO: Implement slide addition logic
@@ -42,13 +79,34 @@ const EditPitchbook = () => {
                 Add prompts to placeholders and generate content
               </p>
             </div>
-            <button
-              onClick={handleGenerate}
-              className="btn btn-success"
-              disabled={loading}
-            >
-              {loading ? 'Generating...' : 'Generate Content'}
-            </button>
+            <div className="content-header-actions">
+              <button
+                onClick={handleExport}
+                className="btn btn-secondary"
+                disabled={exporting || !currentPitchbook}
+              >
+                {exporting ? 'Exporting...' : 'Export .pptx'}
+              </button>
+              <label className="export-option" title="Make the Contents slide's entries link to their section divider">
+                <input
+                  type="checkbox"
+                  checked={contentsLinks}
+                  onChange={(e) => setContentsLinks(e.target.checked)}
+                />
+                Link contents
+              </label>
+              <label className={`btn btn-secondary ${currentPitchbook ? '' : 'disabled'}`}>
+                Upload edited .pptx
+                <input type="file" accept=".pptx" onChange={handleEditedDeck} disabled={!currentPitchbook} hidden />
+              </label>
+              <button
+                onClick={handleGenerate}
+                className="btn btn-success"
+                disabled={loading}
+              >
+                {loading ? 'Generating...' : 'Generate Content'}
+              </button>
+            </div>
           </div>
 
           <div className="edit-pitchbook-content">
@@ -63,6 +121,12 @@ const EditPitchbook = () => {
           onAddSlide={handleAddSlide}
           onToggle={(collapsed) => setRightSidebarCollapsed(collapsed)}
         />
+
+        <DeckChangesDialog
+          open={Boolean(editedDeck)}
+          file={editedDeck}
+          onClose={() => setEditedDeck(null)}
+        />
       </>
     </DndProvider>
   );
@@ -1,16 +1,27 @@
 import React, { useEffect, useState } from 'react';
 import { Link } from 'react-router-dom';
 import { usePitchbook } from '../contexts/PitchbookContext';
+import { presetAPI } from '../services/api';
 import JsonViewerDialog from '../components/JsonViewerDialog';
 import './PitchbookList.css';
 
 const PitchbookList = () => {
-  const { pitchbooks, loadPitchbooks, loading } = usePitchbook();
+  const { pitchbooks, loadPitchbooks, importPitchbook, loading } = usePitchbook();
   const [jsonDialogOpen, setJsonDialogOpen] = useState(false);
   const [selectedPitchbook, setSelectedPitchbook] = useState(null);
+  const [importResult, setImportResult] = useState(null);
+  const [importError, setImportError] = useState(null);
+  const [presets, setPresets] = useState([]);
+  const [importPresetId, setImportPresetId] = useState('');
 
   useEffect(() => {
     loadPitchbooks();
+    presetAPI.getAll()
+      .then(response => {
+        setPresets(response.presets || []);
+        setImportPresetId(prev => prev || response.defaultPresetId || '');
+      })
+      .catch(error => console.error('Error loading presets:', error));
   }, []);
 
   const handlePromptsTextClick = (pitchbook) => {
@@ -18,6 +29,20 @@ const PitchbookList = () => {
     setJsonDialogOpen(true);
   };
 
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      setImportError(null);
+      setImportResult(await importPitchbook(file, { presetId: importPresetId }));
+    } catch (error) {
+      setImportResult(null);
+      setImportError(error?.message || error?.error || 'Failed to import pitchbook');
+    }
+  };
+
   const handleJsonDialogClose = () => {
     setJsonDialogOpen(false);
     setSelectedPitchbook(null);
@@ -27,11 +52,44 @@ const PitchbookList = () => {
     <div className="pitchbook-list-page">
       <div className="content-header">
         <h1 className="content-title">My Pitchbooks</h1>
-        <Link to="/create" className="btn btn-primary">
-          Create New
-        </Link>
+        <div className="pitchbook-list-actions">
+          <select
+            className="form-control import-preset"
+            value={importPresetId}
+            onChange={(e) => setImportPresetId(e.target.value)}
+            aria-label="Preset for imported pitchbooks"
+          >
+            {presets.map(preset => (
+              <option key={preset.id} value={preset.id}>
+                {preset.name}
+              </option>
+            ))}
+          </select>
+          <label className={`btn btn-secondary${importPresetId ? '' : ' disabled'}`}>
+            Import .pptx
+            <input type="file" accept=".pptx" onChange={handleImport} disabled={!importPresetId} hidden />
+          </label>
+          <Link to="/create" className="btn btn-primary">
+            Create New
+          </Link>
+        </div>
       </div>
 
+      {importError && <p className="import-error">{importError}</p>}
+      {importResult && (
+        <div className="import-result">
+          <p>
+            Imported "{importResult.pitchbook.title}" with {importResult.pitchbook.slides.length} slides.{' '}
+            <Link to={`/pitchbook/${importResult.pitchbook.id}/edit`}>Open it</Link>
+          </p>
+          {importResult.warnings.length > 0 && (
+            <ul>
+              {importResult.warnings.map(warning => <li key={warning}>{warning}</li>)}
+            </ul>
+          )}
+        </div>
+      )}
+
       {loading ? (
         <div className="loading-container">
           <div className="spinner"></div>
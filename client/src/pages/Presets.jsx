@@ -0,0 +1,312 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { presetAPI } from '../services/api';
+import './Presets.css';
+
+const TEXT_FIELDS = [
+  { name: 'name', label: 'Name', placeholder: 'e.g. TMT sell-side' },
+  { name: 'description', label: 'Description', placeholder: 'When to use this preset' },
+  { name: 'presentationType', label: 'Presentation type', placeholder: 'e.g. sell-side M&A' },
+  { name: 'audience', label: 'Audience', placeholder: 'e.g. strategic buyers and their boards' },
+  { name: 'tone', label: 'Tone', placeholder: 'e.g. confident and data-driven' },
+  { name: 'style', label: 'Style', placeholder: 'e.g. formal business' },
+  { name: 'focus', label: 'Focus', placeholder: 'e.g. growth, margins and synergies' },
+  { name: 'jurisdiction', label: 'Jurisdiction', placeholder: 'e.g. United Kingdom' }
+];
+
+// The server's template keys (server/src/services/presetStore.js): slide types first, then placeholder types; the
+// prompt enhancer falls back to the body template
+const TEMPLATE_KEYS = ['title', 'legal', 'section-divider', 'body', 'text', 'bullet', 'heading'];
+
+const TEMPLATE_FIELDS = '{context} {audience} {tone} {style} {focus} {jurisdiction} {topic} {wordCount} {sectionTitle} ' +
+  '{slideTitle} {bulletPoints} {count} {specificRequirements}';
+
+// Style and tone modifiers are edited as "name: description" lines
+const formatModifiers = (modifiers = {}) =>
+  Object.entries(modifiers).map(([name, description]) => `${name}: ${description}`).join('\n');
+
+const parseModifiers = (text) => {
+  const modifiers = {};
+  text.split('\n').forEach(line => {
+    const separator = line.indexOf(':');
+    if (separator === -1) return;
+    modifiers[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+  });
+  return modifiers;
+};
+
+const toDraft = (preset) => ({
+  ...Object.fromEntries(TEXT_FIELDS.map(field => [field.name, preset[field.name] || ''])),
+  styles: formatModifiers(preset.styles),
+  tones: formatModifiers(preset.tones),
+  templates: Object.fromEntries(TEMPLATE_KEYS.map(key => [key, {
+    base: preset.templates?.[key]?.base || '',
+    enhanced: preset.templates?.[key]?.enhanced || ''
+  }]))
+});
+
+// Templates left without a base prompt are dropped; the server requires the body template
+const fromDraft = (draft) => ({
+  ...Object.fromEntries(TEXT_FIELDS.map(field => [field.name, draft[field.name]])),
+  styles: parseModifiers(draft.styles),
+  tones: parseModifiers(draft.tones),
+  templates: Object.fromEntries(Object.entries(draft.templates).filter(([, template]) => template.base.trim()))
+});
+
+const Presets = () => {
+  const [presets, setPresets] = useState([]);
+  const [defaultPresetId, setDefaultPresetId] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [versions, setVersions] = useState([]);
+  const [viewedVersion, setViewedVersion] = useState(null);
+  const [touched, setTouched] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const selected = presets.find(preset => preset.id === selectedId);
+
+  const loadPresets = useCallback(async () => {
+    try {
+      const response = await presetAPI.getAll();
+      setPresets(response.presets || []);
+      setDefaultPresetId(response.defaultPresetId);
+      setSelectedId(id => id || response.defaultPresetId);
+    } catch (err) {
+      console.error('Error loading presets:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadPresets();
+  }, [loadPresets]);
+
+  // Show the latest version of the selected preset, with its history
+  useEffect(() => {
+    if (!selected) return;
+    setDraft(toDraft(selected));
+    setViewedVersion(null);
+    setTouched(false);
+    setError(null);
+    presetAPI.getVersions(selected.id)
+      .then(response => setVersions(response.versions || []))
+      .catch(err => console.error('Error loading preset versions:', err));
+  }, [selected]);
+
+  const confirmDiscard = () => !touched || window.confirm('Discard your unsaved changes to this preset?');
+
+  const handleSelect = (presetId) => {
+    if (presetId === selectedId || !confirmDiscard()) return;
+    setSelectedId(presetId);
+  };
+
+  const handleChange = (field, value) => {
+    setDraft(prev => ({ ...prev, [field]: value }));
+    setTouched(true);
+  };
+
+  const handleTemplateChange = (key, part, value) => {
+    setDraft(prev => ({
+      ...prev,
+      templates: { ...prev.templates, [key]: { ...prev.templates[key], [part]: value } }
+    }));
+    setTouched(true);
+  };
+
+  // Runs a change against the server, then reloads the list so the selected preset shows its new version
+  const runAction = async (action) => {
+    try {
+      setSaving(true);
+      setError(null);
+      const response = await action();
+      setTouched(false);
+      await loadPresets();
+      return response;
+    } catch (err) {
+      console.error('Error saving preset:', err);
+      setError(err?.error || err?.message || 'Failed to save preset');
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSave = () => runAction(() => presetAPI.update(selected.id, fromDraft(draft)));
+
+  const handleDuplicate = async () => {
+    if (!confirmDiscard()) return;
+    const response = await runAction(() => presetAPI.create({}, { basedOn: selected.id }));
+    if (response) setSelectedId(response.preset.id);
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete preset "${selected.name}"? Pitchbooks using it switch to the default preset.`)) return;
+    const response = await runAction(() => presetAPI.delete(selected.id));
+    if (response) setSelectedId(defaultPresetId);
+  };
+
+  const handleViewVersion = async (version) => {
+    if (!confirmDiscard()) return;
+    if (version === selected.version) {
+      setDraft(toDraft(selected));
+      setViewedVersion(null);
+      setTouched(false);
+      return;
+    }
+
+    try {
+      const response = await presetAPI.getVersion(selected.id, version);
+      setDraft(toDraft(response.preset));
+      setViewedVersion(version);
+      setTouched(false);
+    } catch (err) {
+      setError(err?.error || err?.message || 'Failed to load preset version');
+    }
+  };
+
+  const handleRestore = () => runAction(() => presetAPI.restoreVersion(selected.id, viewedVersion));
+
+  const readOnly = viewedVersion !== null;
+
+  return (
+    <div className="presets-page">
+      <div className="content-header">
+        <h1 className="content-title">Style & Audience Presets</h1>
+        <p className="content-subtitle">
+          The audience, tone, style and prompt templates a pitchbook's prompts are enhanced with. Each save is a new
+          version.
+        </p>
+      </div>
+
+      <div className="presets-layout">
+        <div className="preset-list">
+          {presets.map(preset => (
+            <button
+              key={preset.id}
+              className={`preset-list-item ${preset.id === selectedId ? 'active' : ''}`}
+              onClick={() => handleSelect(preset.id)}
+            >
+              <span className="preset-list-name">{preset.name}</span>
+              <span className="preset-list-meta">
+                {preset.organizationId ? 'Organization' : 'Shared'} · v{preset.version}
+                {preset.id === defaultPresetId && ' · Default'}
+              </span>
+            </button>
+          ))}
+        </div>
+
+        {selected && draft && (
+          <div className="preset-editor card">
+            <div className="preset-toolbar">
+              {readOnly ? (
+                <>
+                  <span className="preset-viewing">Viewing version {viewedVersion} of {selected.version}</span>
+                  <button className="btn btn-primary btn-sm" onClick={handleRestore} disabled={saving}>
+                    Restore as version {selected.version + 1}
+                  </button>
+                  <button className="btn btn-secondary btn-sm" onClick={() => handleViewVersion(selected.version)}>
+                    Back to latest
+                  </button>
+                </>
+              ) : (
+                <>
+                  <button className="btn btn-primary btn-sm" onClick={handleSave} disabled={saving || !touched}>
+                    {saving ? 'Saving...' : `Save as version ${selected.version + 1}`}
+                  </button>
+                  <button className="btn btn-secondary btn-sm" onClick={handleDuplicate} disabled={saving}>
+                    Duplicate
+                  </button>
+                  {selected.id !== defaultPresetId && (
+                    <button className="btn btn-danger btn-sm" onClick={handleDelete} disabled={saving}>
+                      Delete
+                    </button>
+                  )}
+                </>
+              )}
+              {error && <span className="preset-error">{error}</span>}
+            </div>
+
+            <div className="preset-fields">
+              {TEXT_FIELDS.map(field => (
+                <div key={field.name} className="form-group">
+                  <label className="form-label">{field.label}</label>
+                  <input
+                    className="form-control"
+                    value={draft[field.name]}
+                    onChange={(e) => handleChange(field.name, e.target.value)}
+                    placeholder={field.placeholder}
+                    readOnly={readOnly}
+                  />
+                </div>
+              ))}
+            </div>
+
+            <div className="preset-modifiers">
+              <div className="form-group">
+                <label className="form-label">Style modifiers</label>
+                <textarea
+                  className="form-control"
+                  rows={5}
+                  value={draft.styles}
+                  onChange={(e) => handleChange('styles', e.target.value)}
+                  placeholder="executive: concise, high-level, strategic focus"
+                  readOnly={readOnly}
+                />
+              </div>
+              <div className="form-group">
+                <label className="form-label">Tone modifiers</label>
+                <textarea
+                  className="form-control"
+                  rows={5}
+                  value={draft.tones}
+                  onChange={(e) => handleChange('tones', e.target.value)}
+                  placeholder="formal: professional, respectful, structured"
+                  readOnly={readOnly}
+                />
+              </div>
+            </div>
+
+            <h3 className="preset-section-title">Prompt templates</h3>
+            <p className="text-muted preset-hint">
+              Filled in when prompts are enhanced: {TEMPLATE_FIELDS}
+            </p>
+            {TEMPLATE_KEYS.map(key => (
+              <div key={key} className="preset-template">
+                <label className="form-label">{key}</label>
+                <input
+                  className="form-control"
+                  value={draft.templates[key].base}
+                  onChange={(e) => handleTemplateChange(key, 'base', e.target.value)}
+                  placeholder="Base prompt"
+                  readOnly={readOnly}
+                />
+                <textarea
+                  className="form-control"
+                  rows={3}
+                  value={draft.templates[key].enhanced}
+                  onChange={(e) => handleTemplateChange(key, 'enhanced', e.target.value)}
+                  placeholder="Enhanced prompt (used when set)"
+                  readOnly={readOnly}
+                />
+              </div>
+            ))}
+
+            <h3 className="preset-section-title">Versions</h3>
+            <div className="preset-versions">
+              {[...versions].reverse().map(version => (
+                <button
+                  key={version.version}
+                  className={`preset-version ${(viewedVersion ?? selected.version) === version.version ? 'active' : ''}`}
+                  onClick={() => handleViewVersion(version.version)}
+                >
+                  v{version.version} · {version.name} · {new Date(version.updated).toLocaleString()}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Presets;
\ No newline at end of file
@@ -1,7 +1,9 @@
 import React, { useState, useEffect } from 'react';
 import { usePitchbook } from '../contexts/PitchbookContext';
+import { templateAPI } from '../services/api';
 import TemplateGrid from '../components/TemplateGrid';
 import TemplatePromptEditor from '../components/TemplatePromptEditor';
+import './Templates.css';
 
 const Templates = () => {
   const { layouts, loadLayouts, loading } = usePitchbook();
@@ -9,11 +11,64 @@ const Templates = () => {
   const [selectedLayout, setSelectedLayout] = useState(null);
   const [selectedPlaceholder, setSelectedPlaceholder] = useState(null);
   const [selectedPlaceholderInfo, setSelectedPlaceholderInfo] = useState(null);
+  const [templates, setTemplates] = useState([]);
+  const [selectedTemplateId, setSelectedTemplateId] = useState('default');
+  const [uploading, setUploading] = useState(false);
+  const [templateError, setTemplateError] = useState(null);
 
   useEffect(() => {
-    loadLayouts();
+    loadTemplates();
   }, []);
 
+  useEffect(() => {
+    loadLayouts(selectedTemplateId);
+  }, [selectedTemplateId]);
+
+  const loadTemplates = async () => {
+    try {
+      const response = await templateAPI.getAll();
+      setTemplates(response.templates || []);
+    } catch (error) {
+      console.error('Error loading templates:', error);
+    }
+  };
+
+  const handleUpload = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      setUploading(true);
+      setTemplateError(null);
+      const response = await templateAPI.upload(file);
+      await loadTemplates();
+      setSelectedTemplateId(response.template.id);
+    } catch (error) {
+      console.error('Error uploading template:', error);
+      setTemplateError(error?.message || error?.error || 'Failed to upload template');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleDeleteTemplate = async () => {
+    const template = templates.find(t => t.id === selectedTemplateId);
+    if (!template || template.isDefault) return;
+    if (!window.confirm(`Delete template "${template.name}"?`)) return;
+
+    try {
+      setTemplateError(null);
+      await templateAPI.delete(template.id);
+      setSelectedTemplateId('default');
+      await loadTemplates();
+    } catch (error) {
+      console.error('Error deleting template:', error);
+      // A template that pitchbooks are built on is refused, naming them
+      setTemplateError(error?.message || error?.error || 'Failed to delete template');
+    }
+  };
+
   const handlePromptEdit = (layoutName, placeholderId, placeholderInfo) => {
     console.log('Editing default prompt for layout', layoutName, 'placeholder', placeholderId);
     setSelectedLayout(layoutName);
@@ -34,7 +89,9 @@ const Templates = () => {
     console.log('Saved default prompt for', layoutName, placeholderId);
   };
 
-  if (loading) {
+  const selectedTemplate = templates.find(t => t.id === selectedTemplateId);
+
+  if (loading && !uploading) {
     return (
       <div className="loading-container">
         <div className="spinner"></div>
@@ -52,8 +109,39 @@ const Templates = () => {
         </p>
       </div>
 
+      <div className="template-toolbar">
+        <select
+          className="form-control template-select"
+          value={selectedTemplateId}
+          onChange={(e) => setSelectedTemplateId(e.target.value)}
+        >
+          {templates.map(template => (
+            <option key={template.id} value={template.id}>
+              {template.name}{template.layoutCount ? ` (${template.layoutCount} layouts)` : ''}
+            </option>
+          ))}
+        </select>
+        <label className={`btn btn-primary ${uploading ? 'disabled' : ''}`}>
+          {uploading ? 'Uploading...' : 'Upload template'}
+          <input
+            type="file"
+            accept=".pptx,.potx"
+            onChange={handleUpload}
+            disabled={uploading}
+            hidden
+          />
+        </label>
+        {selectedTemplate && !selectedTemplate.isDefault && (
+          <button className="btn btn-secondary" onClick={handleDeleteTemplate}>
+            Delete template
+          </button>
+        )}
+        {templateError && <span className="template-upload-error">{templateError}</span>}
+      </div>
+
       <TemplateGrid 
         layouts={layouts}
+        templateId={selectedTemplateId}
         onPromptEdit={handlePromptEdit}
       />
 
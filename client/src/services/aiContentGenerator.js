@@ -1,33 +1,33 @@
 /**
  * AI Content Generator Service
- * Processes enhanced prompts through Gemini AI to generate presentation content
+ * Processes enhanced prompts through the server's LLM provider to generate presentation content
  */
 
-import { geminiAPI } from './geminiApiSimple';
+import { llmAPI } from './llmApi';
 import promptEnhancer from './promptEnhancer';
 
 class AIContentGenerator {
   constructor() {
-    this.geminiAPI = geminiAPI;
+    this.llmAPI = llmAPI;
     this.promptEnhancer = promptEnhancer;
     this.sessionId = null;
-    this.context = null;
+    this.preset = null;
   }
 
   /**
-   * Initialize a new generation session
+   * Initialize a new generation session; preset is the pitchbook's style and audience preset
    */
-  async initSession(pitchbookId, context = null) {
+  async initSession(pitchbookId, preset = null) {
     this.sessionId = `gen_${pitchbookId}_${Date.now()}`;
-    this.context = context;
+    this.preset = preset;
     
-    // Start a new chat session with Gemini
-    await this.geminiAPI.startChat(this.sessionId);
+    // Start a new chat session
+    await this.llmAPI.startChat(this.sessionId);
     
     // Set the system context if provided
-    if (context) {
-      const systemPrompt = this.promptEnhancer.generateSystemPrompt(context);
-      await this.geminiAPI.sendMessage(
+    if (preset) {
+      const systemPrompt = this.promptEnhancer.generateSystemPrompt(preset);
+      await this.llmAPI.sendMessage(
         `System context: ${systemPrompt}\n\nPlease acknowledge and I'll start providing content requests.`,
         this.sessionId
       );
@@ -45,14 +45,14 @@ class AIContentGenerator {
       
       // Enhance the prompt
       const enhanced = this.promptEnhancer.enhancePrompt(originalPrompt, {
-        ...metadata,
-        context: this.context
+        preset: this.preset,
+        ...metadata
       });
       
       console.log('[AIContentGenerator] Enhanced prompt:', enhanced.enhanced);
       
-      // Generate content using Gemini
-      const response = await this.geminiAPI.generateContent(enhanced.enhanced);
+      // Generate content through the server
+      const response = await this.llmAPI.generateContent(enhanced.enhanced);
       
       console.log('[AIContentGenerator] Generated content:', response);
       
@@ -77,114 +77,209 @@ class AIContentGenerator {
   }
 
   /**
-   * Generate content for all prompts in a pitchbook
+   * Prompt asking for a chart's series data as JSON
    */
-  async generatePitchbookContent(pitchbook, options = {}) {
+  buildChartPrompt(originalPrompt, metadata = {}) {
+    return `${originalPrompt}
+
+Return the data for a ${metadata.chartType || 'bar'} chart as JSON only, with no commentary or code fences, in this shape:
+{"type": "bar" | "stackedBar" | "line" | "pie" | "waterfall", "title": "...", "categories": ["..."], "series": [{"name": "...", "values": [numbers]}], "numberFormat": "#,##0"}
+Each series needs exactly one value per category. Pie and waterfall charts use a single series; waterfall categories named "Total" or "Subtotal" show running totals.
+Context: ${metadata.pitchbookTitle || ''} - ${metadata.sectionTitle || ''} - ${metadata.slideTitle || ''}`;
+  }
+
+  /**
+   * Prompt asking for a table (typed columns, rows, footnotes) as JSON
+   */
+  buildTablePrompt(originalPrompt, metadata = {}) {
+    return `${originalPrompt}
+
+Return the table as JSON only, with no commentary or code fences, in this shape:
+{"columns": [{"header": "Company", "type": "text"}, {"header": "Revenue", "type": "currency", "currency": "USD", "unit": "m", "decimals": 1}], "rows": [["...", 123.4]], "footnotes": ["Source: ..."], "totalRow": false}
+Column types are text, number, currency, percent (as fractions, 0.125 for 12.5%) or multiple (8.5 for 8.5x). Numeric cells are plain numbers or null when not available. Set totalRow to true when the last row is a total or median.
+Context: ${metadata.pitchbookTitle || ''} - ${metadata.sectionTitle || ''} - ${metadata.slideTitle || ''}`;
+  }
+
+  /**
+   * Generate structured series data for a chart placeholder.
+   * The server validates the data again when it is saved or exported. metadata.target
+   * ({ pitchbookId, slideNumber, placeholderId }) has the server add the prompts of the scopes above the placeholder.
+   */
+  async generateChartContent(originalPrompt, metadata = {}) {
+    try {
+      const response = await this.llmAPI.generateContent(this.buildChartPrompt(originalPrompt, metadata), {
+        target: metadata.target
+      });
+      // Models sometimes wrap the JSON in code fences or a sentence anyway
+      const text = String(response);
+      const chart = JSON.parse(text.slice(text.indexOf('{'), text.lastIndexOf('}') + 1));
+
+      return {
+        success: true,
+        original: originalPrompt,
+        chart,
+        source: 'ai',
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('[AIContentGenerator] Chart generation error:', error);
+      return {
+        success: false,
+        error: error.message,
+        original: originalPrompt,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+
+  /**
+   * Generate a structured table (typed columns, rows, footnotes) for a table placeholder.
+   * Numbers are returned raw; the exporter formats them per column. metadata.target works as for charts.
+   */
+  async generateTableContent(originalPrompt, metadata = {}) {
+    try {
+      const response = await this.llmAPI.generateContent(this.buildTablePrompt(originalPrompt, metadata), {
+        target: metadata.target
+      });
+      const text = String(response);
+      const table = JSON.parse(text.slice(text.indexOf('{'), text.lastIndexOf('}') + 1));
+
+      return {
+        success: true,
+        original: originalPrompt,
+        table,
+        source: 'ai',
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('[AIContentGenerator] Table generation error:', error);
+      return {
+        success: false,
+        error: error.message,
+        original: originalPrompt,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+
+  /**
+   * 'chart' or 'table' for chart/table placeholders in the layout, or placeholders
+   * a chart or table was already saved for; null for plain text
+   */
+  getStructuredContentType(pitchbook, slideKey, placeholderKey) {
+    const existing = pitchbook.generatedContent?.[slideKey]?.[placeholderKey];
+    if (existing?.chart) return 'chart';
+    if (existing?.table) return 'table';
+
+    const slideNumber = parseInt(slideKey.replace('slide_', ''));
+    const slide = pitchbook.slides?.find(s => s.slideNumber === slideNumber);
+    const placeholder = slide?.layoutData?.placeholders?.find(p => p.id === placeholderKey);
+    return ['chart', 'table'].includes(placeholder?.type) ? placeholder.type : null;
+  }
+
+  /**
+   * Draft speaker notes (talking points) from a slide's generated content
+   */
+  async generateSpeakerNotes(pitchbook, slideNumber) {
+    try {
+      const slide = pitchbook.slides?.find(s => s.slideNumber === slideNumber);
+      const slideContent = Object.values(pitchbook.generatedContent?.[`slide_${slideNumber}`] || {})
+        .map(entry => this.describeGeneratedContent(entry))
+        .filter(Boolean);
+
+      if (slideContent.length === 0) {
+        throw new Error('Generate the slide content first; notes are drafted from it');
+      }
+
+      const notesPrompt = `Write speaker notes for one slide of the presentation "${pitchbook.title}"${slide?.sectionTitle ? ` (section: ${slide.sectionTitle})` : ''}.
+The slide shows:
+
+${slideContent.join('\n\n')}
+
+Write 3-5 short talking points the presenter can say aloud, one per line, starting each with "- ". Explain what the audience should take away rather than repeating the slide text. Return only the talking points.`;
+
+      const notes = await this.llmAPI.generateContent(notesPrompt);
+
+      return {
+        success: true,
+        notes: String(notes).trim(),
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('[AIContentGenerator] Speaker notes error:', error);
+      return {
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+
+  /**
+   * Plain-text summary of a generated content entry (text, chart or table) for follow-up prompts
+   */
+  describeGeneratedContent(entry) {
+    if (!entry) return '';
+    if (typeof entry === 'string') return entry;
+    if (entry.chart) {
+      const { type, title, categories = [], series = [] } = entry.chart;
+      const seriesText = series.map(s => `${s.name}: ${(s.values || []).join(', ')}`).join('; ');
+      return `${type} chart${title ? ` "${title}"` : ''} over ${categories.join(', ')} (${seriesText})`;
+    }
+    if (entry.table) {
+      const { columns = [], rows = [] } = entry.table;
+      const header = columns.map(c => (typeof c === 'string' ? c : c.header)).join(' | ');
+      return `Table:\n${header}\n${rows.map(row => row.join(' | ')).join('\n')}`;
+    }
+    return typeof entry.content === 'string' ? entry.content : '';
+  }
+
+  /**
+   * Request for a server generation job covering the pitchbook's prompts: one task per placeholder with its
+   * enhanced prompt (or chart/table JSON prompt), plus the system prompt for the pitchbook's preset
+   * (pitchbookAPI.getPreset). The server runs the job, so it carries on if the tab closes.
+   */
+  buildGenerationRequest(pitchbook, options = {}) {
     const {
       regenerate = false,  // Regenerate existing content
       selectedSlides = null,  // Only generate for specific slides
-      batchSize = 3,  // Number of concurrent generations
-      onProgress = null  // Progress callback
+      review = null,  // { audience } to have each text reviewed and improved after generating
+      layouts = [],  // Template layouts, for each placeholder's text budget
+      preset  // The pitchbook's style and audience preset
     } = options;
 
-    console.log('[AIContentGenerator] Starting pitchbook generation:', pitchbook.title);
-    
-    // Initialize session
-    const context = this.promptEnhancer.inferContext(
-      pitchbook.title,
-      pitchbook.title,
-      pitchbook.type
-    );
-    await this.initSession(pitchbook.id, context);
-    
-    // Get all enhanced prompts
-    const enhancedPrompts = this.promptEnhancer.enhanceAllPrompts(pitchbook);
-    
-    // Prepare generation tasks
+    const enhancedPrompts = this.promptEnhancer.enhanceAllPrompts(pitchbook, layouts, preset);
     const tasks = [];
-    const results = {};
-    
+
     Object.keys(enhancedPrompts).forEach(slideKey => {
       // Skip if not in selected slides
       if (selectedSlides && !selectedSlides.includes(slideKey)) {
         return;
       }
-      
-      Object.keys(enhancedPrompts[slideKey]).forEach(placeholderKey => {
-        // Skip if content exists and not regenerating
-        if (!regenerate && 
-            pitchbook.generatedContent?.[slideKey]?.[placeholderKey]) {
-          return;
-        }
-        
-        tasks.push({
-          slideKey,
-          placeholderKey,
-          enhanced: enhancedPrompts[slideKey][placeholderKey]
-        });
+
+      Object.entries(enhancedPrompts[slideKey]).forEach(([placeholderKey, enhanced]) => {
+        const kind = this.getStructuredContentType(pitchbook, slideKey, placeholderKey) || 'text';
+        const prompt = {
+          chart: () => this.buildChartPrompt(enhanced.original, enhanced.metadata),
+          table: () => this.buildTablePrompt(enhanced.original, enhanced.metadata)
+        }[kind]?.() || enhanced.enhanced;
+
+        tasks.push({ slideKey, placeholderKey, kind, prompt, original: enhanced.original });
       });
     });
-    
-    console.log(`[AIContentGenerator] Processing ${tasks.length} prompts`);
-    
-    // Process in batches
-    for (let i = 0; i < tasks.length; i += batchSize) {
-      const batch = tasks.slice(i, i + batchSize);
-      
-      // Process batch concurrently
-      const batchResults = await Promise.all(
-        batch.map(async (task) => {
-          const result = await this.generateContent(
-            task.enhanced.original,
-            task.enhanced.metadata
-          );
-          
-          return {
-            ...task,
-            result
-          };
-        })
-      );
-      
-      // Store results
-      batchResults.forEach(({ slideKey, placeholderKey, result }) => {
-        if (!results[slideKey]) {
-          results[slideKey] = {};
-        }
-        results[slideKey][placeholderKey] = result;
-      });
-      
-      // Report progress
-      if (onProgress) {
-        const progress = Math.min(100, Math.round(((i + batchSize) / tasks.length) * 100));
-        onProgress({
-          current: Math.min(i + batchSize, tasks.length),
-          total: tasks.length,
-          percentage: progress
-        });
-      }
-      
-      // Small delay between batches to avoid rate limiting
-      if (i + batchSize < tasks.length) {
-        await new Promise(resolve => setTimeout(resolve, 1000));
-      }
-    }
-    
-    console.log('[AIContentGenerator] Generation complete');
-    
+
     return {
-      success: true,
-      results,
-      context,
-      sessionId: this.sessionId,
-      timestamp: new Date().toISOString()
+      tasks,
+      system: this.promptEnhancer.generateSystemPrompt(preset),
+      regenerate,
+      review
     };
   }
 
   /**
    * Generate content for a specific slide
    */
-  async generateSlideContent(pitchbook, slideNumber) {
+  async generateSlideContent(pitchbook, slideNumber, layouts = []) {
     const slideKey = `slide_${slideNumber}`;
     const slide = pitchbook.slides?.find(s => s.slideNumber === slideNumber);
     
@@ -192,7 +287,8 @@ class AIContentGenerator {
       throw new Error(`Slide ${slideNumber} not found`);
     }
     
-    const prompts = pitchbook.prompts?.[slideKey] || {};
+    // The Contents slide is built from the sections, not generated
+    const prompts = slide.type === 'contents' ? {} : pitchbook.prompts?.[slideKey] || {};
     const results = {};
     
     for (const [placeholderKey, prompt] of Object.entries(prompts)) {
@@ -203,7 +299,8 @@ class AIContentGenerator {
         placeholderType: this.promptEnhancer.inferPlaceholderType(placeholderKey),
         pitchbookTitle: pitchbook.title,
         pitchbookType: pitchbook.type,
-        slideTitle: slide.layoutName
+        slideTitle: slide.layoutName,
+        textBudget: this.promptEnhancer.getTextBudget(slide, placeholderKey, layouts)
       });
       
       results[placeholderKey] = result;
@@ -228,21 +325,21 @@ class AIContentGenerator {
       wordCount = null
     } = options;
     
-    // Modify the enhanced prompt with new parameters
+    // Modify the enhanced prompt with new parameters; style and tone may name one of the preset's modifiers
     let modifiedPrompt = originalContent.enhanced || originalContent.original;
     
     if (style) {
-      modifiedPrompt += `\nStyle modification: ${style}`;
+      modifiedPrompt += `\nStyle modification: ${this.preset?.styles?.[style] || style}`;
     }
     if (tone) {
-      modifiedPrompt += `\nTone modification: ${tone}`;
+      modifiedPrompt += `\nTone modification: ${this.preset?.tones?.[tone] || tone}`;
     }
     if (wordCount) {
       modifiedPrompt = modifiedPrompt.replace(/\d+\s*words?/i, `${wordCount} words`);
     }
     
     // Generate with modified prompt
-    const response = await this.geminiAPI.generateContent(modifiedPrompt);
+    const response = await this.llmAPI.generateContent(modifiedPrompt);
     
     return {
       success: true,
@@ -298,7 +395,7 @@ ${checkTone ? '- Ensure appropriate tone for ' + targetAudience : ''}
 
 Provide the improved version:`;
     
-    const improved = await this.geminiAPI.generateContent(reviewPrompt);
+    const improved = await this.llmAPI.generateContent(reviewPrompt);
     
     return {
       original: content,
@@ -343,7 +440,7 @@ The executive summary should:
 
 Executive Summary:`;
     
-    const summary = await this.geminiAPI.generateContent(summaryPrompt);
+    const summary = await this.llmAPI.generateContent(summaryPrompt);
     
     return {
       success: true,
@@ -21,8 +21,47 @@ api.interceptors.response.use(
 
 // Layout APIs
 export const layoutAPI = {
-  getAll: () => api.get('/layouts'),
-  getByName: (name) => api.get(`/layouts/${encodeURIComponent(name)}`),
+  getAll: (templateId) => api.get('/layouts', { params: { templateId } }),
+  getByName: (name, templateId) => api.get(`/layouts/${encodeURIComponent(name)}`, { params: { templateId } }),
+};
+
+// Template APIs
+export const templateAPI = {
+  getAll: (organizationId) => api.get('/templates', { params: { organizationId } }),
+  getById: (templateId) => api.get(`/templates/${templateId}`),
+  // The .pptx/.potx file is sent as the raw request body
+  upload: (file, { name, organizationId } = {}) => api.post('/templates', file, {
+    params: { name, organizationId, fileName: file.name },
+    headers: { 'Content-Type': file.type || 'application/octet-stream' },
+  }),
+  delete: (templateId) => api.delete(`/templates/${templateId}`),
+};
+
+// Image asset library APIs
+export const assetAPI = {
+  getAll: ({ organizationId, q, tag } = {}) => api.get('/assets', { params: { organizationId, q, tag } }),
+  getById: (assetId) => api.get(`/assets/${assetId}`),
+  // The image is sent as the raw request body; tags are comma-separated
+  upload: (file, { name, tags, organizationId } = {}) => api.post('/assets', file, {
+    params: { name, tags, organizationId, fileName: file.name },
+    headers: { 'Content-Type': file.type || 'application/octet-stream' },
+  }),
+  update: (assetId, data) => api.patch(`/assets/${assetId}`, data),
+  delete: (assetId) => api.delete(`/assets/${assetId}`),
+  getFileUrl: (assetId) => `${API_BASE_URL}/assets/${assetId}/file`,
+};
+
+// Style and audience preset APIs; each update is saved as the preset's next version
+export const presetAPI = {
+  getAll: (organizationId) => api.get('/presets', { params: { organizationId } }),
+  getById: (presetId) => api.get(`/presets/${presetId}`),
+  // basedOn copies the fields left out from another preset
+  create: (data, { organizationId, basedOn } = {}) => api.post('/presets', { ...data, organizationId, basedOn }),
+  update: (presetId, data) => api.put(`/presets/${presetId}`, data),
+  delete: (presetId) => api.delete(`/presets/${presetId}`),
+  getVersions: (presetId) => api.get(`/presets/${presetId}/versions`),
+  getVersion: (presetId, version) => api.get(`/presets/${presetId}/versions/${version}`),
+  restoreVersion: (presetId, version) => api.post(`/presets/${presetId}/versions/${version}/restore`),
 };
 
 // Pitchbook APIs
@@ -30,8 +69,55 @@ export const pitchbookAPI = {
   getAll: () => api.get('/pitchbooks'),
   getById: (id) => api.get(`/pitchbooks/${id}`),
   create: (data) => api.post('/pitchbooks', data),
+  // The .pptx is sent as the raw request body; the response lists anything that could not be imported
+  importPptx: (file, { presetId, title, templateId } = {}) => api.post('/pitchbooks/import', file, {
+    params: { presetId, title, templateId, fileName: file.name },
+    headers: { 'Content-Type': 'application/octet-stream' },
+  }),
   update: (id, data) => api.put(`/pitchbooks/${id}`, data),
   delete: (id) => api.delete(`/pitchbooks/${id}`),
+  // contentsLinks makes the Contents slide's entries link to the section dividers
+  exportPptx: (id, { contentsLinks = false } = {}) => api.get(`/pitchbooks/${id}/export.pptx`, {
+    params: { contentsLinks },
+    responseType: 'blob',
+  }),
+  // An edited copy of the exported deck, sent as the raw request body
+  compareDeck: (id, file) => api.post(`/pitchbooks/${id}/roundtrip`, file, {
+    headers: { 'Content-Type': 'application/octet-stream' },
+  }),
+  applyDeckChanges: (id, slides) => api.post(`/pitchbooks/${id}/roundtrip/apply`, { slides }),
+  saveNotes: (id, slideNumber, notes, source) =>
+    api.put(`/pitchbooks/${id}/slides/${slideNumber}/notes`, { notes, source }),
+  getPreset: (id) => api.get(`/pitchbooks/${id}/preset`),
+  savePreset: (id, presetId) => api.put(`/pitchbooks/${id}/preset`, { presetId }),
+  getVariables: (id) => api.get(`/pitchbooks/${id}/variables`),
+  saveVariables: (id, variables) => api.put(`/pitchbooks/${id}/variables`, { variables }),
+  // Source documents generation is grounded in; the file is sent as the raw request body and only its text is kept
+  getSources: (id) => api.get(`/pitchbooks/${id}/sources`),
+  uploadSource: (id, file, { name } = {}) => api.post(`/pitchbooks/${id}/sources`, file, {
+    params: { name, fileName: file.name },
+    headers: { 'Content-Type': 'application/octet-stream' },
+  }),
+  deleteSource: (id, documentId) => api.delete(`/pitchbooks/${id}/sources/${documentId}`),
+  searchSources: (id, q, limit) => api.get(`/pitchbooks/${id}/sources/search`, { params: { q, limit } }),
+  getResolvedPrompt: (id, slideNumber, placeholderId) =>
+    api.get(`/pitchbooks/${id}/slides/${slideNumber}/placeholders/${encodeURIComponent(placeholderId)}/resolved-prompt`),
+  saveFooter: (id, footer) => api.put(`/pitchbooks/${id}/footer`, footer),
+  // overrides: { footer, date, slideNumber } booleans, null to follow the pitchbook
+  saveSlideFooter: (id, slideNumber, overrides) =>
+    api.put(`/pitchbooks/${id}/slides/${slideNumber}/footer`, overrides),
+  saveChart: (id, slideNumber, placeholderId, chart) =>
+    api.put(`/pitchbooks/${id}/slides/${slideNumber}/charts/${encodeURIComponent(placeholderId)}`, chart),
+  deleteChart: (id, slideNumber, placeholderId) =>
+    api.delete(`/pitchbooks/${id}/slides/${slideNumber}/charts/${encodeURIComponent(placeholderId)}`),
+  saveTable: (id, slideNumber, placeholderId, table) =>
+    api.put(`/pitchbooks/${id}/slides/${slideNumber}/tables/${encodeURIComponent(placeholderId)}`, table),
+  deleteTable: (id, slideNumber, placeholderId) =>
+    api.delete(`/pitchbooks/${id}/slides/${slideNumber}/tables/${encodeURIComponent(placeholderId)}`),
+  saveImage: (id, slideNumber, placeholderId, assetId) =>
+    api.put(`/pitchbooks/${id}/slides/${slideNumber}/images/${encodeURIComponent(placeholderId)}`, { assetId }),
+  deleteImage: (id, slideNumber, placeholderId) =>
+    api.delete(`/pitchbooks/${id}/slides/${slideNumber}/images/${encodeURIComponent(placeholderId)}`),
 };
 
 // Thumbnail APIs
@@ -39,12 +125,28 @@ export const thumbnailAPI = {
   getAll: (format = 'base64') => api.get(`/thumbnails?format=${format}`),
   getByLayout: (layoutName, format = 'base64') => 
     api.get(`/thumbnails/${encodeURIComponent(layoutName)}?format=${format}`),
+  // Used directly as an <img> src, so this returns a URL rather than a request.
+  // layoutRef is a layout id (preferred) or name
+  getRenderUrl: (layoutRef, templateId) =>
+    `${API_BASE_URL}/thumbnails/${encodeURIComponent(layoutRef)}/render${templateId ? `?templateId=${encodeURIComponent(templateId)}` : ''}`,
 };
 
 // Generate APIs
 export const generateAPI = {
-  generate: (pitchbookId) => api.post(`/generate/${pitchbookId}`),
+  // Starts a generation job: { tasks?, system?, regenerate?, review? } -> { job }
+  generate: (pitchbookId, request = {}) => api.post(`/generate/${pitchbookId}`, request),
   getStatus: (pitchbookId) => api.get(`/generate/${pitchbookId}/status`),
+  getJobs: (pitchbookId) => api.get(`/generate/${pitchbookId}/jobs`),
+  getJob: (jobId) => api.get(`/generate/jobs/${jobId}`),
+  cancelJob: (jobId) => api.post(`/generate/jobs/${jobId}/cancel`),
+  resumeJob: (jobId) => api.post(`/generate/jobs/${jobId}/resume`),
+  // Used directly as an EventSource url, so this returns a URL rather than a request
+  getJobEventsUrl: (jobId) => `${API_BASE_URL}/generate/jobs/${jobId}/events`,
+  // { prompt, system?, temperature?, maxOutputTokens? } -> { text, provider, model, usage }
+  text: (request) => api.post('/generate/text', request),
+  // { messages: [{ role: 'user' | 'model', text }], system? } -> { text, provider, model, usage }
+  chat: (request) => api.post('/generate/chat', request),
+  getProvider: () => api.get('/generate/provider'),
 };
 
 // Template Prompts APIs
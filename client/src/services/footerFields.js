@@ -0,0 +1,38 @@
+/**
+ * Footer fields
+ * Which footer, date and slide number a slide shows, from the pitchbook's footer settings and the slide's own
+ * overrides. Mirrors resolve() in server/src/services/footerFields.js, which the export uses; keep the two in step.
+ */
+
+// Layout placeholder types the fields go in
+export const FOOTER_PLACEHOLDER_TYPES = { footer: 'ftr', date: 'dt', slideNumber: 'sldNum' };
+
+const FOOTER_SEPARATOR = ' | ';
+
+/**
+ * 2026-10-19 -> "19 October 2026"
+ */
+export const formatAsOfDate = (isoDate) => {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day))
+    .toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' });
+};
+
+/**
+ * { footer, date, slideNumber } a slide shows, each null when hidden; page is the slide's position in the deck
+ */
+export const resolveFooter = (settings, slide, page) => {
+  const footerText = [settings?.clientName, settings?.confidentiality].filter(Boolean).join(FOOTER_SEPARATOR);
+  const defaults = {
+    footer: Boolean(footerText),
+    date: Boolean(settings?.asOfDate),
+    slideNumber: Boolean(settings?.showSlideNumbers)
+  };
+  const shows = (field) => slide?.footer?.[field] ?? defaults[field];
+
+  return {
+    footer: shows('footer') && footerText ? footerText : null,
+    date: shows('date') && settings?.asOfDate ? formatAsOfDate(settings.asOfDate) : null,
+    slideNumber: shows('slideNumber') ? page : null
+  };
+};
\ No newline at end of file
@@ -0,0 +1,74 @@
+/**
+ * Generation jobs
+ * Content generation runs as a job on the server, which keeps going if the tab closes. These helpers follow a
+ * job's Server-Sent Events: a 'snapshot' of the job when connecting, 'task' events as placeholders start and
+ * finish (with the saved content), and 'status' events as the job changes state.
+ */
+
+import { generateAPI } from './api';
+
+// Jobs in these states have workers running on the server
+export const ACTIVE_JOB_STATUSES = ['queued', 'running'];
+
+export const isJobActive = (job) => ACTIVE_JOB_STATUSES.includes(job?.status);
+
+/**
+ * Follow a job until it stops. handlers: { onSnapshot(job), onTask(event), onStatus(event), onError(error) }.
+ * Returns a function that stops following; the job itself keeps running.
+ */
+export const watchJob = (jobId, handlers = {}) => {
+  const source = new EventSource(generateAPI.getJobEventsUrl(jobId));
+  // The server ends the stream when the job stops; without closing, EventSource would reconnect
+  const close = () => source.close();
+
+  source.addEventListener('snapshot', (e) => {
+    const { job } = JSON.parse(e.data);
+    handlers.onSnapshot?.(job);
+    if (!isJobActive(job)) close();
+  });
+
+  source.addEventListener('task', (e) => {
+    handlers.onTask?.(JSON.parse(e.data));
+  });
+
+  source.addEventListener('status', (e) => {
+    const event = JSON.parse(e.data);
+    handlers.onStatus?.(event);
+    if (!ACTIVE_JOB_STATUSES.includes(event.status)) close();
+  });
+
+  // Connection drops are retried by EventSource; only a closed stream is reported
+  source.onerror = () => {
+    if (source.readyState === EventSource.CLOSED) {
+      handlers.onError?.(new Error('Lost the connection to the generation job'));
+    }
+  };
+
+  return close;
+};
+
+/**
+ * Resolves with the job's final status event once it stops; onProgress gets each event's progress
+ */
+export const waitForJob = (jobId, onProgress) => new Promise((resolve, reject) => {
+  let finished = false;
+  const finish = (event) => {
+    finished = true;
+    resolve(event);
+  };
+
+  watchJob(jobId, {
+    onSnapshot: (job) => {
+      onProgress?.(job.progress);
+      if (!isJobActive(job)) finish({ status: job.status, error: job.error, progress: job.progress });
+    },
+    onTask: (event) => onProgress?.(event.progress),
+    onStatus: (event) => {
+      onProgress?.(event.progress);
+      if (!ACTIVE_JOB_STATUSES.includes(event.status)) finish(event);
+    },
+    onError: (error) => {
+      if (!finished) reject(error);
+    }
+  });
+});
\ No newline at end of file
@@ -0,0 +1,91 @@
+/**
+ * Layout facet helpers
+ * Filters and groups layouts by the facets the server decodes from layout names
+ */
+
+const ROLE_LABELS = {
+  title: 'Title',
+  contents: 'Contents',
+  divider: 'Divider',
+  body: 'Body',
+  other: 'Other'
+};
+
+const ROLE_ORDER = Object.keys(ROLE_LABELS);
+
+// Each facet maps a layout's facets to a single string value (null when it does not apply)
+export const LAYOUT_FACETS = [
+  {
+    key: 'role',
+    label: 'Role',
+    getValue: (facets) => facets.role || null,
+    formatValue: (value) => ROLE_LABELS[value] || value,
+    compare: (a, b) => ROLE_ORDER.indexOf(a) - ROLE_ORDER.indexOf(b)
+  },
+  {
+    key: 'arrangement',
+    label: 'Arrangement',
+    getValue: (facets) => facets.arrangement?.label || null,
+    // Fewest boxes first: "1 across", "1 on 1", "2 across", ...
+    compare: (a, b) => sumCounts(a) - sumCounts(b) || a.localeCompare(b)
+  },
+  {
+    key: 'keyMessage',
+    label: 'Key message',
+    getValue: (facets) => (facets.keyMessage === true ? 'KM' : facets.keyMessage === false ? 'non-KM' : null)
+  },
+  {
+    key: 'width',
+    label: 'Width',
+    getValue: (facets) => (facets.wide ? 'Wide' : 'Standard')
+  },
+  {
+    key: 'colour',
+    label: 'Colour',
+    getValue: (facets) => facets.colour || 'Standard'
+  }
+];
+
+const sumCounts = (label) => (label.match(/\d+/g) || []).reduce((sum, count) => sum + Number(count), 0);
+
+const getFacet = (key) => LAYOUT_FACETS.find(facet => facet.key === key);
+
+export const getFacetValue = (layout, key) => getFacet(key)?.getValue(layout.facets || {}) ?? null;
+
+export const formatFacetValue = (key, value) => {
+  const facet = getFacet(key);
+  return facet?.formatValue ? facet.formatValue(value) : value;
+};
+
+// Distinct values of a facet across the layouts, in display order
+export const getFacetOptions = (layouts, key) => {
+  const facet = getFacet(key);
+  const values = [...new Set(layouts.map(layout => getFacetValue(layout, key)).filter(Boolean))];
+  return values.sort(facet?.compare || ((a, b) => a.localeCompare(b)));
+};
+
+// filters is { [facetKey]: value }; empty values match everything
+export const filterLayouts = (layouts, filters) => {
+  const active = Object.entries(filters || {}).filter(([, value]) => value);
+  return layouts.filter(layout => active.every(([key, value]) => getFacetValue(layout, key) === value));
+};
+
+// Returns [{ key, label, layouts }]; a single untitled group when groupBy is empty
+export const groupLayouts = (layouts, groupBy) => {
+  if (!groupBy) {
+    return [{ key: 'all', label: null, layouts }];
+  }
+
+  const groups = getFacetOptions(layouts, groupBy).map(value => ({
+    key: value,
+    label: formatFacetValue(groupBy, value),
+    layouts: layouts.filter(layout => getFacetValue(layout, groupBy) === value)
+  }));
+
+  const ungrouped = layouts.filter(layout => !getFacetValue(layout, groupBy));
+  if (ungrouped.length > 0) {
+    groups.push({ key: 'none', label: 'Other', layouts: ungrouped });
+  }
+
+  return groups;
+};
\ No newline at end of file
@@ -0,0 +1,78 @@
+/**
+ * LLM API
+ * Text generation through the server, which holds the provider's API key and picks the provider (Gemini,
+ * OpenAI-compatible or the offline mock). Chat sessions are kept here and the whole history is sent with each
+ * message, so the server stays stateless.
+ */
+
+import { generateAPI } from './api';
+
+// sessionId -> [{ role: 'user' | 'model', text }]
+const chatSessions = new Map();
+
+// The api interceptor rejects with the server's { error, message } body; callers expect an Error
+const toError = (error) => {
+  if (error instanceof Error) return error;
+  return new Error(error?.error || error?.message || String(error));
+};
+
+export const llmAPI = {
+  // Start a new chat session
+  async startChat(sessionId = 'default') {
+    chatSessions.set(sessionId, []);
+    return sessionId;
+  },
+
+  // Send a message in a chat session; the reply joins the history only when it arrives
+  async sendMessage(message, sessionId = 'default', options = {}) {
+    const history = chatSessions.get(sessionId) || [];
+    const messages = [...history, { role: 'user', text: message }];
+
+    try {
+      const { text } = await generateAPI.chat({ ...options, messages });
+      chatSessions.set(sessionId, [...messages, { role: 'model', text }]);
+      return text;
+    } catch (error) {
+      throw toError(error);
+    }
+  },
+
+  // Get chat history
+  async getChatHistory(sessionId = 'default') {
+    return chatSessions.get(sessionId) || [];
+  },
+
+  // Clear chat session
+  clearChat(sessionId = 'default') {
+    chatSessions.delete(sessionId);
+  },
+
+  // Generate content without chat context (direct generation)
+  async generateContent(prompt, options = {}) {
+    try {
+      const { text } = await generateAPI.text({ ...options, prompt });
+      return text;
+    } catch (error) {
+      throw toError(error);
+    }
+  },
+
+  // The server answers in one piece, so the whole text arrives as a single chunk
+  async generateContentStream(prompt, onChunk) {
+    const text = await this.generateContent(prompt);
+    onChunk(text);
+    return text;
+  },
+
+  // { provider, model } the server generates with
+  async getProvider() {
+    try {
+      const { provider, model } = await generateAPI.getProvider();
+      return { provider, model };
+    } catch (error) {
+      throw toError(error);
+    }
+  }
+};
+
+export default llmAPI;
\ No newline at end of file
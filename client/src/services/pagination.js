@@ -0,0 +1,151 @@
+/**
+ * Continuation slides
+ * Splits body text that overflows its placeholder at paragraph/bullet boundaries and moves the rest onto new
+ * slides after it, with the same layout and section and a "(cont'd)" title. Capacities come from the layouts API
+ * (see services/textFit.js).
+ */
+
+import { parseRichText, toMarkdown } from './richText';
+import { checkFit, estimateLines, getGeneratedText } from './textFit';
+
+const CONTINUED_SUFFIX = " (cont'd)";
+
+const TITLE_TYPES = ['title', 'ctrTitle'];
+
+// Title placeholders are never split; continuation slides repeat their text with the suffix
+const isTitle = (placeholder) => TITLE_TYPES.includes(placeholder.type) || TITLE_TYPES.includes(placeholder.phType);
+
+const continuedTitle = (title) => {
+  const base = title.trim().replace(/\s*\(cont'd\)$/i, '');
+  return base ? `${base}${CONTINUED_SUFFIX}` : '';
+};
+
+/**
+ * Split text into pages that each fit the capacity, breaking only between paragraphs. A paragraph that does
+ * not fit on its own still gets a page to itself.
+ */
+export const splitText = (text, capacity) => {
+  const pages = [];
+  let page = [];
+
+  for (const paragraph of parseRichText(text)) {
+    // Blank spacing paragraphs are dropped at the top of a page
+    if (!page.length && !paragraph.list && !paragraph.runs.length) continue;
+
+    const candidate = [...page, paragraph];
+    if (page.length && estimateLines(toMarkdown(candidate), capacity) > capacity.lines) {
+      pages.push(page);
+      page = paragraph.list || paragraph.runs.length ? [paragraph] : [];
+    } else {
+      page = candidate;
+    }
+  }
+  if (page.length) pages.push(page);
+
+  return pages.map(paragraphs => toMarkdown(paragraphs));
+};
+
+const SLIDE_KEY = /^slide_(\d+)$/;
+
+const shiftKeys = (entries, after, by) => Object.fromEntries(Object.entries(entries || {}).map(([key, value]) => {
+  const slideNumber = parseInt(key.replace('slide_', ''), 10);
+  return [slideNumber > after ? `slide_${slideNumber + by}` : key, value];
+}));
+
+// Variable names can look like slide keys (slide_1), so the variables never move
+const NOT_SLIDE_KEYED = ['variables'];
+
+const isSlideKeyed = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value) &&
+  Object.keys(value).length > 0 && Object.keys(value).every(key => SLIDE_KEY.test(key));
+
+/**
+ * Names of the pitchbook's maps keyed by slide_N: generatedContent (with the charts, tables and images set on
+ * placeholders), prompts, scopedPlaceholderPrompts and any other, so renumbering slides moves them all
+ */
+const getSlideKeyedFields = (pitchbook) => Object.keys(pitchbook || {})
+  .filter(field => !NOT_SLIDE_KEYED.includes(field) && isSlideKeyed(pitchbook[field]));
+
+/**
+ * Split the overflowing body placeholders of a slide onto continuation slides. Returns the renumbered slides and
+ * every slide-keyed map of the pitchbook moved along with them ({ slides, slideData, added }, slideData as
+ * { generatedContent, prompts, ... }), or null when nothing on the slide overflows.
+ */
+export const paginateSlide = (pitchbook, slides, slideNumber) => {
+  const index = slides.findIndex(slide => slide.slideNumber === slideNumber);
+  const slide = slides[index];
+  if (!slide) return null;
+
+  const slideKey = `slide_${slideNumber}`;
+  const content = pitchbook.generatedContent?.[slideKey] || {};
+  const placeholders = slide.layout?.placeholders || [];
+
+  // Pages of each overflowing body placeholder; page k of every one goes on the same slide
+  const pagesById = {};
+  placeholders.forEach(placeholder => {
+    const text = getGeneratedText(content[placeholder.id]);
+    if (isTitle(placeholder) || !checkFit(text, placeholder.capacity)?.overflow) return;
+
+    const pages = splitText(text, placeholder.capacity);
+    if (pages.length > 1) pagesById[placeholder.id] = pages;
+  });
+
+  const added = Math.max(0, ...Object.values(pagesById).map(pages => pages.length - 1));
+  if (!added) return null;
+
+  const titlePlaceholder = placeholders.find(isTitle);
+  const title = continuedTitle(getGeneratedText(titlePlaceholder && content[titlePlaceholder.id]) || slide.sectionTitle || '');
+
+  const generatedContent = shiftKeys(pitchbook.generatedContent, slideNumber, added);
+  const pageContent = (page) => Object.fromEntries(Object.entries(pagesById)
+    .filter(([, pages]) => pages[page])
+    .map(([id, pages]) => [id, { success: true, content: pages[page], source: 'pagination' }]));
+
+  generatedContent[slideKey] = { ...content, ...pageContent(0) };
+  const continuations = Array.from({ length: added }, (_, i) => {
+    const continuationNumber = slideNumber + i + 1;
+    generatedContent[`slide_${continuationNumber}`] = {
+      ...(titlePlaceholder && title && { [titlePlaceholder.id]: { success: true, content: title, source: 'pagination' } }),
+      ...pageContent(i + 1)
+    };
+
+    return {
+      slideNumber: continuationNumber,
+      layoutId: slide.layoutId || slide.layout?.id || null,
+      layoutName: slide.layoutName,
+      layout: slide.layout,
+      layoutData: slide.layoutData || slide.layout,
+      type: slide.type,
+      sectionTitle: slide.sectionTitle || null,
+      footer: slide.footer || null,
+      placeholders: {},
+      prompts: {},
+      slidePrompt: null
+    };
+  });
+
+  // Slide prompts carry their slide number too
+  const newSlides = [...slides.slice(0, index + 1), ...continuations, ...slides.slice(index + 1)]
+    .map((s, i) => ({
+      ...s,
+      slideNumber: i + 1,
+      ...(s.slidePromptScoped && {
+        slidePromptScoped: { ...s.slidePromptScoped, slideNumber: i + 1, appliesTo: `slide_${i + 1}_only` }
+      })
+    }));
+
+  const slideData = Object.fromEntries(getSlideKeyedFields(pitchbook)
+    .map(field => [field, shiftKeys(pitchbook[field], slideNumber, added)]));
+
+  slideData.scopedPlaceholderPrompts = Object.fromEntries(Object.entries(shiftKeys(pitchbook.scopedPlaceholderPrompts, slideNumber, added))
+    .map(([key, prompts]) => {
+      const number = parseInt(key.replace('slide_', ''), 10);
+      return [key, Object.fromEntries(Object.entries(prompts).map(([id, prompt]) => [
+        id,
+        { ...prompt, slideNumber: number, appliesTo: `slide_${number}_placeholder_${id}` }
+      ]))];
+    }));
+
+  slideData.generatedContent = generatedContent;
+
+  return { slides: newSlides, slideData, added };
+};
\ No newline at end of file
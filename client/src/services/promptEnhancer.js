@@ -1,133 +1,16 @@
 /**
  * Prompt Enhancement Service
- * Automatically processes and extends pitchbook prompts into full, AI-ready prompts
+ * Automatically processes and extends pitchbook prompts into full, AI-ready prompts.
+ * The templates, audience, tone, style and focus come from the pitchbook's style and audience preset
+ * (presetAPI / pitchbookAPI.getPreset; see server/src/services/presetStore.js).
  */
 
-// Prompt templates for different slide types and contexts
-const PROMPT_TEMPLATES = {
-  // Slide type specific templates
-  title: {
-    base: "Create a professional and engaging title for a business presentation.",
-    enhanced: "Generate a compelling, professional title for a {context} presentation. The title should be concise (5-10 words), impactful, and clearly communicate the main theme. Consider the audience: {audience}. Style: {style}. Key focus: {focus}."
-  },
-  
-  contents: {
-    base: "Generate a table of contents for this presentation.",
-    enhanced: "Create a comprehensive table of contents for a {context} presentation with {sectionCount} main sections. Include clear, descriptive section titles that flow logically. Each section should have 2-3 subsections. Format as a numbered list with proper hierarchy. Target audience: {audience}."
-  },
-  
-  legal: {
-    base: "Create legal disclaimer text.",
-    enhanced: "Generate professional legal disclaimer text appropriate for a {context} business presentation. Include standard confidentiality notices, forward-looking statements disclaimer, and intellectual property protection. Keep it concise but comprehensive. Jurisdiction: {jurisdiction}."
-  },
-  
-  'section-divider': {
-    base: "Create a section introduction.",
-    enhanced: "Write a compelling introduction for the section titled '{sectionTitle}' in a {context} presentation. Include a brief overview (2-3 sentences) that transitions from the previous content and sets up what's coming. Tone: {tone}."
-  },
-  
-  body: {
-    base: "Generate body content for this slide.",
-    enhanced: "Create {wordCount} words of professional content about {topic} for a {context} presentation slide. Structure the content with clear key points, supporting details, and relevant examples. Include {bulletPoints} main points. Ensure the content is {tone} and suitable for {audience}. Focus on: {focus}."
-  },
-  
-  // Placeholder type templates
-  text: {
-    base: "Generate text content.",
-    enhanced: "Write {wordCount} words of {style} text about {topic}. The content should be {tone}, well-structured, and include {specificRequirements}. Target audience: {audience}."
-  },
-  
-  bullet: {
-    base: "Create bullet points.",
-    enhanced: "Generate {count} clear, concise bullet points about {topic}. Each point should be 1-2 lines, action-oriented, and {style}. Focus on {focus}. Ensure parallel structure."
-  },
-  
-  heading: {
-    base: "Create a heading.",
-    enhanced: "Write a {style} heading for {topic} that is {tone} and captures attention. Maximum {wordCount} words. Should complement the slide title: '{slideTitle}'."
-  }
-};
-
-// Context enrichment data
-const CONTEXT_ENRICHMENT = {
-  // Business contexts
-  'merger-acquisition': {
-    audience: 'board members, executives, and key stakeholders',
-    tone: 'professional, strategic, and data-driven',
-    style: 'formal business',
-    focus: 'synergies, value creation, and strategic rationale'
-  },
-  
-  'investor-pitch': {
-    audience: 'potential investors and venture capitalists',
-    tone: 'confident, compelling, and growth-focused',
-    style: 'persuasive and engaging',
-    focus: 'market opportunity, competitive advantage, and ROI'
-  },
-  
-  'quarterly-results': {
-    audience: 'investors, analysts, and shareholders',
-    tone: 'transparent, analytical, and forward-looking',
-    style: 'formal financial reporting',
-    focus: 'performance metrics, trends, and guidance'
-  },
-  
-  'product-launch': {
-    audience: 'customers, partners, and media',
-    tone: 'exciting, innovative, and customer-centric',
-    style: 'engaging and accessible',
-    focus: 'features, benefits, and market differentiation'
-  },
-  
-  'strategic-plan': {
-    audience: 'internal leadership and management teams',
-    tone: 'visionary, actionable, and motivating',
-    style: 'strategic and operational',
-    focus: 'goals, initiatives, and execution roadmap'
-  }
-};
-
-// Prompt enhancement rules
-const ENHANCEMENT_RULES = {
-  // Minimum word counts by content type
-  wordCounts: {
-    title: 10,
-    heading: 15,
-    paragraph: 100,
-    bullet: 20,
-    'short-text': 50,
-    'medium-text': 150,
-    'long-text': 300
-  },
-  
-  // Style modifiers
-  styles: {
-    executive: 'concise, high-level, strategic focus',
-    technical: 'detailed, precise, data-rich',
-    marketing: 'engaging, benefit-focused, persuasive',
-    financial: 'quantitative, analytical, fact-based',
-    creative: 'innovative, inspiring, forward-thinking'
-  },
-  
-  // Tone modifiers
-  tones: {
-    formal: 'professional, respectful, structured',
-    informal: 'conversational, approachable, friendly',
-    urgent: 'immediate, action-oriented, compelling',
-    optimistic: 'positive, opportunity-focused, confident',
-    analytical: 'objective, evidence-based, logical'
-  }
-};
+// Characters per word including the space after it, for turning a character budget into a word count
+const AVERAGE_WORD_LENGTH = 6;
 
 class PromptEnhancer {
-  constructor() {
-    this.templates = PROMPT_TEMPLATES;
-    this.contexts = CONTEXT_ENRICHMENT;
-    this.rules = ENHANCEMENT_RULES;
-  }
-
   /**
-   * Main enhancement function - processes a simple prompt into a full, AI-ready prompt
+   * Main enhancement function - processes a simple prompt into a full, AI-ready prompt using metadata.preset
    */
   enhancePrompt(originalPrompt, metadata = {}) {
     const {
@@ -135,26 +18,25 @@ class PromptEnhancer {
       slideNumber = 1,
       sectionTitle = '',
       placeholderType = 'text',
-      pitchbookTitle = '',
-      pitchbookType = 'standard',
-      context = null
+      preset
     } = metadata;
 
+    if (!preset) {
+      throw new Error('Prompts are enhanced with a preset; load the pitchbook\'s preset first');
+    }
+
     // Analyze the original prompt
     const analysis = this.analyzePrompt(originalPrompt);
     
-    // Determine context
-    const inferredContext = context || this.inferContext(originalPrompt, pitchbookTitle, pitchbookType);
-    
     // Get base template
-    const template = this.getTemplate(slideType, placeholderType);
+    const template = this.getTemplate(slideType, placeholderType, preset);
     
     // Build enhanced prompt
     const enhancedPrompt = this.buildEnhancedPrompt(
       originalPrompt,
       template,
       analysis,
-      inferredContext,
+      preset,
       metadata
     );
     
@@ -165,7 +47,7 @@ class PromptEnhancer {
       original: originalPrompt,
       enhanced: finalPrompt,
       analysis,
-      context: inferredContext,
+      preset: { id: preset.id, version: preset.version },
       metadata
     };
   }
@@ -231,71 +113,36 @@ class PromptEnhancer {
     return analysis;
   }
 
-  /**
-   * Infer context from prompt content and pitchbook metadata
-   */
-  inferContext(prompt, pitchbookTitle, pitchbookType) {
-    const promptLower = prompt.toLowerCase();
-    const titleLower = pitchbookTitle.toLowerCase();
-    
-    // Check for specific context keywords
-    if (promptLower.includes('merger') || promptLower.includes('acquisition') || 
-        titleLower.includes('m&a')) {
-      return 'merger-acquisition';
-    }
-    
-    if (promptLower.includes('investor') || promptLower.includes('funding') || 
-        titleLower.includes('pitch')) {
-      return 'investor-pitch';
-    }
-    
-    if (promptLower.includes('quarterly') || promptLower.includes('earnings') || 
-        titleLower.includes('results')) {
-      return 'quarterly-results';
-    }
-    
-    if (promptLower.includes('product') || promptLower.includes('launch') || 
-        titleLower.includes('introduction')) {
-      return 'product-launch';
-    }
-    
-    if (promptLower.includes('strategy') || promptLower.includes('strategic') || 
-        titleLower.includes('plan')) {
-      return 'strategic-plan';
-    }
-    
-    // Default based on pitchbook type
-    return pitchbookType === 'investor' ? 'investor-pitch' : 'strategic-plan';
-  }
-
   /**
    * Get the appropriate template for the slide/placeholder type
    */
-  getTemplate(slideType, placeholderType) {
+  getTemplate(slideType, placeholderType, preset) {
+    const { templates } = preset;
+
     // First try slide type
-    if (this.templates[slideType]) {
-      return this.templates[slideType];
+    if (templates[slideType]) {
+      return templates[slideType];
     }
     
     // Then try placeholder type
-    if (this.templates[placeholderType]) {
-      return this.templates[placeholderType];
+    if (templates[placeholderType]) {
+      return templates[placeholderType];
     }
     
     // Default to body template
-    return this.templates.body;
+    return templates.body;
   }
 
   /**
-   * Build the enhanced prompt using template and context
+   * Build the enhanced prompt using the template and the preset's audience, tone, style and focus
    */
-  buildEnhancedPrompt(originalPrompt, template, analysis, context, metadata) {
-    const contextData = this.contexts[context] || this.contexts['strategic-plan'];
-    
-    // Determine word count
+  buildEnhancedPrompt(originalPrompt, template, analysis, preset, metadata) {
+    // Determine word count: asked for in the prompt, else what fits the placeholder
     let wordCount = analysis.wordCount;
-    if (!wordCount) {
-      // Infer from slide type
+    if (!wordCount && metadata.textBudget) {
+      wordCount = Math.max(1, Math.floor(metadata.textBudget.characters / AVERAGE_WORD_LENGTH));
+    } else if (!wordCount) {
+      // Infer from slide type when the placeholder's size is unknown
       if (metadata.slideType === 'title') {
         wordCount = 10;
       } else if (metadata.slideType === 'body') {
@@ -307,18 +154,18 @@ class PromptEnhancer {
     
     // Build template variables
     const templateVars = {
-      context: context.replace('-', ' '),
+      context: preset.presentationType,
       topic: analysis.topic || originalPrompt,
       wordCount: wordCount,
-      audience: contextData.audience,
-      tone: contextData.tone,
-      style: contextData.style,
-      focus: contextData.focus,
+      audience: preset.audience,
+      tone: preset.tone,
+      style: preset.style,
+      focus: preset.focus,
       sectionTitle: metadata.sectionTitle,
       slideTitle: metadata.slideTitle || '',
       sectionCount: metadata.sectionCount || 3,
       bulletPoints: analysis.requirements.includes('bullet_points') ? 5 : 3,
-      jurisdiction: 'United States',
+      jurisdiction: preset.jurisdiction,
       count: 5,
       specificRequirements: analysis.requirements.join(', ') || 'clear structure and flow'
     };
@@ -351,6 +198,12 @@ class PromptEnhancer {
       instructions.push('\nFormat as a single line heading, no punctuation at the end.');
     }
     
+    // The placeholder's capacity is a hard limit; text past it overflows the box on the slide
+    if (metadata.textBudget) {
+      const { characters, lines, charsPerLine } = metadata.textBudget;
+      instructions.push(`\nHard limit: at most ${characters} characters including spaces. The placeholder fits ${lines} line${lines === 1 ? '' : 's'} of about ${charsPerLine} characters, and every paragraph or bullet starts a new line. Write to fit; never exceed the limit.`);
+    }
+    
     // Add quality instructions
     instructions.push('\nEnsure the content is:');
     instructions.push('- Factually accurate and up-to-date');
@@ -373,9 +226,19 @@ class PromptEnhancer {
   }
 
   /**
-   * Batch enhance multiple prompts from a pitchbook
+   * Capacity of the placeholder a prompt is for, from the layouts API; null when the layout is not loaded
+   */
+  getTextBudget(slide, placeholderKey, layouts = []) {
+    const layout = (slide?.layoutId && layouts.find(l => l.id === slide.layoutId)) ||
+      layouts.find(l => l.name === slide?.layoutName);
+    const placeholder = layout?.placeholders?.find(p => String(p.id) === String(placeholderKey));
+    return placeholder?.capacity || null;
+  }
+
+  /**
+   * Batch enhance multiple prompts from a pitchbook with its preset; layouts give each placeholder's text budget
    */
-  enhanceAllPrompts(pitchbook) {
+  enhanceAllPrompts(pitchbook, layouts = [], preset) {
     const enhancedPrompts = {};
     const prompts = pitchbook.prompts || {};
     
@@ -383,6 +246,9 @@ class PromptEnhancer {
       enhancedPrompts[slideKey] = {};
       const slideNumber = parseInt(slideKey.replace('slide_', ''));
       const slide = pitchbook.slides?.find(s => s.slideNumber === slideNumber);
+
+      // The Contents slide is built from the sections (see server/src/services/contents.js), not generated
+      if (slide?.type === 'contents') return;
       
       Object.keys(prompts[slideKey]).forEach(placeholderKey => {
         const originalPrompt = prompts[slideKey][placeholderKey];
@@ -395,7 +261,9 @@ class PromptEnhancer {
           pitchbookTitle: pitchbook.title,
           pitchbookType: pitchbook.type,
           slideTitle: slide?.layoutName || '',
-          originalPrompt: originalPrompt
+          originalPrompt: originalPrompt,
+          textBudget: this.getTextBudget(slide, placeholderKey, layouts),
+          preset
         });
         
         enhancedPrompts[slideKey][placeholderKey] = enhanced;
@@ -418,15 +286,13 @@ class PromptEnhancer {
   }
 
   /**
-   * Generate a system prompt for the AI based on context
+   * Generate a system prompt for the AI based on a preset
    */
-  generateSystemPrompt(context) {
-    const contextData = this.contexts[context] || this.contexts['strategic-plan'];
-    
-    return `You are a professional business content writer specializing in ${context.replace('-', ' ')} presentations. 
-Your audience consists of ${contextData.audience}. 
-Your writing style should be ${contextData.style} with a ${contextData.tone} tone.
-Focus on ${contextData.focus}.
+  generateSystemPrompt(preset) {
+    return `You are a professional business content writer specializing in ${preset.presentationType} presentations. 
+Your audience consists of ${preset.audience}. 
+Your writing style should be ${preset.style} with a ${preset.tone} tone.
+Focus on ${preset.focus}.
 Provide clear, concise, and impactful content that drives the presentation's objectives forward.`;
   }
 }
@@ -435,4 +301,4 @@ Provide clear, concise, and impactful content that drives the presentation's obj
 const promptEnhancer = new PromptEnhancer();
 
 export default promptEnhancer;
-export { PromptEnhancer, PROMPT_TEMPLATES, CONTEXT_ENRICHMENT, ENHANCEMENT_RULES };
\ No newline at end of file
+export { PromptEnhancer };
\ No newline at end of file
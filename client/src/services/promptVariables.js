@@ -0,0 +1,35 @@
+/**
+ * Prompt variables
+ * Facts the prompts share, defined once per pitchbook (pitchbook.variables) and referenced as {{client_name}}.
+ * The server fills them in when generating; these helpers validate names and flag undefined references while
+ * prompts are being edited. Mirrors server/src/services/promptVariables.js; keep the two in step.
+ */
+
+export const VARIABLE_NAME = /^[a-z][a-z0-9_]*$/;
+
+// Only names a variable can have are references, so {{Client}} is never reported as a variable nobody can define
+const REFERENCE = /\{\{\s*([a-z][a-z0-9_]*)\s*\}\}/g;
+
+/**
+ * Names a text refers to, each once, in order of first use
+ */
+export const findVariables = (text) => {
+  if (typeof text !== 'string') return [];
+  return [...new Set([...text.matchAll(REFERENCE)].map(match => match[1]))];
+};
+
+/**
+ * Names the texts refer to that variables does not define
+ */
+export const findUndefinedVariables = (texts, variables = {}) => {
+  const names = texts.flatMap(findVariables);
+  return [...new Set(names)].filter(name => !Object.prototype.hasOwnProperty.call(variables, name));
+};
+
+/**
+ * "Client name" -> "client_name", for turning a typed label into a valid variable name
+ */
+export const toVariableName = (label) => label
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '_')
+  .replace(/^[^a-z]+|_+$/g, '');
\ No newline at end of file
@@ -0,0 +1,184 @@
+/**
+ * Rich text helpers
+ * Parses generated markdown into the paragraph model the .pptx export writes, for the content previews.
+ * Mirrors parse() and toMarkdown() in server/src/services/richText.js; keep the two in step.
+ */
+
+// DrawingML has nine list levels
+const MAX_LEVEL = 8;
+
+const LIST_ITEM = /^(\s*)([-*+•]|\d{1,3}[.)])\s+(.*)$/;
+const HEADING = /^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/;
+const RULE = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+const HARD_BREAK = /( {2,}|\\)$/;
+
+// Emphasis, code spans and <br>; emphasis content is parsed again so styles can nest
+const INLINE = /\*\*\*(\S(?:.*?\S)??)\*\*\*|\*\*(\S(?:.*?\S)??)\*\*(?!\*)|__(\S(?:.*?\S)??)__|\*(\S(?:.*?\S)??)\*(?!\*)|(?<![\p{L}\p{N}])_(\S(?:.*?\S)??)_(?![\p{L}\p{N}])|`([^`]+)`|<br\s*\/?>/giu;
+
+// Backslash escapes are swapped for private-use characters while parsing, then restored
+const ESCAPABLE = '\\*_`#-+.<>•';
+const protectEscapes = (text) => text.replace(/\\([\\*_`#\-+.<>•])/g, (match, char) => String.fromCharCode(0xe000 + ESCAPABLE.indexOf(char)));
+const restoreEscapes = (text) => text.replace(/[\ue000-\ue00f]/g, char => ESCAPABLE[char.charCodeAt(0) - 0xe000]);
+
+const sameStyle = (a, b) => !a.break && !b.break && Boolean(a.bold) === Boolean(b.bold) && Boolean(a.italic) === Boolean(b.italic);
+
+const buildRun = (text, { bold, italic }) => ({ text, ...(bold && { bold: true }), ...(italic && { italic: true }) });
+
+const parseInline = (text, style = {}) => {
+  const runs = [];
+  let last = 0;
+
+  for (const match of text.matchAll(INLINE)) {
+    const [whole, boldItalic, bold, boldUnderscore, italic, italicUnderscore, code] = match;
+    if (match.index > last) {
+      runs.push(buildRun(text.slice(last, match.index), style));
+    }
+
+    if (boldItalic !== undefined) {
+      runs.push(...parseInline(boldItalic, { ...style, bold: true, italic: true }));
+    } else if ((bold ?? boldUnderscore) !== undefined) {
+      runs.push(...parseInline(bold ?? boldUnderscore, { ...style, bold: true }));
+    } else if ((italic ?? italicUnderscore) !== undefined) {
+      runs.push(...parseInline(italic ?? italicUnderscore, { ...style, italic: true }));
+    } else if (code !== undefined) {
+      runs.push(buildRun(code, style));
+    } else {
+      runs.push({ break: true });
+    }
+    last = match.index + whole.length;
+  }
+
+  if (last < text.length) {
+    runs.push(buildRun(text.slice(last), style));
+  }
+  return runs;
+};
+
+// Merge neighbouring runs with the same style, drop empty ones and trim empty paragraphs at either end
+const normalize = (paragraphs) => {
+  const normalized = paragraphs.map(paragraph => ({
+    list: paragraph.list || null,
+    level: paragraph.list ? Math.min(Math.max(paragraph.level || 0, 0), MAX_LEVEL) : 0,
+    runs: paragraph.runs.reduce((runs, run) => {
+      const previous = runs[runs.length - 1];
+      if (!run.break && !run.text) return runs;
+      if (previous && sameStyle(previous, run)) {
+        runs[runs.length - 1] = { ...previous, text: previous.text + run.text };
+      } else {
+        runs.push(run.break ? { break: true } : buildRun(run.text, run));
+      }
+      return runs;
+    }, [])
+  }));
+
+  const isEmpty = (paragraph) => !paragraph.list && paragraph.runs.length === 0;
+  while (normalized.length && isEmpty(normalized[0])) normalized.shift();
+  while (normalized.length && isEmpty(normalized[normalized.length - 1])) normalized.pop();
+  return normalized;
+};
+
+/**
+ * Parse markdown into [{ list: null | 'bullet' | 'number', level, runs: [{ text, bold, italic } | { break: true }] }]
+ */
+export const parseRichText = (text) => {
+  const lines = protectEscapes(String(text || '')).replace(/\r\n?/g, '\n').split('\n');
+  const paragraphs = [];
+  // Indent widths of the open list levels
+  const indents = [];
+  let afterBlank = false;
+
+  for (let i = 0; i < lines.length; i++) {
+    let line = lines[i];
+    if (!line.trim()) {
+      afterBlank = paragraphs.length > 0;
+      continue;
+    }
+
+    // A line ending in two spaces or a backslash continues on the next line after a line break
+    while (HARD_BREAK.test(line) && lines[i + 1]?.trim() && !LIST_ITEM.test(lines[i + 1]) && !HEADING.test(lines[i + 1])) {
+      line = `${line.replace(HARD_BREAK, '')}<br>${lines[++i].trim()}`;
+    }
+
+    if (RULE.test(line)) {
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    const item = !heading && line.match(LIST_ITEM);
+    const previous = paragraphs[paragraphs.length - 1];
+
+    if (item) {
+      const indent = item[1].replace(/\t/g, '    ').length;
+      while (indents.length && indents[indents.length - 1] > indent) indents.pop();
+      if (!indents.length || indents[indents.length - 1] < indent) indents.push(indent);
+
+      paragraphs.push({
+        list: /\d/.test(item[2]) ? 'number' : 'bullet',
+        level: Math.min(indents.length - 1, MAX_LEVEL),
+        runs: parseInline(item[3])
+      });
+    } else if (previous?.list && /^\s/.test(line) && !afterBlank) {
+      // Indented lines under a list item are part of it
+      previous.runs.push(...parseInline(` ${line.trim()}`));
+    } else {
+      indents.length = 0;
+      // Blank lines between plain paragraphs are kept as spacing; lists bring their own
+      if (afterBlank && previous && !previous.list) {
+        paragraphs.push({ list: null, level: 0, runs: [] });
+      }
+      paragraphs.push({
+        list: null,
+        level: 0,
+        runs: heading ? parseInline(heading[1], { bold: true }) : parseInline(line.trim())
+      });
+    }
+    afterBlank = false;
+  }
+
+  return normalize(paragraphs).map(paragraph => ({
+    ...paragraph,
+    runs: paragraph.runs.map(run => (run.break ? run : { ...run, text: restoreEscapes(run.text) }))
+  }));
+};
+
+export const toPlainText = (paragraphs) => paragraphs
+  .map(paragraph => paragraph.runs.map(run => (run.break ? '\n' : run.text)).join(''))
+  .join('\n');
+
+const runToMarkdown = (run) => {
+  if (run.break) {
+    return '<br>';
+  }
+
+  const text = run.text.replace(/[\\*`]/g, '\\$&').replace(/(?<![\p{L}\p{N}])_|_(?![\p{L}\p{N}])/gu, '\\_');
+  const marker = run.bold && run.italic ? '***' : run.bold ? '**' : run.italic ? '*' : '';
+  if (!marker || !text.trim()) {
+    return text;
+  }
+
+  // Emphasis markers must hug the text, so surrounding spaces stay outside them
+  const [, before, core, after] = text.match(/^(\s*)(.*?)(\s*)$/s);
+  return `${before}${marker}${core}${marker}${after}`;
+};
+
+/**
+ * Write parsed paragraphs back as markdown that parses to the same paragraphs
+ */
+export const toMarkdown = (paragraphs) => {
+  const counters = [];
+
+  return paragraphs.map(paragraph => {
+    const text = paragraph.runs.map(runToMarkdown).join('');
+    if (!paragraph.list) {
+      counters.length = 0;
+      return text.replace(/^(\s*)([-*+•#]|\d{1,3}[.)])(?=\s)/, (match, space, marker) => `${space}${marker.replace(/([-*+•#.)])$/, '\\$1')}`);
+    }
+
+    // Numbering restarts when a level switches between bullets and numbers
+    counters.length = paragraph.level + 1;
+    const previous = counters[paragraph.level];
+    counters[paragraph.level] = { list: paragraph.list, count: previous?.list === paragraph.list ? previous.count + 1 : 1 };
+    const marker = paragraph.list === 'number' ? `${counters[paragraph.level].count}.` : '-';
+    return `${'  '.repeat(paragraph.level)}${marker} ${text}`;
+  }).join('\n');
+};
\ No newline at end of file
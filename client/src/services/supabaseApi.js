@@ -73,6 +73,7 @@ export const pitchbookAPI = {
       pitchbookPrompt: data.pitchbook_prompt,
       scopedPrompts: data.scoped_prompts || {},
       inheritTemplatePrompts: data.inherit_template_prompts,
+      footer: data.footer || null,
       sections: data.sections?.map(s => ({
         id: s.id,
         title: s.title,
@@ -83,6 +84,7 @@ export const pitchbookAPI = {
       slides: data.slides?.map(s => ({
         id: s.id,
         slideNumber: s.slide_number,
+        layoutId: s.layout_id,
         layoutName: s.layout_name,
         layoutData: s.layout_data,  // Include saved layout data
         layout: s.layout_data,  // For compatibility
@@ -94,6 +96,8 @@ export const pitchbookAPI = {
         promptScoped: s.slide_prompt_scoped,
         content: s.content,
         notes: s.notes,
+        notesSource: s.notes_source,
+        footer: s.footer || null,
         isGenerated: s.is_generated,
         placeholderPrompts: s.placeholder_prompts?.reduce((acc, pp) => {
           acc[pp.placeholder_id] = {
@@ -160,6 +164,7 @@ export const pitchbookAPI = {
     if (data.status !== undefined) updates.status = data.status;
     if (data.pitchbookPrompt !== undefined) updates.pitchbook_prompt = data.pitchbookPrompt;
     if (data.scopedPrompts !== undefined) updates.scoped_prompts = data.scopedPrompts;
+    if (data.footer !== undefined) updates.footer = data.footer;
     if (data.prompts !== undefined) {
       updates.pitchbook_prompt = data.prompts.pitchbookPrompt;
       updates.scoped_prompts = data.prompts.scopedPrompts;
@@ -181,10 +186,14 @@ export const pitchbookAPI = {
           pitchbook_id: id,
           slide_number: slide.slideNumber,
           layout_name: slide.layoutName,
+          layout_id: slide.layoutId || slide.layout?.id || null,
           layout_data: slide.layoutData || slide.layout || null,
           slide_type: slide.type || slide.slideType || 'body',
           section_title: slide.sectionTitle || null,
-          slide_prompt: slide.slidePrompt || slide.prompt || null
+          slide_prompt: slide.slidePrompt || slide.prompt || null,
+          notes: slide.notes || null,
+          notes_source: slide.notes ? (slide.notesSource || 'manual') : null,
+          footer: slide.footer || null
         };
         
         if (existingSlideNumbers.has(slide.slideNumber)) {
@@ -0,0 +1,57 @@
+/**
+ * Text fit estimates
+ * Counts the lines generated text takes in a placeholder against the capacity the layouts API reports
+ * for it (see server/src/services/textFit.js)
+ */
+
+import { parseRichText, toPlainText } from './richText';
+
+// Lines break between words, so on average about half a word of each line stays empty
+const WORD_WRAP_SLACK = 3;
+
+/**
+ * Text of a generated content entry: the generator's result or a raw Gemini response
+ */
+export const getGeneratedText = (entry) => {
+  if (!entry) return '';
+  if (typeof entry === 'string') return entry;
+  if (typeof entry.content === 'string') return entry.content;
+
+  const parts = entry.response?.candidates?.[0]?.content?.parts || [];
+  return parts.map(part => part.text || '').join('');
+};
+
+/**
+ * Lines the text needs at the placeholder's font size, counting list indents and the space before paragraphs
+ */
+export const estimateLines = (text, capacity) => {
+  const paragraphs = parseRichText(text);
+
+  return paragraphs.reduce((total, paragraph, index) => {
+    const indent = paragraph.list ? (paragraph.level + 1) * capacity.indentChars : 0;
+    const width = Math.max(1, capacity.charsPerLine - indent - WORD_WRAP_SLACK);
+    const lines = toPlainText([paragraph])
+      .split('\n')
+      .reduce((sum, line) => sum + Math.max(1, Math.ceil(line.length / width)), 0);
+    const spacing = index > 0 && !paragraph.list ? capacity.paragraphSpacing : 0;
+    return total + lines + spacing;
+  }, 0);
+};
+
+/**
+ * { lines, capacityLines, overflow, estimated } for text in a placeholder; null when either is missing.
+ * estimated is true when the capacity comes from standard metrics because the template's font could not be
+ * read (PowerPoint compresses embedded fonts, see server/src/parsers/fontParser.js)
+ */
+export const checkFit = (text, capacity) => {
+  if (!capacity || !text) return null;
+
+  const lines = Math.round(estimateLines(text, capacity) * 10) / 10;
+  return { lines, capacityLines: capacity.lines, overflow: lines > capacity.lines, estimated: capacity.metrics === 'fallback' };
+};
+
+/**
+ * Whether any placeholder's capacity was sized with standard font metrics rather than the template's own
+ */
+export const usesFallbackMetrics = (placeholders = []) =>
+  placeholders.some(placeholder => placeholder.capacity?.metrics === 'fallback');
\ No newline at end of file
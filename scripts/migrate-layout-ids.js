@@ -0,0 +1,256 @@
+#!/usr/bin/env node
+
+/**
+ * Migration script that pins existing slides to stable layout ids
+ *
+ * Slides used to reference layouts by display name, resolved with a fuzzy match. This script
+ * resolves each slide once, the way the old lookup did, and stores the layout id
+ * ("slideLayout12-4088468386") alongside the canonical layout name.
+ *
+ * Usage:
+ *   node scripts/migrate-layout-ids.js [--dry-run] [--verbose] [--json-only] [--supabase-only]
+ *
+ * Options:
+ *   --dry-run         Preview changes without writing anything
+ *   --verbose         Show detailed progress
+ *   --json-only       Only rewrite the local pitchbook JSON files
+ *   --supabase-only   Only rewrite slides in Supabase (needs SUPABASE_SERVICE_KEY)
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { createClient } = require('@supabase/supabase-js');
+require('dotenv').config();
+
+const templateStore = require('../server/src/services/templateStore');
+const openXmlParser = require('../server/src/parsers/openXmlParser');
+
+// Configuration
+const DATA_PATH = path.join(__dirname, '../server/src/data');
+const BACKUP_PATH = path.join(__dirname, '../backups');
+const SUPABASE_URL = process.env.SUPABASE_URL || 'https://pjsjsynibeltjpusfald.supabase.co';
+const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const verbose = args.includes('--verbose');
+const jsonOnly = args.includes('--json-only');
+const supabaseOnly = args.includes('--supabase-only');
+
+// Migration statistics
+const stats = {
+  json: { files: 0, slides: 0, updated: 0, unresolved: 0 },
+  supabase: { slides: 0, updated: 0, unresolved: 0, skipped: 0 },
+  errors: []
+};
+
+// Helper functions
+function log(message, level = 'info') {
+  const prefix = {
+    info: '📋',
+    success: '✅',
+    warning: '⚠️',
+    error: '❌',
+    verbose: '🔍'
+  };
+
+  if (level === 'verbose' && !verbose) return;
+
+  console.log(`${prefix[level] || ''} ${message}`);
+}
+
+// Resolve a slide the way the old name lookup did, so every pitchbook keeps the layout it showed
+function resolveLegacyLayout(parser, layouts, { layoutId, fileName, layoutName }) {
+  const name = layoutName?.toLowerCase();
+
+  return parser.matchLayoutId(layouts, layoutId) ||
+    (fileName && layouts.find(layout => layout.fileName === fileName)) ||
+    parser.matchLayoutName(layouts, layoutName) ||
+    (name && layouts.find(layout => layout.fileName.toLowerCase().includes(name)));
+}
+
+async function getTemplateLayouts(templateId, cache) {
+  if (!cache.has(templateId)) {
+    const template = await templateStore.getTemplate(templateId);
+    const parser = template ? templateStore.getParser(template) : null;
+    cache.set(templateId, parser ? { parser, layouts: await parser.getAllLayouts() } : null);
+  }
+  return cache.get(templateId);
+}
+
+// Returns true when any slide changed
+function migratePitchbookSlides(pitchbook, templateLayouts, label) {
+  let changed = false;
+
+  for (const slide of pitchbook.slides || []) {
+    stats.json.slides++;
+
+    const layout = resolveLegacyLayout(templateLayouts.parser, templateLayouts.layouts, {
+      layoutId: slide.layoutId || slide.layoutData?.id,
+      fileName: slide.layoutData?.fileName,
+      layoutName: slide.layoutName
+    });
+
+    if (!layout) {
+      stats.json.unresolved++;
+      log(`  ${label} slide ${slide.slideNumber}: no layout matches "${slide.layoutName}"`, 'warning');
+      continue;
+    }
+
+    if (slide.layoutId === layout.id && slide.layoutName === layout.name) {
+      continue;
+    }
+
+    log(`  ${label} slide ${slide.slideNumber}: "${slide.layoutName}" -> ${layout.id} (${layout.name})`, 'verbose');
+    slide.layoutId = layout.id;
+    slide.layoutName = layout.name;
+    if (slide.layoutData) {
+      slide.layoutData.id = layout.id;
+    }
+    stats.json.updated++;
+    changed = true;
+  }
+
+  return changed;
+}
+
+async function migrateJsonFiles() {
+  log('Migrating pitchbook JSON files...');
+
+  const files = (await fs.readdir(DATA_PATH))
+    .filter(file => file === 'pitchbooks.json' || /^pitchbook_.+\.json$/.test(file));
+  const cache = new Map();
+  const changedFiles = [];
+
+  for (const file of files) {
+    const filePath = path.join(DATA_PATH, file);
+    const data = await fs.readJson(filePath);
+    const pitchbooks = Array.isArray(data) ? data : [data];
+    let changed = false;
+
+    stats.json.files++;
+
+    for (const pitchbook of pitchbooks) {
+      const templateLayouts = await getTemplateLayouts(pitchbook.templateId, cache);
+      if (!templateLayouts) {
+        stats.errors.push(`${file}: template ${pitchbook.templateId} not found`);
+        log(`  ${file}: template ${pitchbook.templateId} not found, skipping "${pitchbook.title}"`, 'warning');
+        continue;
+      }
+
+      changed = migratePitchbookSlides(pitchbook, templateLayouts, `${file} "${pitchbook.title}"`) || changed;
+    }
+
+    if (changed) {
+      changedFiles.push({ filePath, data });
+    }
+  }
+
+  if (dryRun || changedFiles.length === 0) {
+    log(`${changedFiles.length} file(s) ${dryRun ? 'would be' : 'need to be'} rewritten`, 'info');
+    return;
+  }
+
+  const backupDir = path.join(BACKUP_PATH, new Date().toISOString().replace(/[:.]/g, '-'), 'data');
+  await fs.copy(DATA_PATH, backupDir, { filter: source => !source.includes(`${path.sep}templates${path.sep}`) });
+  log(`Backup created: ${backupDir}`, 'success');
+
+  for (const { filePath, data } of changedFiles) {
+    await fs.writeJson(filePath, data, { spaces: 2 });
+  }
+  log(`Rewrote ${changedFiles.length} file(s)`, 'success');
+}
+
+// Supabase templates are not unpacked on this server, so only slides of pitchbooks on the
+// built-in template (or none) can be resolved here
+async function migrateSupabaseSlides() {
+  log('Migrating Supabase slides...');
+
+  if (!SUPABASE_SERVICE_KEY) {
+    log('SUPABASE_SERVICE_KEY is not set, skipping Supabase', 'warning');
+    return;
+  }
+
+  const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY, {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false
+    }
+  });
+
+  const { data: slides, error } = await supabase
+    .from('slides')
+    .select('id, slide_number, layout_name, layout_id, pitchbooks(template_id, templates(is_default))');
+
+  if (error) throw error;
+
+  const layouts = await openXmlParser.getAllLayouts();
+
+  for (const slide of slides) {
+    stats.supabase.slides++;
+
+    const pitchbook = slide.pitchbooks;
+    if (pitchbook?.template_id && !pitchbook.templates?.is_default) {
+      stats.supabase.skipped++;
+      log(`  Slide ${slide.id}: uploaded template ${pitchbook.template_id}, skipping`, 'verbose');
+      continue;
+    }
+
+    const layout = resolveLegacyLayout(openXmlParser, layouts, {
+      layoutId: slide.layout_id,
+      layoutName: slide.layout_name
+    });
+
+    if (!layout) {
+      stats.supabase.unresolved++;
+      log(`  Slide ${slide.id}: no layout matches "${slide.layout_name}"`, 'warning');
+      continue;
+    }
+
+    if (slide.layout_id === layout.id && slide.layout_name === layout.name) {
+      continue;
+    }
+
+    log(`  Slide ${slide.id}: "${slide.layout_name}" -> ${layout.id} (${layout.name})`, 'verbose');
+    stats.supabase.updated++;
+
+    if (dryRun) continue;
+
+    const { error: updateError } = await supabase
+      .from('slides')
+      .update({ layout_id: layout.id, layout_name: layout.name })
+      .eq('id', slide.id);
+
+    if (updateError) {
+      stats.errors.push(`Slide ${slide.id}: ${updateError.message}`);
+      log(`  Failed to update slide ${slide.id} - ${updateError.message}`, 'error');
+    }
+  }
+}
+
+async function main() {
+  log(`Layout id migration${dryRun ? ' (dry run)' : ''}`);
+
+  try {
+    if (!supabaseOnly) {
+      await migrateJsonFiles();
+    }
+    if (!jsonOnly) {
+      await migrateSupabaseSlides();
+    }
+  } catch (error) {
+    log(`Migration failed: ${error.message}`, 'error');
+    process.exit(1);
+  }
+
+  log(`JSON: ${stats.json.updated}/${stats.json.slides} slides updated in ${stats.json.files} file(s), ${stats.json.unresolved} unresolved`);
+  log(`Supabase: ${stats.supabase.updated}/${stats.supabase.slides} slides updated, ${stats.supabase.unresolved} unresolved, ${stats.supabase.skipped} skipped`);
+
+  if (stats.errors.length > 0) {
+    log(`${stats.errors.length} error(s):`, 'warning');
+    stats.errors.forEach(message => log(`  ${message}`, 'warning'));
+  }
+}
+
+main();
\ No newline at end of file
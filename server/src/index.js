@@ -1,6 +1,5 @@
 const express = require('express');
 const cors = require('cors');
-const path = require('path');
 const fs = require('fs-extra');
 require('dotenv').config();
 
@@ -9,17 +8,37 @@ const pitchbookRoutes = require('./routes/pitchbooks');
 const thumbnailRoutes = require('./routes/thumbnails');
 const generateRoutes = require('./routes/generate');
 const templatePromptsRoutes = require('./routes/templatePrompts');
+const templateRoutes = require('./routes/template');
+const templatesRoutes = require('./routes/templates');
+const assetRoutes = require('./routes/assets');
+const presetRoutes = require('./routes/presets');
+const llm = require('./services/llm');
+const generationJobs = require('./services/generationJobs');
+const dataPath = require('./utils/dataPath');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
 // Middleware
 app.use(cors());
+
+// File uploads take the raw body whatever their Content-Type, so they are read here before the
+// JSON and form parsers can reject a large upload sent as application/x-www-form-urlencoded.
+// The routers mount the same parsers, which step aside once the body has been read.
+const RAW_UPLOADS = [
+  ['/api/pitchbooks/import', '100mb'],
+  ['/api/pitchbooks/:id/roundtrip', '100mb'],
+  ['/api/pitchbooks/:id/sources', '50mb'],
+  ['/api/templates', '100mb'],
+  ['/api/assets', '20mb']
+];
+RAW_UPLOADS.forEach(([route, limit]) => app.post(route, express.raw({ type: () => true, limit })));
+
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 // Ensure data directory exists
-fs.ensureDirSync(path.join(__dirname, 'data'));
+fs.ensureDirSync(dataPath);
 
 // API Routes
 app.use('/api/layouts', layoutRoutes);
@@ -27,6 +46,10 @@ app.use('/api/pitchbooks', pitchbookRoutes);
 app.use('/api/thumbnails', thumbnailRoutes);
 app.use('/api/generate', generateRoutes);
 app.use('/api/template-prompts', templatePromptsRoutes);
+app.use('/api/template', templateRoutes);
+app.use('/api/templates', templatesRoutes);
+app.use('/api/assets', assetRoutes);
+app.use('/api/presets', presetRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -37,7 +60,16 @@ app.use((err, req, res, next) => {
   });
 });
 
+// Jobs the last run left unfinished come back as 'interrupted', ready to resume
+generationJobs.load().catch(error => console.error('Failed to load generation jobs:', error));
+
 // Start server
 app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
+  try {
+    const { provider, model } = llm.describe();
+    console.log(`LLM provider: ${provider} (${model})`);
+  } catch (error) {
+    console.error(error.message);
+  }
 });
\ No newline at end of file
@@ -0,0 +1,201 @@
+const fs = require('fs-extra');
+const path = require('path');
+const openXmlParser = require('./openXmlParser');
+
+// EOT header flags (Embedded OpenType, the format PowerPoint writes to ppt/fonts/*.fntdata)
+const EOT_FLAG_COMPRESSED = 0x4;
+const EOT_FLAG_XOR_ENCRYPTED = 0x10000000;
+const EOT_MAGIC = 0x504c;
+
+const SFNT_VERSIONS = [0x00010000, 0x74727565, 0x4f54544f];
+
+// Widths are averaged over business prose rather than the alphabet, so spaces, capitals and figures weigh in
+// as often as they do in generated slide text
+const SAMPLE_TEXT = 'Revenue grew 12% to $4.2bn in 2023, driven by strong demand across EMEA and the Americas. ' +
+  'The transaction creates a leading platform with a clear path to value for shareholders.';
+
+// Roughly Arial's metrics over SAMPLE_TEXT, for fonts whose glyph data cannot be read. PowerPoint compresses
+// embedded fonts with MicroType Express, which is not decoded here; only their EOT header (weight) is used.
+const FALLBACK_METRICS = {
+  regular: { averageWidth: 0.48, lineHeight: 1.2 },
+  bold: { averageWidth: 0.51, lineHeight: 1.2 }
+};
+
+class FontParser {
+  constructor(templateParser = openXmlParser) {
+    this.templateParser = templateParser;
+    this.fonts = new Map();
+  }
+
+  // Width and line height of a typeface, in ems: { averageWidth, lineHeight, source: 'embedded' | 'fallback' }
+  async getMetrics(typeface, { bold = false, italic = false } = {}) {
+    const variant = bold && italic ? 'boldItalic' : bold ? 'bold' : italic ? 'italic' : 'regular';
+    const font = await this.getEmbeddedFont(typeface, variant);
+
+    if (font && font.metrics) {
+      return { averageWidth: font.metrics.averageWidth, lineHeight: font.metrics.lineHeight, source: 'embedded' };
+    }
+    const isBold = font ? font.weight >= 600 : bold;
+    return { ...FALLBACK_METRICS[isBold ? 'bold' : 'regular'], source: 'fallback' };
+  }
+
+  // The embedded font file for a typeface and variant (falling back to the regular face), parsed; null if not embedded
+  async getEmbeddedFont(typeface, variant) {
+    if (!typeface) {
+      return null;
+    }
+
+    const { embeddedFonts } = await this.templateParser.getPresentation();
+    const embedded = embeddedFonts.find(font => font.typeface.toLowerCase() === typeface.toLowerCase());
+    const target = embedded && (embedded.variants[variant] || embedded.variants.regular);
+    if (!target) {
+      return null;
+    }
+
+    const fontFile = path.join(this.templateParser.templatePath, target);
+    if (!this.fonts.has(fontFile)) {
+      this.fonts.set(fontFile, await this.readFontFile(fontFile));
+    }
+    return this.fonts.get(fontFile);
+  }
+
+  async readFontFile(fontFile) {
+    try {
+      return this.parseEmbeddedFont(await fs.readFile(fontFile));
+    } catch (error) {
+      console.error(`Error reading embedded font ${fontFile}:`, error);
+      return null;
+    }
+  }
+
+  // Reads an EOT file (or a bare TrueType/OpenType file): { familyName, styleName, weight, italic, compressed, metrics }.
+  // metrics is null when the font data is compressed.
+  parseEmbeddedFont(buffer) {
+    if (buffer.length >= 4 && SFNT_VERSIONS.includes(buffer.readUInt32BE(0))) {
+      const metrics = this.parseSfnt(buffer);
+      return { familyName: null, styleName: null, weight: 400, italic: false, compressed: false, metrics };
+    }
+
+    if (buffer.length < 84 || buffer.readUInt16LE(34) !== EOT_MAGIC) {
+      throw new Error('Not an Embedded OpenType font');
+    }
+
+    const eotSize = buffer.readUInt32LE(0);
+    const fontDataSize = buffer.readUInt32LE(4);
+    const flags = buffer.readUInt32LE(12);
+
+    // FamilyName, StyleName, VersionName and FullName follow the fixed header, each size-prefixed after 2 bytes of padding
+    let offset = 80;
+    const names = [];
+    for (let i = 0; i < 2; i++) {
+      const size = buffer.readUInt16LE(offset + 2);
+      names.push(buffer.toString('utf16le', offset + 4, offset + 4 + size).replace(/\0+$/, ''));
+      offset += 4 + size;
+    }
+
+    const font = {
+      familyName: names[0],
+      styleName: names[1],
+      weight: buffer.readUInt32LE(28),
+      italic: buffer[27] === 1,
+      compressed: Boolean(flags & EOT_FLAG_COMPRESSED),
+      metrics: null
+    };
+    if (font.compressed) {
+      return font;
+    }
+
+    let fontData = buffer.subarray(eotSize - fontDataSize, eotSize);
+    if (flags & EOT_FLAG_XOR_ENCRYPTED) {
+      fontData = Buffer.from(fontData.map(byte => byte ^ 0x50));
+    }
+    font.metrics = this.parseSfnt(fontData);
+    return font;
+  }
+
+  // Average advance width over SAMPLE_TEXT and single line height, in ems, from the head/hhea/hmtx/cmap tables
+  parseSfnt(buffer) {
+    const tables = {};
+    const numTables = buffer.readUInt16BE(4);
+    for (let i = 0; i < numTables; i++) {
+      const record = 12 + i * 16;
+      tables[buffer.toString('ascii', record, record + 4)] = buffer.readUInt32BE(record + 8);
+    }
+    if (tables.head === undefined || tables.hhea === undefined || tables.hmtx === undefined) {
+      return null;
+    }
+
+    const unitsPerEm = buffer.readUInt16BE(tables.head + 18);
+    const ascender = buffer.readInt16BE(tables.hhea + 4);
+    const descender = buffer.readInt16BE(tables.hhea + 6);
+    const lineGap = buffer.readInt16BE(tables.hhea + 8);
+    const numberOfHMetrics = buffer.readUInt16BE(tables.hhea + 34);
+
+    const advanceOf = (glyph) => buffer.readUInt16BE(tables.hmtx + Math.min(glyph, numberOfHMetrics - 1) * 4);
+    const glyphOf = tables.cmap !== undefined ? this.readCharacterMap(buffer, tables.cmap) : null;
+
+    let averageWidth;
+    if (glyphOf) {
+      const characters = [...SAMPLE_TEXT];
+      averageWidth = characters.reduce((sum, char) => sum + advanceOf(glyphOf(char.codePointAt(0))), 0) / characters.length;
+    } else if (tables['OS/2'] !== undefined) {
+      averageWidth = buffer.readInt16BE(tables['OS/2'] + 2);
+    } else {
+      return null;
+    }
+
+    return {
+      unitsPerEm,
+      averageWidth: Math.round((averageWidth / unitsPerEm) * 1000) / 1000,
+      lineHeight: Math.round(((ascender - descender + lineGap) / unitsPerEm) * 1000) / 1000
+    };
+  }
+
+  // Character to glyph lookup from the Unicode BMP subtable (format 4); null when the font has none
+  readCharacterMap(buffer, cmapOffset) {
+    const numTables = buffer.readUInt16BE(cmapOffset + 2);
+    let subtable = null;
+    for (let i = 0; i < numTables; i++) {
+      const record = cmapOffset + 4 + i * 8;
+      const platformId = buffer.readUInt16BE(record);
+      const encodingId = buffer.readUInt16BE(record + 2);
+      const offset = cmapOffset + buffer.readUInt32BE(record + 4);
+      if ((platformId === 3 && encodingId === 1) || platformId === 0) {
+        if (buffer.readUInt16BE(offset) === 4) {
+          subtable = offset;
+          break;
+        }
+      }
+    }
+    if (subtable === null) {
+      return null;
+    }
+
+    const segCountX2 = buffer.readUInt16BE(subtable + 6);
+    const endCodes = subtable + 14;
+    const startCodes = endCodes + segCountX2 + 2;
+    const idDeltas = startCodes + segCountX2;
+    const idRangeOffsets = idDeltas + segCountX2;
+
+    return (code) => {
+      for (let segment = 0; segment < segCountX2; segment += 2) {
+        if (code > buffer.readUInt16BE(endCodes + segment)) continue;
+
+        const start = buffer.readUInt16BE(startCodes + segment);
+        if (code < start) return 0;
+
+        const delta = buffer.readUInt16BE(idDeltas + segment);
+        const rangeOffset = buffer.readUInt16BE(idRangeOffsets + segment);
+        if (rangeOffset === 0) {
+          return (code + delta) & 0xffff;
+        }
+        const glyph = buffer.readUInt16BE(idRangeOffsets + segment + rangeOffset + (code - start) * 2);
+        return glyph === 0 ? 0 : (glyph + delta) & 0xffff;
+      }
+      return 0;
+    };
+  }
+}
+
+module.exports = new FontParser();
+module.exports.FontParser = FontParser;
\ No newline at end of file
@@ -0,0 +1,81 @@
+// Decodes the template's layout naming scheme into facets, e.g.
+//   "2 on 1 KM wide"        -> body, 2 boxes over 1, key message, wide
+//   "1 left 2 right non-KM" -> body, 1 box beside 2, no key message
+//   "Section divider Blue"  -> section divider, Blue variant
+
+// Colour variants that appear as the last word of a layout name
+const COLOUR_VARIANTS = ['blue', 'green', 'red', 'grey', 'gray', 'black', 'white', 'dark', 'light'];
+
+const ARRANGEMENT_PATTERNS = [
+  // "3 across": boxes side by side
+  {
+    pattern: /^(\d+) across\b/i,
+    build: ([count]) => ({ type: 'across', columns: count, rows: 1, cells: count })
+  },
+  // "2 on 1": a row of boxes stacked on another row
+  {
+    pattern: /^(\d+) on (\d+)\b/i,
+    build: ([top, bottom]) => ({ type: 'stacked', columns: Math.max(top, bottom), rows: 2, cells: top + bottom })
+  },
+  // "1 left 2 right": a column of boxes beside another column
+  {
+    pattern: /^(\d+) left (\d+) right\b/i,
+    build: ([left, right]) => ({ type: 'split', columns: 2, rows: Math.max(left, right), cells: left + right })
+  }
+];
+
+// Query values accepted by matches(), keyed by facet
+const FILTER_KEYS = ['role', 'dividerType', 'arrangement', 'keyMessage', 'wide', 'colour'];
+
+class LayoutFacetParser {
+  parse(layoutName = '') {
+    const name = layoutName.trim();
+    const words = name.toLowerCase().split(/\s+/);
+    const arrangement = this.parseArrangement(name);
+    const lastWord = words[words.length - 1];
+
+    return {
+      role: this.parseRole(name, arrangement),
+      dividerType: /\bdivider\b/i.test(name) ? words[0] : null,
+      arrangement,
+      // null when the name says nothing about key messages (title slides, dividers)
+      keyMessage: words.includes('km') ? true : (words.includes('non-km') ? false : null),
+      wide: words.includes('wide'),
+      colour: COLOUR_VARIANTS.includes(lastWord) ? name.split(/\s+/).pop() : null
+    };
+  }
+
+  parseArrangement(name) {
+    for (const { pattern, build } of ARRANGEMENT_PATTERNS) {
+      const match = name.match(pattern);
+      if (match) {
+        return {
+          label: match[0],
+          ...build(match.slice(1).map(Number))
+        };
+      }
+    }
+    return null;
+  }
+
+  parseRole(name, arrangement) {
+    if (/\bdivider\b/i.test(name)) return 'divider';
+    if (/^title slide\b/i.test(name)) return 'title';
+    if (/^contents\b/i.test(name)) return 'contents';
+    if (arrangement || /^(body text|title only)\b/i.test(name)) return 'body';
+    return 'other';
+  }
+
+  // Filters come straight from the query string, so booleans arrive as 'true'/'false'
+  matches(facets, filters = {}) {
+    return FILTER_KEYS.every(key => {
+      const expected = filters[key];
+      if (expected === undefined || expected === '') return true;
+
+      const actual = key === 'arrangement' ? facets.arrangement?.label : facets[key];
+      return String(actual).toLowerCase() === String(expected).toLowerCase();
+    });
+  }
+}
+
+module.exports = new LayoutFacetParser();
\ No newline at end of file
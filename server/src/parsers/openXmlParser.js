@@ -1,11 +1,31 @@
 const fs = require('fs-extra');
 const path = require('path');
+const crypto = require('crypto');
 const xml2js = require('xml2js');
+const layoutFacetParser = require('./layoutFacetParser');
+
+// Built-in template, used when no uploaded template is selected
+const DEFAULT_TEMPLATE_PATH = path.join(__dirname, '../../../OpenXMLTemplate');
+
+// a:bodyPr inset attributes and the values PowerPoint uses when they are left out (EMU)
+const INSET_ATTRIBUTES = { left: 'lIns', top: 'tIns', right: 'rIns', bottom: 'bIns' };
+const DEFAULT_INSETS = { left: 91440, top: 45720, right: 91440, bottom: 45720 };
+
+// The layout role (see layoutFacetParser) each generated slide type is laid out with
+const SLIDE_TYPE_ROLES = {
+  title: 'title',
+  contents: 'contents',
+  legal: 'body',
+  'section-divider': 'divider',
+  body: 'body'
+};
 
 class OpenXMLParser {
-  constructor() {
+  constructor(templatePath = DEFAULT_TEMPLATE_PATH) {
     this.parser = new xml2js.Parser();
-    this.templatePath = path.join(__dirname, '../../../OpenXMLTemplate');
+    this.templatePath = templatePath;
+    this.masterCache = new Map();
+    this.presentation = null;
   }
 
   async parseSlideLayout(layoutFile) {
@@ -15,6 +35,8 @@ class OpenXMLParser {
       
       const placeholders = [];
       const layoutName = this.extractLayoutName(result);
+      const stableKey = this.extractCreationId(result) || this.hashContent(xmlContent);
+      const master = await this.getMasterForLayout(layoutFile);
       
       // Extract placeholders from slide layout
       if (result['p:sldLayout'] && result['p:sldLayout']['p:cSld']) {
@@ -26,7 +48,7 @@ class OpenXMLParser {
           // Process shapes
           if (shapeTree['p:sp']) {
             shapeTree['p:sp'].forEach(shape => {
-              const placeholder = this.extractPlaceholder(shape);
+              const placeholder = this.extractPlaceholder(shape, master);
               if (placeholder) {
                 placeholders.push(placeholder);
               }
@@ -36,7 +58,10 @@ class OpenXMLParser {
       }
       
       return {
+        id: this.buildLayoutId(layoutFile, stableKey),
         name: layoutName,
+        facets: layoutFacetParser.parse(layoutName),
+        masterFile: master ? master.fileName : null,
         placeholders: placeholders
       };
     } catch (error) {
@@ -56,8 +81,33 @@ class OpenXMLParser {
     }
     return 'Unnamed Layout';
   }
+
+  // PowerPoint 2010+ stamps every layout with a random p14:creationId that survives renames and reordering
+  extractCreationId(layoutData) {
+    const extensions = layoutData['p:sldLayout']?.['p:cSld']?.[0]?.['p:extLst']?.[0]?.['p:ext'] || [];
+    for (const extension of extensions) {
+      const creationId = extension['p14:creationId']?.[0]?.['$']?.val;
+      if (creationId) {
+        return creationId;
+      }
+    }
+    return null;
+  }
+
+  hashContent(xmlContent) {
+    return crypto.createHash('sha1').update(xmlContent).digest('hex').slice(0, 10);
+  }
+
+  // Layout ids look like "slideLayout12-4088468386": the part file plus its creationId (or a content hash)
+  buildLayoutId(layoutFile, stableKey) {
+    return `${path.basename(layoutFile, '.xml')}-${stableKey}`;
+  }
+
+  getStableKey(layoutId) {
+    return layoutId.slice(layoutId.lastIndexOf('-') + 1);
+  }
   
-  extractPlaceholder(shape) {
+  extractPlaceholder(shape, master = null) {
     try {
       if (!shape['p:nvSpPr'] || !shape['p:nvSpPr'][0]['p:nvPr']) {
         return null;
@@ -70,20 +120,47 @@ class OpenXMLParser {
       
       const ph = nvPr['p:ph'][0]['$'] || {};
       const cNvPr = shape['p:nvSpPr'][0]['p:cNvPr'][0]['$'] || {};
+      const inherited = [];
       
-      // Extract position and size from shape properties
-      let x = 0, y = 0, width = 0, height = 0;
-      if (shape['p:spPr'] && shape['p:spPr'][0]['a:xfrm']) {
-        const xfrm = shape['p:spPr'][0]['a:xfrm'][0];
-        if (xfrm['a:off'] && xfrm['a:off'][0]['$']) {
-          x = parseInt(xfrm['a:off'][0]['$']['x']) || 0;
-          y = parseInt(xfrm['a:off'][0]['$']['y']) || 0;
-        }
-        if (xfrm['a:ext'] && xfrm['a:ext'][0]['$']) {
-          width = parseInt(xfrm['a:ext'][0]['$']['cx']) || 0;
-          height = parseInt(xfrm['a:ext'][0]['$']['cy']) || 0;
-        }
+      // Extract position and size from shape properties, falling back to the master placeholder
+      const masterPlaceholder = master ? this.findMasterPlaceholder(master, ph.type, ph.idx) : null;
+      let geometry = this.extractGeometry(shape['p:spPr'] && shape['p:spPr'][0]);
+      if (!geometry && masterPlaceholder && masterPlaceholder.geometry) {
+        geometry = masterPlaceholder.geometry;
+        inherited.push('x', 'y', 'width', 'height');
       }
+      const { x, y, width, height } = geometry || { x: 0, y: 0, width: 0, height: 0 };
+      
+      // Text style cascades master text styles -> master placeholder -> layout placeholder
+      const ownTextStyle = this.extractTextStyle(this.getListStyle(shape));
+      let textStyle = ownTextStyle;
+      if (master) {
+        const inheritedTextStyle = {
+          ...master.textStyles[this.getMasterTextStyleKey(ph.type)],
+          ...(masterPlaceholder ? masterPlaceholder.textStyle : {})
+        };
+        textStyle = { ...inheritedTextStyle, ...ownTextStyle };
+        Object.keys(inheritedTextStyle)
+          .filter(key => ownTextStyle[key] === undefined)
+          .forEach(key => inherited.push(`textStyle.${key}`));
+      }
+      
+      // List bullets per level follow the same cascade, level by level
+      const levelBullets = master
+        ? this.mergeLevelBullets(
+          master.levelBullets[this.getMasterTextStyleKey(ph.type)],
+          masterPlaceholder && masterPlaceholder.levelBullets,
+          this.extractLevelBullets(this.getListStyle(shape))
+        )
+        : this.mergeLevelBullets(this.extractLevelBullets(this.getListStyle(shape)));
+      
+      // Text insets per side: the layout's bodyPr, else the master placeholder's, else the DrawingML defaults
+      const ownInsets = this.extractInsets(shape);
+      const insets = {};
+      Object.keys(DEFAULT_INSETS).forEach(side => {
+        const emu = ownInsets[side] ?? (masterPlaceholder && masterPlaceholder.insets[side]) ?? DEFAULT_INSETS[side];
+        insets[side] = this.convertEMUToPixels(emu);
+      });
       
       // Determine placeholder type
       let type = 'text';
@@ -120,11 +197,16 @@ class OpenXMLParser {
         id: cNvPr.id || `placeholder_${Date.now()}`,
         name: cNvPr.name || `Placeholder ${ph.idx || ''}`,
         type: type,
+        phType: ph.type || null,
         index: ph.idx || 0,
         x: this.convertEMUToPixels(x),
         y: this.convertEMUToPixels(y),
         width: this.convertEMUToPixels(width),
-        height: this.convertEMUToPixels(height)
+        height: this.convertEMUToPixels(height),
+        textStyle,
+        levelBullets,
+        insets,
+        inherited
       };
     } catch (error) {
       console.error('Error extracting placeholder:', error);
@@ -132,17 +214,299 @@ class OpenXMLParser {
     }
   }
   
+  // Returns the a:xfrm offset/extent in EMU, or null when the shape has no transform of its own
+  extractGeometry(spPr) {
+    if (!spPr || !spPr['a:xfrm']) {
+      return null;
+    }
+    
+    const xfrm = spPr['a:xfrm'][0];
+    const geometry = { x: 0, y: 0, width: 0, height: 0 };
+    if (xfrm['a:off'] && xfrm['a:off'][0]['$']) {
+      geometry.x = parseInt(xfrm['a:off'][0]['$']['x']) || 0;
+      geometry.y = parseInt(xfrm['a:off'][0]['$']['y']) || 0;
+    }
+    if (xfrm['a:ext'] && xfrm['a:ext'][0]['$']) {
+      geometry.width = parseInt(xfrm['a:ext'][0]['$']['cx']) || 0;
+      geometry.height = parseInt(xfrm['a:ext'][0]['$']['cy']) || 0;
+    }
+    return geometry;
+  }
+  
+  // Text insets set on the shape's a:bodyPr, in EMU; sides it leaves out are missing
+  extractInsets(shape) {
+    const txBody = shape['p:txBody'] && shape['p:txBody'][0];
+    const bodyPr = txBody && txBody['a:bodyPr'] && txBody['a:bodyPr'][0];
+    const attrs = (bodyPr && bodyPr['$']) || {};
+    const insets = {};
+    Object.entries(INSET_ATTRIBUTES).forEach(([side, attribute]) => {
+      if (attrs[attribute] !== undefined) {
+        insets[side] = parseInt(attrs[attribute]) || 0;
+      }
+    });
+    return insets;
+  }
+  
+  getListStyle(shape) {
+    const txBody = shape['p:txBody'] && shape['p:txBody'][0];
+    return txBody && txBody['a:lstStyle'] && txBody['a:lstStyle'][0];
+  }
+  
+  // Reads the first-level paragraph/run defaults from an a:lstStyle or p:txStyles entry
+  extractTextStyle(listStyle) {
+    const style = {};
+    if (!listStyle || typeof listStyle !== 'object' || !listStyle['a:lvl1pPr']) {
+      return style;
+    }
+    
+    const pPr = listStyle['a:lvl1pPr'][0];
+    if (pPr['$'] && pPr['$'].algn) {
+      style.align = pPr['$'].algn;
+    }
+    
+    // Line spacing as a multiple of single spacing, space before paragraphs in points
+    const lineSpacing = pPr['a:lnSpc'] && pPr['a:lnSpc'][0]['a:spcPct'];
+    if (lineSpacing && lineSpacing[0]['$']) {
+      style.lineSpacing = parseInt(lineSpacing[0]['$'].val) / 100000;
+    }
+    const spaceBefore = pPr['a:spcBef'] && pPr['a:spcBef'][0]['a:spcPts'];
+    if (spaceBefore && spaceBefore[0]['$']) {
+      style.spaceBefore = parseInt(spaceBefore[0]['$'].val) / 100;
+    }
+    
+    const defRPr = pPr['a:defRPr'] && pPr['a:defRPr'][0];
+    if (!defRPr) {
+      return style;
+    }
+    
+    const attrs = defRPr['$'] || {};
+    if (attrs.sz) style.fontSize = parseInt(attrs.sz) / 100;
+    if (attrs.b) style.bold = attrs.b === '1';
+    if (attrs.i) style.italic = attrs.i === '1';
+    
+    const solidFill = defRPr['a:solidFill'] && defRPr['a:solidFill'][0];
+    if (solidFill && solidFill['a:srgbClr']) {
+      style.color = `#${solidFill['a:srgbClr'][0]['$'].val}`;
+    } else if (solidFill && solidFill['a:schemeClr']) {
+      style.color = solidFill['a:schemeClr'][0]['$'].val;
+    }
+    
+    if (defRPr['a:latin'] && defRPr['a:latin'][0]['$']) {
+      style.fontFace = defRPr['a:latin'][0]['$'].typeface;
+    }
+    
+    return style;
+  }
+  
+  // Reads the bullet of each of the nine list levels: { type: 'none' | 'char' | 'number', char }, or undefined for
+  // levels the list style leaves to its parent
+  extractLevelBullets(listStyle) {
+    const bullets = new Array(9).fill(undefined);
+    if (!listStyle || typeof listStyle !== 'object') {
+      return bullets;
+    }
+    
+    return bullets.map((bullet, lvl) => {
+      const pPr = listStyle[`a:lvl${lvl + 1}pPr`] && listStyle[`a:lvl${lvl + 1}pPr`][0];
+      if (!pPr || typeof pPr !== 'object') {
+        return undefined;
+      }
+      if (pPr['a:buNone']) {
+        return { type: 'none' };
+      }
+      if (pPr['a:buAutoNum']) {
+        return { type: 'number', scheme: pPr['a:buAutoNum'][0]['$'] && pPr['a:buAutoNum'][0]['$'].type };
+      }
+      if (pPr['a:buChar']) {
+        return { type: 'char', char: pPr['a:buChar'][0]['$'] && pPr['a:buChar'][0]['$'].char };
+      }
+      if (pPr['a:buBlip']) {
+        return { type: 'char', char: '•' };
+      }
+      return undefined;
+    });
+  }
+  
+  // Later lists override earlier ones level by level; levels nobody sets have no bullet
+  mergeLevelBullets(...lists) {
+    return new Array(9).fill(undefined).map((bullet, lvl) =>
+      lists.reduce((merged, list) => (list && list[lvl]) || merged, undefined) || { type: 'none' }
+    );
+  }
+  
+  getMasterTextStyleKey(phType) {
+    switch (phType) {
+      case 'title':
+      case 'ctrTitle':
+        return 'title';
+      case 'dt':
+      case 'ftr':
+      case 'sldNum':
+      case 'hdr':
+        return 'other';
+      default:
+        return 'body';
+    }
+  }
+  
+  // Layout placeholders inherit from the master placeholder with the same type/idx, else the same type
+  findMasterPlaceholder(master, phType, idx) {
+    const normalizeType = (type) => {
+      switch (type) {
+        case 'ctrTitle':
+          return 'title';
+        case undefined:
+        case null:
+        case 'obj':
+        case 'subTitle':
+          return 'body';
+        default:
+          return type;
+      }
+    };
+    
+    const type = normalizeType(phType);
+    return master.placeholders.find(p => normalizeType(p.phType) === type && idx !== undefined && p.index === idx) ||
+      master.placeholders.find(p => normalizeType(p.phType) === type) ||
+      null;
+  }
+  
+  async getMasterForLayout(layoutFile) {
+    const relsFile = path.join(path.dirname(layoutFile), '_rels', `${path.basename(layoutFile)}.rels`);
+    if (!await fs.exists(relsFile)) {
+      return null;
+    }
+    
+    const rels = await this.parser.parseStringPromise(await fs.readFile(relsFile, 'utf8'));
+    const relationships = (rels['Relationships'] && rels['Relationships']['Relationship']) || [];
+    const masterRel = relationships.find(rel => rel['$'].Type.endsWith('/slideMaster'));
+    if (!masterRel) {
+      return null;
+    }
+    
+    return this.parseSlideMaster(path.resolve(path.dirname(layoutFile), masterRel['$'].Target));
+  }
+  
+  async parseSlideMaster(masterFile) {
+    if (this.masterCache.has(masterFile)) {
+      return this.masterCache.get(masterFile);
+    }
+    
+    const xmlContent = await fs.readFile(masterFile, 'utf8');
+    const result = await this.parser.parseStringPromise(xmlContent);
+    const sldMaster = result['p:sldMaster'];
+    
+    const placeholders = [];
+    const shapeTree = sldMaster['p:cSld'][0]['p:spTree'] && sldMaster['p:cSld'][0]['p:spTree'][0];
+    if (shapeTree && shapeTree['p:sp']) {
+      shapeTree['p:sp'].forEach(shape => {
+        const nvPr = shape['p:nvSpPr'] && shape['p:nvSpPr'][0]['p:nvPr'] && shape['p:nvSpPr'][0]['p:nvPr'][0];
+        if (!nvPr || !nvPr['p:ph']) return;
+        
+        const ph = nvPr['p:ph'][0]['$'] || {};
+        placeholders.push({
+          phType: ph.type || null,
+          index: ph.idx || 0,
+          geometry: this.extractGeometry(shape['p:spPr'] && shape['p:spPr'][0]),
+          textStyle: this.extractTextStyle(this.getListStyle(shape)),
+          levelBullets: this.extractLevelBullets(this.getListStyle(shape)),
+          insets: this.extractInsets(shape)
+        });
+      });
+    }
+    
+    const txStyles = (sldMaster['p:txStyles'] && sldMaster['p:txStyles'][0]) || {};
+    const master = {
+      fileName: path.basename(masterFile),
+      placeholders,
+      textStyles: {
+        title: this.extractTextStyle(txStyles['p:titleStyle'] && txStyles['p:titleStyle'][0]),
+        body: this.extractTextStyle(txStyles['p:bodyStyle'] && txStyles['p:bodyStyle'][0]),
+        other: this.extractTextStyle(txStyles['p:otherStyle'] && txStyles['p:otherStyle'][0])
+      },
+      levelBullets: {
+        title: this.extractLevelBullets(txStyles['p:titleStyle'] && txStyles['p:titleStyle'][0]),
+        body: this.extractLevelBullets(txStyles['p:bodyStyle'] && txStyles['p:bodyStyle'][0]),
+        other: this.extractLevelBullets(txStyles['p:otherStyle'] && txStyles['p:otherStyle'][0])
+      }
+    };
+    
+    this.masterCache.set(masterFile, master);
+    return master;
+  }
+  
   convertEMUToPixels(emu) {
     // Convert EMU (English Metric Units) to pixels
     // 1 inch = 914400 EMUs, assuming 96 DPI
     return Math.round(emu / 9525);
   }
   
+  // Presentation-level model: slide/notes size, embedded fonts and slide masters from presentation.xml
+  async getPresentation() {
+    if (this.presentation) {
+      return this.presentation;
+    }
+    
+    const xmlContent = await fs.readFile(path.join(this.templatePath, 'presentation.xml'), 'utf8');
+    const result = await this.parser.parseStringPromise(xmlContent);
+    const presentation = result['p:presentation'];
+    
+    const relsContent = await fs.readFile(path.join(this.templatePath, '_rels', 'presentation.xml.rels'), 'utf8');
+    const rels = await this.parser.parseStringPromise(relsContent);
+    const targets = {};
+    ((rels['Relationships'] && rels['Relationships']['Relationship']) || []).forEach(rel => {
+      targets[rel['$'].Id] = rel['$'].Target;
+    });
+    
+    const readSize = (element) => {
+      const attrs = (element && element[0]['$']) || {};
+      const cx = parseInt(attrs.cx) || 0;
+      const cy = parseInt(attrs.cy) || 0;
+      return {
+        cx,
+        cy,
+        width: this.convertEMUToPixels(cx),
+        height: this.convertEMUToPixels(cy)
+      };
+    };
+    
+    const embeddedFonts = [];
+    const fontList = presentation['p:embeddedFontLst'] && presentation['p:embeddedFontLst'][0]['p:embeddedFont'];
+    (fontList || []).forEach(font => {
+      const variants = {};
+      ['regular', 'bold', 'italic', 'boldItalic'].forEach(variant => {
+        const ref = font[`p:${variant}`];
+        if (ref && ref[0]['$']) {
+          variants[variant] = targets[ref[0]['$']['r:id']] || null;
+        }
+      });
+      embeddedFonts.push({
+        typeface: font['p:font'][0]['$'].typeface,
+        variants
+      });
+    });
+    
+    const masterList = presentation['p:sldMasterIdLst'] && presentation['p:sldMasterIdLst'][0]['p:sldMasterId'];
+    const masters = (masterList || []).map(master => ({
+      id: master['$'].id,
+      fileName: path.basename(targets[master['$']['r:id']] || '')
+    }));
+    
+    this.presentation = {
+      slideSize: readSize(presentation['p:sldSz']),
+      notesSize: readSize(presentation['p:notesSz']),
+      embeddedFonts,
+      masters
+    };
+    return this.presentation;
+  }
+  
   async getAllLayouts() {
     const layoutsPath = path.join(this.templatePath, 'slideLayouts');
     const layouts = [];
     
     try {
+      const { slideSize } = await this.getPresentation();
       const files = await fs.readdir(layoutsPath);
       const xmlFiles = files.filter(file => file.endsWith('.xml') && !file.includes('.rels'));
       
@@ -151,7 +515,8 @@ class OpenXMLParser {
         const layoutData = await this.parseSlideLayout(layoutPath);
         layouts.push({
           ...layoutData,
-          fileName: file
+          fileName: file,
+          slideSize: { width: slideSize.width, height: slideSize.height }
         });
       }
       
@@ -162,13 +527,63 @@ class OpenXMLParser {
     }
   }
   
+  // Exact match on the layout id; when the part was renumbered, fall back to its creationId/hash
+  matchLayoutId(layouts, layoutId) {
+    if (!layoutId) return undefined;
+
+    const stableKey = this.getStableKey(layoutId);
+    return layouts.find(layout => layout.id === layoutId) ||
+      layouts.find(layout => this.getStableKey(layout.id) === stableKey);
+  }
+
+  // Display names are only an alias: they match exactly (case-insensitive), as do part file names
+  matchLayoutName(layouts, layoutName) {
+    if (!layoutName) return undefined;
+
+    const name = layoutName.toLowerCase();
+    return layouts.find(layout => layout.name.toLowerCase() === name) ||
+      layouts.find(layout => [layout.fileName.toLowerCase(), path.basename(layout.fileName, '.xml').toLowerCase()].includes(name));
+  }
+
+  // The layout a generated slide of this type starts on, picked by role facet; undefined when the template has
+  // none. Among layouts with the role, the plain ones (no colour variant, not wide, no box arrangement) come
+  // first; dividers prefer section dividers, and body and legal slides a text placeholder without a key message.
+  matchLayoutForSlideType(layouts, slideType) {
+    const role = SLIDE_TYPE_ROLES[slideType];
+    const rank = ({ facets, placeholders }) => {
+      let score = (facets.colour ? 1 : 0) + (facets.wide ? 1 : 0) + (facets.arrangement ? 1 : 0);
+      if (role === 'divider' && facets.dividerType !== 'section') score += 4;
+      if (role === 'body') {
+        if (!placeholders.some(placeholder => placeholder.type === 'text')) score += 4;
+        if (facets.keyMessage) score += 1;
+      }
+      return score;
+    };
+
+    return layouts
+      .filter(layout => role && layout.facets?.role === role)
+      .map((layout, index) => ({ layout, index, score: rank(layout) }))
+      .sort((a, b) => a.score - b.score || a.index - b.index)[0]?.layout;
+  }
+
+  // Resolve whatever a route or slide carries: a layout id first, then a name
+  matchLayout(layouts, layoutRef) {
+    return this.matchLayoutId(layouts, layoutRef) || this.matchLayoutName(layouts, layoutRef);
+  }
+
+  async getLayoutById(layoutId) {
+    return this.matchLayoutId(await this.getAllLayouts(), layoutId);
+  }
+
   async getLayoutByName(layoutName) {
-    const layouts = await this.getAllLayouts();
-    return layouts.find(layout => 
-      layout.name.toLowerCase() === layoutName.toLowerCase() ||
-      layout.fileName.toLowerCase().includes(layoutName.toLowerCase())
-    );
+    return this.matchLayoutName(await this.getAllLayouts(), layoutName);
+  }
+
+  async findLayout(layoutRef) {
+    return this.matchLayout(await this.getAllLayouts(), layoutRef);
   }
 }
 
-module.exports = new OpenXMLParser();
\ No newline at end of file
+// Parser for the built-in template; templateStore creates one per uploaded template
+module.exports = new OpenXMLParser();
+module.exports.OpenXMLParser = OpenXMLParser;
\ No newline at end of file
@@ -0,0 +1,59 @@
+const fs = require('fs-extra');
+const path = require('path');
+const xml2js = require('xml2js');
+const openXmlParser = require('./openXmlParser');
+
+// Table regions a style can define, in the order tableStyles.xml lists them
+const STYLE_PARTS = ['wholeTbl', 'band1H', 'band2H', 'band1V', 'band2V', 'firstCol', 'lastCol', 'firstRow', 'lastRow', 'seCell', 'swCell', 'neCell', 'nwCell'];
+
+class TableStyleParser {
+  constructor(templateParser = openXmlParser) {
+    this.templateParser = templateParser;
+    this.parser = new xml2js.Parser();
+    this.tableStyles = null;
+  }
+
+  // { defaultStyleId, styles: [{ id, name, isDefault, parts }] }; empty when the template ships no tableStyles.xml
+  async getTableStyles() {
+    if (this.tableStyles) {
+      return this.tableStyles;
+    }
+
+    const stylesFile = path.join(this.templateParser.templatePath, 'tableStyles.xml');
+    if (!await fs.exists(stylesFile)) {
+      this.tableStyles = { defaultStyleId: null, styles: [] };
+      return this.tableStyles;
+    }
+
+    try {
+      const result = await this.parser.parseStringPromise(await fs.readFile(stylesFile, 'utf8'));
+      const styleList = result['a:tblStyleLst'];
+      const defaultStyleId = (styleList['$'] && styleList['$'].def) || null;
+
+      this.tableStyles = {
+        defaultStyleId,
+        styles: (styleList['a:tblStyle'] || []).map(style => ({
+          id: style['$'].styleId,
+          name: style['$'].styleName,
+          isDefault: style['$'].styleId === defaultStyleId,
+          parts: STYLE_PARTS.filter(part => style[`a:${part}`])
+        }))
+      };
+      return this.tableStyles;
+    } catch (error) {
+      console.error('Error parsing table styles:', error);
+      throw error;
+    }
+  }
+
+  // Match a style by id or (case-insensitive) name, falling back to the template default
+  async resolveStyleId(styleRef) {
+    const { defaultStyleId, styles } = await this.getTableStyles();
+    const ref = styleRef ? String(styleRef).toLowerCase() : null;
+    const style = ref && styles.find(s => s.id.toLowerCase() === ref || (s.name || '').toLowerCase() === ref);
+    return style ? style.id : defaultStyleId;
+  }
+}
+
+module.exports = new TableStyleParser();
+module.exports.TableStyleParser = TableStyleParser;
\ No newline at end of file
@@ -0,0 +1,184 @@
+const fs = require('fs-extra');
+const path = require('path');
+const xml2js = require('xml2js');
+const openXmlParser = require('./openXmlParser');
+
+// Scheme colour aliases used by p:clrMap on the slide master
+const DEFAULT_COLOR_MAP = {
+  bg1: 'lt1',
+  tx1: 'dk1',
+  bg2: 'lt2',
+  tx2: 'dk2'
+};
+
+class ThemeParser {
+  constructor(templateParser = openXmlParser) {
+    this.templateParser = templateParser;
+    // Ordered children are kept so fmtScheme style lists keep the order fillRef/lnRef idx refers to
+    this.parser = new xml2js.Parser({ explicitChildren: true, preserveChildrenOrder: true });
+    this.theme = null;
+  }
+
+  async getTheme() {
+    if (this.theme) {
+      return this.theme;
+    }
+
+    try {
+      const themeFile = await this.getThemeFile();
+      const xmlContent = await fs.readFile(themeFile, 'utf8');
+      const result = await this.parser.parseStringPromise(xmlContent);
+      const theme = result['a:theme'];
+      const elements = theme['a:themeElements'][0];
+
+      this.theme = {
+        name: (theme['$'] && theme['$'].name) || path.basename(themeFile, '.xml'),
+        fileName: path.basename(themeFile),
+        clrScheme: this.extractColorScheme(elements['a:clrScheme'] && elements['a:clrScheme'][0]),
+        fontScheme: this.extractFontScheme(elements['a:fontScheme'] && elements['a:fontScheme'][0]),
+        fmtScheme: this.extractFormatScheme(elements['a:fmtScheme'] && elements['a:fmtScheme'][0]),
+        customColors: this.extractCustomColors(theme['a:custClrLst'] && theme['a:custClrLst'][0])
+      };
+      return this.theme;
+    } catch (error) {
+      console.error('Error parsing theme:', error);
+      throw error;
+    }
+  }
+
+  // The presentation-level theme is the one the slide master (and so every layout) uses
+  async getThemeFile() {
+    const relsFile = path.join(this.templateParser.templatePath, '_rels', 'presentation.xml.rels');
+    const rels = await this.parser.parseStringPromise(await fs.readFile(relsFile, 'utf8'));
+    const relationships = (rels['Relationships'] && rels['Relationships']['Relationship']) || [];
+    const themeRel = relationships.find(rel => rel['$'].Type.endsWith('/theme'));
+    const target = themeRel ? themeRel['$'].Target : 'theme/theme1.xml';
+    return path.join(this.templateParser.templatePath, target);
+  }
+
+  extractColorScheme(clrScheme) {
+    const scheme = { name: null, colors: {} };
+    if (!clrScheme) return scheme;
+
+    scheme.name = clrScheme['$'] && clrScheme['$'].name;
+    (clrScheme['$$'] || []).forEach(slot => {
+      scheme.colors[slot['#name'].replace('a:', '')] = this.extractColor(slot);
+    });
+    return scheme;
+  }
+
+  extractFontScheme(fontScheme) {
+    const readFont = (font) => {
+      const result = {};
+      ['latin', 'ea', 'cs'].forEach(script => {
+        const element = font && font[`a:${script}`];
+        result[script] = (element && element[0]['$'] && element[0]['$'].typeface) || '';
+      });
+      return result;
+    };
+
+    return {
+      name: (fontScheme && fontScheme['$'] && fontScheme['$'].name) || null,
+      majorFont: readFont(fontScheme && fontScheme['a:majorFont'] && fontScheme['a:majorFont'][0]),
+      minorFont: readFont(fontScheme && fontScheme['a:minorFont'] && fontScheme['a:minorFont'][0])
+    };
+  }
+
+  extractFormatScheme(fmtScheme) {
+    if (!fmtScheme) {
+      return { name: null, fillStyles: [], lineStyles: [], effectStyles: [], backgroundFillStyles: [] };
+    }
+
+    const list = (key) => (fmtScheme[key] && fmtScheme[key][0]) || {};
+
+    const lineStyles = (list('a:lnStyleLst')['a:ln'] || []).map(line => ({
+      width: parseInt(line['$'] && line['$'].w) || 0,
+      fill: this.extractFill(line)
+    }));
+
+    const effectStyles = (list('a:effectStyleLst')['a:effectStyle'] || []).map(effectStyle => {
+      const effectList = (effectStyle['a:effectLst'] && effectStyle['a:effectLst'][0]) || {};
+      return { effects: (effectList['$$'] || []).map(effect => effect['#name'].replace('a:', '')) };
+    });
+
+    return {
+      name: (fmtScheme['$'] && fmtScheme['$'].name) || null,
+      fillStyles: this.extractFillList(list('a:fillStyleLst')),
+      lineStyles,
+      effectStyles,
+      backgroundFillStyles: this.extractFillList(list('a:bgFillStyleLst'))
+    };
+  }
+
+  extractFillList(styleList) {
+    return (styleList['$$'] || []).map(fill => this.describeFill(fill['#name'], fill));
+  }
+
+  extractFill(element) {
+    for (const key of ['a:noFill', 'a:solidFill', 'a:gradFill']) {
+      if (element[key]) {
+        return this.describeFill(key, element[key][0]);
+      }
+    }
+    return null;
+  }
+
+  describeFill(key, fill) {
+    switch (key) {
+      case 'a:noFill':
+        return { type: 'none' };
+      case 'a:solidFill':
+        return { type: 'solid', color: this.extractColor(fill) };
+      case 'a:gradFill': {
+        const stops = ((fill['a:gsLst'] && fill['a:gsLst'][0]['a:gs']) || []).map(stop => ({
+          position: parseInt(stop['$'].pos) / 1000,
+          color: this.extractColor(stop)
+        }));
+        const linear = fill['a:lin'] && fill['a:lin'][0]['$'];
+        return { type: 'gradient', angle: linear ? parseInt(linear.ang) / 60000 : 0, stops };
+      }
+      default:
+        return { type: key.replace('a:', '') };
+    }
+  }
+
+  // Colours come back as '#RRGGBB' for literal colours or the scheme slot name (e.g. 'accent1', 'phClr')
+  extractColor(element) {
+    if (!element || typeof element !== 'object') return null;
+    if (element['a:srgbClr']) return `#${element['a:srgbClr'][0]['$'].val}`;
+    if (element['a:sysClr']) return `#${element['a:sysClr'][0]['$'].lastClr || '000000'}`;
+    if (element['a:schemeClr']) return element['a:schemeClr'][0]['$'].val;
+    return null;
+  }
+
+  extractCustomColors(custClrLst) {
+    if (!custClrLst || !custClrLst['a:custClr']) return [];
+    return custClrLst['a:custClr'].map(custom => ({
+      name: custom['$'] && custom['$'].name,
+      color: this.extractColor(custom)
+    }));
+  }
+
+  // Resolve a colour reference ('#RRGGBB', 'accent1', 'tx1', ...) to a hex value
+  resolveColor(theme, color, fallback = null) {
+    if (!color) return fallback;
+    if (color.startsWith('#')) return color;
+
+    const slot = DEFAULT_COLOR_MAP[color] || color;
+    const resolved = theme && theme.clrScheme.colors[slot];
+    return resolved && resolved.startsWith('#') ? resolved : fallback;
+  }
+
+  // Resolve theme font references ('+mj-lt', '+mn-lt') to a typeface name
+  resolveFont(theme, typeface, fallback = null) {
+    if (!typeface) return fallback;
+    if (!typeface.startsWith('+')) return typeface;
+    if (!theme) return fallback;
+
+    const font = typeface.startsWith('+mj') ? theme.fontScheme.majorFont : theme.fontScheme.minorFont;
+    return font.latin || fallback;
+  }
+}
+
+module.exports = new ThemeParser();
+module.exports.ThemeParser = ThemeParser;
\ No newline at end of file
@@ -0,0 +1,155 @@
+const express = require('express');
+const router = express.Router();
+const assetStore = require('../services/assetStore');
+
+// GET /api/assets - List images (?organizationId=, ?q= searches names and tags, ?tag= comma-separated, all must match)
+router.get('/', async (req, res) => {
+  try {
+    const { organizationId, q, tag } = req.query;
+    const assets = await assetStore.getAssets({ organizationId, q, tag });
+    res.json({
+      success: true,
+      assets
+    });
+  } catch (error) {
+    console.error('Error fetching assets:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to fetch assets',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/assets - Upload a PNG/JPEG/GIF as the raw request body
+// Query: name, tags (comma-separated), organizationId, fileName
+router.post('/', express.raw({ type: () => true, limit: '20mb' }), async (req, res) => {
+  try {
+    const { name, tags, organizationId, fileName } = req.query;
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing image file in request body'
+      });
+    }
+
+    const asset = await assetStore.createAsset(req.body, { name, tags, organizationId, fileName });
+    res.json({
+      success: true,
+      asset
+    });
+  } catch (error) {
+    console.error('Error uploading asset:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to upload asset',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/assets/:assetId - Get asset details
+router.get('/:assetId', async (req, res) => {
+  try {
+    const asset = await assetStore.getAsset(req.params.assetId);
+
+    if (!asset) {
+      return res.status(404).json({
+        success: false,
+        error: 'Asset not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      asset
+    });
+  } catch (error) {
+    console.error('Error fetching asset:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch asset',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/assets/:assetId/file - Serve the image itself
+router.get('/:assetId/file', async (req, res) => {
+  try {
+    const asset = await assetStore.getAsset(req.params.assetId);
+
+    if (!asset) {
+      return res.status(404).json({
+        success: false,
+        error: 'Asset not found'
+      });
+    }
+
+    res.setHeader('Content-Type', asset.contentType);
+    res.setHeader('Cache-Control', 'public, max-age=86400');
+    res.sendFile(assetStore.getAssetPath(asset));
+  } catch (error) {
+    console.error('Error serving asset:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to serve asset',
+      message: error.message
+    });
+  }
+});
+
+// PATCH /api/assets/:assetId - Rename or retag an asset
+router.patch('/:assetId', async (req, res) => {
+  try {
+    const { name, tags } = req.body || {};
+    const asset = await assetStore.updateAsset(req.params.assetId, { name, tags });
+
+    if (!asset) {
+      return res.status(404).json({
+        success: false,
+        error: 'Asset not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      asset
+    });
+  } catch (error) {
+    console.error('Error updating asset:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to update asset',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/assets/:assetId - Delete an asset (slides using it export without the image)
+router.delete('/:assetId', async (req, res) => {
+  try {
+    const deleted = await assetStore.deleteAsset(req.params.assetId);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Asset not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Asset deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting asset:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete asset',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
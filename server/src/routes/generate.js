@@ -2,171 +2,230 @@ const express = require('express');
 const router = express.Router();
 const path = require('path');
 const fs = require('fs-extra');
+const llm = require('../services/llm');
+const generationJobs = require('../services/generationJobs');
+const pitchbookStore = require('../services/pitchbookStore');
+const promptResolver = require('../services/promptResolver');
+const sourceStore = require('../services/sourceStore');
+const dataPath = require('../utils/dataPath');
 
-const dataPath = path.join(__dirname, '../data');
-
-// Mock data generator for Gemini 2.5 Flash format
-const generateMockResponse = (prompt) => {
-  const mockResponses = {
-    title: [
-      'Strategic Investment Review Q4 2024',
-      'Annual Portfolio Performance Analysis',
-      'Market Opportunities Assessment 2024',
-      'Digital Transformation Initiative',
-      'Growth Strategy Presentation'
-    ],
-    subtitle: [
-      'Comprehensive Analysis and Recommendations',
-      'Executive Summary and Key Insights',
-      'Strategic Planning and Execution',
-      'Innovation and Market Leadership',
-      'Building Tomorrow\'s Success Today'
-    ],
-    body: [
-      'This comprehensive analysis provides detailed insights into market trends, competitive positioning, and strategic opportunities. Our research indicates significant growth potential in emerging markets, with particular emphasis on digital transformation initiatives.',
-      'Key performance indicators show strong momentum across all business units. Revenue growth exceeded projections by 15%, while operational efficiency improvements delivered 20% cost reduction. Market share expanded in core segments.',
-      'Strategic recommendations focus on three pillars: digital innovation, market expansion, and operational excellence. Implementation timeline spans 18 months with clear milestones and success metrics defined for each phase.',
-      'Risk assessment identifies potential challenges including market volatility, regulatory changes, and competitive pressures. Mitigation strategies have been developed for each identified risk factor.',
-      'Financial projections indicate strong returns on investment with breakeven expected within 24 months. Long-term value creation aligns with corporate strategic objectives and stakeholder expectations.'
-    ],
-    company: [
-      'Global Tech Solutions Inc. is a leading provider of enterprise software solutions with over 10,000 clients worldwide. Founded in 2010, the company has grown to $5B in annual revenue with operations in 50 countries.',
-      'Innovation Partners LLC specializes in digital transformation consulting for Fortune 500 companies. With a team of 500+ experts, they deliver cutting-edge solutions in AI, cloud computing, and data analytics.',
-      'Strategic Ventures Group manages a diversified portfolio of investments across technology, healthcare, and renewable energy sectors. Total assets under management exceed $10 billion.',
-      'Market Leaders Corporation has established itself as the premier provider of financial services technology. Their platform processes over $1 trillion in transactions annually.',
-      'Future Growth Enterprises focuses on identifying and developing high-potential startups in emerging markets. Their portfolio includes 200+ companies across 15 countries.'
-    ]
-  };
-  
-  // Determine response type based on prompt keywords
-  let responseType = 'body';
-  const lowerPrompt = prompt.toLowerCase();
-  
-  if (lowerPrompt.includes('title')) {
-    responseType = 'title';
-  } else if (lowerPrompt.includes('subtitle')) {
-    responseType = 'subtitle';
-  } else if (lowerPrompt.includes('company') || lowerPrompt.includes('profile')) {
-    responseType = 'company';
+const SSE_HEARTBEAT_MS = 15000;
+
+// GET /api/generate/provider - Which LLM provider and model generation uses
+router.get('/provider', (req, res) => {
+  try {
+    res.json({ success: true, ...llm.describe() });
+  } catch (error) {
+    console.error('Error reading LLM provider:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to read LLM provider',
+      message: error.message
+    });
   }
-  
-  const responses = mockResponses[responseType];
-  const selectedResponse = responses[Math.floor(Math.random() * responses.length)];
-  
-  // If prompt specifies word count, adjust response
-  const wordMatch = prompt.match(/(\d+)\s*word/i);
-  if (wordMatch) {
-    const targetWords = parseInt(wordMatch[1]);
-    const words = selectedResponse.split(' ');
-    if (words.length > targetWords) {
-      return words.slice(0, targetWords).join(' ') + '.';
+});
+
+// POST /api/generate/text - Generate text for one prompt
+// Body: { prompt, system?, temperature?, maxOutputTokens?, target?: { pitchbookId, slideNumber, placeholderId } }
+// With a target, the prompt is that placeholder's and gets the pitchbook, section and slide prompts above it, plus
+// passages from the pitchbook's source documents (listed in the response's sources)
+router.post('/text', async (req, res) => {
+  try {
+    const { target, ...request } = req.body || {};
+    let sources;
+    if (target) {
+      ({ prompt: request.prompt, sources } = await resolveTargetPrompt(target, request.prompt));
     }
+
+    const result = await llm.generate(request);
+    res.json({ success: true, ...result, ...(sources ? { sources } : {}) });
+  } catch (error) {
+    console.error('Error generating text:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to generate text',
+      message: error.message
+    });
   }
-  
-  return selectedResponse;
-};
+});
 
-// POST /api/generate/:id - Generate content for pitchbook (stubbed)
-router.post('/:id', async (req, res) => {
+// POST /api/generate/chat - Next answer in a conversation; the client sends the whole history each time
+// Body: { messages: [{ role: 'user' | 'model', text }], system?, temperature?, maxOutputTokens? }
+router.post('/chat', async (req, res) => {
   try {
-    const { id } = req.params;
-    const pitchbookFile = path.join(dataPath, `pitchbook_${id}.json`);
-    
-    if (!await fs.exists(pitchbookFile)) {
+    const result = await llm.chat(req.body || {});
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error generating chat reply:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to generate chat reply',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/generate/jobs/:jobId - A generation job and the progress of each placeholder
+router.get('/jobs/:jobId', async (req, res) => {
+  try {
+    const job = await generationJobs.get(req.params.jobId);
+    if (!job) {
       return res.status(404).json({
         success: false,
-        error: 'Pitchbook not found'
+        error: 'Generation job not found'
       });
     }
-    
-    const pitchbook = await fs.readJson(pitchbookFile);
-    
-    // Simulate processing delay
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    
-    // Generate content for each prompt
-    const generatedContent = {};
-    
-    if (pitchbook.prompts) {
-      for (const slideId in pitchbook.prompts) {
-        const slidePrompts = pitchbook.prompts[slideId];
-        generatedContent[slideId] = {};
-        
-        for (const placeholderId in slidePrompts) {
-          const prompt = slidePrompts[placeholderId];
-          
-          // Generate mock response in Gemini 2.5 Flash format
-          const mockText = generateMockResponse(prompt);
-          
-          generatedContent[slideId][placeholderId] = {
-            prompt: prompt,
-            response: {
-              candidates: [
-                {
-                  content: {
-                    parts: [
-                      {
-                        text: mockText
-                      }
-                    ],
-                    role: 'model'
-                  },
-                  finishReason: 'STOP',
-                  index: 0,
-                  safetyRatings: [
-                    {
-                      category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT',
-                      probability: 'NEGLIGIBLE'
-                    },
-                    {
-                      category: 'HARM_CATEGORY_HATE_SPEECH',
-                      probability: 'NEGLIGIBLE'
-                    },
-                    {
-                      category: 'HARM_CATEGORY_HARASSMENT',
-                      probability: 'NEGLIGIBLE'
-                    },
-                    {
-                      category: 'HARM_CATEGORY_DANGEROUS_CONTENT',
-                      probability: 'NEGLIGIBLE'
-                    }
-                  ]
-                }
-              ],
-              promptMetadata: {
-                promptTokenCount: prompt.split(' ').length,
-                candidatesTokenCount: mockText.split(' ').length,
-                totalTokenCount: prompt.split(' ').length + mockText.split(' ').length
-              }
-            }
-          };
-        }
+
+    res.json({ success: true, job: generationJobs.summarize(job) });
+  } catch (error) {
+    console.error('Error fetching generation job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch generation job',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/generate/jobs/:jobId/events - Server-Sent Events: a 'snapshot' of the job, then 'task' events as
+// placeholders start and finish and 'status' events as the job changes state. The stream ends when the job stops.
+router.get('/jobs/:jobId/events', async (req, res) => {
+  try {
+    const job = await generationJobs.get(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Generation job not found'
+      });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    const send = (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    send('snapshot', { job: generationJobs.summarize(job) });
+    if (!generationJobs.isActive(job)) {
+      return res.end();
+    }
+
+    // Comments keep proxies from closing a quiet stream
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_MS);
+    const unsubscribe = generationJobs.subscribe(job.id, event => {
+      send(event.type, event);
+      if (event.type === 'status' && !generationJobs.isActive(job)) {
+        stop();
+        res.end();
       }
+    });
+    const stop = () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    };
+    req.on('close', stop);
+  } catch (error) {
+    console.error('Error streaming generation job:', error);
+    if (res.headersSent) {
+      return res.end();
     }
-    
-    // Update pitchbook with generated content
-    pitchbook.generatedContent = generatedContent;
-    pitchbook.generatedAt = new Date().toISOString();
-    pitchbook.status = 'generated';
-    
-    await fs.writeJson(pitchbookFile, pitchbook, { spaces: 2 });
-    
-    res.json({
-      success: true,
-      message: 'Content generated successfully',
-      generatedContent,
-      pitchbookId: id
+    res.status(500).json({
+      success: false,
+      error: 'Failed to stream generation job',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/generate/jobs/:jobId/cancel - Stop a job; placeholders already sent to the provider still finish
+router.post('/jobs/:jobId/cancel', async (req, res) => {
+  try {
+    const job = await generationJobs.cancel(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Generation job not found'
+      });
+    }
+
+    res.json({ success: true, job: generationJobs.summarize(job) });
+  } catch (error) {
+    console.error('Error cancelling generation job:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to cancel generation job',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/generate/jobs/:jobId/resume - Run a stopped job's unfinished and failed placeholders again
+router.post('/jobs/:jobId/resume', async (req, res) => {
+  try {
+    const job = await generationJobs.resume(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Generation job not found'
+      });
+    }
+
+    res.json({ success: true, job: generationJobs.summarize(job) });
+  } catch (error) {
+    console.error('Error resuming generation job:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to resume generation job',
+      message: error.message,
+      jobId: error.jobId
     });
+  }
+});
+
+// GET /api/generate/:id/jobs - A pitchbook's generation jobs, newest first
+router.get('/:id/jobs', async (req, res) => {
+  try {
+    const jobs = await generationJobs.list(req.params.id);
+    res.json({ success: true, jobs: jobs.map(job => generationJobs.summarize(job)) });
   } catch (error) {
-    console.error('Error generating content:', error);
+    console.error('Error listing generation jobs:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to generate content',
+      error: 'Failed to list generation jobs',
       message: error.message
     });
   }
 });
 
+// POST /api/generate/:id - Start a generation job for the pitchbook; answers 202 with the job straight away
+// Body: { tasks?: [{ slideKey, placeholderKey, prompt, original?, kind?: 'text' | 'chart' | 'table' }], system?,
+//         regenerate?, review?: { audience } }. Without tasks, the pitchbook's stored prompts are generated.
+// Prompt variables the prompts use but the pitchbook does not define answer 400 with missingVariables.
+router.post('/:id', async (req, res) => {
+  try {
+    const job = await generationJobs.create(req.params.id, req.body || {});
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pitchbook not found'
+      });
+    }
+
+    res.status(202).json({ success: true, job: generationJobs.summarize(job) });
+  } catch (error) {
+    console.error('Error starting generation job:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to start generation job',
+      message: error.message,
+      jobId: error.jobId,
+      missingVariables: error.missingVariables
+    });
+  }
+});
+
 // GET /api/generate/:id/status - Check generation status
 router.get('/:id/status', async (req, res) => {
   try {
@@ -181,12 +240,14 @@ router.get('/:id/status', async (req, res) => {
     }
     
     const pitchbook = await fs.readJson(pitchbookFile);
+    const [latestJob] = await generationJobs.list(id);
     
     res.json({
       success: true,
       status: pitchbook.status || 'pending',
       generatedAt: pitchbook.generatedAt || null,
-      hasContent: !!pitchbook.generatedContent
+      hasContent: !!pitchbook.generatedContent,
+      latestJob: latestJob ? generationJobs.summarize(latestJob) : null
     });
   } catch (error) {
     console.error('Error checking generation status:', error);
@@ -198,4 +259,30 @@ router.get('/:id/status', async (req, res) => {
   }
 });
 
+// A placeholder's prompt with the prompts of the scopes above it and passages from the pitchbook's source
+// documents: { prompt, sources }. The stored placeholder prompt is the search query when there is one, since
+// prompt may be a draft request wrapped in formatting instructions.
+async function resolveTargetPrompt({ pitchbookId, slideNumber, placeholderId } = {}, prompt) {
+  const pitchbook = pitchbookId ? await pitchbookStore.read(String(pitchbookId)) : null;
+  if (!pitchbook) {
+    throw Object.assign(new Error('Pitchbook not found'), { statusCode: 404 });
+  }
+
+  const resolved = promptResolver.resolve(pitchbook, parseInt(slideNumber), placeholderId, prompt);
+  if (!resolved) {
+    throw Object.assign(new Error(`Slide ${slideNumber} not found`), { statusCode: 404 });
+  }
+  if (resolved.missingVariables.length > 0) {
+    const names = resolved.missingVariables.map(name => `{{${name}}}`).join(', ');
+    throw Object.assign(new Error(`Define these prompt variables first: ${names}`), { statusCode: 400 });
+  }
+  if (typeof prompt !== 'string') {
+    return { prompt, sources: [] };
+  }
+
+  const original = pitchbook.prompts?.[resolved.slideKey]?.[resolved.placeholderKey] || prompt;
+  const grounded = await sourceStore.ground(pitchbook, parseInt(slideNumber), original, resolved.prompt);
+  return { prompt: grounded.prompt, sources: grounded.passages.map(({ text, ...passage }) => passage) };
+}
+
 module.exports = router;
\ No newline at end of file
@@ -1,21 +1,39 @@
 const express = require('express');
 const router = express.Router();
-const openXmlParser = require('../parsers/openXmlParser');
+const templateStore = require('../services/templateStore');
 const thumbnailGenerator = require('../services/thumbnailGenerator');
+const layoutFacetParser = require('../parsers/layoutFacetParser');
+const textFit = require('../services/textFit');
 
-// GET /api/layouts - Get all available slide layouts
+// GET /api/layouts - Get all available slide layouts (?templateId= selects the template)
+// Facet filters: ?role=&dividerType=&arrangement=&keyMessage=&wide=&colour=
 router.get('/', async (req, res) => {
   try {
-    const layouts = await openXmlParser.getAllLayouts();
+    const templateServices = await templateStore.resolve(req.query.templateId);
+    
+    if (!templateServices) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template not found'
+      });
+    }
+    
+    const { parser, themeParser } = templateServices;
+    const layouts = await textFit.addCapacity(
+      (await parser.getAllLayouts()).filter(layout => layoutFacetParser.matches(layout.facets, req.query)),
+      templateServices
+    );
+    const theme = await themeParser.getTheme();
     
     // Add thumbnail data to each layout
     const layoutsWithThumbnails = layouts.map(layout => ({
       ...layout,
-      thumbnail: thumbnailGenerator.generateBase64Thumbnail(layout)
+      thumbnail: thumbnailGenerator.generateBase64Thumbnail(layout, theme)
     }));
     
     res.json({
       success: true,
+      templateId: templateServices.template.id,
       layouts: layoutsWithThumbnails
     });
   } catch (error) {
@@ -28,24 +46,37 @@ router.get('/', async (req, res) => {
   }
 });
 
-// GET /api/layouts/:name - Get specific layout details
+// GET /api/layouts/:name - Get specific layout details (:name is a layout id or name)
 router.get('/:name', async (req, res) => {
   try {
+    const templateServices = await templateStore.resolve(req.query.templateId);
+    
+    if (!templateServices) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template not found'
+      });
+    }
+    
+    const { parser, themeParser } = templateServices;
     const { name } = req.params;
-    const layout = await openXmlParser.getLayoutByName(name);
+    const found = await parser.findLayout(name);
     
-    if (!layout) {
+    if (!found) {
       return res.status(404).json({
         success: false,
         error: 'Layout not found'
       });
     }
     
+    const [layout] = await textFit.addCapacity([found], templateServices);
+    const theme = await themeParser.getTheme();
+    
     // Add thumbnail and preview
     const layoutWithDetails = {
       ...layout,
-      thumbnail: thumbnailGenerator.generateBase64Thumbnail(layout),
-      preview: thumbnailGenerator.generateHTMLPreview(layout)
+      thumbnail: thumbnailGenerator.generateBase64Thumbnail(layout, theme),
+      preview: thumbnailGenerator.generateHTMLPreview(layout, theme)
     };
     
     res.json({
@@ -4,8 +4,21 @@ const { v4: uuidv4 } = require('uuid');
 const path = require('path');
 const fs = require('fs-extra');
 const templatePromptsService = require('../services/templatePromptsService');
-
-const dataPath = path.join(__dirname, '../data');
+const pptxExporter = require('../services/pptxExporter');
+const pptxImporter = require('../services/pptxImporter');
+const roundTrip = require('../services/roundTrip');
+const templateStore = require('../services/templateStore');
+const chartData = require('../services/chartData');
+const tableData = require('../services/tableData');
+const assetStore = require('../services/assetStore');
+const footerFields = require('../services/footerFields');
+const pitchbookStore = require('../services/pitchbookStore');
+const promptResolver = require('../services/promptResolver');
+const promptVariables = require('../services/promptVariables');
+const presetStore = require('../services/presetStore');
+const sourceStore = require('../services/sourceStore');
+const contents = require('../services/contents');
+const dataPath = require('../utils/dataPath');
 
 // Ensure data directory exists
 fs.ensureDirSync(dataPath);
@@ -13,14 +26,7 @@ fs.ensureDirSync(dataPath);
 // GET /api/pitchbooks - Get all pitchbooks
 router.get('/', async (req, res) => {
   try {
-    const pitchbooksFile = path.join(dataPath, 'pitchbooks.json');
-    
-    if (!await fs.exists(pitchbooksFile)) {
-      await fs.writeJson(pitchbooksFile, []);
-      return res.json({ success: true, pitchbooks: [] });
-    }
-    
-    const pitchbooks = await fs.readJson(pitchbooksFile);
+    const pitchbooks = await pitchbookStore.list();
     res.json({ success: true, pitchbooks });
   } catch (error) {
     console.error('Error fetching pitchbooks:', error);
@@ -35,36 +41,41 @@ router.get('/', async (req, res) => {
 // POST /api/pitchbooks - Create new pitchbook
 router.post('/', async (req, res) => {
   try {
-    const { title, type, sections, inheritTemplatePrompts = true } = req.body;
+    const { title, type, sections, templateId, presetId, inheritTemplatePrompts = true } = req.body;
     
-    if (!title || !sections || !Array.isArray(sections)) {
+    if (!title || !sections || !Array.isArray(sections) || !presetId) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields: title and sections'
+        error: 'Missing required fields: title, sections and presetId'
       });
     }
     
-    const slides = generateSlideStructure(sections);
-    let prompts = {};
+    const template = await templateStore.getTemplate(templateId);
+    if (!template) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unknown template'
+      });
+    }
     
-    // Inherit default prompts from templates if requested
-    if (inheritTemplatePrompts) {
-      const layoutNames = [...new Set(slides.map(slide => slide.layoutName))];
-      const templatePrompts = await templatePromptsService.getPromptsForLayouts(layoutNames);
-      
-      // Map template prompts to slide prompts
-      slides.forEach(slide => {
-        const slideId = `slide_${slide.slideNumber}`;
-        if (templatePrompts[slide.layoutName]) {
-          prompts[slideId] = { ...templatePrompts[slide.layoutName] };
-        }
+    const preset = await presetStore.getPreset(presetId);
+    if (!preset) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unknown preset'
       });
     }
     
+    const slides = await assignLayoutIds(generateSlideStructure(sections), templateStore.getParser(template));
+    const prompts = inheritTemplatePrompts ? await getTemplatePrompts(slides) : {};
+    
     const pitchbook = {
       id: uuidv4(),
       title,
       type: type || 'standard',
+      templateId: template.id,
+      presetId: preset.id,
+      presetVersion: preset.version,
       sections,
       slides,
       prompts,
@@ -72,26 +83,81 @@ router.post('/', async (req, res) => {
       updated: new Date().toISOString()
     };
     
-    const pitchbooksFile = path.join(dataPath, 'pitchbooks.json');
-    let pitchbooks = [];
-    
-    if (await fs.exists(pitchbooksFile)) {
-      pitchbooks = await fs.readJson(pitchbooksFile);
-    }
-    
-    pitchbooks.push(pitchbook);
-    await fs.writeJson(pitchbooksFile, pitchbooks, { spaces: 2 });
+    await pitchbookStore.create(pitchbook);
     
-    // Also save individual pitchbook file
-    const individualFile = path.join(dataPath, `pitchbook_${pitchbook.id}.json`);
-    await fs.writeJson(individualFile, pitchbook, { spaces: 2 });
-    
-    res.json({ success: true, pitchbook });
+    res.json({ success: true, pitchbook: withContents(pitchbook) });
   } catch (error) {
     console.error('Error creating pitchbook:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      error: 'Failed to create pitchbook',
+      error: error.statusCode ? error.message : 'Failed to create pitchbook',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/pitchbooks/import - Import a .pptx built on a template as the raw request body
+// Query: presetId (required), title, templateId, fileName, inheritTemplatePrompts ('false' to skip)
+router.post('/import', express.raw({ type: () => true, limit: '100mb' }), async (req, res) => {
+  try {
+    const { title, templateId, presetId, fileName, inheritTemplatePrompts } = req.query;
+
+    if (!presetId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required field: presetId'
+      });
+    }
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing .pptx file in request body'
+      });
+    }
+
+    const template = await templateStore.getTemplate(templateId);
+    if (!template) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unknown template'
+      });
+    }
+
+    const preset = await presetStore.getPreset(presetId);
+    if (!preset) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unknown preset'
+      });
+    }
+
+    const { slides, sections, generatedContent, warnings } = await pptxImporter.importDeck(req.body, templateStore.getParser(template));
+
+    const pitchbook = {
+      id: uuidv4(),
+      title: title || (fileName ? path.parse(fileName).name : 'Imported deck'),
+      type: 'standard',
+      templateId: template.id,
+      presetId: preset.id,
+      presetVersion: preset.version,
+      sections,
+      slides,
+      prompts: inheritTemplatePrompts === 'false' ? {} : await getTemplatePrompts(slides),
+      generatedContent,
+      importedFrom: fileName || null,
+      created: new Date().toISOString(),
+      updated: new Date().toISOString()
+    };
+
+    await pitchbookStore.create(pitchbook);
+
+    res.json({ success: true, pitchbook: withContents(pitchbook), warnings });
+  } catch (error) {
+    console.error('Error importing pitchbook:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to import pitchbook',
       message: error.message
     });
   }
@@ -111,7 +177,7 @@ router.get('/:id', async (req, res) => {
     }
     
     const pitchbook = await fs.readJson(pitchbookFile);
-    res.json({ success: true, pitchbook });
+    res.json({ success: true, pitchbook: withContents(pitchbook) });
   } catch (error) {
     console.error('Error fetching pitchbook:', error);
     res.status(500).json({
@@ -122,12 +188,11 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// PUT /api/pitchbooks/:id - Update pitchbook (mainly for prompts)
-router.put('/:id', async (req, res) => {
+// GET /api/pitchbooks/:id/export.pptx - Export pitchbook as a PowerPoint deck
+// Query: contentsLinks=true makes the Contents slide's entries link to the section dividers
+router.get('/:id/export.pptx', async (req, res) => {
   try {
     const { id } = req.params;
-    const updates = req.body;
-    
     const pitchbookFile = path.join(dataPath, `pitchbook_${id}.json`);
     
     if (!await fs.exists(pitchbookFile)) {
@@ -137,30 +202,138 @@ router.put('/:id', async (req, res) => {
       });
     }
     
-    let pitchbook = await fs.readJson(pitchbookFile);
+    const pitchbook = await fs.readJson(pitchbookFile);
+    const template = await templateStore.getTemplate(pitchbook.templateId);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template not found'
+      });
+    }
     
-    // Update pitchbook with new data
-    pitchbook = {
-      ...pitchbook,
-      ...updates,
-      updated: new Date().toISOString()
-    };
+    const buffer = await pptxExporter.exportPitchbook(pitchbook, templateStore.getParser(template), templateStore.getTableStyleParser(template), {
+      contentsLinks: req.query.contentsLinks === 'true'
+    });
+    const fileName = (pitchbook.title || 'pitchbook').replace(/[^a-zA-Z0-9-_ ]/g, '').trim() || 'pitchbook';
+    
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.presentationml.presentation');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.pptx"`);
+    res.send(buffer);
+  } catch (error) {
+    console.error('Error exporting pitchbook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export pitchbook',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/pitchbooks/:id/roundtrip - Compare an edited copy of the exported deck (raw request body) with the pitchbook
+router.post('/:id/roundtrip', express.raw({ type: () => true, limit: '100mb' }), async (req, res) => {
+  try {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing .pptx file in request body'
+      });
+    }
+
+    const pitchbookFile = path.join(dataPath, `pitchbook_${req.params.id}.json`);
+    if (!await fs.exists(pitchbookFile)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pitchbook not found'
+      });
+    }
+
+    const pitchbook = await fs.readJson(pitchbookFile);
+    const template = await templateStore.getTemplate(pitchbook.templateId);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template not found'
+      });
+    }
+
+    const diff = await roundTrip.diffDeck(req.body, pitchbook, templateStore.getParser(template));
+    res.json({ success: true, ...diff });
+  } catch (error) {
+    console.error('Error comparing deck:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to compare deck',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/pitchbooks/:id/roundtrip/apply - Write accepted PowerPoint edits back into the generated content
+// Body: { slides: [{ slideNumber, changes: [{ placeholderId, before, after }] }] } as returned by the comparison
+router.post('/:id/roundtrip/apply', async (req, res) => {
+  try {
+    const { slides } = req.body || {};
+    if (!Array.isArray(slides)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing accepted slides'
+      });
+    }
+
+    const pitchbookFile = path.join(dataPath, `pitchbook_${req.params.id}.json`);
+    if (!await fs.exists(pitchbookFile)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pitchbook not found'
+      });
+    }
+
+    const template = await templateStore.getTemplate((await fs.readJson(pitchbookFile)).templateId);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template not found'
+      });
+    }
+
+    const parser = templateStore.getParser(template);
+    const layouts = await parser.getAllLayouts();
+    let applied = 0;
+    const pitchbook = await pitchbookStore.update(req.params.id, stored => {
+      applied = roundTrip.applyChanges(stored, slides, layouts, parser);
+    });
+
+    res.json({ success: true, pitchbook: withContents(pitchbook), applied });
+  } catch (error) {
+    console.error('Error applying deck edits:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to apply deck edits',
+      message: error.message,
+      ...(error.conflicts && { conflicts: error.conflicts })
+    });
+  }
+});
+
+// PUT /api/pitchbooks/:id - Update pitchbook (mainly for prompts)
+router.put('/:id', async (req, res) => {
+  try {
+    // contentsEntries comes with every pitchbook this router answers with, but is never stored
+    const { contentsEntries, ...updates } = req.body || {};
     
-    // Save individual file
-    await fs.writeJson(pitchbookFile, pitchbook, { spaces: 2 });
+    // Update pitchbook with new data
+    const pitchbook = await pitchbookStore.update(req.params.id, stored => {
+      Object.assign(stored, updates);
+    });
     
-    // Update main pitchbooks file
-    const pitchbooksFile = path.join(dataPath, 'pitchbooks.json');
-    if (await fs.exists(pitchbooksFile)) {
-      let pitchbooks = await fs.readJson(pitchbooksFile);
-      const index = pitchbooks.findIndex(p => p.id === id);
-      if (index !== -1) {
-        pitchbooks[index] = pitchbook;
-        await fs.writeJson(pitchbooksFile, pitchbooks, { spaces: 2 });
-      }
+    if (!pitchbook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pitchbook not found'
+      });
     }
     
-    res.json({ success: true, pitchbook });
+    res.json({ success: true, pitchbook: withContents(pitchbook) });
   } catch (error) {
     console.error('Error updating pitchbook:', error);
     res.status(500).json({
@@ -171,24 +344,546 @@ router.put('/:id', async (req, res) => {
   }
 });
 
+// GET /api/pitchbooks/:id/variables - The pitchbook's prompt variables, and a dictionary of every variable defined
+// or referenced with the prompts that use it
+router.get('/:id/variables', async (req, res) => {
+  try {
+    const pitchbook = await pitchbookStore.read(req.params.id);
+    if (!pitchbook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pitchbook not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      variables: pitchbook.variables || {},
+      dictionary: promptVariables.describe(pitchbook)
+    });
+  } catch (error) {
+    console.error('Error fetching prompt variables:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch prompt variables',
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/pitchbooks/:id/variables - Replace the pitchbook's prompt variables
+// Body: { variables: { client_name: 'Northwind Systems', ... } }; names are lowercase snake_case
+router.put('/:id/variables', async (req, res) => {
+  try {
+    const variables = promptVariables.normalize(req.body?.variables);
+    const pitchbook = await pitchbookStore.update(req.params.id, stored => {
+      stored.variables = variables;
+    });
+
+    if (!pitchbook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pitchbook not found'
+      });
+    }
+
+    res.json({ success: true, pitchbook: withContents(pitchbook), dictionary: promptVariables.describe(pitchbook) });
+  } catch (error) {
+    console.error('Error saving prompt variables:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to save prompt variables',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/pitchbooks/:id/preset - The style and audience preset the pitchbook's prompts are enhanced with; the
+// default preset when it has none or its preset was deleted
+router.get('/:id/preset', async (req, res) => {
+  try {
+    const pitchbook = await pitchbookStore.read(req.params.id);
+    if (!pitchbook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pitchbook not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      preset: await presetStore.getPitchbookPreset(pitchbook)
+    });
+  } catch (error) {
+    console.error('Error fetching pitchbook preset:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch pitchbook preset',
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/pitchbooks/:id/preset - Pick the pitchbook's preset; the pitchbook records the preset's current version
+// Body: { presetId }
+router.put('/:id/preset', async (req, res) => {
+  try {
+    if (!req.body?.presetId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required field: presetId'
+      });
+    }
+
+    const preset = await presetStore.getPreset(req.body.presetId);
+    if (!preset) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unknown preset'
+      });
+    }
+
+    const pitchbook = await pitchbookStore.update(req.params.id, stored => {
+      stored.presetId = preset.id;
+      stored.presetVersion = preset.version;
+    });
+
+    if (!pitchbook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pitchbook not found'
+      });
+    }
+
+    res.json({ success: true, pitchbook: withContents(pitchbook), preset });
+  } catch (error) {
+    console.error('Error saving pitchbook preset:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save pitchbook preset',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/pitchbooks/:id/sources - Source documents generation is grounded in
+router.get('/:id/sources', async (req, res) => {
+  try {
+    if (!await pitchbookStore.read(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pitchbook not found'
+      });
+    }
+
+    const documents = await sourceStore.list(req.params.id);
+    res.json({ success: true, documents });
+  } catch (error) {
+    console.error('Error fetching source documents:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch source documents',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/pitchbooks/:id/sources - Upload a PDF, .docx, .xlsx or text file as the raw request body
+// Query: ?name=&fileName=. The text is extracted and indexed on the server; the file itself is not kept.
+router.post('/:id/sources', express.raw({ type: () => true, limit: '50mb' }), async (req, res) => {
+  try {
+    if (!await pitchbookStore.read(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pitchbook not found'
+      });
+    }
+
+    const document = await sourceStore.addDocument(req.params.id, Buffer.isBuffer(req.body) ? req.body : null, {
+      name: req.query.name,
+      fileName: req.query.fileName
+    });
+    res.json({ success: true, document });
+  } catch (error) {
+    console.error('Error adding source document:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to add source document',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/pitchbooks/:id/sources/search?q=&limit= - The passages a query finds, as generation would see them; limit
+// is kept between 1 and 20
+router.get('/:id/sources/search', async (req, res) => {
+  try {
+    if (!await pitchbookStore.read(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pitchbook not found'
+      });
+    }
+
+    const passages = await sourceStore.search(req.params.id, String(req.query.q || ''),
+      parseInt(req.query.limit, 10) || undefined);
+    res.json({ success: true, passages });
+  } catch (error) {
+    console.error('Error searching source documents:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to search source documents',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/pitchbooks/:id/sources/:documentId - Remove a source document and its passages
+router.delete('/:id/sources/:documentId', async (req, res) => {
+  try {
+    if (!await pitchbookStore.read(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pitchbook not found'
+      });
+    }
+
+    const removed = await sourceStore.removeDocument(req.params.id, req.params.documentId);
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Source document not found'
+      });
+    }
+
+    res.json({ success: true, message: 'Source document removed' });
+  } catch (error) {
+    console.error('Error removing source document:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove source document',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/pitchbooks/:id/slides/:slideNumber/placeholders/:placeholderId/resolved-prompt - The prompt generation
+// sends for a placeholder, with the fragment each scope contributed and whether an override set it aside, and
+// the source document passages put in front of it
+router.get('/:id/slides/:slideNumber/placeholders/:placeholderId/resolved-prompt', async (req, res) => {
+  try {
+    const pitchbook = await pitchbookStore.read(req.params.id);
+    if (!pitchbook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pitchbook not found'
+      });
+    }
+
+    const slideNumber = parseInt(req.params.slideNumber);
+    const resolved = promptResolver.resolve(pitchbook, slideNumber, req.params.placeholderId);
+    if (!resolved) {
+      return res.status(404).json({
+        success: false,
+        error: `Slide ${req.params.slideNumber} not found`
+      });
+    }
+
+    const original = pitchbook.prompts?.[resolved.slideKey]?.[resolved.placeholderKey] || '';
+    const { prompt, passages } = await sourceStore.ground(pitchbook, slideNumber, original, resolved.prompt);
+    res.json({ success: true, precedence: promptResolver.scopes, ...resolved, prompt, passages });
+  } catch (error) {
+    console.error('Error resolving prompt:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resolve prompt',
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/pitchbooks/:id/slides/:slideNumber/notes - Set a slide's speaker notes
+// Body: { notes, source } where source is 'ai' for drafted notes
+router.put('/:id/slides/:slideNumber/notes', async (req, res) => {
+  try {
+    const { notes, source } = req.body || {};
+
+    if (notes !== null && typeof notes !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid notes',
+        message: 'notes must be a string'
+      });
+    }
+
+    const slideNumber = parseInt(req.params.slideNumber);
+    const pitchbook = await pitchbookStore.update(req.params.id, stored => {
+      const slide = stored.slides?.find(s => s.slideNumber === slideNumber);
+      if (!slide) {
+        throw Object.assign(new Error(`Slide ${slideNumber} not found`), { statusCode: 404 });
+      }
+      slide.notes = notes || null;
+      slide.notesSource = notes ? (source === 'ai' ? 'ai' : 'manual') : null;
+    });
+
+    if (!pitchbook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pitchbook not found'
+      });
+    }
+
+    res.json({ success: true, pitchbook: withContents(pitchbook) });
+  } catch (error) {
+    console.error('Error saving speaker notes:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to save speaker notes',
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/pitchbooks/:id/footer - Set the footer fields shown on every slide
+// Body: { clientName, confidentiality, asOfDate: 'YYYY-MM-DD', showSlideNumbers }
+router.put('/:id/footer', async (req, res) => {
+  try {
+    const footer = footerFields.normalizeSettings(req.body || {});
+    const pitchbook = await pitchbookStore.update(req.params.id, stored => {
+      stored.footer = footer;
+    });
+
+    if (!pitchbook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pitchbook not found'
+      });
+    }
+
+    res.json({ success: true, pitchbook: withContents(pitchbook) });
+  } catch (error) {
+    console.error('Error saving footer settings:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to save footer settings',
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/pitchbooks/:id/slides/:slideNumber/footer - Override which footer fields a slide shows
+// Body: { footer, date, slideNumber } as booleans; null or missing follows the pitchbook
+router.put('/:id/slides/:slideNumber/footer', async (req, res) => {
+  try {
+    const overrides = footerFields.normalizeOverrides(req.body || {});
+    const slideNumber = parseInt(req.params.slideNumber);
+    const pitchbook = await pitchbookStore.update(req.params.id, stored => {
+      const slide = stored.slides?.find(s => s.slideNumber === slideNumber);
+      if (!slide) {
+        throw Object.assign(new Error(`Slide ${slideNumber} not found`), { statusCode: 404 });
+      }
+      slide.footer = overrides;
+    });
+
+    if (!pitchbook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pitchbook not found'
+      });
+    }
+
+    res.json({ success: true, pitchbook: withContents(pitchbook) });
+  } catch (error) {
+    console.error('Error saving slide footer:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to save slide footer',
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/pitchbooks/:id/slides/:slideNumber/charts/:placeholderId - Set chart data for a placeholder
+// Body: { type, title, numberFormat, horizontal, dataLabels, totals } plus either csv or categories + series
+router.put('/:id/slides/:slideNumber/charts/:placeholderId', async (req, res) => {
+  try {
+    const { csv, source, ...options } = req.body || {};
+    const chart = csv ? chartData.fromCsv(csv, options) : chartData.normalize(options);
+
+    const pitchbook = await updateGeneratedContent(req.params, {
+      success: true,
+      chart,
+      source: csv ? 'csv' : (source === 'ai' ? 'ai' : 'manual'),
+      timestamp: new Date().toISOString()
+    });
+
+    if (!pitchbook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pitchbook not found'
+      });
+    }
+
+    res.json({ success: true, chart, pitchbook: withContents(pitchbook) });
+  } catch (error) {
+    console.error('Error saving chart data:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? 'Invalid chart data' : 'Failed to save chart data',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/pitchbooks/:id/slides/:slideNumber/charts/:placeholderId - Clear a placeholder's chart
+router.delete('/:id/slides/:slideNumber/charts/:placeholderId', async (req, res) => {
+  try {
+    const pitchbook = await updateGeneratedContent(req.params, null);
+
+    if (!pitchbook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pitchbook not found'
+      });
+    }
+
+    res.json({ success: true, pitchbook: withContents(pitchbook) });
+  } catch (error) {
+    console.error('Error removing chart data:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove chart data',
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/pitchbooks/:id/slides/:slideNumber/tables/:placeholderId - Set table data for a placeholder
+// Body: { title, columns: [{ header, type, decimals, currency, unit }], rows, footnotes, style, totalRow }
+router.put('/:id/slides/:slideNumber/tables/:placeholderId', async (req, res) => {
+  try {
+    const { source, ...input } = req.body || {};
+    const table = tableData.normalize(input);
+
+    const pitchbook = await updateGeneratedContent(req.params, {
+      success: true,
+      table,
+      source: source === 'ai' ? 'ai' : 'manual',
+      timestamp: new Date().toISOString()
+    });
+
+    if (!pitchbook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pitchbook not found'
+      });
+    }
+
+    res.json({ success: true, table, pitchbook: withContents(pitchbook) });
+  } catch (error) {
+    console.error('Error saving table data:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? 'Invalid table data' : 'Failed to save table data',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/pitchbooks/:id/slides/:slideNumber/tables/:placeholderId - Clear a placeholder's table
+router.delete('/:id/slides/:slideNumber/tables/:placeholderId', async (req, res) => {
+  try {
+    const pitchbook = await updateGeneratedContent(req.params, null);
+
+    if (!pitchbook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pitchbook not found'
+      });
+    }
+
+    res.json({ success: true, pitchbook: withContents(pitchbook) });
+  } catch (error) {
+    console.error('Error removing table data:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove table data',
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/pitchbooks/:id/slides/:slideNumber/images/:placeholderId - Put an asset library image in a placeholder
+// Body: { assetId }
+router.put('/:id/slides/:slideNumber/images/:placeholderId', async (req, res) => {
+  try {
+    const { assetId } = req.body || {};
+    const asset = assetId ? await assetStore.getAsset(assetId) : null;
+
+    if (!asset) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid image',
+        message: assetId ? `Asset ${assetId} not found` : 'Missing assetId'
+      });
+    }
+
+    const image = { assetId: asset.id, name: asset.name };
+    const pitchbook = await updateGeneratedContent(req.params, {
+      success: true,
+      image,
+      source: 'library',
+      timestamp: new Date().toISOString()
+    });
+
+    if (!pitchbook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pitchbook not found'
+      });
+    }
+
+    res.json({ success: true, image, pitchbook: withContents(pitchbook) });
+  } catch (error) {
+    console.error('Error assigning image:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to assign image',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/pitchbooks/:id/slides/:slideNumber/images/:placeholderId - Clear a placeholder's image
+router.delete('/:id/slides/:slideNumber/images/:placeholderId', async (req, res) => {
+  try {
+    const pitchbook = await updateGeneratedContent(req.params, null);
+
+    if (!pitchbook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pitchbook not found'
+      });
+    }
+
+    res.json({ success: true, pitchbook: withContents(pitchbook) });
+  } catch (error) {
+    console.error('Error removing image:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove image',
+      message: error.message
+    });
+  }
+});
+
 // DELETE /api/pitchbooks/:id - Delete pitchbook
 router.delete('/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    
-    // Delete individual file
-    const pitchbookFile = path.join(dataPath, `pitchbook_${id}.json`);
-    if (await fs.exists(pitchbookFile)) {
-      await fs.remove(pitchbookFile);
-    }
-    
-    // Update main pitchbooks file
-    const pitchbooksFile = path.join(dataPath, 'pitchbooks.json');
-    if (await fs.exists(pitchbooksFile)) {
-      let pitchbooks = await fs.readJson(pitchbooksFile);
-      pitchbooks = pitchbooks.filter(p => p.id !== id);
-      await fs.writeJson(pitchbooksFile, pitchbooks, { spaces: 2 });
-    }
+
+    await pitchbookStore.delete(id);
+    await sourceStore.removeAll(id);
     
     res.json({ success: true, message: 'Pitchbook deleted successfully' });
   } catch (error) {
@@ -201,6 +896,42 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+// A pitchbook as this router answers with it: with the Contents slide's entries as its slides stand
+// (see services/contents.js), which the client shows on the Contents thumbnail
+function withContents(pitchbook) {
+  return { ...pitchbook, contentsEntries: contents.getEntries(pitchbook.slides) };
+}
+
+// Set (or clear, when content is null) one placeholder's generated content
+function updateGeneratedContent({ id, slideNumber, placeholderId }, content) {
+  return pitchbookStore.update(id, pitchbook => {
+    const slideKey = `slide_${slideNumber}`;
+    const slideContent = { ...(pitchbook.generatedContent?.[slideKey] || {}) };
+
+    if (content) {
+      slideContent[placeholderId] = content;
+    } else {
+      delete slideContent[placeholderId];
+    }
+
+    pitchbook.generatedContent = { ...(pitchbook.generatedContent || {}), [slideKey]: slideContent };
+  });
+}
+
+// Default prompts from the template prompts, keyed by slide
+async function getTemplatePrompts(slides) {
+  const prompts = {};
+  const layoutNames = [...new Set(slides.map(slide => slide.layoutName))];
+  const templatePrompts = await templatePromptsService.getPromptsForLayouts(layoutNames);
+  
+  slides.forEach(slide => {
+    if (templatePrompts[slide.layoutName]) {
+      prompts[`slide_${slide.slideNumber}`] = { ...templatePrompts[slide.layoutName] };
+    }
+  });
+  return prompts;
+}
+
 // Helper function to generate slide structure
 function generateSlideStructure(sections) {
   const slides = [];
@@ -209,21 +940,18 @@ function generateSlideStructure(sections) {
   // Add mandatory slides
   slides.push({
     slideNumber: slideNumber++,
-    layoutName: 'Title Slide',
     type: 'title',
     placeholders: {}
   });
   
   slides.push({
     slideNumber: slideNumber++,
-    layoutName: 'Contents',
     type: 'contents',
     placeholders: {}
   });
   
   slides.push({
     slideNumber: slideNumber++,
-    layoutName: 'Legal Notice',
     type: 'legal',
     placeholders: {}
   });
@@ -233,7 +961,6 @@ function generateSlideStructure(sections) {
     // Section divider
     slides.push({
       slideNumber: slideNumber++,
-      layoutName: 'Section Divider',
       type: 'section-divider',
       sectionTitle: section.title,
       placeholders: {}
@@ -243,7 +970,6 @@ function generateSlideStructure(sections) {
     for (let i = 0; i < (section.numberOfSlides || 1); i++) {
       slides.push({
         slideNumber: slideNumber++,
-        layoutName: 'Body Text',
         type: 'body',
         sectionTitle: section.title,
         placeholders: {}
@@ -254,4 +980,19 @@ function generateSlideStructure(sections) {
   return slides;
 }
 
+// Pin each slide to the template layout for its type (by role facet); the layout's name is kept as the display
+// alias. A template without a layout for one of the types can't hold a generated pitchbook.
+async function assignLayoutIds(slides, parser) {
+  const layouts = await parser.getAllLayouts();
+  slides.forEach(slide => {
+    const layout = parser.matchLayoutForSlideType(layouts, slide.type);
+    if (!layout) {
+      throw Object.assign(new Error(`The template has no layout for ${slide.type} slides`), { statusCode: 400 });
+    }
+    slide.layoutId = layout.id;
+    slide.layoutName = layout.name;
+  });
+  return slides;
+}
+
 module.exports = router;
\ No newline at end of file
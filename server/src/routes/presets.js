@@ -0,0 +1,210 @@
+const express = require('express');
+const router = express.Router();
+const presetStore = require('../services/presetStore');
+
+// GET /api/presets - List presets (optionally only those visible to ?organizationId=)
+router.get('/', async (req, res) => {
+  try {
+    const presets = await presetStore.getPresets(req.query.organizationId);
+    res.json({
+      success: true,
+      defaultPresetId: presetStore.DEFAULT_PRESET_ID,
+      presets
+    });
+  } catch (error) {
+    console.error('Error fetching presets:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch presets',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/presets - Create a preset
+// Body: preset fields plus organizationId and basedOn (a preset id to copy the fields left out from)
+router.post('/', async (req, res) => {
+  try {
+    const { organizationId, basedOn, ...fields } = req.body || {};
+    const preset = await presetStore.createPreset(fields, { organizationId, basedOn });
+    res.json({
+      success: true,
+      preset
+    });
+  } catch (error) {
+    console.error('Error creating preset:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to create preset',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/presets/:presetId - Get the latest version of a preset
+router.get('/:presetId', async (req, res) => {
+  try {
+    const preset = await presetStore.getPreset(req.params.presetId);
+
+    if (!preset) {
+      return res.status(404).json({
+        success: false,
+        error: 'Preset not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      preset
+    });
+  } catch (error) {
+    console.error('Error fetching preset:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch preset',
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/presets/:presetId - Save an edit as the preset's next version
+// Body: the fields to change (name, description, presentationType, audience, tone, style, focus, jurisdiction,
+// styles, tones, templates)
+router.put('/:presetId', async (req, res) => {
+  try {
+    const preset = await presetStore.updatePreset(req.params.presetId, req.body);
+
+    if (!preset) {
+      return res.status(404).json({
+        success: false,
+        error: 'Preset not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      preset
+    });
+  } catch (error) {
+    console.error('Error updating preset:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to update preset',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/presets/:presetId - Delete a preset; pitchbooks using it fall back to the default preset
+router.delete('/:presetId', async (req, res) => {
+  try {
+    const { presetId } = req.params;
+
+    if (presetId === presetStore.DEFAULT_PRESET_ID) {
+      return res.status(400).json({
+        success: false,
+        error: 'The default preset cannot be deleted'
+      });
+    }
+
+    const deleted = await presetStore.deletePreset(presetId);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Preset not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Preset deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting preset:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete preset',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/presets/:presetId/versions - Every version of a preset, oldest first
+router.get('/:presetId/versions', async (req, res) => {
+  try {
+    const versions = await presetStore.getVersions(req.params.presetId);
+
+    if (!versions) {
+      return res.status(404).json({
+        success: false,
+        error: 'Preset not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      versions
+    });
+  } catch (error) {
+    console.error('Error fetching preset versions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch preset versions',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/presets/:presetId/versions/:version - A preset as it was at one version
+router.get('/:presetId/versions/:version', async (req, res) => {
+  try {
+    const preset = await presetStore.getVersion(req.params.presetId, parseInt(req.params.version, 10));
+
+    if (!preset) {
+      return res.status(404).json({
+        success: false,
+        error: 'Preset version not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      preset
+    });
+  } catch (error) {
+    console.error('Error fetching preset version:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch preset version',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/presets/:presetId/versions/:version/restore - Save an earlier version's fields as the next version
+router.post('/:presetId/versions/:version/restore', async (req, res) => {
+  try {
+    const preset = await presetStore.restoreVersion(req.params.presetId, parseInt(req.params.version, 10));
+
+    if (!preset) {
+      return res.status(404).json({
+        success: false,
+        error: 'Preset version not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      preset
+    });
+  } catch (error) {
+    console.error('Error restoring preset version:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to restore preset version',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
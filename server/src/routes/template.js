@@ -0,0 +1,89 @@
+const express = require('express');
+const router = express.Router();
+const templateStore = require('../services/templateStore');
+
+// GET /api/template/presentation - Get slide size, notes size, embedded fonts and masters
+router.get('/presentation', async (req, res) => {
+  try {
+    const templateServices = await templateStore.resolve(req.query.templateId);
+    
+    if (!templateServices) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template not found'
+      });
+    }
+    
+    const { parser } = templateServices;
+    const presentation = await parser.getPresentation();
+    res.json({
+      success: true,
+      presentation
+    });
+  } catch (error) {
+    console.error('Error fetching presentation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch presentation',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/template/theme - Get the theme colour scheme, fonts and format styles
+router.get('/theme', async (req, res) => {
+  try {
+    const templateServices = await templateStore.resolve(req.query.templateId);
+    
+    if (!templateServices) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template not found'
+      });
+    }
+    
+    const { themeParser } = templateServices;
+    const theme = await themeParser.getTheme();
+    res.json({
+      success: true,
+      theme
+    });
+  } catch (error) {
+    console.error('Error fetching theme:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch theme',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/template/table-styles - Get the table styles from tableStyles.xml (tables use the default unless they name one)
+router.get('/table-styles', async (req, res) => {
+  try {
+    const templateServices = await templateStore.resolve(req.query.templateId);
+    
+    if (!templateServices) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template not found'
+      });
+    }
+    
+    const { tableStyleParser } = templateServices;
+    const tableStyles = await tableStyleParser.getTableStyles();
+    res.json({
+      success: true,
+      ...tableStyles
+    });
+  } catch (error) {
+    console.error('Error fetching table styles:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch table styles',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
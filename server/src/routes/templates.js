@@ -0,0 +1,112 @@
+const express = require('express');
+const router = express.Router();
+const templateStore = require('../services/templateStore');
+
+// GET /api/templates - List templates (optionally only those visible to ?organizationId=)
+router.get('/', async (req, res) => {
+  try {
+    const templates = await templateStore.getTemplates(req.query.organizationId);
+    res.json({
+      success: true,
+      templates
+    });
+  } catch (error) {
+    console.error('Error fetching templates:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch templates',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/templates - Upload a .pptx/.potx as the raw request body
+// Query: name, organizationId, fileName
+router.post('/', express.raw({ type: () => true, limit: '100mb' }), async (req, res) => {
+  try {
+    const { name, organizationId, fileName } = req.query;
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing template file in request body'
+      });
+    }
+
+    const template = await templateStore.createTemplate(req.body, { name, organizationId, fileName });
+    res.json({
+      success: true,
+      template
+    });
+  } catch (error) {
+    console.error('Error uploading template:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to upload template',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/templates/:templateId - Get template details
+router.get('/:templateId', async (req, res) => {
+  try {
+    const template = await templateStore.getTemplate(req.params.templateId);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      template
+    });
+  } catch (error) {
+    console.error('Error fetching template:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch template',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/templates/:templateId - Delete an uploaded template
+router.delete('/:templateId', async (req, res) => {
+  try {
+    const { templateId } = req.params;
+
+    if (templateId === templateStore.DEFAULT_TEMPLATE_ID) {
+      return res.status(400).json({
+        success: false,
+        error: 'The default template cannot be deleted'
+      });
+    }
+
+    const deleted = await templateStore.deleteTemplate(templateId);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Template deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting template:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to delete template',
+      message: error.message,
+      ...(error.pitchbooks && { pitchbooks: error.pitchbooks })
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
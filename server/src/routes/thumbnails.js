@@ -1,13 +1,64 @@
 const express = require('express');
 const router = express.Router();
-const openXmlParser = require('../parsers/openXmlParser');
+const templateStore = require('../services/templateStore');
 const thumbnailGenerator = require('../services/thumbnailGenerator');
+const layoutRenderer = require('../services/layoutRenderer');
+
+// GET /api/thumbnails/:layout/render - Render the layout as it looks in PowerPoint (SVG)
+router.get('/:layout/render', async (req, res) => {
+  try {
+    const templateServices = await templateStore.resolve(req.query.templateId);
+    
+    if (!templateServices) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template not found'
+      });
+    }
+    
+    const { parser, themeParser } = templateServices;
+    const layout = await parser.findLayout(req.params.layout);
+    
+    if (!layout) {
+      return res.status(404).json({
+        success: false,
+        error: 'Layout not found'
+      });
+    }
+    
+    const theme = await themeParser.getTheme();
+    const svg = await layoutRenderer.renderLayout(layout, theme, {
+      parser,
+      width: parseInt(req.query.width) || undefined,
+      showPlaceholders: req.query.placeholders !== 'false'
+    });
+    res.setHeader('Content-Type', 'image/svg+xml');
+    res.send(svg);
+  } catch (error) {
+    console.error('Error rendering layout:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to render layout',
+      message: error.message
+    });
+  }
+});
 
 // GET /api/thumbnails/:layout - Get thumbnail for specific layout
 router.get('/:layout', async (req, res) => {
   try {
+    const templateServices = await templateStore.resolve(req.query.templateId);
+    
+    if (!templateServices) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template not found'
+      });
+    }
+    
+    const { parser, themeParser } = templateServices;
     const { layout: layoutName } = req.params;
-    const layout = await openXmlParser.getLayoutByName(layoutName);
+    const layout = await parser.findLayout(layoutName);
     
     if (!layout) {
       return res.status(404).json({
@@ -16,21 +67,23 @@ router.get('/:layout', async (req, res) => {
       });
     }
     
+    const theme = await themeParser.getTheme();
     const format = req.query.format || 'svg';
     
     if (format === 'base64') {
-      const thumbnail = thumbnailGenerator.generateBase64Thumbnail(layout);
+      const thumbnail = thumbnailGenerator.generateBase64Thumbnail(layout, theme);
       res.json({
         success: true,
         thumbnail,
-        layout: layout.name
+        layout: layout.name,
+        layoutId: layout.id
       });
     } else if (format === 'html') {
-      const preview = thumbnailGenerator.generateHTMLPreview(layout);
+      const preview = thumbnailGenerator.generateHTMLPreview(layout, theme);
       res.send(preview);
     } else {
       // Default to SVG
-      const svg = thumbnailGenerator.generateSVGThumbnail(layout);
+      const svg = thumbnailGenerator.generateSVGThumbnail(layout, theme);
       res.setHeader('Content-Type', 'image/svg+xml');
       res.send(svg);
     }
@@ -47,15 +100,27 @@ router.get('/:layout', async (req, res) => {
 // GET /api/thumbnails - Get all thumbnails
 router.get('/', async (req, res) => {
   try {
-    const layouts = await openXmlParser.getAllLayouts();
+    const templateServices = await templateStore.resolve(req.query.templateId);
+    
+    if (!templateServices) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template not found'
+      });
+    }
+    
+    const { parser, themeParser } = templateServices;
+    const layouts = await parser.getAllLayouts();
+    const theme = await themeParser.getTheme();
     const format = req.query.format || 'base64';
     
     const thumbnails = layouts.map(layout => ({
+      id: layout.id,
       name: layout.name,
       fileName: layout.fileName,
       thumbnail: format === 'base64' 
-        ? thumbnailGenerator.generateBase64Thumbnail(layout)
-        : thumbnailGenerator.generateSVGThumbnail(layout)
+        ? thumbnailGenerator.generateBase64Thumbnail(layout, theme)
+        : thumbnailGenerator.generateSVGThumbnail(layout, theme)
     }));
     
     res.json({
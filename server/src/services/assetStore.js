@@ -0,0 +1,173 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const dataPath = require('../utils/dataPath');
+
+// Image formats PowerPoint embeds natively, detected from the file signature
+const IMAGE_FORMATS = [
+  { extension: 'png', contentType: 'image/png', matches: (b) => b.length > 24 && b.readUInt32BE(0) === 0x89504e47 },
+  { extension: 'jpeg', contentType: 'image/jpeg', matches: (b) => b.length > 4 && b[0] === 0xff && b[1] === 0xd8 },
+  { extension: 'gif', contentType: 'image/gif', matches: (b) => b.length > 10 && b.toString('ascii', 0, 3) === 'GIF' }
+];
+
+const MAX_TAGS = 20;
+
+// Problems with the uploaded file or fields; routes answer these with 400
+const invalidAsset = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+class AssetStore {
+  constructor() {
+    this.dataPath = dataPath;
+    this.storePath = path.join(this.dataPath, 'assets');
+    this.indexFile = path.join(this.dataPath, 'assets.json');
+    this.ensureDataFile();
+  }
+
+  async ensureDataFile() {
+    await fs.ensureDir(this.storePath);
+    if (!await fs.exists(this.indexFile)) {
+      await fs.writeJson(this.indexFile, [], { spaces: 2 });
+    }
+  }
+
+  async readIndex() {
+    try {
+      return await fs.readJson(this.indexFile);
+    } catch (error) {
+      console.error('Error reading asset index:', error);
+      return [];
+    }
+  }
+
+  // Tags are lower-case and unique; accepts an array or a comma-separated string
+  normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    const normalized = [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+    if (normalized.length > MAX_TAGS) {
+      throw invalidAsset(`Assets can have at most ${MAX_TAGS} tags`);
+    }
+    return normalized;
+  }
+
+  // Assets visible to an organization (its own plus shared ones), filtered by ?q= (name or tag) and ?tag=
+  async getAssets({ organizationId, q, tag } = {}) {
+    const assets = await this.readIndex();
+    const terms = String(q || '').toLowerCase().split(/\s+/).filter(Boolean);
+    const tags = tag ? this.normalizeTags(tag) : [];
+
+    return assets.filter(asset =>
+      (!organizationId || !asset.organizationId || asset.organizationId === organizationId) &&
+      tags.every(t => asset.tags.includes(t)) &&
+      terms.every(term => asset.name.toLowerCase().includes(term) || asset.tags.some(t => t.includes(term)))
+    );
+  }
+
+  async getAsset(assetId) {
+    const assets = await this.readIndex();
+    return assets.find(asset => asset.id === assetId) || null;
+  }
+
+  getAssetPath(asset) {
+    return path.join(this.storePath, `${asset.id}.${asset.extension}`);
+  }
+
+  async createAsset(buffer, { name, fileName, tags, organizationId }) {
+    const info = this.readImageInfo(buffer);
+    if (!info) {
+      throw invalidAsset('Uploaded file is not a PNG, JPEG or GIF image');
+    }
+
+    const asset = {
+      id: uuidv4(),
+      name: name || (fileName ? path.parse(fileName).name : 'Untitled image'),
+      fileName: fileName || null,
+      organizationId: organizationId || null,
+      tags: this.normalizeTags(tags),
+      extension: info.extension,
+      contentType: info.contentType,
+      width: info.width,
+      height: info.height,
+      size: buffer.length,
+      created: new Date().toISOString()
+    };
+
+    await fs.outputFile(this.getAssetPath(asset), buffer);
+
+    const assets = await this.readIndex();
+    assets.push(asset);
+    await fs.writeJson(this.indexFile, assets, { spaces: 2 });
+    return asset;
+  }
+
+  // Only the name and tags can change; the image itself is immutable so exported decks stay reproducible
+  async updateAsset(assetId, { name, tags }) {
+    const assets = await this.readIndex();
+    const asset = assets.find(a => a.id === assetId);
+    if (!asset) {
+      return null;
+    }
+
+    if (name !== undefined) {
+      asset.name = String(name).trim() || asset.name;
+    }
+    if (tags !== undefined) {
+      asset.tags = this.normalizeTags(tags);
+    }
+    asset.updated = new Date().toISOString();
+
+    await fs.writeJson(this.indexFile, assets, { spaces: 2 });
+    return asset;
+  }
+
+  async deleteAsset(assetId) {
+    const assets = await this.readIndex();
+    const asset = assets.find(a => a.id === assetId);
+    if (!asset) {
+      return false;
+    }
+
+    await fs.writeJson(this.indexFile, assets.filter(a => a.id !== assetId), { spaces: 2 });
+    await fs.remove(this.getAssetPath(asset));
+    return true;
+  }
+
+  // Format and pixel size from the image header; null for anything that is not a supported image
+  readImageInfo(buffer) {
+    const format = Buffer.isBuffer(buffer) && IMAGE_FORMATS.find(f => f.matches(buffer));
+    if (!format) {
+      return null;
+    }
+
+    const size = format.extension === 'png'
+      ? { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) }
+      : format.extension === 'gif'
+        ? { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) }
+        : this.readJpegSize(buffer);
+
+    if (!size || !size.width || !size.height) {
+      return null;
+    }
+    return { extension: format.extension, contentType: format.contentType, ...size };
+  }
+
+  // Walk the JPEG segments to the first start-of-frame marker, which holds the dimensions
+  readJpegSize(buffer) {
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+      if (buffer[offset] !== 0xff) {
+        return null;
+      }
+
+      const marker = buffer[offset + 1];
+      const isStartOfFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+      if (isStartOfFrame) {
+        return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+      }
+
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+    return null;
+  }
+}
+
+module.exports = new AssetStore();
\ No newline at end of file
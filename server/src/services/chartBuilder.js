@@ -0,0 +1,199 @@
+const JSZip = require('jszip');
+
+const NS_A = 'http://schemas.openxmlformats.org/drawingml/2006/main';
+const NS_C = 'http://schemas.openxmlformats.org/drawingml/2006/chart';
+const NS_R = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const NS_SML = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const NS_PKG_RELS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+const SHEET_NAME = 'Sheet1';
+const CATEGORY_AXIS_ID = 500000001;
+const VALUE_AXIS_ID = 500000002;
+
+// Colours and fonts are theme references, so charts follow the template theme (and any later theme change)
+const ACCENTS = ['accent1', 'accent2', 'accent3', 'accent4', 'accent5', 'accent6'];
+const WATERFALL_COLOURS = { Increase: 'accent1', Decrease: 'accent2', Total: 'tx2' };
+const FONT_SIZE = 1000;
+const TITLE_FONT_SIZE = 1400;
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+const schemeFill = (colour) => `<a:solidFill><a:schemeClr val="${colour}"/></a:solidFill>`;
+
+// Muted text colour PowerPoint uses for its own chart styles
+const TEXT_FILL = '<a:solidFill><a:schemeClr val="tx1"><a:lumMod val="65000"/><a:lumOff val="35000"/></a:schemeClr></a:solidFill>';
+const GRIDLINE = '<a:ln w="9525"><a:solidFill><a:schemeClr val="tx1"><a:lumMod val="15000"/><a:lumOff val="85000"/></a:schemeClr></a:solidFill></a:ln>';
+
+class ChartBuilder {
+  // The series actually drawn; a waterfall becomes stacked columns on an invisible base
+  getPlotSeries(chart) {
+    if (chart.type !== 'waterfall') {
+      return chart.series.map((series, index) => ({ ...series, colour: ACCENTS[index % ACCENTS.length] }));
+    }
+
+    const values = chart.series[0].values;
+    const totals = new Set(chart.totals || []);
+    const plot = {
+      Base: values.map(() => null),
+      Increase: values.map(() => null),
+      Decrease: values.map(() => null),
+      Total: values.map(() => null)
+    };
+
+    // Bars are stacked on the running total, so they are assumed to stay above zero
+    let running = 0;
+    values.forEach((value, index) => {
+      // A total row left blank shows the running total; a filled one resets it
+      if (totals.has(index)) {
+        running = value ?? running;
+        plot.Total[index] = running;
+        return;
+      }
+
+      const step = value || 0;
+
+      const end = running + step;
+      plot.Base[index] = Math.min(running, end);
+      plot[step >= 0 ? 'Increase' : 'Decrease'][index] = Math.abs(step);
+      running = end;
+    });
+
+    return Object.entries(plot).map(([name, seriesValues]) => ({
+      name,
+      values: seriesValues,
+      colour: WATERFALL_COLOURS[name] || null
+    }));
+  }
+
+  buildChartXml(chart) {
+    const plotSeries = this.getPlotSeries(chart);
+    const title = chart.title
+      ? `<c:title><c:tx><c:rich><a:bodyPr/><a:lstStyle/><a:p><a:pPr>${this.buildRunProperties('defRPr', TITLE_FONT_SIZE)}</a:pPr><a:r><a:rPr lang="en-GB" sz="${TITLE_FONT_SIZE}" b="0"/><a:t>${escapeXml(chart.title)}</a:t></a:r></a:p></c:rich></c:tx><c:overlay val="0"/></c:title><c:autoTitleDeleted val="0"/>`
+      : '<c:autoTitleDeleted val="1"/>';
+    const showLegend = chart.type === 'pie' || (chart.type !== 'waterfall' && plotSeries.length > 1);
+    const legend = showLegend
+      ? `<c:legend><c:legendPos val="b"/><c:overlay val="0"/>${this.buildTextProperties()}</c:legend>`
+      : '';
+    const axes = chart.type === 'pie' ? '' : this.buildAxes(chart);
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<c:chartSpace xmlns:c="${NS_C}" xmlns:a="${NS_A}" xmlns:r="${NS_R}"><c:date1904 val="0"/><c:lang val="en-GB"/><c:roundedCorners val="0"/><c:chart>${title}<c:plotArea><c:layout/>${this.buildPlot(chart, plotSeries)}${axes}<c:spPr><a:noFill/><a:ln><a:noFill/></a:ln></c:spPr></c:plotArea>${legend}<c:plotVisOnly val="1"/><c:dispBlanksAs val="gap"/></c:chart><c:spPr><a:noFill/><a:ln><a:noFill/></a:ln></c:spPr>${this.buildTextProperties()}<c:externalData r:id="rId1"><c:autoUpdate val="0"/></c:externalData></c:chartSpace>`;
+  }
+
+  buildPlot(chart, plotSeries) {
+    const series = plotSeries.map((item, index) => this.buildSeries(chart, item, index)).join('');
+    const axisIds = `<c:axId val="${CATEGORY_AXIS_ID}"/><c:axId val="${VALUE_AXIS_ID}"/>`;
+
+    if (chart.type === 'line') {
+      return `<c:lineChart><c:grouping val="standard"/><c:varyColors val="0"/>${series}<c:marker val="1"/>${axisIds}</c:lineChart>`;
+    }
+    if (chart.type === 'pie') {
+      return `<c:pieChart><c:varyColors val="1"/>${series}<c:firstSliceAng val="0"/></c:pieChart>`;
+    }
+
+    const stacked = chart.type !== 'bar';
+    return `<c:barChart><c:barDir val="${chart.horizontal ? 'bar' : 'col'}"/><c:grouping val="${stacked ? 'stacked' : 'clustered'}"/><c:varyColors val="0"/>${series}<c:gapWidth val="${chart.type === 'waterfall' ? 50 : 150}"/>${stacked ? '<c:overlap val="100"/>' : ''}${axisIds}</c:barChart>`;
+  }
+
+  buildSeries(chart, series, index) {
+    const column = columnName(index + 1);
+    const lastRow = chart.categories.length + 1;
+    const name = `<c:tx><c:strRef><c:f>${SHEET_NAME}!$${column}$1</c:f><c:strCache><c:ptCount val="1"/><c:pt idx="0"><c:v>${escapeXml(series.name)}</c:v></c:pt></c:strCache></c:strRef></c:tx>`;
+    const categories = `<c:cat><c:strRef><c:f>${SHEET_NAME}!$A$2:$A$${lastRow}</c:f><c:strCache><c:ptCount val="${chart.categories.length}"/>${chart.categories.map((category, i) => `<c:pt idx="${i}"><c:v>${escapeXml(category)}</c:v></c:pt>`).join('')}</c:strCache></c:strRef></c:cat>`;
+    const values = `<c:val><c:numRef><c:f>${SHEET_NAME}!$${column}$2:$${column}$${lastRow}</c:f><c:numCache><c:formatCode>${escapeXml(chart.numberFormat)}</c:formatCode><c:ptCount val="${series.values.length}"/>${series.values.map((value, i) => (value === null ? '' : `<c:pt idx="${i}"><c:v>${value}</c:v></c:pt>`)).join('')}</c:numCache></c:numRef></c:val>`;
+    const head = `<c:idx val="${index}"/><c:order val="${index}"/>${name}`;
+    // The waterfall's base series is only there to lift the other bars
+    const labels = chart.dataLabels && series.colour ? this.buildDataLabels(chart) : '';
+
+    if (chart.type === 'line') {
+      const line = `<c:spPr><a:ln w="28575" cap="rnd">${schemeFill(series.colour)}<a:round/></a:ln></c:spPr>`;
+      const marker = `<c:marker><c:symbol val="circle"/><c:size val="5"/><c:spPr>${schemeFill(series.colour)}<a:ln><a:noFill/></a:ln></c:spPr></c:marker>`;
+      return `<c:ser>${head}${line}${marker}${labels}${categories}${values}<c:smooth val="0"/></c:ser>`;
+    }
+
+    if (chart.type === 'pie') {
+      const points = chart.categories.map((category, i) =>
+        `<c:dPt><c:idx val="${i}"/><c:bubble3D val="0"/><c:spPr>${schemeFill(ACCENTS[i % ACCENTS.length])}<a:ln w="19050">${schemeFill('bg1')}</a:ln></c:spPr></c:dPt>`
+      ).join('');
+      return `<c:ser>${head}${points}${labels}${categories}${values}</c:ser>`;
+    }
+
+    const fill = series.colour ? schemeFill(series.colour) : '<a:noFill/>';
+    return `<c:ser>${head}<c:spPr>${fill}<a:ln><a:noFill/></a:ln></c:spPr><c:invertIfNegative val="0"/>${labels}${categories}${values}</c:ser>`;
+  }
+
+  buildDataLabels(chart) {
+    // Pie slices are labelled with their share of the whole
+    const showPercent = chart.type === 'pie' ? 1 : 0;
+    const formatCode = showPercent ? '0%' : chart.numberFormat;
+    return `<c:dLbls><c:numFmt formatCode="${escapeXml(formatCode)}" sourceLinked="0"/><c:spPr><a:noFill/><a:ln><a:noFill/></a:ln></c:spPr>${this.buildTextProperties()}<c:showLegendKey val="0"/><c:showVal val="${1 - showPercent}"/><c:showCatName val="0"/><c:showSerName val="0"/><c:showPercent val="${showPercent}"/><c:showBubbleSize val="0"/></c:dLbls>`;
+  }
+
+  buildAxes(chart) {
+    // Horizontal bars list the first category at the top, so the value axis moves to the bottom
+    const horizontal = chart.horizontal;
+    const textProperties = this.buildTextProperties();
+
+    const categoryAxis = `<c:catAx><c:axId val="${CATEGORY_AXIS_ID}"/><c:scaling><c:orientation val="${horizontal ? 'maxMin' : 'minMax'}"/></c:scaling><c:delete val="0"/><c:axPos val="${horizontal ? 'l' : 'b'}"/><c:numFmt formatCode="General" sourceLinked="1"/><c:majorTickMark val="none"/><c:minorTickMark val="none"/><c:tickLblPos val="low"/><c:spPr>${GRIDLINE}</c:spPr>${textProperties}<c:crossAx val="${VALUE_AXIS_ID}"/><c:crosses val="autoZero"/><c:auto val="1"/><c:lblAlgn val="ctr"/><c:lblOffset val="100"/><c:noMultiLvlLbl val="0"/></c:catAx>`;
+    const valueAxis = `<c:valAx><c:axId val="${VALUE_AXIS_ID}"/><c:scaling><c:orientation val="minMax"/></c:scaling><c:delete val="0"/><c:axPos val="${horizontal ? 'b' : 'l'}"/><c:majorGridlines><c:spPr>${GRIDLINE}</c:spPr></c:majorGridlines><c:numFmt formatCode="${escapeXml(chart.numberFormat)}" sourceLinked="0"/><c:majorTickMark val="none"/><c:minorTickMark val="none"/><c:tickLblPos val="nextTo"/><c:spPr><a:noFill/><a:ln><a:noFill/></a:ln></c:spPr>${textProperties}<c:crossAx val="${CATEGORY_AXIS_ID}"/><c:crosses val="${horizontal ? 'max' : 'autoZero'}"/><c:crossBetween val="between"/></c:valAx>`;
+
+    return categoryAxis + valueAxis;
+  }
+
+  buildRunProperties(element, size) {
+    return `<a:${element} sz="${size}" b="0">${TEXT_FILL}<a:latin typeface="+mn-lt"/><a:ea typeface="+mn-ea"/><a:cs typeface="+mn-cs"/></a:${element}>`;
+  }
+
+  buildTextProperties() {
+    return `<c:txPr><a:bodyPr/><a:lstStyle/><a:p><a:pPr>${this.buildRunProperties('defRPr', FONT_SIZE)}</a:pPr><a:endParaRPr lang="en-GB"/></a:p></c:txPr>`;
+  }
+
+  // Embedded workbook behind the chart, so "Edit Data" in PowerPoint opens the same numbers
+  async buildWorkbook(chart) {
+    const plotSeries = this.getPlotSeries(chart);
+    const cell = (column, row, value) => {
+      const ref = `${columnName(column)}${row}`;
+      if (value === null || value === undefined || value === '') return '';
+      return typeof value === 'number'
+        ? `<c r="${ref}"><v>${value}</v></c>`
+        : `<c r="${ref}" t="inlineStr"><is><t>${escapeXml(value)}</t></is></c>`;
+    };
+
+    const rows = [
+      `<row r="1">${cell(0, 1, '')}${plotSeries.map((series, i) => cell(i + 1, 1, series.name)).join('')}</row>`,
+      ...chart.categories.map((category, i) =>
+        `<row r="${i + 2}">${cell(0, i + 2, category)}${plotSeries.map((series, s) => cell(s + 1, i + 2, series.values[i])).join('')}</row>`
+      )
+    ];
+
+    const zip = new JSZip();
+    zip.file('[Content_Types].xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/><Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/></Types>`);
+    zip.file('_rels/.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="${NS_PKG_RELS}"><Relationship Id="rId1" Type="${NS_R}/officeDocument" Target="xl/workbook.xml"/></Relationships>`);
+    zip.file('xl/workbook.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="${NS_SML}" xmlns:r="${NS_R}"><sheets><sheet name="${SHEET_NAME}" sheetId="1" r:id="rId1"/></sheets></workbook>`);
+    zip.file('xl/_rels/workbook.xml.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="${NS_PKG_RELS}"><Relationship Id="rId1" Type="${NS_R}/worksheet" Target="worksheets/sheet1.xml"/><Relationship Id="rId2" Type="${NS_R}/styles" Target="styles.xml"/></Relationships>`);
+    zip.file('xl/styles.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="${NS_SML}"><fonts count="1"><font><sz val="11"/><name val="Calibri"/></font></fonts><fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills><borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders><cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs><cellXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/></cellXfs></styleSheet>`);
+    zip.file('xl/worksheets/sheet1.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="${NS_SML}"><sheetData>${rows.join('')}</sheetData></worksheet>`);
+
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+  }
+}
+
+module.exports = new ChartBuilder();
\ No newline at end of file
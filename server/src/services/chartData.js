@@ -0,0 +1,154 @@
+// Chart data for chart-capable placeholders, as stored in a pitchbook's generatedContent:
+//   { type, title, categories: [..], series: [{ name, values: [..] }], numberFormat, horizontal, dataLabels, totals: [..] }
+// It comes from the AI (structured JSON) or from CSV a user pasted or uploaded.
+
+const CHART_TYPES = ['bar', 'stackedBar', 'line', 'pie', 'waterfall'];
+
+// Waterfall categories that show a running total instead of a step ("Total", "Subtotal 2024", ...)
+const TOTAL_CATEGORY_PATTERN = /^(sub)?total\b/i;
+
+const MAX_CATEGORIES = 100;
+const MAX_SERIES = 20;
+
+// Problems with the submitted data; routes answer these with 400
+const invalidChart = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+class ChartData {
+  get chartTypes() {
+    return CHART_TYPES;
+  }
+
+  // First row: category header then one header per series; following rows: category then values
+  parseCsv(csv) {
+    const text = String(csv || '').replace(/^\uFEFF/, '');
+    const lines = text.split(/\r?\n/).filter(line => line.trim());
+    if (lines.length < 2) {
+      throw invalidChart('CSV needs a header row and at least one data row');
+    }
+
+    const delimiter = this.detectDelimiter(lines[0]);
+    const rows = lines.map(line => this.parseCsvLine(line, delimiter));
+    const [header, ...dataRows] = rows;
+
+    if (header.length < 2) {
+      throw invalidChart('CSV needs a category column and at least one value column');
+    }
+
+    const series = header.slice(1).map((name, index) => ({
+      name: name || `Series ${index + 1}`,
+      values: dataRows.map((row, rowIndex) => this.parseNumber(row[index + 1], rowIndex + 2))
+    }));
+
+    return {
+      categories: dataRows.map(row => row[0] || ''),
+      series
+    };
+  }
+
+  detectDelimiter(headerLine) {
+    const counts = [',', ';', '\t'].map(delimiter => ({
+      delimiter,
+      count: headerLine.split(delimiter).length
+    }));
+    return counts.sort((a, b) => b.count - a.count)[0].delimiter;
+  }
+
+  parseCsvLine(line, delimiter) {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (quoted) {
+        if (char === '"' && line[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === delimiter) {
+        cells.push(cell.trim());
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+    cells.push(cell.trim());
+    return cells;
+  }
+
+  // Accepts the way numbers are written in financial tables: "1,234.5", "(12)", "$40m", "12%"
+  parseNumber(value, rowNumber) {
+    if (value === undefined || value === null || value === '' || value === '-') {
+      return null;
+    }
+    if (typeof value === 'number') {
+      return Number.isFinite(value) ? value : null;
+    }
+
+    const text = String(value).trim();
+    const negative = /^\(.*\)$/.test(text) || text.startsWith('-');
+    const cleaned = text.replace(/[()\s,$€£¥]/g, '').replace(/^-/, '').replace(/[a-zA-Z]+$/, '');
+    const percent = cleaned.endsWith('%');
+    const number = parseFloat(percent ? cleaned.slice(0, -1) : cleaned);
+
+    if (!Number.isFinite(number)) {
+      throw invalidChart(`"${value}" on row ${rowNumber} is not a number`);
+    }
+
+    const result = percent ? number / 100 : number;
+    return negative ? -result : result;
+  }
+
+  // Validate chart data from any source and fill in defaults
+  normalize(input = {}) {
+    const type = input.type || 'bar';
+    if (!CHART_TYPES.includes(type)) {
+      throw invalidChart(`Unknown chart type "${type}" (expected one of ${CHART_TYPES.join(', ')})`);
+    }
+
+    const categories = (input.categories || []).map(category => String(category ?? ''));
+    if (categories.length === 0 || categories.length > MAX_CATEGORIES) {
+      throw invalidChart(`Charts need between 1 and ${MAX_CATEGORIES} categories`);
+    }
+
+    const series = (input.series || []).map((item, index) => ({
+      name: String(item.name || `Series ${index + 1}`),
+      values: categories.map((category, valueIndex) => this.parseNumber(item.values?.[valueIndex], valueIndex + 2))
+    }));
+    if (series.length === 0 || series.length > MAX_SERIES) {
+      throw invalidChart(`Charts need between 1 and ${MAX_SERIES} series`);
+    }
+
+    const chart = {
+      type,
+      title: input.title ? String(input.title) : null,
+      categories,
+      // Pie and waterfall charts plot a single series
+      series: ['pie', 'waterfall'].includes(type) ? series.slice(0, 1) : series,
+      numberFormat: input.numberFormat ? String(input.numberFormat) : 'General',
+      horizontal: type === 'bar' || type === 'stackedBar' ? Boolean(input.horizontal) : false,
+      // Pies and waterfalls are unreadable without their numbers
+      dataLabels: input.dataLabels !== undefined ? Boolean(input.dataLabels) : ['pie', 'waterfall'].includes(type)
+    };
+
+    if (type === 'waterfall') {
+      chart.totals = Array.isArray(input.totals)
+        ? input.totals.filter(index => Number.isInteger(index) && index >= 0 && index < categories.length)
+        : categories.map((category, index) => (TOTAL_CATEGORY_PATTERN.test(category) ? index : null)).filter(index => index !== null);
+    }
+
+    return chart;
+  }
+
+  fromCsv(csv, options = {}) {
+    return this.normalize({ ...options, ...this.parseCsv(csv) });
+  }
+}
+
+module.exports = new ChartData();
\ No newline at end of file
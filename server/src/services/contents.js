@@ -0,0 +1,30 @@
+// The Contents slide lists the pitchbook's sections rather than anything generated: one entry per section, in deck
+// order, with the page its first slide lands on. The pitchbooks API answers with them as contentsEntries, which the
+// client shows on the Contents thumbnail.
+
+class Contents {
+  // [{ title, page, dividerPage }] for slides in deck order. Pages count from 1 in slide order; dividerPage is the
+  // section's divider slide (its first slide when it has none), which exported entries link to.
+  getEntries(slides = []) {
+    const ordered = [...slides].sort((a, b) => a.slideNumber - b.slideNumber);
+    const entries = [];
+
+    ordered.forEach((slide, index) => {
+      const title = slide.sectionTitle?.trim();
+      if (!title) return;
+
+      // A section interrupted by a moved slide is still listed once, at its first page
+      const entry = entries.find(e => e.title === title);
+      if (!entry) {
+        entries.push({ title, page: index + 1, dividerPage: index + 1, hasDivider: slide.type === 'section-divider' });
+      } else if (!entry.hasDivider && slide.type === 'section-divider') {
+        entry.dividerPage = index + 1;
+        entry.hasDivider = true;
+      }
+    });
+
+    return entries.map(({ title, page, dividerPage }) => ({ title, page, dividerPage }));
+  }
+}
+
+module.exports = new Contents();
\ No newline at end of file
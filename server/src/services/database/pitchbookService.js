@@ -1,4 +1,5 @@
 const { supabase, createUserClient } = require('./supabaseClient');
+const openXmlParser = require('../../parsers/openXmlParser');
 
 class PitchbookService {
   // Get all pitchbooks for a user's organizations
@@ -55,7 +56,8 @@ class PitchbookService {
         organization_id: organizationId,
         created_by: userId,
         pitchbook_prompt: pitchbookData.pitchbookPrompt,
-        scoped_prompts: pitchbookData.scopedPrompts || {}
+        scoped_prompts: pitchbookData.scopedPrompts || {},
+        template_id: pitchbookData.templateId || null
       })
       .select()
       .single();
@@ -84,7 +86,8 @@ class PitchbookService {
         pitchbook.id, 
         createdSections, 
         pitchbookData.inheritTemplatePrompts,
-        client
+        client,
+        pitchbook.template_id
       );
 
       pitchbook.sections = createdSections;
@@ -189,10 +192,20 @@ class PitchbookService {
   }
 
   // Generate slide structure
-  async generateSlideStructure(pitchbookId, sections, inheritTemplatePrompts, client) {
+  async generateSlideStructure(pitchbookId, sections, inheritTemplatePrompts, client, templateId = null) {
     const slides = [];
     let slideNumber = 1;
 
+    // Uploaded templates are not unpacked on this server, so layouts are only picked for the built-in one; the
+    // names are the aliases uploaded templates keep
+    const layouts = templateId ? [] : await openXmlParser.getAllLayouts();
+    const layoutFor = (slideType, layoutName) => {
+      if (templateId) return { layout_name: layoutName, layout_id: null };
+      const layout = openXmlParser.matchLayoutForSlideType(layouts, slideType);
+      if (!layout) throw new Error(`The template has no layout for ${slideType} slides`);
+      return { layout_name: layout.name, layout_id: layout.id };
+    };
+
     // Add mandatory slides
     const mandatorySlides = [
       { layout_name: 'Title Slide', slide_type: 'title' },
@@ -206,7 +219,7 @@ class PitchbookService {
         .insert({
           pitchbook_id: pitchbookId,
           slide_number: slideNumber++,
-          layout_name: slide.layout_name,
+          ...layoutFor(slide.slide_type, slide.layout_name),
           slide_type: slide.slide_type
         })
         .select()
@@ -225,7 +238,7 @@ class PitchbookService {
           pitchbook_id: pitchbookId,
           section_id: section.id,
           slide_number: slideNumber++,
-          layout_name: 'Section Divider',
+          ...layoutFor('section-divider', 'Section Divider'),
           slide_type: 'section-divider'
         })
         .select()
@@ -242,7 +255,7 @@ class PitchbookService {
             pitchbook_id: pitchbookId,
             section_id: section.id,
             slide_number: slideNumber++,
-            layout_name: 'Body Text',
+            ...layoutFor('body', 'Body Text'),
             slide_type: 'body'
           })
           .select()
@@ -255,20 +268,24 @@ class PitchbookService {
 
     // Inherit template prompts if requested
     if (inheritTemplatePrompts) {
-      await this.inheritTemplatePrompts(slides, client);
+      await this.inheritTemplatePrompts(slides, client, templateId);
     }
 
     return slides;
   }
 
   // Inherit default prompts from templates
-  async inheritTemplatePrompts(slides, client) {
+  async inheritTemplatePrompts(slides, client, templateId = null) {
     const layoutNames = [...new Set(slides.map(s => s.layout_name))];
     
-    const { data: templates } = await client
+    // Layout names are only unique within a template
+    let query = client
       .from('layout_templates')
       .select('name, default_prompts')
       .in('name', layoutNames);
+    query = templateId ? query.eq('template_id', templateId) : query;
+
+    const { data: templates } = await query;
 
     if (!templates) return;
 
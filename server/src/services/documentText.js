@@ -0,0 +1,277 @@
+const JSZip = require('jszip');
+const xml2js = require('xml2js');
+const mammoth = require('mammoth');
+const { PDFParse } = require('pdf-parse');
+
+// Plain text from source documents attached to a pitchbook, read entirely on this machine:
+//   { format: 'pdf' | 'docx' | 'xlsx' | 'text', sections: [{ location, text }], warnings: [] }
+// A section is the unit a passage can be traced back to: a PDF page ('page 3'), the part of a Word document under
+// a heading ('"Market overview"'), a worksheet ('sheet "Financials"'), or the whole of a text file (null).
+// The format comes from the file's contents rather than its name. PDFs are read with pdf.js (through pdf-parse) and
+// Word documents with mammoth, both offline. Pages with no text (scanned PDFs need OCR) or only unreadable glyphs
+// are left out and reported in warnings rather than indexed.
+
+const MAX_CHARACTERS = 2000000;
+
+// Share of unreadable characters at which a PDF page is left out
+const UNREADABLE_SHARE = 0.2;
+
+// Problems with the uploaded file itself; routes answer these with 400
+const invalidDocument = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+class DocumentText {
+  constructor() {
+    this.parser = new xml2js.Parser({ explicitChildren: true, preserveChildrenOrder: true, charsAsChildren: true });
+  }
+
+  async extract(buffer) {
+    const result = await this.read(buffer);
+    const warnings = [...result.warnings];
+    const sections = [];
+    let characters = 0;
+
+    for (const section of result.sections) {
+      const text = section.text.replace(/[ \t]+/g, ' ').replace(/ *\n */g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+      if (!text) continue;
+      if (characters + text.length > MAX_CHARACTERS) {
+        warnings.push(`Only the first ${MAX_CHARACTERS.toLocaleString('en-US')} characters were indexed`);
+        break;
+      }
+      characters += text.length;
+      sections.push({ location: section.location, text });
+    }
+
+    if (sections.length === 0) {
+      throw invalidDocument(result.format === 'pdf'
+        ? 'No text found in this PDF; scanned documents need OCR before they can be used'
+        : 'No text found in this document');
+    }
+    return { format: result.format, sections, warnings };
+  }
+
+  async read(buffer) {
+    if (buffer.subarray(0, 5).toString('latin1') === '%PDF-') {
+      return this.readPdf(buffer);
+    }
+
+    if (buffer[0] === 0x50 && buffer[1] === 0x4b) {
+      let zip;
+      try {
+        zip = await JSZip.loadAsync(buffer);
+      } catch (error) {
+        throw invalidDocument('File looks like a .docx or .xlsx package but could not be opened');
+      }
+      if (zip.file('word/document.xml')) return this.readDocx(buffer);
+      if (zip.file('xl/workbook.xml')) return this.readXlsx(zip);
+      throw invalidDocument('Only .docx and .xlsx packages can be read; save other Office files in one of those formats');
+    }
+
+    if (buffer.subarray(0, 8).equals(Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]))) {
+      throw invalidDocument('Legacy .doc and .xls files cannot be read; save them as .docx or .xlsx');
+    }
+
+    const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+    if (text.includes('\u0000') || text.includes('\uFFFD')) {
+      throw invalidDocument('File is not a PDF, .docx, .xlsx or UTF-8 text file');
+    }
+    return { format: 'text', sections: [{ location: null, text }], warnings: [] };
+  }
+
+  // Word, through mammoth's HTML: paragraphs and list items in order, table rows as "cell | cell", split into
+  // sections at headings
+  async readDocx(buffer) {
+    let converted;
+    try {
+      converted = await mammoth.convertToHtml({ buffer }, {
+        convertImage: mammoth.images.imgElement(() => ({ src: '' }))
+      });
+    } catch (error) {
+      throw invalidDocument('Word document could not be read');
+    }
+
+    const document = await this.parser.parseStringPromise(`<body>${converted.value}</body>`);
+    const sections = [{ location: null, lines: [] }];
+    const addLine = (text) => {
+      if (text) sections[sections.length - 1].lines.push(text);
+    };
+
+    const visit = (node) => {
+      for (const child of this.children(node)) {
+        const name = child['#name'];
+        if (/^h[1-6]$/.test(name)) {
+          const text = this.collectText(child, null).trim();
+          if (!text) continue;
+          sections.push({ location: `"${text.slice(0, 80)}"`, lines: [] });
+          addLine(text);
+        } else if (name === 'p') {
+          addLine(this.collectText(child, null).trim());
+        } else if (name === 'li') {
+          // Nested lists follow their item as lines of their own
+          addLine(this.children(child)
+            .filter(c => c['#name'] !== 'ul' && c['#name'] !== 'ol')
+            .map(c => this.collectText(c, null)).join('').trim());
+          visit({ $$: this.children(child).filter(c => c['#name'] === 'ul' || c['#name'] === 'ol') });
+        } else if (name === 'tr') {
+          const cells = this.children(child)
+            .filter(c => c['#name'] === 'td' || c['#name'] === 'th')
+            .map(cell => this.children(cell).map(c => this.collectText(c, null).trim()).filter(Boolean).join(' '));
+          if (cells.some(Boolean)) addLine(cells.join(' | '));
+        } else if (name !== '__text__') {
+          // Lists, tables and their sections hold paragraphs too
+          visit(child);
+        }
+      }
+    };
+    visit(document.body);
+
+    const warnings = converted.messages
+      .filter(message => message.type === 'error')
+      .map(message => `Part of the document could not be read: ${message.message}`);
+    return {
+      format: 'docx',
+      sections: sections.map(section => ({ location: section.location, text: section.lines.join('\n') })),
+      warnings
+    };
+  }
+
+  // Excel: one section per worksheet, each row as "Row 5: cell | cell" from the values Excel last calculated
+  async readXlsx(zip) {
+    const read = async (name) => {
+      const file = zip.file(name);
+      return file ? this.parser.parseStringPromise(await file.async('string')) : null;
+    };
+
+    const sharedStrings = [];
+    const strings = await read('xl/sharedStrings.xml');
+    for (const item of this.children(strings?.sst).filter(c => c['#name'] === 'si')) {
+      sharedStrings.push(this.collectText(item, 't'));
+    }
+
+    const relationships = new Map();
+    const rels = await read('xl/_rels/workbook.xml.rels');
+    for (const rel of this.children(rels?.Relationships)) {
+      relationships.set(rel.$?.Id, rel.$?.Target);
+    }
+
+    const workbook = await read('xl/workbook.xml');
+    const sheets = this.children(this.find(workbook.workbook, 'sheets')).filter(c => c['#name'] === 'sheet');
+    const sections = [];
+    const warnings = [];
+
+    for (const sheet of sheets) {
+      const target = relationships.get(sheet.$?.['r:id']);
+      if (!target) continue;
+      const partName = target.startsWith('/') ? target.slice(1) : `xl/${target.replace(/^\.\//, '')}`;
+      const worksheet = await read(partName);
+      if (!worksheet) continue;
+
+      const lines = [];
+      for (const row of this.children(this.find(worksheet.worksheet, 'sheetData')).filter(c => c['#name'] === 'row')) {
+        const values = this.children(row)
+          .filter(c => c['#name'] === 'c')
+          .map(cell => this.cellValue(cell, sharedStrings))
+          .filter(value => value !== '');
+        if (values.length > 0) {
+          lines.push(`Row ${row.$?.r || lines.length + 1}: ${values.join(' | ')}`);
+        }
+      }
+      sections.push({ location: `sheet "${sheet.$?.name}"`, text: lines.join('\n') });
+    }
+
+    if (sheets.some(sheet => sheet.$?.state === 'hidden')) {
+      warnings.push('Hidden sheets were indexed too');
+    }
+    return { format: 'xlsx', sections, warnings };
+  }
+
+  cellValue(cell, sharedStrings) {
+    const type = cell.$?.t;
+    if (type === 'inlineStr') {
+      return this.collectText(this.find(cell, 'is'), 't').trim();
+    }
+    const value = this.collectText(this.find(cell, 'v'), null).trim();
+    if (type === 's') {
+      return (sharedStrings[parseInt(value)] || '').trim();
+    }
+    if (type === 'b') {
+      return value === '1' ? 'TRUE' : 'FALSE';
+    }
+    // Numbers keep Excel's full precision; rounding them would change figures the model quotes
+    return value;
+  }
+
+  // Text of every <name> element below node (or of node itself when name is null)
+  collectText(node, name) {
+    if (!node) return '';
+    if (node['#name'] === '__text__') return name ? '' : node._ || '';
+    if (!name || node['#name'] === name) {
+      return this.children(node).map(child => (child['#name'] === '__text__' ? child._ || '' : this.collectText(child, null))).join('');
+    }
+    return this.children(node).map(child => this.collectText(child, name)).join('');
+  }
+
+  children(node) {
+    return node?.$$ || [];
+  }
+
+  find(node, name) {
+    return this.children(node).find(child => child['#name'] === name) || null;
+  }
+
+  // PDF, through pdf-parse: the text of each page, in page order. Pages with no text, or whose text is mostly
+  // glyphs without a Unicode mapping, are left out and listed in the warnings.
+  async readPdf(buffer) {
+    const pdf = new PDFParse({ data: buffer });
+    let result;
+    try {
+      result = await pdf.getText();
+    } catch (error) {
+      if (error.name === 'PasswordException') {
+        throw invalidDocument('Encrypted PDFs cannot be read; remove the password protection first');
+      }
+      throw invalidDocument('PDF could not be read');
+    } finally {
+      await pdf.destroy().catch(() => {});
+    }
+
+    const sections = [];
+    const empty = [];
+    const unreadable = [];
+    for (const page of result.pages) {
+      const text = page.text.trim();
+      if (!text) {
+        empty.push(page.num);
+      } else if (this.isUnreadable(text)) {
+        unreadable.push(page.num);
+      } else {
+        sections.push({ location: `page ${page.num}`, text });
+      }
+    }
+
+    if (sections.length === 0 && unreadable.length > 0) {
+      throw invalidDocument('The text in this PDF could not be read: its fonts have no Unicode mapping');
+    }
+    const warnings = [];
+    if (sections.length > 0 && empty.length > 0) {
+      warnings.push(`No text on ${this.listPages(empty)}; scanned pages need OCR`);
+    }
+    if (unreadable.length > 0) {
+      warnings.push(`Unreadable text on ${this.listPages(unreadable)} was left out`);
+    }
+    return { format: 'pdf', sections, warnings };
+  }
+
+  // Replacement characters, private-use glyphs and control characters are what fonts without a Unicode mapping
+  // come out as; a page that is a fifth or more of them is not worth indexing
+  isUnreadable(text) {
+    const characters = text.replace(/\s+/g, '');
+    const junk = characters.match(/[\uFFFD\uE000-\uF8FF\u0000-\u001F]/g)?.length || 0;
+    return junk >= characters.length * UNREADABLE_SHARE;
+  }
+
+  listPages(numbers) {
+    return numbers.length === 1 ? `page ${numbers[0]}` : `pages ${numbers.join(', ')}`;
+  }
+}
+
+module.exports = new DocumentText();
\ No newline at end of file
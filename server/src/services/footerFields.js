@@ -0,0 +1,94 @@
+// Footer fields for every slide, from the pitchbook's settings:
+//   pitchbook.footer = { clientName, confidentiality, asOfDate: 'YYYY-MM-DD', showSlideNumbers }
+// A slide can override whether each field shows: slide.footer = { footer, date, slideNumber } (booleans; a missing
+// one follows the pitchbook). The client applies the same rules to its previews (client/src/services/footerFields.js).
+
+const FIELDS = ['footer', 'date', 'slideNumber'];
+
+const MAX_TEXT_LENGTH = 120;
+
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// Client name and confidentiality label share the footer placeholder
+const FOOTER_SEPARATOR = ' | ';
+
+// Problems with the submitted settings; routes answer these with 400
+const invalidFooter = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+class FooterFields {
+  get fields() {
+    return FIELDS;
+  }
+
+  // Validate pitchbook footer settings and fill in defaults
+  normalizeSettings(input = {}) {
+    const text = (value, name) => {
+      if (value === undefined || value === null) return null;
+      if (typeof value !== 'string') {
+        throw invalidFooter(`${name} must be text`);
+      }
+      if (value.trim().length > MAX_TEXT_LENGTH) {
+        throw invalidFooter(`${name} must be at most ${MAX_TEXT_LENGTH} characters`);
+      }
+      return value.trim() || null;
+    };
+
+    return {
+      clientName: text(input.clientName, 'Client name'),
+      confidentiality: text(input.confidentiality, 'Confidentiality label'),
+      asOfDate: this.normalizeDate(input.asOfDate),
+      showSlideNumbers: Boolean(input.showSlideNumbers)
+    };
+  }
+
+  normalizeDate(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const match = typeof value === 'string' && value.match(ISO_DATE);
+    const date = match && new Date(Date.UTC(match[1], match[2] - 1, match[3]));
+    if (!date || date.getUTCMonth() !== match[2] - 1 || date.getUTCDate() !== Number(match[3])) {
+      throw invalidFooter('As-of date must be a date (YYYY-MM-DD)');
+    }
+    return value;
+  }
+
+  // A slide's overrides, keeping only the fields it sets; null when it follows the pitchbook throughout
+  normalizeOverrides(input = {}) {
+    const overrides = {};
+    for (const field of FIELDS) {
+      const value = input?.[field];
+      if (value === undefined || value === null) continue;
+      if (typeof value !== 'boolean') {
+        throw invalidFooter(`${field} must be true, false or null`);
+      }
+      overrides[field] = value;
+    }
+    return Object.keys(overrides).length ? overrides : null;
+  }
+
+  // What a slide shows: { footer, date, slideNumber }, each null when hidden. page is the slide's position in the deck.
+  resolve(settings, slide, page) {
+    const footerText = [settings?.clientName, settings?.confidentiality].filter(Boolean).join(FOOTER_SEPARATOR);
+    const defaults = {
+      footer: Boolean(footerText),
+      date: Boolean(settings?.asOfDate),
+      slideNumber: Boolean(settings?.showSlideNumbers)
+    };
+    const shows = (field) => slide?.footer?.[field] ?? defaults[field];
+
+    return {
+      footer: shows('footer') && footerText ? footerText : null,
+      date: shows('date') && settings?.asOfDate ? this.formatDate(settings.asOfDate) : null,
+      slideNumber: shows('slideNumber') ? page : null
+    };
+  }
+
+  // 2026-10-19 -> "19 October 2026"
+  formatDate(isoDate) {
+    const [year, month, day] = isoDate.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day))
+      .toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' });
+  }
+}
+
+module.exports = new FooterFields();
\ No newline at end of file
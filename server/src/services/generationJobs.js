@@ -0,0 +1,478 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+const llm = require('./llm');
+const pitchbookStore = require('./pitchbookStore');
+const promptResolver = require('./promptResolver');
+const sourceStore = require('./sourceStore');
+const chartData = require('./chartData');
+const tableData = require('./tableData');
+const dataPath = require('../utils/dataPath');
+
+// Content generation runs as jobs on the server, so it carries on when the browser tab closes.
+// A job is one task per placeholder:
+//   { slideKey, placeholderKey, kind: 'text' | 'chart' | 'table', prompt, original, sources, status, error, attempts }
+// Workers take pending tasks a few at a time (GENERATION_CONCURRENCY) and save each result into the
+// pitchbook's generated content as soon as it arrives. Jobs are saved to data/generation_jobs, so a job the
+// server stopped in the middle of comes back 'interrupted' and can be resumed where it left off.
+const jobsPath = path.join(dataPath, 'generation_jobs');
+
+const TASK_KINDS = ['text', 'chart', 'table'];
+
+// Jobs in these states have workers running
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+const MAX_CONCURRENCY = 8;
+
+const MAX_TASKS = 500;
+
+// Finished jobs kept per pitchbook
+const KEPT_JOBS = 10;
+
+const SLIDE_KEY = /^slide_\d+$/;
+
+// Problems with a job request; routes answer these with their statusCode
+const invalidJob = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+class GenerationJobs {
+  constructor() {
+    this.jobs = new Map();
+    this.runs = new Map();
+    this.saves = new Map();
+    this.starting = new Set();
+    this.events = new EventEmitter();
+    this.events.setMaxListeners(0);
+    this.loaded = null;
+  }
+
+  get concurrency() {
+    const configured = parseInt(process.env.GENERATION_CONCURRENCY);
+    return Number.isInteger(configured) && configured > 0 ? Math.min(configured, MAX_CONCURRENCY) : 3;
+  }
+
+  // Read saved jobs once; jobs that were running when the server stopped become 'interrupted'
+  load() {
+    if (!this.loaded) {
+      this.loaded = this.loadJobs();
+    }
+    return this.loaded;
+  }
+
+  async loadJobs() {
+    await fs.ensureDir(jobsPath);
+    const files = (await fs.readdir(jobsPath)).filter(file => file.endsWith('.json'));
+
+    for (const file of files) {
+      const job = await fs.readJson(path.join(jobsPath, file), { throws: false });
+      if (!job?.id) continue;
+
+      this.jobs.set(job.id, job);
+      if (ACTIVE_STATUSES.includes(job.status)) {
+        job.status = 'interrupted';
+        job.tasks.forEach(task => {
+          if (task.status === 'running') task.status = 'pending';
+        });
+        await this.save(job);
+      }
+    }
+  }
+
+  getFile(jobId) {
+    return path.join(jobsPath, `${jobId}.json`);
+  }
+
+  // Saves of one job run one at a time; workers finish tasks side by side
+  save(job) {
+    job.updated = new Date().toISOString();
+    const previous = this.saves.get(job.id) || Promise.resolve();
+    const next = previous.catch(() => {}).then(() => fs.writeJson(this.getFile(job.id), job, { spaces: 2 }));
+    this.saves.set(job.id, next);
+    return next;
+  }
+
+  isActive(job) {
+    return ACTIVE_STATUSES.includes(job.status);
+  }
+
+  async get(jobId) {
+    await this.load();
+    return this.jobs.get(jobId) || null;
+  }
+
+  // A pitchbook's jobs, newest first
+  async list(pitchbookId) {
+    await this.load();
+    return [...this.jobs.values()]
+      .filter(job => job.pitchbookId === pitchbookId)
+      .sort((a, b) => b.created.localeCompare(a.created));
+  }
+
+  findActive(pitchbookId) {
+    return [...this.jobs.values()].find(job => job.pitchbookId === pitchbookId && this.isActive(job)) || null;
+  }
+
+  // Start generating a pitchbook; null when the pitchbook does not exist
+  // input: { tasks?: [{ slideKey, placeholderKey, prompt, original?, kind? }], system?, regenerate?, review?: { audience } }
+  // Without tasks, the pitchbook's own prompts are used. Either way the broader scopes' prompts are added.
+  async create(pitchbookId, input = {}) {
+    await this.load();
+    const pitchbook = await pitchbookStore.read(pitchbookId);
+    if (!pitchbook) {
+      return null;
+    }
+
+    // A server without a provider answers 503 here rather than failing every task of the job
+    llm.describe();
+
+    // The pitchbook stays reserved until its job is registered, so a second request arriving while this one
+    // grounds and saves its tasks gets the 409 too
+    this.checkIdle(pitchbookId);
+    this.starting.add(pitchbookId);
+    try {
+      return await this.createJob(pitchbookId, pitchbook, input);
+    } finally {
+      this.starting.delete(pitchbookId);
+    }
+  }
+
+  // 409 when the pitchbook has a job running or one being created
+  checkIdle(pitchbookId) {
+    const active = this.findActive(pitchbookId);
+    if (active || this.starting.has(pitchbookId)) {
+      throw Object.assign(invalidJob('This pitchbook is already being generated', 409), { jobId: active?.id });
+    }
+  }
+
+  async createJob(pitchbookId, pitchbook, input) {
+    // Existing content is kept unless regenerating
+    const tasks = (input.tasks ? this.normalizeTasks(input.tasks) : this.getPromptTasks(pitchbook))
+      .filter(task => input.regenerate || !pitchbook.generatedContent?.[task.slideKey]?.[task.placeholderKey]);
+    if (tasks.length === 0) {
+      throw invalidJob('Nothing to generate: every prompt already has content');
+    }
+
+    // Each task's prompt joins the pitchbook, section and slide prompts above it (see promptResolver), with the
+    // pitchbook's variables filled in. Undefined variables would reach the model as {{name}}, so they stop the job.
+    const missingVariables = new Map();
+    tasks.forEach(task => {
+      const resolved = promptResolver.resolve(pitchbook, parseInt(task.slideKey.slice('slide_'.length)),
+        task.placeholderKey, task.prompt);
+      if (!resolved) return;
+
+      task.prompt = resolved.prompt;
+      resolved.missingVariables.forEach(name => {
+        missingVariables.set(name, [...(missingVariables.get(name) || []), task.slideKey]);
+      });
+    });
+    if (missingVariables.size > 0) {
+      const names = [...missingVariables.keys()].map(name => `{{${name}}}`).join(', ');
+      throw Object.assign(invalidJob(`Define these prompt variables before generating: ${names}`), {
+        missingVariables: [...missingVariables].map(([name, slideKeys]) => ({ name, slideKeys: [...new Set(slideKeys)] }))
+      });
+    }
+
+    // Passages from the pitchbook's source documents go in front of each prompt; task.sources records which
+    for (const task of tasks) {
+      const grounded = await sourceStore.ground(pitchbook, parseInt(task.slideKey.slice('slide_'.length)),
+        task.original, task.prompt);
+      task.prompt = grounded.prompt;
+      task.sources = grounded.passages.map(({ text, ...passage }) => passage);
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: uuidv4(),
+      pitchbookId,
+      status: 'queued',
+      error: null,
+      system: input.system ? String(input.system) : null,
+      review: input.review ? { audience: String(input.review.audience || 'business professionals') } : null,
+      tasks: tasks.map(task => ({ ...task, status: 'pending', error: null, attempts: 0 })),
+      created: now,
+      updated: now,
+      finishedAt: null
+    };
+
+    this.jobs.set(job.id, job);
+    await this.save(job);
+    await this.prune(pitchbookId);
+    this.start(job);
+    return job;
+  }
+
+  normalizeTasks(input) {
+    if (!Array.isArray(input) || input.length > MAX_TASKS) {
+      throw invalidJob(`tasks must be a list of at most ${MAX_TASKS} placeholders`);
+    }
+
+    const tasks = new Map();
+    input.forEach((task, index) => {
+      if (!SLIDE_KEY.test(task?.slideKey) || typeof task.placeholderKey !== 'string' || !task.placeholderKey) {
+        throw invalidJob(`tasks[${index}] needs a slideKey (slide_N) and a placeholderKey`);
+      }
+      if (typeof task.prompt !== 'string' || !task.prompt.trim()) {
+        throw invalidJob(`tasks[${index}].prompt is required`);
+      }
+      const kind = task.kind || 'text';
+      if (!TASK_KINDS.includes(kind)) {
+        throw invalidJob(`tasks[${index}].kind must be ${TASK_KINDS.join(', ')}`);
+      }
+
+      // A placeholder listed twice is generated once, from its last prompt
+      tasks.set(`${task.slideKey}/${task.placeholderKey}`, {
+        slideKey: task.slideKey,
+        placeholderKey: task.placeholderKey,
+        kind,
+        prompt: task.prompt,
+        original: typeof task.original === 'string' ? task.original : task.prompt
+      });
+    });
+    return [...tasks.values()];
+  }
+
+  // Text tasks for the pitchbook's stored prompts. The Contents slide is built from the sections, and charts,
+  // tables and images are drafted from their own editors, so those are left alone.
+  getPromptTasks(pitchbook) {
+    const tasks = [];
+    for (const [slideKey, slidePrompts] of Object.entries(pitchbook.prompts || {})) {
+      const slide = pitchbook.slides?.find(s => `slide_${s.slideNumber}` === slideKey);
+      if (slide?.type === 'contents') continue;
+
+      for (const [placeholderKey, prompt] of Object.entries(slidePrompts || {})) {
+        const existing = pitchbook.generatedContent?.[slideKey]?.[placeholderKey];
+        if (typeof prompt !== 'string' || !prompt.trim() || existing?.chart || existing?.table || existing?.image) continue;
+
+        tasks.push({ slideKey, placeholderKey, kind: 'text', prompt, original: prompt });
+      }
+    }
+    return tasks;
+  }
+
+  // Stop taking new tasks; tasks already sent to the provider still finish and are saved
+  async cancel(jobId) {
+    const job = await this.get(jobId);
+    if (!job) {
+      return null;
+    }
+    if (!this.isActive(job)) {
+      throw invalidJob(`The job is already ${job.status}`, 409);
+    }
+
+    job.status = 'cancelled';
+    await this.save(job);
+    this.emit(job, { type: 'status' });
+    return job;
+  }
+
+  // Run a stopped job's unfinished and failed tasks again
+  async resume(jobId) {
+    const job = await this.get(jobId);
+    if (!job) {
+      return null;
+    }
+    if (this.isActive(job)) {
+      throw invalidJob('The job is already running', 409);
+    }
+
+    // A cancelled job's last tasks may still be finishing
+    await this.runs.get(job.id);
+
+    this.checkIdle(job.pitchbookId);
+    const remaining = job.tasks.filter(task => task.status !== 'done');
+    if (remaining.length === 0) {
+      throw invalidJob('Every placeholder in this job is already generated', 409);
+    }
+
+    remaining.forEach(task => {
+      task.status = 'pending';
+      task.error = null;
+    });
+    job.status = 'queued';
+    job.error = null;
+    await this.save(job);
+    this.start(job);
+    return job;
+  }
+
+  start(job) {
+    const run = this.run(job).catch(async (error) => {
+      console.error(`Generation job ${job.id} failed:`, error);
+      job.status = 'failed';
+      job.error = error.message;
+      job.finishedAt = new Date().toISOString();
+      await this.save(job).catch(() => {});
+      this.emit(job, { type: 'status' });
+    });
+    this.runs.set(job.id, run);
+  }
+
+  async run(job) {
+    job.status = 'running';
+    job.finishedAt = null;
+    await this.save(job);
+    this.emit(job, { type: 'status' });
+    await pitchbookStore.update(job.pitchbookId, pitchbook => {
+      pitchbook.status = 'generating';
+    });
+
+    const worker = async () => {
+      let task;
+      while (job.status === 'running' && (task = job.tasks.find(t => t.status === 'pending'))) {
+        await this.runTask(job, task);
+      }
+    };
+    const workerCount = Math.min(this.concurrency, job.tasks.length);
+    await Promise.all(Array.from({ length: workerCount }, worker));
+
+    if (job.status === 'running') {
+      const failed = job.tasks.filter(task => task.status === 'failed').length;
+      job.status = failed ? 'failed' : 'completed';
+      job.error = failed ? `${failed} of ${job.tasks.length} placeholders failed` : null;
+    }
+    job.finishedAt = new Date().toISOString();
+    await this.save(job);
+
+    await pitchbookStore.update(job.pitchbookId, pitchbook => {
+      pitchbook.status = job.status === 'completed' ? 'generated' : 'partial';
+      if (job.status === 'completed') pitchbook.generatedAt = job.finishedAt;
+    });
+    this.emit(job, { type: 'status' });
+  }
+
+  async runTask(job, task) {
+    task.status = 'running';
+    task.attempts += 1;
+    this.emit(job, { type: 'task', task });
+
+    let entry = null;
+    try {
+      entry = await this.generateEntry(job, task);
+      const pitchbook = await pitchbookStore.update(job.pitchbookId, stored => {
+        const slideContent = { ...(stored.generatedContent?.[task.slideKey] || {}), [task.placeholderKey]: entry };
+        stored.generatedContent = { ...(stored.generatedContent || {}), [task.slideKey]: slideContent };
+      });
+      if (!pitchbook) {
+        // Nothing left to save into; the other workers stop too
+        job.status = 'failed';
+        job.error = 'The pitchbook was deleted';
+        throw new Error(job.error);
+      }
+      task.status = 'done';
+      task.error = null;
+    } catch (error) {
+      console.error(`Generation job ${job.id}: ${task.slideKey}/${task.placeholderKey} failed:`, error.message);
+      entry = null;
+      task.status = 'failed';
+      task.error = error.message;
+    }
+
+    await this.save(job);
+    this.emit(job, { type: 'task', task, result: entry });
+  }
+
+  // The generated content entry for a task, in the shape the editors save
+  async generateEntry(job, task) {
+    const { text, provider, model } = await llm.generate({ prompt: task.prompt, system: job.system });
+    const base = { success: true, source: 'ai', provider, model, jobId: job.id, sources: task.sources || [] };
+
+    if (task.kind === 'chart') {
+      return { ...base, chart: chartData.normalize(this.parseJson(text)), timestamp: new Date().toISOString() };
+    }
+    if (task.kind === 'table') {
+      return { ...base, table: tableData.normalize(this.parseJson(text)), timestamp: new Date().toISOString() };
+    }
+
+    const entry = { ...base, original: task.original, enhanced: task.prompt, content: text };
+    if (job.review) {
+      const review = await llm.generate({ prompt: this.buildReviewPrompt(text, job.review.audience), system: job.system });
+      entry.originalContent = text;
+      entry.content = review.text.trim();
+    }
+    return { ...entry, timestamp: new Date().toISOString() };
+  }
+
+  // Models sometimes wrap the JSON in code fences or a sentence anyway
+  parseJson(text) {
+    try {
+      return JSON.parse(text.slice(text.indexOf('{'), text.lastIndexOf('}') + 1));
+    } catch {
+      throw new Error('The model did not return valid JSON');
+    }
+  }
+
+  buildReviewPrompt(content, audience) {
+    return `Please review and improve the following content:
+
+"${content}"
+
+Review criteria:
+- Fix any grammar or spelling errors
+- Improve clarity and readability
+- Ensure appropriate tone for ${audience}
+- Maintain the original meaning and key points
+- Keep approximately the same length and the same markdown formatting
+
+Return only the improved version.`;
+  }
+
+  getProgress(job) {
+    const count = (status) => job.tasks.filter(task => task.status === status).length;
+    const total = job.tasks.length;
+    const done = count('done');
+    const failed = count('failed');
+    return {
+      total,
+      done,
+      failed,
+      pending: count('pending'),
+      running: count('running'),
+      percentage: total ? Math.round(((done + failed) / total) * 100) : 100
+    };
+  }
+
+  // The job as the API returns it; prompts and the system prompt stay on the server
+  summarize(job) {
+    const { system, tasks, ...rest } = job;
+    return {
+      ...rest,
+      progress: this.getProgress(job),
+      tasks: tasks.map(task => this.summarizeTask(task))
+    };
+  }
+
+  summarizeTask({ prompt, ...task }) {
+    return task;
+  }
+
+  // listener gets { type: 'status', status, error, progress, finishedAt } and
+  // { type: 'task', task, progress, result }; returns the function that unsubscribes
+  subscribe(jobId, listener) {
+    this.events.on(jobId, listener);
+    return () => this.events.off(jobId, listener);
+  }
+
+  emit(job, { type, task, result }) {
+    const event = { type, jobId: job.id, status: job.status, progress: this.getProgress(job) };
+    if (type === 'status') {
+      Object.assign(event, { error: job.error, finishedAt: job.finishedAt });
+    } else {
+      Object.assign(event, { task: this.summarizeTask(task), result: result || null });
+    }
+    this.events.emit(job.id, event);
+  }
+
+  // Drop a pitchbook's oldest finished jobs
+  async prune(pitchbookId) {
+    const finished = (await this.list(pitchbookId)).filter(job => !this.isActive(job));
+    for (const job of finished.slice(KEPT_JOBS)) {
+      await this.saves.get(job.id)?.catch(() => {});
+      this.jobs.delete(job.id);
+      this.saves.delete(job.id);
+      this.runs.delete(job.id);
+      await fs.remove(this.getFile(job.id));
+    }
+  }
+}
+
+module.exports = new GenerationJobs();
\ No newline at end of file
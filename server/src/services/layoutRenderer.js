@@ -0,0 +1,726 @@
+const fs = require('fs-extra');
+const path = require('path');
+const xml2js = require('xml2js');
+const openXmlParser = require('../parsers/openXmlParser');
+const themeParser = require('../parsers/themeParser');
+
+const EMU_PER_PIXEL = 9525;
+const PIXELS_PER_POINT = 96 / 72;
+
+// bodyPr defaults from the DrawingML spec (EMU)
+const DEFAULT_INSETS = { left: 91440, top: 45720, right: 91440, bottom: 45720 };
+
+// Neutral so placeholder bounds show on both light and dark layout backgrounds
+const PLACEHOLDER_OUTLINE = '#8C8C99';
+
+const IMAGE_MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+  '.bmp': 'image/bmp'
+};
+
+class LayoutRenderer {
+  constructor() {
+    // Ordered children are kept so shapes are drawn in z-order and runs keep their sequence
+    this.parser = new xml2js.Parser({ explicitChildren: true, preserveChildrenOrder: true });
+    this.partCache = new Map();
+    this.imageCache = new Map();
+  }
+
+  // Render a layout as the slide would look: background, master shapes, layout shapes, pictures and text
+  async renderLayout(layout, theme = null, options = {}) {
+    try {
+      const templateParser = options.parser || openXmlParser;
+      const layoutFile = path.join(templateParser.templatePath, 'slideLayouts', layout.fileName);
+      const layoutPart = await this.loadPart(layoutFile);
+      const masterFile = layoutPart.rels.slideMaster;
+      const masterPart = masterFile ? await this.loadPart(masterFile) : null;
+      const master = masterFile ? await templateParser.parseSlideMaster(masterFile) : null;
+      const { slideSize } = await templateParser.getPresentation();
+
+      const context = {
+        theme,
+        defs: [],
+        idPrefix: `l${path.basename(layout.fileName, '.xml')}`,
+        idCount: 0,
+        showPlaceholders: options.showPlaceholders !== false,
+        layoutPlaceholders: new Map((layout.placeholders || []).map(p => [p.id, p])),
+        masterPlaceholders: masterPart ? this.collectPlaceholderShapes(masterPart.root) : [],
+        masterTextStyles: master ? master.textStyles : {}
+      };
+
+      const layoutData = layoutPart.root;
+      const layoutSlideData = this.child(layoutData, 'p:cSld');
+      const masterSlideData = masterPart ? this.child(masterPart.root, 'p:cSld') : null;
+
+      let body = this.renderBackground(
+        this.child(layoutSlideData, 'p:bg') || this.child(masterSlideData, 'p:bg'),
+        slideSize,
+        context
+      );
+
+      // showMasterSp="0" hides the master's logo, rules and text boxes on this layout
+      const showMasterShapes = !(layoutData['$'] && layoutData['$'].showMasterSp === '0');
+      if (masterPart && showMasterShapes) {
+        body += this.renderShapeTree(this.child(masterSlideData, 'p:spTree'), masterPart, context, false);
+      }
+      body += this.renderShapeTree(this.child(layoutSlideData, 'p:spTree'), layoutPart, context, true);
+
+      const width = options.width || slideSize.width;
+      const height = Math.round(width * slideSize.height / slideSize.width);
+
+      return `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${width}" height="${height}" viewBox="0 0 ${slideSize.width} ${slideSize.height}">` +
+        (context.defs.length > 0 ? `<defs>${context.defs.join('')}</defs>` : '') +
+        body +
+        `</svg>`;
+    } catch (error) {
+      console.error('Error rendering layout:', error);
+      throw error;
+    }
+  }
+
+  async loadPart(partFile) {
+    if (this.partCache.has(partFile)) {
+      return this.partCache.get(partFile);
+    }
+
+    const result = await this.parser.parseStringPromise(await fs.readFile(partFile, 'utf8'));
+    const root = result[Object.keys(result)[0]];
+
+    // Relationship targets keyed by Id, plus the slide master target keyed by type
+    const rels = {};
+    const relsFile = path.join(path.dirname(partFile), '_rels', `${path.basename(partFile)}.rels`);
+    if (await fs.exists(relsFile)) {
+      const relsResult = await this.parser.parseStringPromise(await fs.readFile(relsFile, 'utf8'));
+      (relsResult['Relationships']['Relationship'] || []).forEach(rel => {
+        const target = path.resolve(path.dirname(partFile), rel['$'].Target);
+        rels[rel['$'].Id] = target;
+        if (rel['$'].Type.endsWith('/slideMaster')) {
+          rels.slideMaster = target;
+        }
+      });
+    }
+
+    const part = { file: partFile, root, rels };
+    this.partCache.set(partFile, part);
+    return part;
+  }
+
+  child(element, name) {
+    return (element && element[name] && element[name][0]) || null;
+  }
+
+  attr(element, name) {
+    return element && element['$'] ? element['$'][name] : undefined;
+  }
+
+  nextId(context, kind) {
+    context.idCount += 1;
+    return `${context.idPrefix}-${kind}${context.idCount}`;
+  }
+
+  toPixels(emu) {
+    return this.round((parseInt(emu) || 0) / EMU_PER_PIXEL);
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  escapeXml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  getPlaceholder(shape) {
+    const nonVisual = this.child(shape, 'p:nvSpPr') || this.child(shape, 'p:nvPicPr');
+    return this.child(this.child(nonVisual, 'p:nvPr'), 'p:ph');
+  }
+
+  getShapeId(shape) {
+    const nonVisual = this.child(shape, 'p:nvSpPr') || this.child(shape, 'p:nvPicPr') || this.child(shape, 'p:nvCxnSpPr');
+    return this.attr(this.child(nonVisual, 'p:cNvPr'), 'id');
+  }
+
+  // Master placeholder shapes, used for the fill and line a layout placeholder inherits
+  collectPlaceholderShapes(root) {
+    const tree = this.child(this.child(root, 'p:cSld'), 'p:spTree');
+    return ((tree && tree['p:sp']) || [])
+      .filter(shape => this.getPlaceholder(shape))
+      .map(shape => {
+        const ph = this.getPlaceholder(shape);
+        return { phType: this.attr(ph, 'type') || 'body', index: this.attr(ph, 'idx'), spPr: this.child(shape, 'p:spPr') };
+      });
+  }
+
+  findMasterPlaceholder(context, ph) {
+    const master = { placeholders: context.masterPlaceholders };
+    return openXmlParser.findMasterPlaceholder(master, this.attr(ph, 'type'), this.attr(ph, 'idx'));
+  }
+
+  renderBackground(background, slideSize, context) {
+    const rect = (fill) => `<rect width="${slideSize.width}" height="${slideSize.height}" ${this.paintAttributes(fill, 'fill')}/>`;
+
+    if (!background) {
+      return rect({ paint: themeParser.resolveColor(context.theme, 'bg1', '#FFFFFF') });
+    }
+
+    const bgPr = this.child(background, 'p:bgPr');
+    if (bgPr) {
+      return rect(this.resolveFill(bgPr, context) || { paint: '#FFFFFF' });
+    }
+
+    // bgRef idx 1001+ points into the theme's background fill styles, tinted with the placeholder colour
+    const bgRef = this.child(background, 'p:bgRef');
+    const styles = context.theme ? context.theme.fmtScheme.backgroundFillStyles : [];
+    const style = bgRef ? styles[parseInt(this.attr(bgRef, 'idx')) - 1001] : null;
+    const placeholderColor = bgRef ? this.resolveColor(bgRef, context) : null;
+    if (style && style.type === 'solid') {
+      return rect({ paint: this.resolveSchemeColor(style.color, context, placeholderColor).color });
+    }
+    if (style && style.type === 'gradient') {
+      const stops = style.stops.map(stop => ({
+        offset: stop.position,
+        color: this.resolveSchemeColor(stop.color, context, placeholderColor).color,
+        opacity: 1
+      }));
+      return rect({ paint: this.addGradient(stops, style.angle, context) });
+    }
+    return rect({ paint: (placeholderColor && placeholderColor.color) || '#FFFFFF' });
+  }
+
+  renderShapeTree(tree, part, context, includePlaceholders) {
+    if (!tree) return '';
+
+    return (tree['$$'] || []).map(node => {
+      switch (node['#name']) {
+        case 'p:sp':
+        case 'p:cxnSp':
+          return this.renderShape(node, part, context, includePlaceholders);
+        case 'p:pic':
+          return this.renderPicture(node, part, context, includePlaceholders);
+        case 'p:grpSp':
+          return this.renderGroup(node, part, context, includePlaceholders);
+        default:
+          return '';
+      }
+    }).join('');
+  }
+
+  renderGroup(group, part, context, includePlaceholders) {
+    const xfrm = this.child(this.child(group, 'p:grpSpPr'), 'a:xfrm');
+    const content = this.renderShapeTree(group, part, context, includePlaceholders);
+    if (!xfrm) return `<g>${content}</g>`;
+
+    // Map the group's child coordinate space onto its position on the slide
+    const frame = this.getFrame(xfrm);
+    const childOffset = this.child(xfrm, 'a:chOff');
+    const childExtent = this.child(xfrm, 'a:chExt');
+    const childX = this.toPixels(this.attr(childOffset, 'x'));
+    const childY = this.toPixels(this.attr(childOffset, 'y'));
+    const scaleX = childExtent && parseInt(this.attr(childExtent, 'cx')) ? frame.width / this.toPixels(this.attr(childExtent, 'cx')) : 1;
+    const scaleY = childExtent && parseInt(this.attr(childExtent, 'cy')) ? frame.height / this.toPixels(this.attr(childExtent, 'cy')) : 1;
+
+    return `<g transform="${this.getTransform(frame)} translate(${frame.x} ${frame.y}) scale(${scaleX} ${scaleY}) translate(${-childX} ${-childY})">${content}</g>`;
+  }
+
+  renderShape(shape, part, context, includePlaceholders) {
+    const ph = this.getPlaceholder(shape);
+    if (ph && !includePlaceholders) return '';
+
+    const spPr = this.child(shape, 'p:spPr');
+    const xfrm = this.child(spPr, 'a:xfrm');
+    const parsedPlaceholder = ph ? context.layoutPlaceholders.get(this.getShapeId(shape)) : null;
+
+    let frame = xfrm ? this.getFrame(xfrm) : null;
+    if (!frame && parsedPlaceholder) {
+      // Geometry inherited from the master placeholder
+      frame = { x: parsedPlaceholder.x, y: parsedPlaceholder.y, width: parsedPlaceholder.width, height: parsedPlaceholder.height, rotation: 0 };
+    }
+    if (!frame) return '';
+
+    const masterPlaceholder = ph ? this.findMasterPlaceholder(context, ph) : null;
+    const fill = this.resolveFill(spPr, context) ||
+      (masterPlaceholder && this.resolveFill(masterPlaceholder.spPr, context)) ||
+      { paint: 'none' };
+    const line = this.resolveLine(this.child(spPr, 'a:ln'), context) ||
+      (masterPlaceholder && this.resolveLine(this.child(masterPlaceholder.spPr, 'a:ln'), context));
+
+    let svg = `<g${this.transformAttribute(frame)}>`;
+    svg += this.renderGeometry(spPr, frame, fill, line);
+
+    const txBody = this.child(shape, 'p:txBody');
+    if (txBody) {
+      svg += this.renderText(txBody, frame, context, ph, parsedPlaceholder);
+    }
+
+    // Outline placeholders so their bounds are visible even when they have no fill
+    if (ph && context.showPlaceholders) {
+      svg += `<rect x="${frame.x}" y="${frame.y}" width="${frame.width}" height="${frame.height}" fill="none" stroke="${PLACEHOLDER_OUTLINE}" stroke-width="1" stroke-dasharray="4,3" opacity="0.6"/>`;
+    }
+
+    return svg + `</g>`;
+  }
+
+  renderPicture(picture, part, context, includePlaceholders) {
+    if (this.getPlaceholder(picture) && !includePlaceholders) return '';
+
+    const spPr = this.child(picture, 'p:spPr');
+    const xfrm = this.child(spPr, 'a:xfrm');
+    if (!xfrm) return '';
+
+    const frame = this.getFrame(xfrm);
+    const blipFill = this.child(picture, 'p:blipFill');
+    const image = this.renderImage(blipFill, part, frame);
+    const line = this.resolveLine(this.child(spPr, 'a:ln'), context);
+    const outline = line
+      ? `<rect x="${frame.x}" y="${frame.y}" width="${frame.width}" height="${frame.height}" fill="none" ${this.lineAttributes(line)}/>`
+      : '';
+
+    return `<g${this.transformAttribute(frame)}>${image}${outline}</g>`;
+  }
+
+  renderImage(blipFill, part, frame) {
+    const blip = this.child(blipFill, 'a:blip');
+    const imageFile = part.rels[this.attr(blip, 'r:embed')];
+    const href = imageFile ? this.getImageDataUri(imageFile) : null;
+    if (!href) return '';
+
+    // srcRect crops are percentages (in 1/1000ths) of the source image trimmed from each edge
+    const crop = this.child(blipFill, 'a:srcRect');
+    const edge = (name) => (parseInt(this.attr(crop, name)) || 0) / 100000;
+    const left = edge('l');
+    const top = edge('t');
+    const right = edge('r');
+    const bottom = edge('b');
+    const imageWidth = frame.width / Math.max(1 - left - right, 0.01);
+    const imageHeight = frame.height / Math.max(1 - top - bottom, 0.01);
+
+    return `<svg x="${frame.x}" y="${frame.y}" width="${frame.width}" height="${frame.height}" overflow="hidden">` +
+      `<image x="${-left * imageWidth}" y="${-top * imageHeight}" width="${imageWidth}" height="${imageHeight}" preserveAspectRatio="none" href="${href}" xlink:href="${href}"/>` +
+      `</svg>`;
+  }
+
+  getImageDataUri(imageFile) {
+    if (this.imageCache.has(imageFile)) {
+      return this.imageCache.get(imageFile);
+    }
+
+    const mimeType = IMAGE_MIME_TYPES[path.extname(imageFile).toLowerCase()];
+    let dataUri = null;
+    if (mimeType && fs.existsSync(imageFile)) {
+      dataUri = `data:${mimeType};base64,${fs.readFileSync(imageFile).toString('base64')}`;
+    }
+
+    this.imageCache.set(imageFile, dataUri);
+    return dataUri;
+  }
+
+  getFrame(xfrm) {
+    const offset = this.child(xfrm, 'a:off');
+    const extent = this.child(xfrm, 'a:ext');
+    return {
+      x: this.toPixels(this.attr(offset, 'x')),
+      y: this.toPixels(this.attr(offset, 'y')),
+      width: this.toPixels(this.attr(extent, 'cx')),
+      height: this.toPixels(this.attr(extent, 'cy')),
+      rotation: (parseInt(this.attr(xfrm, 'rot')) || 0) / 60000,
+      flipH: this.attr(xfrm, 'flipH') === '1',
+      flipV: this.attr(xfrm, 'flipV') === '1'
+    };
+  }
+
+  // Rotation and flips are applied about the shape's centre
+  getTransform(frame) {
+    const centerX = frame.x + frame.width / 2;
+    const centerY = frame.y + frame.height / 2;
+    const transforms = [];
+
+    if (frame.rotation) {
+      transforms.push(`rotate(${frame.rotation} ${this.round(centerX)} ${this.round(centerY)})`);
+    }
+    if (frame.flipH || frame.flipV) {
+      transforms.push(`translate(${this.round(centerX)} ${this.round(centerY)}) scale(${frame.flipH ? -1 : 1} ${frame.flipV ? -1 : 1}) translate(${this.round(-centerX)} ${this.round(-centerY)})`);
+    }
+    return transforms.join(' ');
+  }
+
+  transformAttribute(frame) {
+    const transform = this.getTransform(frame);
+    return transform ? ` transform="${transform}"` : '';
+  }
+
+  renderGeometry(spPr, frame, fill, line) {
+    if (fill.paint === 'none' && !line) return '';
+
+    const paint = `${this.paintAttributes(fill, 'fill')} ${line ? this.lineAttributes(line) : 'stroke="none"'}`;
+    const customGeometry = this.child(spPr, 'a:custGeom');
+    if (customGeometry) {
+      return this.renderCustomGeometry(customGeometry, frame, paint);
+    }
+
+    const preset = this.attr(this.child(spPr, 'a:prstGeom'), 'prst') || 'rect';
+    switch (preset) {
+      case 'line':
+      case 'straightConnector1':
+        return `<line x1="${frame.x}" y1="${frame.y}" x2="${frame.x + frame.width}" y2="${frame.y + frame.height}" ${paint}/>`;
+      case 'ellipse':
+        return `<ellipse cx="${frame.x + frame.width / 2}" cy="${frame.y + frame.height / 2}" rx="${frame.width / 2}" ry="${frame.height / 2}" ${paint}/>`;
+      case 'roundRect': {
+        const radius = Math.min(frame.width, frame.height) * 0.1667;
+        return `<rect x="${frame.x}" y="${frame.y}" width="${frame.width}" height="${frame.height}" rx="${radius}" ry="${radius}" ${paint}/>`;
+      }
+      default:
+        return `<rect x="${frame.x}" y="${frame.y}" width="${frame.width}" height="${frame.height}" ${paint}/>`;
+    }
+  }
+
+  // Each a:path has its own coordinate space (w/h) scaled onto the shape frame
+  renderCustomGeometry(customGeometry, frame, paint) {
+    const pathList = this.child(customGeometry, 'a:pathLst');
+    return ((pathList && pathList['a:path']) || []).map(pathElement => {
+      const pathWidth = parseInt(this.attr(pathElement, 'w')) || 0;
+      const pathHeight = parseInt(this.attr(pathElement, 'h')) || 0;
+      const scaleX = pathWidth ? frame.width / pathWidth : 1 / EMU_PER_PIXEL;
+      const scaleY = pathHeight ? frame.height / pathHeight : 1 / EMU_PER_PIXEL;
+      const point = (pt) => `${this.round(frame.x + (parseInt(this.attr(pt, 'x')) || 0) * scaleX)} ${this.round(frame.y + (parseInt(this.attr(pt, 'y')) || 0) * scaleY)}`;
+      const points = (command) => (command['a:pt'] || []).map(point).join(' ');
+
+      const data = (pathElement['$$'] || []).map(command => {
+        switch (command['#name']) {
+          case 'a:moveTo':
+            return `M ${points(command)}`;
+          case 'a:lnTo':
+            return `L ${points(command)}`;
+          case 'a:cubicBezTo':
+            return `C ${points(command)}`;
+          case 'a:quadBezTo':
+            return `Q ${points(command)}`;
+          case 'a:close':
+            return 'Z';
+          default:
+            return '';
+        }
+      }).join(' ');
+
+      const pathPaint = this.attr(pathElement, 'fill') === 'none' ? paint.replace(/fill="[^"]*"/, 'fill="none"') : paint;
+      return `<path d="${data}" fill-rule="evenodd" ${pathPaint}/>`;
+    }).join('');
+  }
+
+  // Returns { paint, opacity } for the first fill found on a spPr/bgPr, or null when none is set
+  resolveFill(properties, context) {
+    if (!properties) return null;
+
+    if (properties['a:noFill']) {
+      return { paint: 'none' };
+    }
+    if (properties['a:solidFill']) {
+      const color = this.resolveColor(this.child(properties, 'a:solidFill'), context);
+      return color ? { paint: color.color, opacity: color.opacity } : null;
+    }
+    if (properties['a:gradFill']) {
+      const gradient = this.child(properties, 'a:gradFill');
+      const stopList = this.child(gradient, 'a:gsLst');
+      const stops = ((stopList && stopList['a:gs']) || []).map(stop => {
+        const color = this.resolveColor(stop, context) || { color: '#FFFFFF', opacity: 1 };
+        return { offset: (parseInt(this.attr(stop, 'pos')) || 0) / 1000, color: color.color, opacity: color.opacity };
+      });
+      const angle = (parseInt(this.attr(this.child(gradient, 'a:lin'), 'ang')) || 0) / 60000;
+      return { paint: this.addGradient(stops, angle, context) };
+    }
+    return null;
+  }
+
+  resolveLine(line, context) {
+    if (!line || line['a:noFill']) return null;
+
+    const color = line['a:solidFill'] ? this.resolveColor(this.child(line, 'a:solidFill'), context) : null;
+    if (!color) return null;
+
+    const dash = this.attr(this.child(line, 'a:prstDash'), 'val');
+    return {
+      color: color.color,
+      opacity: color.opacity,
+      width: Math.max(this.toPixels(this.attr(line, 'w') || 9525), 0.5),
+      dashed: Boolean(dash && dash !== 'solid')
+    };
+  }
+
+  addGradient(stops, angle, context) {
+    const id = this.nextId(context, 'grad');
+    const stopMarkup = stops
+      .slice()
+      .sort((a, b) => a.offset - b.offset)
+      .map(stop => `<stop offset="${stop.offset}%" stop-color="${stop.color}" stop-opacity="${stop.opacity}"/>`)
+      .join('');
+    context.defs.push(`<linearGradient id="${id}" x1="0" y1="0" x2="1" y2="0" gradientTransform="rotate(${angle} 0.5 0.5)">${stopMarkup}</linearGradient>`);
+    return `url(#${id})`;
+  }
+
+  paintAttributes(fill, name) {
+    const opacity = fill.opacity !== undefined && fill.opacity < 1 ? ` ${name}-opacity="${fill.opacity}"` : '';
+    return `${name}="${fill.paint}"${opacity}`;
+  }
+
+  lineAttributes(line) {
+    let attributes = `stroke="${line.color}" stroke-width="${line.width}"`;
+    if (line.opacity < 1) attributes += ` stroke-opacity="${line.opacity}"`;
+    if (line.dashed) attributes += ` stroke-dasharray="${line.width * 4},${line.width * 3}"`;
+    return attributes;
+  }
+
+  // Resolve the colour child of a fill/gradient stop/style reference, applying its colour transforms
+  resolveColor(element, context, placeholderColor = null) {
+    if (!element) return null;
+
+    const colorElement = ['a:srgbClr', 'a:schemeClr', 'a:sysClr', 'a:prstClr']
+      .map(name => element[name] && { name, node: element[name][0] })
+      .find(Boolean);
+    if (!colorElement) return null;
+
+    const { name, node } = colorElement;
+    let base;
+    if (name === 'a:srgbClr') {
+      base = { color: `#${this.attr(node, 'val')}`, opacity: 1 };
+    } else if (name === 'a:sysClr') {
+      base = { color: `#${this.attr(node, 'lastClr') || '000000'}`, opacity: 1 };
+    } else if (name === 'a:prstClr') {
+      base = { color: this.attr(node, 'val') === 'white' ? '#FFFFFF' : '#000000', opacity: 1 };
+    } else {
+      base = this.resolveSchemeColor(this.attr(node, 'val'), context, placeholderColor);
+    }
+
+    return this.applyColorTransforms(base, node);
+  }
+
+  resolveSchemeColor(value, context, placeholderColor = null) {
+    if (value === 'phClr') {
+      return placeholderColor || { color: '#000000', opacity: 1 };
+    }
+    return { color: themeParser.resolveColor(context.theme, value, '#000000'), opacity: 1 };
+  }
+
+  applyColorTransforms(base, node) {
+    let [red, green, blue] = this.hexToRgb(base.color);
+    let opacity = base.opacity;
+    const value = (name) => node[name] ? (parseInt(this.attr(node[name][0], 'val')) || 0) / 100000 : null;
+
+    const shade = value('a:shade');
+    if (shade !== null) {
+      [red, green, blue] = [red, green, blue].map(channel => channel * shade);
+    }
+    const tint = value('a:tint');
+    if (tint !== null) {
+      [red, green, blue] = [red, green, blue].map(channel => channel + (255 - channel) * (1 - tint));
+    }
+
+    const lumMod = value('a:lumMod');
+    const lumOff = value('a:lumOff');
+    const satMod = value('a:satMod');
+    if (lumMod !== null || lumOff !== null || satMod !== null) {
+      const [hue, saturation, lightness] = this.rgbToHsl(red, green, blue);
+      const adjustedLightness = Math.min(Math.max(lightness * (lumMod === null ? 1 : lumMod) + (lumOff || 0), 0), 1);
+      const adjustedSaturation = Math.min(Math.max(saturation * (satMod === null ? 1 : satMod), 0), 1);
+      [red, green, blue] = this.hslToRgb(hue, adjustedSaturation, adjustedLightness);
+    }
+
+    const alpha = value('a:alpha');
+    if (alpha !== null) {
+      opacity = alpha;
+    }
+
+    return { color: this.rgbToHex(red, green, blue), opacity };
+  }
+
+  hexToRgb(hex) {
+    const value = (hex || '#000000').replace('#', '');
+    return [0, 2, 4].map(start => parseInt(value.substr(start, 2), 16) || 0);
+  }
+
+  rgbToHex(red, green, blue) {
+    return '#' + [red, green, blue]
+      .map(channel => Math.round(Math.min(Math.max(channel, 0), 255)).toString(16).padStart(2, '0'))
+      .join('')
+      .toUpperCase();
+  }
+
+  rgbToHsl(red, green, blue) {
+    const [r, g, b] = [red / 255, green / 255, blue / 255];
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const lightness = (max + min) / 2;
+    if (max === min) return [0, 0, lightness];
+
+    const delta = max - min;
+    const saturation = lightness > 0.5 ? delta / (2 - max - min) : delta / (max + min);
+    let hue;
+    if (max === r) hue = (g - b) / delta + (g < b ? 6 : 0);
+    else if (max === g) hue = (b - r) / delta + 2;
+    else hue = (r - g) / delta + 4;
+    return [hue / 6, saturation, lightness];
+  }
+
+  hslToRgb(hue, saturation, lightness) {
+    if (saturation === 0) return [lightness * 255, lightness * 255, lightness * 255];
+
+    const q = lightness < 0.5 ? lightness * (1 + saturation) : lightness + saturation - lightness * saturation;
+    const p = 2 * lightness - q;
+    const channel = (t) => {
+      if (t < 0) t += 1;
+      if (t > 1) t -= 1;
+      if (t < 1 / 6) return p + (q - p) * 6 * t;
+      if (t < 1 / 2) return q;
+      if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+      return p;
+    };
+    return [channel(hue + 1 / 3), channel(hue), channel(hue - 1 / 3)].map(value => value * 255);
+  }
+
+  // Run properties cascade: run rPr -> shape lstStyle level -> parsed placeholder style -> master text style
+  resolveRunStyle(runProperties, levelStyle, baseStyle, context) {
+    const style = { ...baseStyle };
+
+    [levelStyle, runProperties].forEach(properties => {
+      if (!properties) return;
+      if (this.attr(properties, 'sz')) style.fontSize = parseInt(this.attr(properties, 'sz')) / 100;
+      if (this.attr(properties, 'b') !== undefined) style.bold = this.attr(properties, 'b') === '1';
+      if (this.attr(properties, 'i') !== undefined) style.italic = this.attr(properties, 'i') === '1';
+      const color = this.resolveColor(this.child(properties, 'a:solidFill'), context);
+      if (color) style.color = color.color;
+      const latin = this.attr(this.child(properties, 'a:latin'), 'typeface');
+      if (latin) style.fontFace = latin;
+    });
+
+    return {
+      fontSize: style.fontSize || 18,
+      bold: Boolean(style.bold),
+      italic: Boolean(style.italic),
+      color: themeParser.resolveColor(context.theme, style.color, '#000000'),
+      fontFace: themeParser.resolveFont(context.theme, style.fontFace || '+mn-lt', 'Arial')
+    };
+  }
+
+  getBaseTextStyle(ph, parsedPlaceholder, context) {
+    if (parsedPlaceholder && parsedPlaceholder.textStyle) {
+      return parsedPlaceholder.textStyle;
+    }
+    if (ph) {
+      const key = openXmlParser.getMasterTextStyleKey(this.attr(ph, 'type'));
+      return context.masterTextStyles[key] || {};
+    }
+    return context.masterTextStyles.other || {};
+  }
+
+  renderText(txBody, frame, context, ph, parsedPlaceholder) {
+    const bodyPr = this.child(txBody, 'a:bodyPr');
+    const listStyle = this.child(txBody, 'a:lstStyle');
+    const baseStyle = this.getBaseTextStyle(ph, parsedPlaceholder, context);
+    const inset = (name, fallback) => this.toPixels(this.attr(bodyPr, name) !== undefined ? this.attr(bodyPr, name) : fallback);
+
+    const box = {
+      left: frame.x + inset('lIns', DEFAULT_INSETS.left),
+      top: frame.y + inset('tIns', DEFAULT_INSETS.top),
+      right: frame.x + frame.width - inset('rIns', DEFAULT_INSETS.right),
+      bottom: frame.y + frame.height - inset('bIns', DEFAULT_INSETS.bottom)
+    };
+    const wrap = this.attr(bodyPr, 'wrap') !== 'none';
+    const maxWidth = Math.max(box.right - box.left, 1);
+
+    const lines = [];
+    (txBody['a:p'] || []).forEach(paragraph => {
+      const paragraphProperties = this.child(paragraph, 'a:pPr');
+      const level = (parseInt(this.attr(paragraphProperties, 'lvl')) || 0) + 1;
+      const levelProperties = this.child(listStyle, `a:lvl${level}pPr`);
+      const levelRunProperties = this.child(levelProperties, 'a:defRPr');
+      const align = this.attr(paragraphProperties, 'algn') || this.attr(levelProperties, 'algn') || baseStyle.align || 'l';
+
+      // Split runs into styled words so long paragraphs can wrap
+      const words = [];
+      (paragraph['$$'] || []).forEach(node => {
+        if (node['#name'] === 'a:br') {
+          words.push({ lineBreak: true });
+          return;
+        }
+        if (node['#name'] !== 'a:r' && node['#name'] !== 'a:fld') return;
+        const style = this.resolveRunStyle(this.child(node, 'a:rPr'), levelRunProperties, baseStyle, context);
+        const text = ((node['a:t'] && node['a:t'][0]) || '');
+        String(typeof text === 'string' ? text : text._ || '').split(/(\s+)/).filter(Boolean).forEach(word => {
+          words.push({ text: word, style });
+        });
+      });
+
+      const emptyStyle = this.resolveRunStyle(this.child(paragraph, 'a:endParaRPr'), levelRunProperties, baseStyle, context);
+      let line = { segments: [], width: 0, align, fontSize: emptyStyle.fontSize };
+      const pushLine = () => {
+        lines.push(line);
+        line = { segments: [], width: 0, align, fontSize: emptyStyle.fontSize };
+      };
+
+      words.forEach(word => {
+        if (word.lineBreak) {
+          pushLine();
+          return;
+        }
+        const wordWidth = this.estimateTextWidth(word.text, word.style);
+        if (wrap && line.segments.length > 0 && line.width + wordWidth > maxWidth && word.text.trim()) {
+          pushLine();
+        }
+        if (line.segments.length === 0 && !word.text.trim()) return;
+        line.segments.push(word);
+        line.width += wordWidth;
+        line.fontSize = line.segments.length === 1 ? word.style.fontSize : Math.max(line.fontSize, word.style.fontSize);
+      });
+      pushLine();
+    });
+
+    const lineHeight = (line) => line.fontSize * PIXELS_PER_POINT * 1.2;
+    const totalHeight = lines.reduce((sum, line) => sum + lineHeight(line), 0);
+    const anchor = this.attr(bodyPr, 'anchor') || 't';
+    let y = box.top;
+    if (anchor === 'ctr') y = box.top + (box.bottom - box.top - totalHeight) / 2;
+    if (anchor === 'b') y = box.bottom - totalHeight;
+
+    let svg = '';
+    lines.forEach(line => {
+      const height = lineHeight(line);
+      const baseline = y + height * 0.8;
+      y += height;
+      if (line.segments.length === 0) return;
+
+      const textAnchor = line.align === 'ctr' ? 'middle' : line.align === 'r' ? 'end' : 'start';
+      const x = line.align === 'ctr' ? (box.left + box.right) / 2 : line.align === 'r' ? box.right : box.left;
+      // Words from the same run share a style object, so they collapse back into one tspan
+      const runs = [];
+      line.segments.forEach(segment => {
+        const previous = runs[runs.length - 1];
+        if (previous && previous.style === segment.style) {
+          previous.text += segment.text;
+        } else {
+          runs.push({ text: segment.text, style: segment.style });
+        }
+      });
+
+      const spans = runs.map(({ text, style }) => {
+        return `<tspan font-family="${this.escapeXml(`'${style.fontFace}', Arial, sans-serif`)}" font-size="${this.round(style.fontSize * PIXELS_PER_POINT)}" fill="${style.color}"` +
+          `${style.bold ? ' font-weight="bold"' : ''}${style.italic ? ' font-style="italic"' : ''}>${this.escapeXml(text)}</tspan>`;
+      }).join('');
+      svg += `<text x="${this.round(x)}" y="${this.round(baseline)}" text-anchor="${textAnchor}" xml:space="preserve">${spans}</text>`;
+    });
+
+    return svg;
+  }
+
+  // Rough average glyph width; only used to decide where lines wrap
+  estimateTextWidth(text, style) {
+    return text.length * style.fontSize * PIXELS_PER_POINT * (style.bold ? 0.55 : 0.5);
+  }
+}
+
+module.exports = new LayoutRenderer();
\ No newline at end of file
@@ -0,0 +1,62 @@
+const { notConfigured, upstreamError, postJson } = require('./providerError');
+
+const API_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+const DEFAULT_MODEL = 'gemini-2.5-flash';
+
+const SAFETY_SETTINGS = [
+  'HARM_CATEGORY_HARASSMENT',
+  'HARM_CATEGORY_HATE_SPEECH',
+  'HARM_CATEGORY_SEXUALLY_EXPLICIT',
+  'HARM_CATEGORY_DANGEROUS_CONTENT'
+].map(category => ({ category, threshold: 'BLOCK_MEDIUM_AND_ABOVE' }));
+
+// Google Gemini through the generateContent REST API
+class GeminiProvider {
+  constructor({ model, temperature, maxOutputTokens, timeoutMs }) {
+    this.name = 'gemini';
+    this.model = model || DEFAULT_MODEL;
+    this.defaults = { temperature, maxOutputTokens };
+    this.timeoutMs = timeoutMs;
+  }
+
+  async generate({ system, messages, temperature, maxOutputTokens }) {
+    const apiKey = process.env.GEMINI_API_KEY;
+    if (!apiKey) {
+      throw notConfigured('GEMINI_API_KEY is not set on the server');
+    }
+
+    const data = await postJson('Gemini', `${API_URL}/${encodeURIComponent(this.model)}:generateContent`, {
+      headers: { 'x-goog-api-key': apiKey },
+      timeoutMs: this.timeoutMs,
+      body: {
+        contents: messages.map(message => ({ role: message.role, parts: [{ text: message.text }] })),
+        ...(system ? { systemInstruction: { parts: [{ text: system }] } } : {}),
+        generationConfig: {
+          temperature: temperature ?? this.defaults.temperature,
+          topK: 40,
+          topP: 0.95,
+          maxOutputTokens: maxOutputTokens ?? this.defaults.maxOutputTokens
+        },
+        safetySettings: SAFETY_SETTINGS
+      }
+    });
+
+    const candidate = data?.candidates?.[0];
+    const text = candidate?.content?.parts?.map(part => part.text || '').join('');
+    if (!text) {
+      const reason = data?.promptFeedback?.blockReason || candidate?.finishReason || 'no text';
+      throw upstreamError(`Gemini returned no content (${reason})`);
+    }
+
+    return {
+      text,
+      usage: {
+        promptTokens: data.usageMetadata?.promptTokenCount ?? null,
+        outputTokens: data.usageMetadata?.candidatesTokenCount ?? null
+      }
+    };
+  }
+}
+
+module.exports = GeminiProvider;
\ No newline at end of file
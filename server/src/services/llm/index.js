@@ -0,0 +1,121 @@
+const GeminiProvider = require('./geminiProvider');
+const OpenAiProvider = require('./openAiProvider');
+const MockProvider = require('./mockProvider');
+const { notConfigured } = require('./providerError');
+
+// Text generation goes through one provider, chosen by LLM_PROVIDER:
+//   gemini - Google Gemini (GEMINI_API_KEY)
+//   openai - any OpenAI-compatible chat completions API (OPENAI_API_KEY, OPENAI_BASE_URL)
+//   mock   - canned answers from fixtures, for offline development and tests (LLM_MOCK_FIXTURES)
+// LLM_MODEL overrides the provider's default model. Without LLM_PROVIDER, Gemini is used when its key is set; the
+// mock is never picked implicitly, so a server missing its configuration answers 503 instead of canned text.
+const PROVIDERS = {
+  gemini: GeminiProvider,
+  openai: OpenAiProvider,
+  mock: MockProvider
+};
+
+const ROLES = ['user', 'model'];
+
+const MAX_PROMPT_LENGTH = 100000;
+
+// Problems with a generation request; routes answer these with 400
+const invalidRequest = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+const readNumber = (value, fallback) => {
+  const number = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(number) ? number : fallback;
+};
+
+class LlmService {
+  constructor() {
+    this.instance = null;
+  }
+
+  // The configured provider, created on first use so a missing key only fails generation requests
+  get provider() {
+    if (!this.instance) {
+      const choices = Object.keys(PROVIDERS).join(', ');
+      const name = (process.env.LLM_PROVIDER || (process.env.GEMINI_API_KEY ? 'gemini' : '')).toLowerCase();
+      if (!name) {
+        throw notConfigured(`No LLM provider configured; set LLM_PROVIDER to one of ${choices}, or set GEMINI_API_KEY`);
+      }
+      const Provider = PROVIDERS[name];
+      if (!Provider) {
+        throw notConfigured(`Unknown LLM_PROVIDER "${name}"; use ${choices}`);
+      }
+
+      this.instance = new Provider({
+        model: process.env.LLM_MODEL || undefined,
+        temperature: readNumber(process.env.LLM_TEMPERATURE, 0.9),
+        maxOutputTokens: readNumber(process.env.LLM_MAX_OUTPUT_TOKENS, 8192),
+        timeoutMs: readNumber(process.env.LLM_TIMEOUT_MS, 60000)
+      });
+    }
+    return this.instance;
+  }
+
+  // { provider, model } for the status endpoint and the startup log
+  describe() {
+    const { name, model } = this.provider;
+    return { provider: name, model };
+  }
+
+  // One answer for one prompt
+  // request: { prompt, system?, temperature?, maxOutputTokens? }
+  async generate(request = {}) {
+    if (typeof request.prompt !== 'string' || !request.prompt.trim()) {
+      throw invalidRequest('prompt is required');
+    }
+    return this.chat({ ...request, messages: [{ role: 'user', text: request.prompt }] });
+  }
+
+  // The next answer in a conversation; the caller keeps the history and sends all of it each time
+  // request: { messages: [{ role: 'user' | 'model', text }], system?, temperature?, maxOutputTokens? }
+  // Returns { text, provider, model, usage: { promptTokens, outputTokens } }
+  async chat(request = {}) {
+    const messages = this.normalizeMessages(request.messages);
+    const system = request.system === undefined || request.system === null ? null : String(request.system);
+    const options = {
+      temperature: readNumber(request.temperature, undefined),
+      maxOutputTokens: readNumber(request.maxOutputTokens, undefined)
+    };
+    if (options.temperature !== undefined && (options.temperature < 0 || options.temperature > 2)) {
+      throw invalidRequest('temperature must be between 0 and 2');
+    }
+    if (options.maxOutputTokens !== undefined && !(Number.isInteger(options.maxOutputTokens) && options.maxOutputTokens > 0)) {
+      throw invalidRequest('maxOutputTokens must be a positive whole number');
+    }
+
+    const provider = this.provider;
+    const { text, usage } = await provider.generate({ system, messages, ...options });
+
+    return { text, provider: provider.name, model: provider.model, usage };
+  }
+
+  normalizeMessages(messages) {
+    if (!Array.isArray(messages) || messages.length === 0) {
+      throw invalidRequest('messages must be a non-empty list');
+    }
+
+    const normalized = messages.map((message, index) => {
+      if (!ROLES.includes(message?.role)) {
+        throw invalidRequest(`messages[${index}].role must be ${ROLES.join(' or ')}`);
+      }
+      if (typeof message.text !== 'string') {
+        throw invalidRequest(`messages[${index}].text must be text`);
+      }
+      return { role: message.role, text: message.text };
+    });
+
+    if (normalized[normalized.length - 1].role !== 'user') {
+      throw invalidRequest('The last message must be from the user');
+    }
+    if (normalized.reduce((length, message) => length + message.text.length, 0) > MAX_PROMPT_LENGTH) {
+      throw invalidRequest(`messages must be at most ${MAX_PROMPT_LENGTH} characters in total`);
+    }
+    return normalized;
+  }
+}
+
+module.exports = new LlmService();
\ No newline at end of file
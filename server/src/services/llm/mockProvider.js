@@ -0,0 +1,105 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { notConfigured } = require('./providerError');
+
+const DEFAULT_FIXTURES = path.join(__dirname, 'fixtures', 'mockResponses.json');
+
+// Stand-in for a real provider, for offline development and tests. Answers come from a fixtures file
+// (LLM_MOCK_FIXTURES, or fixtures/mockResponses.json):
+//   { "rules": [{ "name", "match": ["substring", ...], "structured"?: true, "echoQuoted"?: true, "responses": [...] }] }
+// The first rule with a substring in the last user message answers (a rule with no substrings matches anything),
+// and the prompt picks the response, so the same prompt always gets the same answer. Text answers are cut to a
+// word count or character limit the prompt asks for; structured (JSON) answers are returned as they are, and
+// echoQuoted rules answer with the text quoted in the prompt (review prompts). LLM_MOCK_LATENCY_MS delays each
+// answer, to watch progress and cancel jobs offline.
+class MockProvider {
+  constructor({ model }) {
+    this.name = 'mock';
+    this.model = model || 'mock';
+    this.fixturesPath = process.env.LLM_MOCK_FIXTURES || DEFAULT_FIXTURES;
+    this.latencyMs = parseInt(process.env.LLM_MOCK_LATENCY_MS) || 0;
+    this.rules = null;
+  }
+
+  loadRules() {
+    if (!this.rules) {
+      const fixtures = fs.readJsonSync(this.fixturesPath, { throws: false });
+      if (!Array.isArray(fixtures?.rules) || fixtures.rules.length === 0) {
+        throw notConfigured(`Mock LLM fixtures missing or empty: ${this.fixturesPath}`);
+      }
+      this.rules = fixtures.rules;
+    }
+    return this.rules;
+  }
+
+  async generate({ system, messages }) {
+    const prompt = messages[messages.length - 1].text;
+    const lowerPrompt = prompt.toLowerCase();
+
+    const rule = this.loadRules().find(candidate =>
+      !candidate.match?.length || candidate.match.some(substring => lowerPrompt.includes(substring.toLowerCase()))
+    );
+    const quoted = rule?.echoQuoted && prompt.match(/"([\s\S]*)"/);
+    if (!quoted && !rule?.responses?.length) {
+      throw notConfigured(`No mock LLM fixture matches the prompt and there is no catch-all rule (${this.fixturesPath})`);
+    }
+
+    if (this.latencyMs) {
+      await new Promise(resolve => setTimeout(resolve, this.latencyMs));
+    }
+
+    let text;
+    if (quoted) {
+      text = quoted[1];
+    } else {
+      const response = rule.responses[this.hash(prompt) % rule.responses.length];
+      text = rule.structured ? response : this.fitToPrompt(response, prompt);
+    }
+
+    const promptText = [system, ...messages.map(message => message.text)].filter(Boolean).join(' ');
+    return {
+      text,
+      usage: { promptTokens: this.countWords(promptText), outputTokens: this.countWords(text) }
+    };
+  }
+
+  // Honour "N words" and "at most N characters" in the prompt
+  fitToPrompt(response, prompt) {
+    let text = response;
+
+    const wordMatch = prompt.match(/(\d+)\s*words?\b/i);
+    if (wordMatch) {
+      const words = text.split(' ');
+      const targetWords = parseInt(wordMatch[1]);
+      if (targetWords > 0 && words.length > targetWords) {
+        text = words.slice(0, targetWords).join(' ').replace(/[,;:]$/, '') + '.';
+      }
+    }
+
+    const characterMatch = prompt.match(/at most (\d+) characters/i);
+    if (characterMatch) {
+      const limit = parseInt(characterMatch[1]);
+      if (text.length > limit) {
+        text = text.slice(0, limit).replace(/\s+\S*$/, '');
+      }
+    }
+
+    return text;
+  }
+
+  // FNV-1a, so response choice is stable across runs
+  hash(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash;
+  }
+
+  countWords(text) {
+    return text.trim() ? text.trim().split(/\s+/).length : 0;
+  }
+}
+
+module.exports = MockProvider;
\ No newline at end of file
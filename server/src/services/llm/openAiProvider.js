@@ -0,0 +1,54 @@
+const { upstreamError, postJson } = require('./providerError');
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+// Our roles to chat completions roles
+const ROLES = { user: 'user', model: 'assistant' };
+
+// Any OpenAI-compatible chat completions API: OpenAI itself, Azure-style gateways, or a local server.
+// OPENAI_API_KEY is optional for local servers that don't check it.
+class OpenAiProvider {
+  constructor({ model, temperature, maxOutputTokens, timeoutMs }) {
+    this.name = 'openai';
+    this.model = model || DEFAULT_MODEL;
+    this.defaults = { temperature, maxOutputTokens };
+    this.timeoutMs = timeoutMs;
+    this.baseUrl = (process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  }
+
+  async generate({ system, messages, temperature, maxOutputTokens }) {
+    const apiKey = process.env.OPENAI_API_KEY;
+
+    const data = await postJson('OpenAI-compatible API', `${this.baseUrl}/chat/completions`, {
+      headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+      timeoutMs: this.timeoutMs,
+      body: {
+        model: this.model,
+        messages: [
+          ...(system ? [{ role: 'system', content: system }] : []),
+          ...messages.map(message => ({ role: ROLES[message.role], content: message.text }))
+        ],
+        temperature: temperature ?? this.defaults.temperature,
+        max_tokens: maxOutputTokens ?? this.defaults.maxOutputTokens
+      }
+    });
+
+    const choice = data?.choices?.[0];
+    const text = choice?.message?.content;
+    if (!text) {
+      throw upstreamError(`OpenAI-compatible API returned no content (${choice?.finish_reason || 'no text'})`);
+    }
+
+    return {
+      text,
+      usage: {
+        promptTokens: data.usage?.prompt_tokens ?? null,
+        outputTokens: data.usage?.completion_tokens ?? null
+      }
+    };
+  }
+}
+
+module.exports = OpenAiProvider;
\ No newline at end of file
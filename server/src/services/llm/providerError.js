@@ -0,0 +1,30 @@
+// Failures talking to a provider. Missing configuration answers 503; the provider refusing or failing answers 502,
+// so the client can tell our errors from theirs.
+const notConfigured = (message) => Object.assign(new Error(message), { statusCode: 503 });
+
+const upstreamError = (message) => Object.assign(new Error(message), { statusCode: 502 });
+
+// POST JSON to a provider and return the parsed body, turning HTTP and network failures into upstream errors
+const postJson = async (providerName, url, { headers = {}, body, timeoutMs }) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+  } catch (error) {
+    const reason = error.name === 'TimeoutError' ? `no answer after ${timeoutMs / 1000}s` : error.message;
+    throw upstreamError(`${providerName} request failed: ${reason}`);
+  }
+
+  const data = await response.json().catch(() => null);
+  if (!response.ok) {
+    const message = data?.error?.message || response.statusText;
+    throw upstreamError(`${providerName} returned ${response.status}: ${message}`);
+  }
+  return data;
+};
+
+module.exports = { notConfigured, upstreamError, postJson };
\ No newline at end of file
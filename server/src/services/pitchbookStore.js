@@ -0,0 +1,106 @@
+const path = require('path');
+const fs = require('fs-extra');
+const dataPath = require('../utils/dataPath');
+
+
+const listFile = path.join(dataPath, 'pitchbooks.json');
+
+// Pitchbooks are stored twice: in their own pitchbook_<id>.json and in the pitchbooks.json list.
+// Changes to one pitchbook run one at a time, so generation workers saving results side by side don't
+// overwrite each other's changes. Every change to the shared list runs behind one queue of its own, so
+// saving two different pitchbooks at once doesn't drop either one's list entry.
+class PitchbookStore {
+  constructor() {
+    this.queues = new Map();
+    this.listQueue = Promise.resolve();
+  }
+
+  getFile(id) {
+    return path.join(dataPath, `pitchbook_${id}.json`);
+  }
+
+  // The stored pitchbook, or null when it does not exist
+  async read(id) {
+    const pitchbookFile = this.getFile(id);
+    if (!await fs.exists(pitchbookFile)) {
+      return null;
+    }
+    return fs.readJson(pitchbookFile);
+  }
+
+  // Every pitchbook, as the list file has them
+  async list() {
+    await this.listQueue.catch(() => {});
+    if (!await fs.exists(listFile)) {
+      return [];
+    }
+    return fs.readJson(listFile);
+  }
+
+  // Save a new pitchbook's own file and add it to the list
+  create(pitchbook) {
+    return this.enqueue(pitchbook.id, async () => {
+      await fs.writeJson(this.getFile(pitchbook.id), pitchbook, { spaces: 2 });
+      await this.updateList(pitchbooks => [...pitchbooks, pitchbook]);
+      return pitchbook;
+    });
+  }
+
+  // Apply mutate to a stored pitchbook and save both pitchbook files; null when the pitchbook does not exist
+  update(id, mutate) {
+    return this.enqueue(id, () => this.write(id, mutate));
+  }
+
+  // Remove a pitchbook's own file and its list entry, after any change already queued for it
+  delete(id) {
+    return this.enqueue(id, async () => {
+      await fs.remove(this.getFile(id));
+      await this.updateList(pitchbooks => pitchbooks.filter(p => p.id !== id));
+    });
+  }
+
+  enqueue(id, task) {
+    const previous = this.queues.get(id) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+
+    this.queues.set(id, next);
+    next.catch(() => {}).finally(() => {
+      if (this.queues.get(id) === next) this.queues.delete(id);
+    });
+    return next;
+  }
+
+  async write(id, mutate) {
+    const pitchbook = await this.read(id);
+    if (!pitchbook) {
+      return null;
+    }
+
+    mutate(pitchbook);
+    pitchbook.updated = new Date().toISOString();
+    await fs.writeJson(this.getFile(id), pitchbook, { spaces: 2 });
+
+    await this.updateList(pitchbooks => {
+      const index = pitchbooks.findIndex(p => p.id === id);
+      if (index !== -1) {
+        pitchbooks[index] = pitchbook;
+      }
+      return pitchbooks;
+    });
+
+    return pitchbook;
+  }
+
+  // Read-modify-write of the list file, one at a time across all pitchbooks
+  updateList(mutate) {
+    const next = this.listQueue.catch(() => {}).then(async () => {
+      const pitchbooks = await fs.exists(listFile) ? await fs.readJson(listFile) : [];
+      await fs.writeJson(listFile, mutate(pitchbooks), { spaces: 2 });
+    });
+
+    this.listQueue = next;
+    return next;
+  }
+}
+
+module.exports = new PitchbookStore();
\ No newline at end of file
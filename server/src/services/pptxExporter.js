@@ -0,0 +1,744 @@
+const fs = require('fs-extra');
+const path = require('path');
+const JSZip = require('jszip');
+const openXmlParser = require('../parsers/openXmlParser');
+const tableStyleParser = require('../parsers/tableStyleParser');
+const chartData = require('./chartData');
+const chartBuilder = require('./chartBuilder');
+const tableData = require('./tableData');
+const tableBuilder = require('./tableBuilder');
+const assetStore = require('./assetStore');
+const richText = require('./richText');
+const contents = require('./contents');
+const footerFields = require('./footerFields');
+
+const NS_A = 'http://schemas.openxmlformats.org/drawingml/2006/main';
+const NS_R = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const NS_P = 'http://schemas.openxmlformats.org/presentationml/2006/main';
+const NS_PKG_RELS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const NS_C = 'http://schemas.openxmlformats.org/drawingml/2006/chart';
+const NS_TABLE = 'http://schemas.openxmlformats.org/drawingml/2006/table';
+const REL_TYPE_BASE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+// Placeholder geometry is parsed to pixels (see OpenXMLParser.convertEMUToPixels)
+const EMU_PER_PIXEL = 9525;
+
+const EMPTY_PARAGRAPH = '<a:p><a:endParaRPr lang="en-GB" dirty="0"/></a:p>';
+
+// Bullets written on a paragraph when the placeholder's list style has none that fits (see RichText.getDrawingLevel)
+const BULLET_XML = {
+  none: '<a:buNone/>',
+  char: '<a:buFont typeface="Arial"/><a:buChar char="•"/>',
+  number: '<a:buFont typeface="+mj-lt"/><a:buAutoNum type="arabicPeriod"/>'
+};
+
+// Hanging indent per list level (0.25in) for lists in placeholders without bullet levels of their own
+const LIST_INDENT = 228600;
+
+// Content types for the parts we ship, keyed by the folder (or file) inside ppt/
+const PART_CONTENT_TYPES = {
+  'presentation.xml': 'application/vnd.openxmlformats-officedocument.presentationml.presentation.main+xml',
+  'presProps.xml': 'application/vnd.openxmlformats-officedocument.presentationml.presProps+xml',
+  'viewProps.xml': 'application/vnd.openxmlformats-officedocument.presentationml.viewProps+xml',
+  'tableStyles.xml': 'application/vnd.openxmlformats-officedocument.presentationml.tableStyles+xml',
+  slideMasters: 'application/vnd.openxmlformats-officedocument.presentationml.slideMaster+xml',
+  slideLayouts: 'application/vnd.openxmlformats-officedocument.presentationml.slideLayout+xml',
+  slides: 'application/vnd.openxmlformats-officedocument.presentationml.slide+xml',
+  notesMasters: 'application/vnd.openxmlformats-officedocument.presentationml.notesMaster+xml',
+  notesSlides: 'application/vnd.openxmlformats-officedocument.presentationml.notesSlide+xml',
+  handoutMasters: 'application/vnd.openxmlformats-officedocument.presentationml.handoutMaster+xml',
+  'commentAuthors.xml': 'application/vnd.openxmlformats-officedocument.presentationml.commentAuthors+xml',
+  tags: 'application/vnd.openxmlformats-officedocument.presentationml.tags+xml',
+  charts: 'application/vnd.openxmlformats-officedocument.drawingml.chart+xml',
+  theme: 'application/vnd.openxmlformats-officedocument.theme+xml'
+};
+
+// Sample slides (and the notes/comments attached to them) are not carried over from the template
+const SKIPPED_TEMPLATE_FOLDERS = ['slides', 'notesSlides', 'comments'];
+
+// Placeholder types PowerPoint only puts on a slide when header/footer is switched on
+const HEADER_FOOTER_TYPES = ['dt', 'ftr', 'hdr', 'sldNum'];
+
+// Chart style/colour parts share the charts/ folder with the charts themselves
+const CHART_SUPPORT_CONTENT_TYPES = [
+  { pattern: /^charts\/style\d*\.xml$/, contentType: 'application/vnd.ms-office.chartstyle+xml' },
+  { pattern: /^charts\/colors\d*\.xml$/, contentType: 'application/vnd.ms-office.chartcolorstyle+xml' }
+];
+
+// Slide tags (ppt/tags) identifying where an exported slide came from; PowerPoint keeps tags when the deck is edited
+// and saved, so an edited copy can be matched back to the pitchbook (see roundTrip)
+const SLIDE_TAGS = { pitchbookId: 'PITCHBOOK_ID', slideKey: 'PITCHBOOK_SLIDE' };
+
+// Contents slides list the sections (see contents.js); the entries go in the layout's first body placeholder, or in
+// a text box under the title when the layout has none
+const CONTENTS_TITLE = 'Contents';
+const CONTENTS_FONT_SIZE = 1400;
+const CONTENTS_SPACING = 600;
+const SLIDE_JUMP_ACTION = 'ppaction://hlinksldjump';
+
+// Footer fields (see footerFields.js) go in the layout's footer, date and slide number placeholders; fields whose
+// placeholder the layout lacks get one of their own, positioned along the bottom of the slide (fractions of its height)
+const FOOTER_PLACEHOLDER_TYPES = { footer: 'ftr', date: 'dt', slideNumber: 'sldNum' };
+const FOOTER_STRIP = { top: 0.94, height: 0.02 };
+const FOOTER_FONT_SIZE = 800;
+const SLIDE_NUMBER_FIELD_ID = '{6E1C9F3A-2B4D-4C8E-9A51-7F0D3B2E8C64}';
+
+// Used when a slide's layoutId/layoutName does not resolve to any layout in the template
+const FALLBACK_LAYOUT_NAME = 'Body text non-KM';
+
+class PptxExporter {
+  get slideTags() {
+    return SLIDE_TAGS;
+  }
+
+  // templateParser and tableStyles are the parsers for the pitchbook's template (see templateStore).
+  // options.contentsLinks makes Contents entries internal hyperlinks to their section's divider slide.
+  async exportPitchbook(pitchbook, templateParser = openXmlParser, tableStyles = tableStyleParser, options = {}) {
+    const layouts = await templateParser.getAllLayouts();
+    const parts = await this.readTemplateParts(templateParser.templatePath);
+    const slides = [...(pitchbook.slides || [])].sort((a, b) => a.slideNumber - b.slideNumber);
+    // An asset used on several slides is stored in ppt/media once
+    const mediaByAsset = new Map();
+    // Notes slides must point at a notes master, so templates without one export without notes
+    const notesMaster = [...parts.keys()].find(name => /^ppt\/notesMasters\/[^/]+\.xml$/.test(name));
+    const contentsEntries = contents.getEntries(slides);
+
+    for (const [index, slide] of slides.entries()) {
+      const slideNumber = index + 1;
+      const layout = this.resolveLayout(slide, layouts, templateParser);
+      const content = pitchbook.generatedContent?.[`slide_${slide.slideNumber}`] || {};
+      const relationships = [
+        { id: 'rId1', type: 'slideLayout', target: `../slideLayouts/${layout.fileName}` }
+      ];
+      const chartRelIds = {};
+      const tables = {};
+      const images = {};
+      const linkRelIds = {};
+
+      for (const { placeholder, chart } of this.getSlideCharts(layout, content)) {
+        const relId = `rId${relationships.length + 1}`;
+        relationships.push({ id: relId, type: 'chart', target: `../charts/${await this.addChartParts(parts, chart)}` });
+        chartRelIds[placeholder.id] = relId;
+      }
+
+      for (const { placeholder, table } of this.getSlideTables(layout, content)) {
+        tables[placeholder.id] = { table, styleId: await tableStyles.resolveStyleId(table.style) };
+      }
+
+      for (const { placeholder, asset } of await this.getSlideImages(layout, content)) {
+        const relId = `rId${relationships.length + 1}`;
+        relationships.push({ id: relId, type: 'image', target: `../media/${await this.addImagePart(parts, asset, mediaByAsset)}` });
+        images[placeholder.id] = { asset, relId };
+      }
+
+      if (slide.notes?.trim() && notesMaster) {
+        relationships.push({ id: `rId${relationships.length + 1}`, type: 'notesSlide', target: `../notesSlides/notesSlide${slideNumber}.xml` });
+        parts.set(`ppt/notesSlides/notesSlide${slideNumber}.xml`, this.buildNotesSlideXml(slide.notes));
+        parts.set(`ppt/notesSlides/_rels/notesSlide${slideNumber}.xml.rels`, this.buildRelationshipsXml([
+          { id: 'rId1', type: 'notesMaster', target: `../notesMasters/${path.posix.basename(notesMaster)}` },
+          { id: 'rId2', type: 'slide', target: `../slides/slide${slideNumber}.xml` }
+        ]));
+      }
+
+      if (slide.type === 'contents' && options.contentsLinks) {
+        for (const { dividerPage } of contentsEntries) {
+          if (linkRelIds[dividerPage]) continue;
+          linkRelIds[dividerPage] = `rId${relationships.length + 1}`;
+          relationships.push({ id: linkRelIds[dividerPage], type: 'slide', target: `slide${dividerPage}.xml` });
+        }
+      }
+
+      const tagsRelId = `rId${relationships.length + 1}`;
+      relationships.push({ id: tagsRelId, type: 'tags', target: `../tags/pitchbookSlide${slideNumber}.xml` });
+      parts.set(`ppt/tags/pitchbookSlide${slideNumber}.xml`, this.buildTagsXml({
+        [SLIDE_TAGS.pitchbookId]: pitchbook.id,
+        [SLIDE_TAGS.slideKey]: `slide_${slide.slideNumber}`
+      }));
+
+      const contentsList = slide.type === 'contents' ? { entries: contentsEntries, linkRelIds } : null;
+      const footer = footerFields.resolve(pitchbook.footer, slide, slideNumber);
+      parts.set(`ppt/slides/slide${slideNumber}.xml`, this.buildSlideXml(slide, layout, content, { chartRelIds, tables, images, contentsList, footer, tagsRelId }));
+      parts.set(`ppt/slides/_rels/slide${slideNumber}.xml.rels`, this.buildRelationshipsXml(relationships));
+    }
+
+    this.removeMissingRelationships(parts);
+
+    const presentationRels = this.buildPresentationRels(parts.get('ppt/_rels/presentation.xml.rels').toString(), slides.length);
+    parts.set('ppt/_rels/presentation.xml.rels', presentationRels.xml);
+    parts.set('ppt/presentation.xml', this.buildPresentationXml(parts.get('ppt/presentation.xml').toString(), presentationRels.slideRelIds));
+
+    parts.set('docProps/core.xml', this.buildCorePropsXml(pitchbook));
+    parts.set('docProps/app.xml', this.buildAppPropsXml(slides.length));
+    parts.set('_rels/.rels', this.buildRelationshipsXml([
+      { id: 'rId1', type: 'officeDocument', target: 'ppt/presentation.xml' },
+      { id: 'rId2', type: 'http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties', target: 'docProps/core.xml' },
+      { id: 'rId3', type: 'extended-properties', target: 'docProps/app.xml' }
+    ]));
+
+    // [Content_Types].xml goes first so stricter readers find it immediately
+    const zip = new JSZip();
+    zip.file('[Content_Types].xml', this.buildContentTypesXml([...parts.keys()]));
+    for (const [partName, data] of parts) {
+      zip.file(partName, data);
+    }
+
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+  }
+
+  // Read the template package into a map of ppt/ part names, leaving out the sample slides
+  async readTemplateParts(templatePath) {
+    const parts = new Map();
+
+    const walk = async (dir) => {
+      const entries = await fs.readdir(dir, { withFileTypes: true });
+      for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name);
+        const relativePath = path.relative(templatePath, fullPath).split(path.sep).join('/');
+
+        if (SKIPPED_TEMPLATE_FOLDERS.includes(relativePath.split('/')[0])) {
+          continue;
+        }
+
+        if (entry.isDirectory()) {
+          await walk(fullPath);
+        } else {
+          parts.set(`ppt/${relativePath}`, await fs.readFile(fullPath));
+        }
+      }
+    };
+
+    await walk(templatePath);
+    return parts;
+  }
+
+  // layoutId is authoritative; the name (and slide type) only cover slides saved before ids existed
+  resolveLayout(slide, layouts, templateParser = openXmlParser) {
+    const slideType = slide.type?.toLowerCase();
+
+    return templateParser.matchLayoutId(layouts, slide.layoutId || slide.layoutData?.id) ||
+      (slide.layoutData?.fileName && layouts.find(l => l.fileName === slide.layoutData.fileName)) ||
+      templateParser.matchLayoutName(layouts, slide.layoutName) ||
+      (slideType && layouts.find(l => l.name.toLowerCase().includes(slideType))) ||
+      layouts.find(l => l.name === FALLBACK_LAYOUT_NAME) ||
+      layouts[0];
+  }
+
+  // Chart placeholders and untyped content placeholders can hold a chart instead of text
+  canHoldChart(placeholder) {
+    return placeholder.type === 'chart' || !placeholder.phType;
+  }
+
+  // Charts with data that no longer validates are left out rather than failing the export
+  getSlideCharts(layout, content) {
+    return layout.placeholders
+      .filter(placeholder => this.canHoldChart(placeholder) && content[placeholder.id]?.chart)
+      .map(placeholder => {
+        try {
+          return { placeholder, chart: chartData.normalize(content[placeholder.id].chart) };
+        } catch (error) {
+          console.error(`Skipping chart in placeholder ${placeholder.id}:`, error.message);
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  // Table placeholders and untyped content placeholders can hold a native table
+  canHoldTable(placeholder) {
+    return placeholder.type === 'table' || !placeholder.phType;
+  }
+
+  getSlideTables(layout, content) {
+    return layout.placeholders
+      .filter(placeholder => this.canHoldTable(placeholder) && content[placeholder.id]?.table && !content[placeholder.id]?.chart)
+      .map(placeholder => {
+        try {
+          return { placeholder, table: tableData.normalize(content[placeholder.id].table) };
+        } catch (error) {
+          console.error(`Skipping table in placeholder ${placeholder.id}:`, error.message);
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  // Picture placeholders and untyped content placeholders can hold an image from the asset library
+  canHoldImage(placeholder) {
+    return placeholder.type === 'picture' || !placeholder.phType;
+  }
+
+  // Images whose asset has since been deleted are left out rather than failing the export
+  async getSlideImages(layout, content) {
+    const images = [];
+    for (const placeholder of layout.placeholders) {
+      const image = content[placeholder.id]?.image;
+      if (!this.canHoldImage(placeholder) || !image?.assetId) continue;
+
+      const asset = await assetStore.getAsset(image.assetId);
+      if (!asset) {
+        console.error(`Skipping image in placeholder ${placeholder.id}: asset ${image.assetId} not found`);
+        continue;
+      }
+      images.push({ placeholder, asset });
+    }
+    return images;
+  }
+
+  // Copy an asset into ppt/media (once per export); returns the media file name
+  async addImagePart(parts, asset, mediaByAsset) {
+    if (mediaByAsset.has(asset.id)) {
+      return mediaByAsset.get(asset.id);
+    }
+
+    let imageNumber = 1;
+    while ([...parts.keys()].some(name => name.startsWith(`ppt/media/image${imageNumber}.`))) {
+      imageNumber++;
+    }
+
+    const fileName = `image${imageNumber}.${asset.extension}`;
+    parts.set(`ppt/media/${fileName}`, await fs.readFile(assetStore.getAssetPath(asset)));
+    mediaByAsset.set(asset.id, fileName);
+    return fileName;
+  }
+
+  // Add chartN.xml with its embedded workbook; returns the chart part's file name
+  async addChartParts(parts, chart) {
+    let chartNumber = 1;
+    while (parts.has(`ppt/charts/chart${chartNumber}.xml`) || parts.has(`ppt/embeddings/Microsoft_Excel_Worksheet${chartNumber}.xlsx`)) {
+      chartNumber++;
+    }
+
+    const workbookName = `Microsoft_Excel_Worksheet${chartNumber}.xlsx`;
+    parts.set(`ppt/charts/chart${chartNumber}.xml`, chartBuilder.buildChartXml(chart));
+    parts.set(`ppt/embeddings/${workbookName}`, await chartBuilder.buildWorkbook(chart));
+    parts.set(`ppt/charts/_rels/chart${chartNumber}.xml.rels`, this.buildRelationshipsXml([
+      { id: 'rId1', type: 'package', target: `../embeddings/${workbookName}` }
+    ]));
+
+    return `chart${chartNumber}.xml`;
+  }
+
+  // chartRelIds, tables and images are keyed by placeholder id for placeholders filled with a chart, table or image;
+  // contentsList is { entries, linkRelIds } on Contents slides, linkRelIds keyed by the page an entry links to;
+  // footer is the slide's resolved footer fields (see FooterFields.resolve)
+  buildSlideXml(slide, layout, content, { chartRelIds = {}, tables = {}, images = {}, contentsList = null, footer = null, tagsRelId = null } = {}) {
+    let shapeId = 2;
+    const placeholders = layout.placeholders.filter(placeholder => !HEADER_FOOTER_TYPES.includes(placeholder.phType));
+    const contentsPlaceholder = contentsList && placeholders.find(placeholder => placeholder.type === 'body' || !placeholder.phType);
+    const shapes = placeholders
+      .map(placeholder => {
+        if (placeholder === contentsPlaceholder) {
+          const paragraphs = this.buildContentsParagraphs(contentsList, this.getTextWidth(placeholder));
+          return this.buildPlaceholderXml(placeholder, shapeId++, paragraphs);
+        }
+
+        if (chartRelIds[placeholder.id]) {
+          return this.buildChartFrame(placeholder, chartRelIds[placeholder.id], shapeId++);
+        }
+
+        if (tables[placeholder.id]) {
+          const { table, styleId } = tables[placeholder.id];
+          const xml = this.buildTableFrame(placeholder, table, styleId, shapeId);
+          shapeId += table.footnotes.length ? 2 : 1;
+          return xml;
+        }
+
+        if (images[placeholder.id]) {
+          const { asset, relId } = images[placeholder.id];
+          return this.buildPictureShape(placeholder, asset, relId, shapeId++);
+        }
+
+        return this.buildPlaceholderShape(placeholder, this.getPlaceholderText(slide, layout, placeholder, content), shapeId++);
+      });
+    if (contentsList && !contentsPlaceholder) {
+      shapes.push(this.buildContentsTextBox(layout, contentsList, shapeId++));
+    }
+    if (footer) {
+      const footerShapes = this.buildFooterShapes(layout, footer, shapeId);
+      shapeId += footerShapes.length;
+      shapes.push(...footerShapes);
+    }
+    const customData = tagsRelId ? `<p:custDataLst><p:tags r:id="${tagsRelId}"/></p:custDataLst>` : '';
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<p:sld xmlns:a="${NS_A}" xmlns:r="${NS_R}" xmlns:p="${NS_P}"><p:cSld><p:spTree><p:nvGrpSpPr><p:cNvPr id="1" name=""/><p:cNvGrpSpPr/><p:nvPr/></p:nvGrpSpPr><p:grpSpPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="0" cy="0"/><a:chOff x="0" y="0"/><a:chExt cx="0" cy="0"/></a:xfrm></p:grpSpPr>${shapes.join('')}</p:spTree>${customData}</p:cSld><p:clrMapOvr><a:masterClrMapping/></p:clrMapOvr></p:sld>`;
+  }
+
+  // Placeholder geometry in EMU
+  getBounds(placeholder) {
+    const emu = (pixels) => Math.round(pixels * EMU_PER_PIXEL);
+    return { x: emu(placeholder.x), y: emu(placeholder.y), width: emu(placeholder.width), height: emu(placeholder.height) };
+  }
+
+  // Graphic frames need an explicit position, so the placeholder's geometry is written out
+  buildGraphicFrame(placeholder, shapeId, bounds, uri, graphicXml) {
+    const phAttributes = placeholder.phType ? [`type="${placeholder.phType}"`] : [];
+    if (placeholder.index) {
+      phAttributes.push(`idx="${placeholder.index}"`);
+    }
+
+    return `<p:graphicFrame><p:nvGraphicFramePr><p:cNvPr id="${shapeId}" name="${this.escapeXml(placeholder.name)}"/><p:cNvGraphicFramePr><a:graphicFrameLocks noGrp="1"/></p:cNvGraphicFramePr><p:nvPr><p:ph ${phAttributes.join(' ')}/></p:nvPr></p:nvGraphicFramePr><p:xfrm><a:off x="${bounds.x}" y="${bounds.y}"/><a:ext cx="${bounds.width}" cy="${bounds.height}"/></p:xfrm><a:graphic><a:graphicData uri="${uri}">${graphicXml}</a:graphicData></a:graphic></p:graphicFrame>`;
+  }
+
+  buildChartFrame(placeholder, relId, shapeId) {
+    return this.buildGraphicFrame(placeholder, shapeId, this.getBounds(placeholder), NS_C, `<c:chart xmlns:c="${NS_C}" r:id="${relId}"/>`);
+  }
+
+  // The image is centre-cropped (a:srcRect) to the placeholder's aspect ratio rather than stretched
+  buildPictureShape(placeholder, asset, relId, shapeId) {
+    const bounds = this.getBounds(placeholder);
+    const phAttributes = placeholder.phType ? [`type="${placeholder.phType}"`] : [];
+    if (placeholder.index) {
+      phAttributes.push(`idx="${placeholder.index}"`);
+    }
+
+    return `<p:pic><p:nvPicPr><p:cNvPr id="${shapeId}" name="${this.escapeXml(asset.name)}"/><p:cNvPicPr><a:picLocks noGrp="1" noChangeAspect="1"/></p:cNvPicPr><p:nvPr><p:ph ${phAttributes.join(' ')}/></p:nvPr></p:nvPicPr><p:blipFill><a:blip r:embed="${relId}"/>${this.buildSourceRect(asset, bounds)}<a:stretch><a:fillRect/></a:stretch></p:blipFill><p:spPr><a:xfrm><a:off x="${bounds.x}" y="${bounds.y}"/><a:ext cx="${bounds.width}" cy="${bounds.height}"/></a:xfrm></p:spPr></p:pic>`;
+  }
+
+  // srcRect insets are in thousandths of a percent of the image size
+  buildSourceRect(asset, bounds) {
+    const imageAspect = asset.width / asset.height;
+    const frameAspect = bounds.width / bounds.height;
+    if (!Number.isFinite(imageAspect) || !Number.isFinite(frameAspect) || Math.abs(imageAspect - frameAspect) < 0.001) {
+      return '<a:srcRect/>';
+    }
+
+    if (imageAspect > frameAspect) {
+      const inset = Math.round((1 - frameAspect / imageAspect) / 2 * 100000);
+      return `<a:srcRect l="${inset}" r="${inset}"/>`;
+    }
+    const inset = Math.round((1 - imageAspect / frameAspect) / 2 * 100000);
+    return `<a:srcRect t="${inset}" b="${inset}"/>`;
+  }
+
+  // Footnotes go in a text box along the bottom of the placeholder, below the table
+  buildTableFrame(placeholder, table, styleId, shapeId) {
+    const bounds = this.getBounds(placeholder);
+    const footnotesHeight = tableBuilder.getFootnotesHeight(table);
+    const tableBounds = { ...bounds, height: bounds.height - footnotesHeight };
+    const tableXml = tableBuilder.buildTableXml(table, { styleId, width: tableBounds.width, height: tableBounds.height });
+    const frame = this.buildGraphicFrame(placeholder, shapeId, tableBounds, NS_TABLE, tableXml);
+
+    if (!footnotesHeight) {
+      return frame;
+    }
+
+    const footnotes = `<p:sp><p:nvSpPr><p:cNvPr id="${shapeId + 1}" name="${this.escapeXml(`${placeholder.name} footnotes`)}"/><p:cNvSpPr txBox="1"/><p:nvPr/></p:nvSpPr><p:spPr><a:xfrm><a:off x="${bounds.x}" y="${bounds.y + tableBounds.height}"/><a:ext cx="${bounds.width}" cy="${footnotesHeight}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom><a:noFill/></p:spPr><p:txBody><a:bodyPr wrap="square" lIns="0" tIns="45720" rIns="0" bIns="0" anchor="b"><a:noAutofit/></a:bodyPr><a:lstStyle/>${tableBuilder.buildFootnoteParagraphs(table)}</p:txBody></p:sp>`;
+    return frame + footnotes;
+  }
+
+  buildPlaceholderShape(placeholder, text, shapeId) {
+    return this.buildPlaceholderXml(placeholder, shapeId, this.buildParagraphs(text, placeholder.levelBullets));
+  }
+
+  buildPlaceholderXml(placeholder, shapeId, paragraphsXml) {
+    const phAttributes = [];
+    if (placeholder.phType) {
+      phAttributes.push(`type="${placeholder.phType}"`);
+    }
+    if (placeholder.index) {
+      phAttributes.push(`idx="${placeholder.index}"`);
+    }
+
+    return `<p:sp><p:nvSpPr><p:cNvPr id="${shapeId}" name="${this.escapeXml(placeholder.name)}"/><p:cNvSpPr><a:spLocks noGrp="1"/></p:cNvSpPr><p:nvPr><p:ph ${phAttributes.join(' ')}/></p:nvPr></p:nvSpPr><p:spPr/><p:txBody><a:bodyPr/><a:lstStyle/>${paragraphsXml}</p:txBody></p:sp>`;
+  }
+
+  // Shown footer fields in the layout's placeholders for them. The rest go in positioned footer and slide number
+  // placeholders along the bottom, footer and date together in the middle and the number at the right, within the
+  // title's side margins; as placeholders they stay under PowerPoint's Header & Footer settings and out of imports.
+  buildFooterShapes(layout, footer, firstShapeId) {
+    let shapeId = firstShapeId;
+    const shapes = [];
+    const unplaced = [];
+
+    for (const [field, phType] of Object.entries(FOOTER_PLACEHOLDER_TYPES)) {
+      if (footer[field] === null) continue;
+
+      const placeholder = layout.placeholders.find(p => p.phType === phType);
+      if (!placeholder) {
+        unplaced.push(field);
+        continue;
+      }
+      const paragraph = field === 'slideNumber'
+        ? this.buildSlideNumberParagraph(footer.slideNumber)
+        : `<a:p><a:r><a:rPr lang="en-GB" dirty="0"/><a:t>${this.escapeXml(footer[field])}</a:t></a:r></a:p>`;
+      shapes.push(this.buildPlaceholderXml(placeholder, shapeId++, paragraph));
+    }
+
+    if (unplaced.length === 0) {
+      return shapes;
+    }
+
+    const { slideSize } = layout;
+    const title = layout.placeholders.find(placeholder => placeholder.type === 'title');
+    const left = title ? title.x : slideSize.width * 0.05;
+    const right = title ? title.x + title.width : slideSize.width * 0.95;
+    const strip = { y: slideSize.height * FOOTER_STRIP.top, height: slideSize.height * FOOTER_STRIP.height };
+    const sizeAttribute = ` sz="${FOOTER_FONT_SIZE}"`;
+
+    const footerText = ['footer', 'date'].filter(field => unplaced.includes(field)).map(field => footer[field]).join(' | ');
+    if (footerText) {
+      const bounds = this.getBounds({ x: left + (right - left) * 0.25, width: (right - left) * 0.5, ...strip });
+      const paragraph = `<a:p><a:pPr algn="ctr"/><a:r><a:rPr lang="en-GB"${sizeAttribute} dirty="0"/><a:t>${this.escapeXml(footerText)}</a:t></a:r></a:p>`;
+      shapes.push(this.buildFooterPlaceholder('ftr', 'Footer', bounds, paragraph, shapeId++));
+    }
+    if (unplaced.includes('slideNumber')) {
+      const bounds = this.getBounds({ x: right - (right - left) * 0.1, width: (right - left) * 0.1, ...strip });
+      const paragraph = this.buildSlideNumberParagraph(footer.slideNumber, { align: 'r', size: FOOTER_FONT_SIZE });
+      shapes.push(this.buildFooterPlaceholder('sldNum', 'Slide Number', bounds, paragraph, shapeId++));
+    }
+    return shapes;
+  }
+
+  // The number is a slidenum field, so PowerPoint renumbers it when slides are moved
+  buildSlideNumberParagraph(number, { align = null, size = null } = {}) {
+    const pPr = align ? `<a:pPr algn="${align}"/>` : '';
+    const sizeAttribute = size ? ` sz="${size}"` : '';
+    return `<a:p>${pPr}<a:fld id="${SLIDE_NUMBER_FIELD_ID}" type="slidenum"><a:rPr lang="en-GB"${sizeAttribute} dirty="0"/><a:t>${number}</a:t></a:fld></a:p>`;
+  }
+
+  buildFooterPlaceholder(phType, name, bounds, paragraph, shapeId) {
+    return `<p:sp><p:nvSpPr><p:cNvPr id="${shapeId}" name="${name}"/><p:cNvSpPr><a:spLocks noGrp="1"/></p:cNvSpPr><p:nvPr><p:ph type="${phType}"/></p:nvPr></p:nvSpPr><p:spPr><a:xfrm><a:off x="${bounds.x}" y="${bounds.y}"/><a:ext cx="${bounds.width}" cy="${bounds.height}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom><a:noFill/></p:spPr><p:txBody><a:bodyPr wrap="square" lIns="0" tIns="0" rIns="0" bIns="0" anchor="b"><a:noAutofit/></a:bodyPr><a:lstStyle/>${paragraph}</p:txBody></p:sp>`;
+  }
+
+  // Text area width of a placeholder in EMU, inside its insets
+  getTextWidth(placeholder) {
+    const insets = placeholder.insets || { left: 0, right: 0 };
+    return Math.round((placeholder.width - insets.left - insets.right) * EMU_PER_PIXEL);
+  }
+
+  // Layouts without a body placeholder get the entries in a text box filling the slide below the title, with the
+  // title's side margins and the space above it kept at the bottom
+  buildContentsTextBox(layout, contentsList, shapeId) {
+    const title = layout.placeholders.find(placeholder => placeholder.type === 'title');
+    const slideSize = layout.slideSize;
+    const area = title
+      ? { x: title.x, y: title.y + title.height * 1.5, width: title.width, bottom: slideSize.height - title.y }
+      : { x: slideSize.width * 0.05, y: slideSize.height * 0.2, width: slideSize.width * 0.9, bottom: slideSize.height * 0.9 };
+    const bounds = this.getBounds({ ...area, height: Math.max(area.bottom - area.y, 1) });
+    const paragraphs = this.buildContentsParagraphs(contentsList, bounds.width, { size: CONTENTS_FONT_SIZE, spacing: CONTENTS_SPACING });
+
+    return `<p:sp><p:nvSpPr><p:cNvPr id="${shapeId}" name="Contents"/><p:cNvSpPr txBox="1"/><p:nvPr/></p:nvSpPr><p:spPr><a:xfrm><a:off x="${bounds.x}" y="${bounds.y}"/><a:ext cx="${bounds.width}" cy="${bounds.height}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom><a:noFill/></p:spPr><p:txBody><a:bodyPr wrap="square" lIns="0" tIns="0" rIns="0" bIns="0" anchor="t"><a:noAutofit/></a:bodyPr><a:lstStyle/>${paragraphs}</p:txBody></p:sp>`;
+  }
+
+  // One paragraph per section: its title, then its page number against a right tab stop at the text's right edge
+  buildContentsParagraphs({ entries, linkRelIds }, width, { size = null, spacing = null } = {}) {
+    if (entries.length === 0) {
+      return EMPTY_PARAGRAPH;
+    }
+
+    const spacingXml = spacing ? `<a:spcBef><a:spcPts val="${spacing}"/></a:spcBef>` : '';
+    const pPr = `<a:pPr marL="0" indent="0">${spacingXml}<a:buNone/><a:tabLst><a:tab pos="${width}" algn="r"/></a:tabLst></a:pPr>`;
+    const sizeAttribute = size ? ` sz="${size}"` : '';
+
+    return entries.map(({ title, page, dividerPage }) => {
+      const link = linkRelIds[dividerPage] ? `<a:hlinkClick r:id="${linkRelIds[dividerPage]}" action="${SLIDE_JUMP_ACTION}"/>` : '';
+      const run = (text) => `<a:r><a:rPr lang="en-GB"${sizeAttribute} dirty="0">${link}</a:rPr><a:t>${this.escapeXml(text)}</a:t></a:r>`;
+      return `<a:p>${pPr}${run(title)}${run(`\t${page}`)}</a:p>`;
+    }).join('');
+  }
+
+  // Markdown text as DrawingML paragraphs; list items use the placeholder's own bullet levels where it has them
+  buildParagraphs(text, levelBullets = []) {
+    const paragraphs = richText.parse(text);
+    if (paragraphs.length === 0) {
+      return EMPTY_PARAGRAPH;
+    }
+    return paragraphs.map(paragraph => this.buildParagraph(paragraph, levelBullets)).join('');
+  }
+
+  buildParagraph(paragraph, levelBullets) {
+    if (paragraph.runs.length === 0 && !paragraph.list) {
+      return EMPTY_PARAGRAPH;
+    }
+
+    const { lvl, bullet, indent } = richText.getDrawingLevel(paragraph, levelBullets);
+    let attributes = lvl ? ` lvl="${lvl}"` : '';
+    if (indent) {
+      attributes += ` marL="${(paragraph.level + 1) * LIST_INDENT}" indent="${-LIST_INDENT}"`;
+    }
+    const pPr = bullet
+      ? `<a:pPr${attributes}>${BULLET_XML[bullet]}</a:pPr>`
+      : attributes ? `<a:pPr${attributes}/>` : '';
+
+    const runs = paragraph.runs.map(run => {
+      if (run.break) {
+        return '<a:br><a:rPr lang="en-GB" dirty="0"/></a:br>';
+      }
+      const style = `${run.bold ? ' b="1"' : ''}${run.italic ? ' i="1"' : ''}`;
+      return `<a:r><a:rPr lang="en-GB"${style} dirty="0"/><a:t>${this.escapeXml(run.text)}</a:t></a:r>`;
+    });
+    return `<a:p>${pPr}${runs.join('')}</a:p>`;
+  }
+
+  // Slide image and notes body placeholders; both take their position and formatting from the notes master
+  buildNotesSlideXml(notes) {
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<p:notes xmlns:a="${NS_A}" xmlns:r="${NS_R}" xmlns:p="${NS_P}"><p:cSld><p:spTree><p:nvGrpSpPr><p:cNvPr id="1" name=""/><p:cNvGrpSpPr/><p:nvPr/></p:nvGrpSpPr><p:grpSpPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="0" cy="0"/><a:chOff x="0" y="0"/><a:chExt cx="0" cy="0"/></a:xfrm></p:grpSpPr><p:sp><p:nvSpPr><p:cNvPr id="2" name="Slide Image Placeholder 1"/><p:cNvSpPr><a:spLocks noGrp="1" noRot="1" noChangeAspect="1"/></p:cNvSpPr><p:nvPr><p:ph type="sldImg"/></p:nvPr></p:nvSpPr><p:spPr/></p:sp><p:sp><p:nvSpPr><p:cNvPr id="3" name="Notes Placeholder 2"/><p:cNvSpPr><a:spLocks noGrp="1"/></p:cNvSpPr><p:nvPr><p:ph type="body" idx="1"/></p:nvPr></p:nvSpPr><p:spPr/><p:txBody><a:bodyPr/><a:lstStyle/>${this.buildParagraphs(notes.trim())}</p:txBody></p:sp></p:spTree></p:cSld><p:clrMapOvr><a:masterClrMapping/></p:clrMapOvr></p:notes>`;
+  }
+
+  // Text a placeholder is exported with; dividers carry their section title and Contents slides their heading even
+  // before anything is generated
+  getPlaceholderText(slide, layout, placeholder, content) {
+    const text = this.getGeneratedText(content[placeholder.id]);
+    if (!text && slide.type === 'section-divider' && placeholder === this.getSectionTitlePlaceholder(layout)) {
+      return slide.sectionTitle || '';
+    }
+    if (!text && placeholder.type === 'title' && slide.type === 'contents') {
+      return CONTENTS_TITLE;
+    }
+    return text;
+  }
+
+  // Where a divider's section title goes: its title placeholder, else its first body placeholder, as dividers
+  // like the default template's have only body placeholders for the section name and subtitle
+  getSectionTitlePlaceholder(layout) {
+    const placeholders = layout.placeholders.filter(placeholder => !HEADER_FOOTER_TYPES.includes(placeholder.phType));
+    return placeholders.find(placeholder => placeholder.type === 'title') ||
+      placeholders.find(placeholder => placeholder.type === 'body' || !placeholder.phType) ||
+      null;
+  }
+
+  // Generated content is stored either as the client generator's result or as a raw Gemini response
+  getGeneratedText(entry) {
+    if (!entry) return '';
+    if (typeof entry === 'string') return entry;
+    if (typeof entry.content === 'string') return entry.content;
+
+    const parts = entry.response?.candidates?.[0]?.content?.parts || [];
+    return parts.map(part => part.text || '').join('');
+  }
+
+  // Drop relationships to parts the template does not ship (e.g. customXml) and any custData pointing at them
+  removeMissingRelationships(parts) {
+    for (const [relsName, data] of parts) {
+      if (!relsName.endsWith('.rels')) continue;
+
+      const sourceDir = path.posix.dirname(path.posix.dirname(relsName));
+      const sourcePart = path.posix.join(sourceDir, path.posix.basename(relsName, '.rels'));
+      const removedIds = [];
+
+      const xml = data.toString().replace(/<Relationship [^>]*\/>/g, relationship => {
+        if (/TargetMode="External"/.test(relationship)) return relationship;
+
+        const target = relationship.match(/Target="([^"]+)"/)[1];
+        if (parts.has(path.posix.normalize(path.posix.join(sourceDir, target)))) {
+          return relationship;
+        }
+
+        removedIds.push(relationship.match(/Id="([^"]+)"/)[1]);
+        return '';
+      });
+
+      if (removedIds.length === 0) continue;
+      parts.set(relsName, xml);
+
+      if (parts.has(sourcePart)) {
+        const sourceXml = parts.get(sourcePart).toString().replace(
+          /<p:custDataLst>(.*?)<\/p:custDataLst>/g,
+          (list, items) => removedIds.some(id => items.includes(`r:id="${id}"`)) ? '' : list
+        );
+        parts.set(sourcePart, sourceXml);
+      }
+    }
+  }
+
+  // Replace the template's sample slide relationships with ones for the exported slides
+  buildPresentationRels(relsXml, slideCount) {
+    const slideType = `${REL_TYPE_BASE}/slide`;
+    const withoutSlides = relsXml.replace(/<Relationship [^>]*\/>/g, relationship =>
+      relationship.includes(`Type="${slideType}"`) ? '' : relationship
+    );
+
+    const usedIds = [...withoutSlides.matchAll(/Id="rId(\d+)"/g)].map(match => parseInt(match[1]));
+    let nextId = Math.max(0, ...usedIds) + 1;
+
+    const slideRelIds = [];
+    let slideRels = '';
+    for (let i = 1; i <= slideCount; i++) {
+      const id = `rId${nextId++}`;
+      slideRelIds.push(id);
+      slideRels += `<Relationship Id="${id}" Type="${slideType}" Target="slides/slide${i}.xml"/>`;
+    }
+
+    return {
+      xml: withoutSlides.replace('</Relationships>', `${slideRels}</Relationships>`),
+      slideRelIds
+    };
+  }
+
+  buildPresentationXml(presentationXml, slideRelIds) {
+    const slideIds = slideRelIds
+      .map((relId, index) => `<p:sldId id="${256 + index}" r:id="${relId}"/>`)
+      .join('');
+    const slideIdList = slideIds ? `<p:sldIdLst>${slideIds}</p:sldIdLst>` : '';
+
+    if (/<p:sldIdLst>.*?<\/p:sldIdLst>/.test(presentationXml)) {
+      return presentationXml.replace(/<p:sldIdLst>.*?<\/p:sldIdLst>/, slideIdList);
+    }
+    return presentationXml.replace('<p:sldSz', `${slideIdList}<p:sldSz`);
+  }
+
+  buildRelationshipsXml(relationships) {
+    const items = relationships.map(rel => {
+      const type = rel.type.startsWith('http') ? rel.type : `${REL_TYPE_BASE}/${rel.type}`;
+      return `<Relationship Id="${rel.id}" Type="${type}" Target="${rel.target}"/>`;
+    }).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="${NS_PKG_RELS}">${items}</Relationships>`;
+  }
+
+  buildTagsXml(tags) {
+    const items = Object.entries(tags)
+      .map(([name, value]) => `<p:tag name="${this.escapeXml(name)}" val="${this.escapeXml(value)}"/>`)
+      .join('');
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<p:tagLst xmlns:a="${NS_A}" xmlns:r="${NS_R}" xmlns:p="${NS_P}">${items}</p:tagLst>`;
+  }
+
+  buildContentTypesXml(partNames) {
+    const overrides = partNames
+      .filter(partName => partName.endsWith('.xml'))
+      .map(partName => {
+        let contentType = null;
+        if (partName === 'docProps/core.xml') {
+          contentType = 'application/vnd.openxmlformats-package.core-properties+xml';
+        } else if (partName === 'docProps/app.xml') {
+          contentType = 'application/vnd.openxmlformats-officedocument.extended-properties+xml';
+        } else if (partName.startsWith('ppt/')) {
+          const relativePath = partName.slice('ppt/'.length);
+          const chartSupport = CHART_SUPPORT_CONTENT_TYPES.find(({ pattern }) => pattern.test(relativePath));
+          contentType = chartSupport?.contentType || PART_CONTENT_TYPES[relativePath] || PART_CONTENT_TYPES[relativePath.split('/')[0]];
+        }
+        return contentType ? `<Override PartName="/${partName}" ContentType="${contentType}"/>` : '';
+      })
+      .join('');
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Default Extension="png" ContentType="image/png"/><Default Extension="jpeg" ContentType="image/jpeg"/><Default Extension="jpg" ContentType="image/jpeg"/><Default Extension="gif" ContentType="image/gif"/><Default Extension="emf" ContentType="image/x-emf"/><Default Extension="wmf" ContentType="image/x-wmf"/><Default Extension="svg" ContentType="image/svg+xml"/><Default Extension="fntdata" ContentType="application/x-fontdata"/><Default Extension="xlsx" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"/>${overrides}</Types>`;
+  }
+
+  buildCorePropsXml(pitchbook) {
+    const now = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:dcmitype="http://purl.org/dc/dcmitype/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"><dc:title>${this.escapeXml(pitchbook.title || '')}</dc:title><dcterms:created xsi:type="dcterms:W3CDTF">${now}</dcterms:created><dcterms:modified xsi:type="dcterms:W3CDTF">${now}</dcterms:modified></cp:coreProperties>`;
+  }
+
+  buildAppPropsXml(slideCount) {
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Properties xmlns="http://schemas.openxmlformats.org/officeDocument/2006/extended-properties"><Application>PowerPoint AI Builder</Application><Slides>${slideCount}</Slides></Properties>`;
+  }
+
+  escapeXml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+}
+
+module.exports = new PptxExporter();
\ No newline at end of file
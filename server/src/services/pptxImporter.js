@@ -0,0 +1,374 @@
+const path = require('path');
+const JSZip = require('jszip');
+const xml2js = require('xml2js');
+const tableData = require('./tableData');
+const richText = require('./richText');
+
+const PRESENTATION_PART = 'ppt/presentation.xml';
+
+const NS_TABLE = 'http://schemas.openxmlformats.org/drawingml/2006/table';
+
+// Slide types used across the app, from the role facet of the slide's layout
+const SLIDE_TYPES = { title: 'title', contents: 'contents', divider: 'section-divider', body: 'body' };
+
+// Date, footer and slide number placeholders are filled by PowerPoint, not by pitchbook content
+const HEADER_FOOTER_TYPES = ['dt', 'ftr', 'hdr', 'sldNum'];
+
+// Problems with the uploaded deck; routes answer these with 400
+const invalidDeck = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+// Text of an a:t element, which xml2js gives as a string or as { _: text }. xml2js drops whitespace-only text,
+// so an a:t without any is read as the single space PowerPoint writes between differently formatted runs.
+const textOf = (node) => (typeof node === 'string' ? node : (node && node._) || ' ');
+
+class PptxImporter {
+  constructor() {
+    // Ordered children keep runs, breaks and fields in reading order
+    this.parser = new xml2js.Parser({ explicitChildren: true, preserveChildrenOrder: true });
+  }
+
+  // Read a .pptx built on the template into slides, generated content and sections.
+  // Returns { slides, sections, generatedContent, warnings }; warnings list content that could not be carried over.
+  async importDeck(buffer, templateParser) {
+    const deckSlides = await this.readDeck(buffer, templateParser);
+    const slides = [];
+    const sections = [];
+    const generatedContent = {};
+    const warnings = [];
+
+    for (const deckSlide of deckSlides) {
+      const { position: slideNumber, layout, content, notes } = deckSlide;
+      if (!layout) {
+        throw invalidDeck(`Slide ${slideNumber} uses a layout the template does not have${deckSlide.layoutFile ? ` (${deckSlide.layoutFile})` : ''}`);
+      }
+      deckSlide.warnings.forEach(warning => warnings.push(`Slide ${slideNumber}: ${warning}`));
+
+      const type = this.getSlideType(layout);
+      const slide = {
+        slideNumber,
+        layoutId: layout.id,
+        layoutName: layout.name,
+        type,
+        placeholders: {}
+      };
+
+      // Dividers open a section; the slides after them belong to it
+      if (type === 'section-divider') {
+        sections.push({ title: this.getSectionTitle(layout, content, sections.length + 1), numberOfSlides: 0 });
+      } else if (sections.length) {
+        sections[sections.length - 1].numberOfSlides++;
+      }
+      if (sections.length) {
+        slide.sectionTitle = sections[sections.length - 1].title;
+      }
+
+      if (notes) {
+        slide.notes = notes;
+        slide.notesSource = 'import';
+      }
+
+      if (Object.keys(content).length) {
+        generatedContent[`slide_${slideNumber}`] = content;
+      }
+      slides.push(slide);
+    }
+
+    return { slides, sections, generatedContent, warnings };
+  }
+
+  // Every slide of the deck in presentation order: { position, layout, layoutFile, content, notes, tags, warnings }.
+  // layout is null (and content empty) when the slide's layout is not in the template.
+  async readDeck(buffer, templateParser) {
+    let zip;
+    try {
+      zip = await JSZip.loadAsync(buffer);
+    } catch (error) {
+      throw invalidDeck('Uploaded file is not a valid .pptx package');
+    }
+
+    if (!zip.file(PRESENTATION_PART)) {
+      throw invalidDeck('Package has no ppt/presentation.xml');
+    }
+
+    const layouts = await templateParser.getAllLayouts();
+    const slideParts = await this.getSlideParts(zip);
+    if (slideParts.length === 0) {
+      throw invalidDeck('Deck has no slides');
+    }
+
+    const deckSlides = [];
+    for (const [index, slidePart] of slideParts.entries()) {
+      const relationships = await this.readRelationships(zip, slidePart);
+      const layoutPart = relationships.find(rel => rel.type === 'slideLayout');
+      const layout = (layoutPart && await this.matchLayout(zip, layoutPart.target, layouts, templateParser)) || null;
+      const { content, warnings } = layout
+        ? await this.readSlideContent(zip, slidePart, layout)
+        : { content: {}, warnings: [] };
+
+      const notesPart = relationships.find(rel => rel.type === 'notesSlide');
+      const tagsParts = relationships.filter(rel => rel.type === 'tags');
+      const tags = {};
+      for (const tagsPart of tagsParts) {
+        Object.assign(tags, await this.readTags(zip, tagsPart.target));
+      }
+
+      deckSlides.push({
+        position: index + 1,
+        layout,
+        layoutFile: layoutPart ? path.posix.basename(layoutPart.target) : null,
+        content,
+        notes: notesPart ? await this.readNotes(zip, notesPart.target) : '',
+        tags,
+        warnings
+      });
+    }
+    return deckSlides;
+  }
+
+  // Slide part names in presentation order (p:sldIdLst)
+  async getSlideParts(zip) {
+    const presentation = await this.readXml(zip, PRESENTATION_PART);
+    const relationships = await this.readRelationships(zip, PRESENTATION_PART);
+    const slideIds = presentation['p:presentation']['p:sldIdLst']?.[0]?.['p:sldId'] || [];
+
+    return slideIds
+      .map(slideId => relationships.find(rel => rel.id === slideId['$']['r:id']))
+      .filter(rel => rel && rel.type === 'slide' && zip.file(rel.target))
+      .map(rel => rel.target);
+  }
+
+  // Relationships of a part with targets resolved to package part names, e.g. "ppt/slideLayouts/slideLayout5.xml"
+  async readRelationships(zip, partName) {
+    const relsPart = path.posix.join(path.posix.dirname(partName), '_rels', `${path.posix.basename(partName)}.rels`);
+    if (!zip.file(relsPart)) {
+      return [];
+    }
+
+    const rels = await this.readXml(zip, relsPart);
+    return (rels['Relationships']['Relationship'] || []).map(rel => ({
+      id: rel['$'].Id,
+      type: rel['$'].Type.slice(rel['$'].Type.lastIndexOf('/') + 1),
+      target: rel['$'].TargetMode === 'External'
+        ? rel['$'].Target
+        : path.posix.normalize(path.posix.join(path.posix.dirname(partName), rel['$'].Target))
+    }));
+  }
+
+  async readXml(zip, partName) {
+    return this.parser.parseStringPromise(await zip.file(partName).async('string'));
+  }
+
+  // The deck's copy of a layout is matched by creationId (or content hash) first, so renumbered parts still resolve,
+  // then by display name
+  async matchLayout(zip, layoutPart, layouts, templateParser) {
+    if (!zip.file(layoutPart)) {
+      return undefined;
+    }
+
+    const xmlContent = await zip.file(layoutPart).async('string');
+    const layoutData = await this.parser.parseStringPromise(xmlContent);
+    const stableKey = templateParser.extractCreationId(layoutData) || templateParser.hashContent(xmlContent);
+
+    return templateParser.matchLayoutId(layouts, templateParser.buildLayoutId(layoutPart, stableKey)) ||
+      templateParser.matchLayoutName(layouts, templateParser.extractLayoutName(layoutData));
+  }
+
+  getSlideType(layout) {
+    const role = layout.facets?.role;
+    if (SLIDE_TYPES[role]) {
+      return SLIDE_TYPES[role];
+    }
+    return /\b(legal|disclaimer)\b/i.test(layout.name) ? 'legal' : 'body';
+  }
+
+  // The divider's title text, else its first text that is not just a section number
+  getSectionTitle(layout, content, sectionNumber) {
+    const texts = layout.placeholders
+      .filter(placeholder => content[placeholder.id]?.content)
+      .sort((a, b) => (b.type === 'title') - (a.type === 'title'))
+      .map(placeholder => richText.toPlainText(richText.parse(content[placeholder.id].content)).trim());
+
+    return texts.find(text => text && !/^\d+\.?$/.test(text)) || `Section ${sectionNumber}`;
+  }
+
+  // Content keyed by layout placeholder id, in the shapes generatedContent already uses
+  async readSlideContent(zip, slidePart, layout) {
+    const slideData = await this.readXml(zip, slidePart);
+    const shapeTree = slideData['p:sld']['p:cSld'][0]['p:spTree'][0];
+    const content = {};
+    const warnings = [];
+    let looseShapes = 0;
+
+    for (const shape of shapeTree['$$'] || []) {
+      const properties = this.getNonVisualProperties(shape);
+      const ph = properties?.['p:nvPr']?.[0]?.['p:ph']?.[0];
+      if (!ph) {
+        // Text boxes and drawings added on the slide itself have no place in the pitchbook model
+        if (this.hasText(shape)) {
+          looseShapes++;
+        }
+        continue;
+      }
+
+      const phType = ph['$']?.type || null;
+      if (HEADER_FOOTER_TYPES.includes(phType)) {
+        continue;
+      }
+
+      const placeholder = this.findPlaceholder(layout, phType, ph['$']?.idx);
+      const name = properties['p:cNvPr']?.[0]?.['$']?.name || 'placeholder';
+      if (!placeholder) {
+        if (this.hasText(shape)) {
+          warnings.push(`"${name}" does not match a placeholder on layout "${layout.name}" and was not imported`);
+        }
+        continue;
+      }
+
+      if (shape['#name'] === 'p:sp') {
+        const text = this.getShapeText(shape, placeholder.levelBullets);
+        if (text) {
+          content[placeholder.id] = { success: true, content: text, source: 'import' };
+        }
+      } else if (shape['#name'] === 'p:graphicFrame' && this.getTable(shape)) {
+        content[placeholder.id] = this.readTable(this.getTable(shape));
+      } else {
+        warnings.push(`${shape['#name'] === 'p:pic' ? 'picture' : 'chart or diagram'} in "${name}" was not imported`);
+      }
+    }
+
+    if (looseShapes) {
+      warnings.push(`${looseShapes} text shape${looseShapes === 1 ? '' : 's'} outside the layout placeholders ${looseShapes === 1 ? 'was' : 'were'} not imported`);
+    }
+
+    return { content, warnings };
+  }
+
+  getNonVisualProperties(shape) {
+    const key = { 'p:sp': 'p:nvSpPr', 'p:graphicFrame': 'p:nvGraphicFramePr', 'p:pic': 'p:nvPicPr' }[shape['#name']];
+    return key ? shape[key]?.[0] : null;
+  }
+
+  // Slide placeholders point at the layout by idx; title-like ones often carry only a type
+  findPlaceholder(layout, phType, idx) {
+    const index = String(idx || 0);
+    const isTitle = ['title', 'ctrTitle'].includes(phType);
+
+    return layout.placeholders.find(placeholder => String(placeholder.index) === index) ||
+      (isTitle ? layout.placeholders.find(placeholder => placeholder.type === 'title') : undefined) ||
+      (phType ? layout.placeholders.find(placeholder => placeholder.phType === phType) : undefined);
+  }
+
+  hasText(node) {
+    if (!node || typeof node !== 'object') {
+      return false;
+    }
+    if (node['#name'] === 'a:t') {
+      return textOf(node).trim() !== '';
+    }
+    return (node['$$'] || []).some(child => this.hasText(child));
+  }
+
+  // Markdown, as generated text is stored; levelBullets are the layout placeholder's list levels
+  getShapeText(shape, levelBullets = []) {
+    const paragraphs = shape['p:txBody']?.[0]?.['a:p'] || [];
+    return richText.toMarkdown(richText.normalize(paragraphs.map(paragraph => this.readParagraph(paragraph, levelBullets))));
+  }
+
+  // A paragraph in the RichText model: list level from a:pPr lvl and any bullet override, bold/italic per run
+  readParagraph(paragraph, levelBullets) {
+    const runs = (paragraph['$$'] || []).flatMap(child => {
+      switch (child['#name']) {
+        case 'a:r':
+        case 'a:fld': {
+          const style = child['a:rPr']?.[0]?.['$'] || {};
+          return [{ text: (child['a:t'] || []).map(textOf).join(''), bold: style.b === '1', italic: style.i === '1' }];
+        }
+        case 'a:br':
+          return [{ break: true }];
+        default:
+          return [];
+      }
+    });
+    if (!runs.some(run => run.text?.trim())) {
+      return { list: null, level: 0, runs: [] };
+    }
+
+    const pPr = paragraph['a:pPr']?.[0];
+    const bullet = pPr?.['a:buNone'] ? 'none'
+      : pPr?.['a:buAutoNum'] ? 'number'
+        : pPr?.['a:buChar'] || pPr?.['a:buBlip'] ? 'char'
+          : null;
+    return { ...richText.getListFromLevel(parseInt(pPr?.['$']?.lvl) || 0, bullet, levelBullets), runs };
+  }
+
+  // Plain text, one line per paragraph, for table cells
+  joinParagraphs(paragraphs) {
+    return paragraphs
+      .map(paragraph => this.getParagraphText(paragraph))
+      .join('\n')
+      .replace(/\s+$/, '');
+  }
+
+  getParagraphText(paragraph) {
+    return (paragraph['$$'] || []).map(child => {
+      switch (child['#name']) {
+        case 'a:r':
+        case 'a:fld':
+          return (child['a:t'] || []).map(textOf).join('');
+        case 'a:br':
+          return '\n';
+        default:
+          return '';
+      }
+    }).join('');
+  }
+
+  getTable(shape) {
+    const graphicData = shape['a:graphic']?.[0]?.['a:graphicData']?.[0];
+    return graphicData && graphicData['$']?.uri === NS_TABLE ? graphicData['a:tbl']?.[0] : null;
+  }
+
+  // Cells come in as text: number formats are baked into the cell text and cannot be recovered reliably.
+  // The first row is taken as the header row; tables too large for table data are kept as tab-separated text.
+  readTable(tbl) {
+    const rows = (tbl['a:tr'] || []).map(row =>
+      (row['a:tc'] || []).map(cell => this.joinParagraphs(cell['a:txBody']?.[0]?.['a:p'] || []).replace(/\n/g, ' '))
+    );
+    const [header = [], ...body] = rows;
+
+    try {
+      const table = tableData.normalize({
+        columns: header.map(text => ({ header: text, type: 'text' })),
+        rows: body
+      });
+      return { success: true, table, source: 'import' };
+    } catch (error) {
+      return { success: true, content: rows.map(cells => cells.join('\t')).join('\n'), source: 'import' };
+    }
+  }
+
+  // Slide tags as { name: value }; PowerPoint upper-cases tag names when it saves
+  async readTags(zip, tagsPart) {
+    if (!zip.file(tagsPart)) {
+      return {};
+    }
+
+    const tagsData = await this.readXml(zip, tagsPart);
+    return Object.fromEntries((tagsData['p:tagLst']?.['p:tag'] || [])
+      .map(tag => [String(tag['$'].name).toUpperCase(), tag['$'].val]));
+  }
+
+  // Text of the notes body placeholder
+  async readNotes(zip, notesPart) {
+    if (!zip.file(notesPart)) {
+      return '';
+    }
+
+    const notesData = await this.readXml(zip, notesPart);
+    const shapes = notesData['p:notes']?.['p:cSld']?.[0]?.['p:spTree']?.[0]?.['p:sp'] || [];
+    const body = shapes.find(shape => shape['p:nvSpPr']?.[0]?.['p:nvPr']?.[0]?.['p:ph']?.[0]?.['$']?.type === 'body');
+    return body ? this.getShapeText(body).trim() : '';
+  }
+}
+
+module.exports = new PptxImporter();
@@ -0,0 +1,418 @@
+// Style and audience presets: what a pitchbook's prompts are enhanced with before generating. Each preset holds
+// the presentation type, audience, tone, style, focus and jurisdiction filled into the prompt templates, named
+// style and tone modifiers, and the templates themselves (per slide type and placeholder type, base and enhanced).
+// Presets belong to an organization, or are shared when organizationId is null; the built-in ones are seeded as
+// shared presets the first time the store runs and can be edited like any other.
+// Every edit is a new version: the preset keeps its previous versions in history, newest last, and any of them
+// can be restored (as a further version). A pitchbook picks its preset by pitchbook.presetId and records the
+// version it picked in pitchbook.presetVersion; one without a preset, or whose preset was deleted, uses the
+// default preset. Changes to the preset file run one at a time, so two edits saved together both land.
+
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const dataPath = require('../utils/dataPath');
+
+const DEFAULT_PRESET_ID = 'strategic-plan';
+
+// Template keys the client's prompt enhancer looks up: slide types first, then placeholder types
+const TEMPLATE_KEYS = ['title', 'legal', 'section-divider', 'body', 'text', 'bullet', 'heading'];
+
+// Fields an edit can change; organizationId is fixed when the preset is created
+const TEXT_FIELDS = ['name', 'description', 'presentationType', 'audience', 'tone', 'style', 'focus', 'jurisdiction'];
+
+// Fields a preset cannot do without: the templates and system prompt are built from them
+const REQUIRED_FIELDS = ['name', 'presentationType', 'audience', 'tone', 'style', 'focus'];
+
+const MODIFIER_NAME = /^[a-z][a-z0-9-]*$/;
+
+const MAX_MODIFIERS = 20;
+
+const MAX_NAME_LENGTH = 100;
+
+const MAX_TEXT_LENGTH = 500;
+
+const MAX_TEMPLATE_LENGTH = 4000;
+
+const PROMPT_TEMPLATES = {
+  // Slide type specific templates
+  title: {
+    base: 'Create a professional and engaging title for a business presentation.',
+    enhanced: 'Generate a compelling, professional title for a {context} presentation. The title should be concise (5-10 words), impactful, and clearly communicate the main theme. Consider the audience: {audience}. Style: {style}. Key focus: {focus}.'
+  },
+  legal: {
+    base: 'Create legal disclaimer text.',
+    enhanced: 'Generate professional legal disclaimer text appropriate for a {context} business presentation. Include standard confidentiality notices, forward-looking statements disclaimer, and intellectual property protection. Keep it concise but comprehensive. Jurisdiction: {jurisdiction}.'
+  },
+  'section-divider': {
+    base: 'Create a section introduction.',
+    enhanced: 'Write a compelling introduction for the section titled \'{sectionTitle}\' in a {context} presentation. Include a brief overview (2-3 sentences) that transitions from the previous content and sets up what\'s coming. Tone: {tone}.'
+  },
+  body: {
+    base: 'Generate body content for this slide.',
+    enhanced: 'Create {wordCount} words of professional content about {topic} for a {context} presentation slide. Structure the content with clear key points, supporting details, and relevant examples. Include {bulletPoints} main points. Ensure the content is {tone} and suitable for {audience}. Focus on: {focus}.'
+  },
+  // Placeholder type templates
+  text: {
+    base: 'Generate text content.',
+    enhanced: 'Write {wordCount} words of {style} text about {topic}. The content should be {tone}, well-structured, and include {specificRequirements}. Target audience: {audience}.'
+  },
+  bullet: {
+    base: 'Create bullet points.',
+    enhanced: 'Generate {count} clear, concise bullet points about {topic}. Each point should be 1-2 lines, action-oriented, and {style}. Focus on {focus}. Ensure parallel structure.'
+  },
+  heading: {
+    base: 'Create a heading.',
+    enhanced: 'Write a {style} heading for {topic} that is {tone} and captures attention. Maximum {wordCount} words. Should complement the slide title: \'{slideTitle}\'.'
+  }
+};
+
+const STYLE_MODIFIERS = {
+  executive: 'concise, high-level, strategic focus',
+  technical: 'detailed, precise, data-rich',
+  marketing: 'engaging, benefit-focused, persuasive',
+  financial: 'quantitative, analytical, fact-based',
+  creative: 'innovative, inspiring, forward-thinking'
+};
+
+const TONE_MODIFIERS = {
+  formal: 'professional, respectful, structured',
+  informal: 'conversational, approachable, friendly',
+  urgent: 'immediate, action-oriented, compelling',
+  optimistic: 'positive, opportunity-focused, confident',
+  analytical: 'objective, evidence-based, logical'
+};
+
+// Seeded as shared presets; these were the prompt enhancer's hardcoded contexts
+const BUILT_IN_PRESETS = [
+  {
+    id: 'merger-acquisition',
+    name: 'Merger & acquisition',
+    presentationType: 'merger and acquisition',
+    audience: 'board members, executives, and key stakeholders',
+    tone: 'professional, strategic, and data-driven',
+    style: 'formal business',
+    focus: 'synergies, value creation, and strategic rationale'
+  },
+  {
+    id: 'investor-pitch',
+    name: 'Investor pitch',
+    presentationType: 'investor pitch',
+    audience: 'potential investors and venture capitalists',
+    tone: 'confident, compelling, and growth-focused',
+    style: 'persuasive and engaging',
+    focus: 'market opportunity, competitive advantage, and ROI'
+  },
+  {
+    id: 'quarterly-results',
+    name: 'Quarterly results',
+    presentationType: 'quarterly results',
+    audience: 'investors, analysts, and shareholders',
+    tone: 'transparent, analytical, and forward-looking',
+    style: 'formal financial reporting',
+    focus: 'performance metrics, trends, and guidance'
+  },
+  {
+    id: 'product-launch',
+    name: 'Product launch',
+    presentationType: 'product launch',
+    audience: 'customers, partners, and media',
+    tone: 'exciting, innovative, and customer-centric',
+    style: 'engaging and accessible',
+    focus: 'features, benefits, and market differentiation'
+  },
+  {
+    id: DEFAULT_PRESET_ID,
+    name: 'Strategic plan',
+    presentationType: 'strategic plan',
+    audience: 'internal leadership and management teams',
+    tone: 'visionary, actionable, and motivating',
+    style: 'strategic and operational',
+    focus: 'goals, initiatives, and execution roadmap'
+  }
+];
+
+// Problems with the submitted preset; routes answer these with 400
+const invalidPreset = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+class PresetStore {
+  constructor() {
+    this.dataPath = dataPath;
+    this.indexFile = path.join(this.dataPath, 'presets.json');
+    this.ready = this.ensureDataFile();
+    this.writes = this.ready;
+  }
+
+  async ensureDataFile() {
+    await fs.ensureDir(this.dataPath);
+    if (!await fs.exists(this.indexFile)) {
+      const created = new Date().toISOString();
+      const presets = BUILT_IN_PRESETS.map(preset => this.build({
+        description: '',
+        jurisdiction: 'United States',
+        styles: STYLE_MODIFIERS,
+        tones: TONE_MODIFIERS,
+        templates: PROMPT_TEMPLATES,
+        ...preset
+      }, { id: preset.id, organizationId: null, created }));
+      await fs.writeJson(this.indexFile, presets, { spaces: 2 });
+    }
+  }
+
+  async readIndex() {
+    await this.writes.catch(() => {});
+    try {
+      return await fs.readJson(this.indexFile);
+    } catch (error) {
+      console.error('Error reading preset index:', error);
+      return [];
+    }
+  }
+
+  // Read-modify-write of the preset file behind the previous one; resolves to what update returns. A file that
+  // cannot be read fails the change rather than being overwritten.
+  updateIndex(update) {
+    const next = this.writes.catch(() => {}).then(async () => {
+      const presets = await fs.readJson(this.indexFile);
+      const result = update(presets);
+      await fs.writeJson(this.indexFile, presets, { spaces: 2 });
+      return result;
+    });
+
+    this.writes = next;
+    return next;
+  }
+
+  // A preset as the API returns it: everything but its history
+  summarize(preset) {
+    const { history, ...current } = preset;
+    return { ...current, versionCount: history.length + 1 };
+  }
+
+  // Presets visible to an organization: its own plus shared ones (no organizationId)
+  async getPresets(organizationId) {
+    const presets = await this.readIndex();
+    return presets
+      .filter(preset => !organizationId || !preset.organizationId || preset.organizationId === organizationId)
+      .map(preset => this.summarize(preset));
+  }
+
+  // The latest version of a preset; null when the id is unknown
+  async getPreset(presetId) {
+    const presets = await this.readIndex();
+    const preset = presets.find(p => p.id === presetId);
+    return preset ? this.summarize(preset) : null;
+  }
+
+  // The preset a pitchbook uses: its own, or the default one when it has none or it was deleted
+  async getPitchbookPreset(pitchbook) {
+    return (pitchbook.presetId && await this.getPreset(pitchbook.presetId)) || this.getPreset(DEFAULT_PRESET_ID);
+  }
+
+  // Every version of a preset, oldest first, each { version, updated, name }; null when the id is unknown
+  async getVersions(presetId) {
+    const presets = await this.readIndex();
+    const preset = presets.find(p => p.id === presetId);
+    if (!preset) {
+      return null;
+    }
+    return [...preset.history, preset].map(({ version, updated, name }) => ({ version, updated, name }));
+  }
+
+  // One version of a preset as it was saved; null when the preset or version is unknown
+  async getVersion(presetId, version) {
+    const presets = await this.readIndex();
+    const preset = presets.find(p => p.id === presetId);
+    if (!preset) {
+      return null;
+    }
+    if (preset.version === version) {
+      return this.summarize(preset);
+    }
+    const snapshot = preset.history.find(entry => entry.version === version);
+    return snapshot ? { ...snapshot, id: preset.id, organizationId: preset.organizationId, created: preset.created } : null;
+  }
+
+  // New preset; fields not given are copied from basedOn (a preset id), or from the default preset
+  async createPreset(fields, { organizationId, basedOn } = {}) {
+    const base = await this.getPreset(basedOn || DEFAULT_PRESET_ID);
+    if (!base) {
+      throw invalidPreset('Unknown preset to base the new one on');
+    }
+
+    const content = { ...this.getContent(base), name: `${base.name} copy`, ...this.normalize(fields) };
+    const preset = this.build(content, {
+      id: uuidv4(),
+      organizationId: organizationId || null,
+      created: new Date().toISOString()
+    });
+    await this.updateIndex(presets => presets.push(preset));
+    return this.summarize(preset);
+  }
+
+  // Save an edit as the next version; an edit that changes nothing keeps the current one. null when the id is unknown
+  async updatePreset(presetId, fields) {
+    const changes = this.normalize(fields);
+    return this.updateIndex(presets => {
+      const index = presets.findIndex(p => p.id === presetId);
+      if (index === -1) {
+        return null;
+      }
+
+      const current = presets[index];
+      const content = this.validate({ ...this.getContent(current), ...changes });
+      if (JSON.stringify(content) === JSON.stringify(this.getContent(current))) {
+        return this.summarize(current);
+      }
+
+      const { history, id, organizationId, created, ...previous } = current;
+      presets[index] = {
+        ...current,
+        ...content,
+        version: current.version + 1,
+        updated: new Date().toISOString(),
+        history: [...history, previous]
+      };
+      return this.summarize(presets[index]);
+    });
+  }
+
+  // Bring back an earlier version's content as the next version; null when the preset or version is unknown
+  async restoreVersion(presetId, version) {
+    const snapshot = await this.getVersion(presetId, version);
+    return snapshot ? this.updatePreset(presetId, this.getContent(snapshot)) : null;
+  }
+
+  async deletePreset(presetId) {
+    return this.updateIndex(presets => {
+      const index = presets.findIndex(p => p.id === presetId);
+      if (index !== -1) {
+        presets.splice(index, 1);
+      }
+      return index !== -1;
+    });
+  }
+
+  build(content, { id, organizationId, created }) {
+    return {
+      id,
+      organizationId,
+      ...this.validate(content),
+      version: 1,
+      created,
+      updated: created,
+      history: []
+    };
+  }
+
+  // The editable part of a preset, in a fixed field order so versions compare reliably
+  getContent(preset) {
+    const content = {};
+    for (const field of TEXT_FIELDS) {
+      content[field] = preset[field] || '';
+    }
+    content.styles = preset.styles || {};
+    content.tones = preset.tones || {};
+    content.templates = preset.templates || {};
+    return content;
+  }
+
+  // Check the submitted fields and keep only editable ones; fields left out are not changed
+  normalize(fields) {
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+      throw invalidPreset('A preset must be an object of fields');
+    }
+
+    const normalized = {};
+    for (const field of TEXT_FIELDS) {
+      if (fields[field] === undefined) continue;
+      if (typeof fields[field] !== 'string') {
+        throw invalidPreset(`${field} must be text`);
+      }
+      const text = fields[field].trim();
+      const limit = field === 'name' ? MAX_NAME_LENGTH : MAX_TEXT_LENGTH;
+      if (text.length > limit) {
+        throw invalidPreset(`${field} must be at most ${limit} characters`);
+      }
+      normalized[field] = text;
+    }
+
+    for (const field of ['styles', 'tones']) {
+      if (fields[field] !== undefined) {
+        normalized[field] = this.normalizeModifiers(field, fields[field]);
+      }
+    }
+
+    if (fields.templates !== undefined) {
+      normalized.templates = this.normalizeTemplates(fields.templates);
+    }
+    return normalized;
+  }
+
+  // Named style or tone modifiers: { executive: 'concise, high-level, strategic focus' }
+  normalizeModifiers(field, modifiers) {
+    if (!modifiers || typeof modifiers !== 'object' || Array.isArray(modifiers)) {
+      throw invalidPreset(`${field} must be an object of names and descriptions`);
+    }
+
+    const entries = Object.entries(modifiers);
+    if (entries.length > MAX_MODIFIERS) {
+      throw invalidPreset(`A preset can have at most ${MAX_MODIFIERS} ${field}`);
+    }
+
+    const normalized = {};
+    for (const [name, description] of entries) {
+      if (!MODIFIER_NAME.test(name) || name.length > MAX_NAME_LENGTH) {
+        throw invalidPreset(`"${name}" is not a valid ${field} name: use lowercase letters, digits and hyphens`);
+      }
+      if (typeof description !== 'string' || !description.trim()) {
+        throw invalidPreset(`${field}.${name} needs a description`);
+      }
+      if (description.length > MAX_TEXT_LENGTH) {
+        throw invalidPreset(`${field}.${name} must be at most ${MAX_TEXT_LENGTH} characters`);
+      }
+      normalized[name] = description.trim();
+    }
+    return normalized;
+  }
+
+  // { title: { base, enhanced }, ... } for the template keys; every template needs a base prompt
+  normalizeTemplates(templates) {
+    if (!templates || typeof templates !== 'object' || Array.isArray(templates)) {
+      throw invalidPreset('templates must be an object keyed by slide or placeholder type');
+    }
+
+    const normalized = {};
+    for (const [key, template] of Object.entries(templates)) {
+      if (!TEMPLATE_KEYS.includes(key)) {
+        throw invalidPreset(`Unknown template "${key}"; expected one of ${TEMPLATE_KEYS.join(', ')}`);
+      }
+      if (!template || typeof template.base !== 'string' || !template.base.trim()) {
+        throw invalidPreset(`templates.${key} needs a base prompt`);
+      }
+      if (template.enhanced !== undefined && template.enhanced !== null && typeof template.enhanced !== 'string') {
+        throw invalidPreset(`templates.${key}.enhanced must be text`);
+      }
+      if (template.base.length > MAX_TEMPLATE_LENGTH || (template.enhanced || '').length > MAX_TEMPLATE_LENGTH) {
+        throw invalidPreset(`templates.${key} must be at most ${MAX_TEMPLATE_LENGTH} characters`);
+      }
+      normalized[key] = { base: template.base.trim(), enhanced: (template.enhanced || '').trim() };
+    }
+    return normalized;
+  }
+
+  // A complete preset's content: the fields generation relies on are present
+  validate(content) {
+    const missing = REQUIRED_FIELDS.filter(field => !content[field]);
+    if (missing.length > 0) {
+      throw invalidPreset(`A preset needs ${missing.join(', ')}`);
+    }
+    if (!content.templates.body) {
+      throw invalidPreset('A preset needs a body template, used when no other template fits');
+    }
+    return this.getContent(content);
+  }
+}
+
+module.exports = new PresetStore();
+module.exports.DEFAULT_PRESET_ID = DEFAULT_PRESET_ID;
\ No newline at end of file
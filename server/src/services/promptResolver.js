@@ -0,0 +1,142 @@
+// The effective prompt for one placeholder, combined from the four prompt scopes, broadest first:
+//   pitchbook    pitchbook.pitchbookPrompt                      (mode in scopedPrompts.pitchbook)
+//   section      pitchbook.sectionPrompts[slide.sectionTitle]   (mode in scopedPrompts.sections[title])
+//   slide        slide.slidePrompt                              (mode in slide.slidePromptScoped)
+//   placeholder  pitchbook.prompts[slideKey][placeholderKey]    (mode in scopedPlaceholderPrompts[slideKey][placeholderKey])
+// Each scope appends to the ones above it. A fragment whose scoped record has mode: 'override' replaces every
+// broader fragment instead, so a slide prompt can set aside its section's guidance and a placeholder prompt can
+// stand alone. A placeholder prompt whose scoped record has a broader scope ('slide', 'section' or 'pitchbook',
+// the placeholder_prompts.scope column) is also shared at that scope with the other placeholders it reaches.
+// Broader fragments come first in the prompt, so where instructions conflict the more specific one, read
+// last, takes precedence; the placeholder's own prompt is the task and always comes last.
+// {{name}} references in any fragment are filled in from the pitchbook's variables (see promptVariables).
+
+const promptVariables = require('./promptVariables');
+
+const SCOPES = ['pitchbook', 'section', 'slide', 'placeholder'];
+
+const MODES = ['append', 'override'];
+
+class PromptResolver {
+  get scopes() {
+    return SCOPES;
+  }
+
+  // Explain a placeholder's prompt: { slideKey, placeholderKey, prompt, fragments, missingVariables }, or null when
+  // the slide does not exist. prompt stands in for the stored placeholder prompt (generation sends its enhanced
+  // prompt). Each fragment is { scope, source, label, text, mode, variables, missingVariables, applied,
+  // overriddenBy }: source is where it is stored, text has its variables filled in, and overriddenBy names the
+  // fragment that set aside one that is not applied. missingVariables lists undefined names in applied fragments.
+  resolve(pitchbook, slideNumber, placeholderKey, prompt) {
+    const slide = pitchbook.slides?.find(s => s.slideNumber === slideNumber);
+    if (!slide) {
+      return null;
+    }
+
+    const slideKey = `slide_${slideNumber}`;
+    const fragments = this.collect(pitchbook, slide, String(placeholderKey), prompt);
+
+    // The most specific override sets aside everything broader than itself
+    const override = [...fragments].reverse().find(fragment => fragment.mode === 'override');
+    fragments.forEach(fragment => {
+      fragment.applied = !override || SCOPES.indexOf(fragment.scope) >= SCOPES.indexOf(override.scope);
+      fragment.overriddenBy = fragment.applied ? null : { scope: override.scope, source: override.source };
+    });
+
+    const applied = fragments.filter(fragment => fragment.applied);
+    return {
+      slideKey,
+      placeholderKey: String(placeholderKey),
+      prompt: this.compose(applied),
+      fragments,
+      missingVariables: [...new Set(applied.flatMap(fragment => fragment.missingVariables))]
+    };
+  }
+
+  // Fragments for a placeholder, ordered by scope (broadest first), then scope prompts before shared ones
+  collect(pitchbook, slide, placeholderKey, prompt) {
+    const slideKey = `slide_${slide.slideNumber}`;
+    const scoped = pitchbook.scopedPrompts || {};
+    const sectionTitle = slide.sectionTitle || null;
+    const fragments = [];
+
+    const add = (scope, source, label, text, record) => {
+      if (typeof text !== 'string' || !text.trim()) return;
+      const { text: substituted, missing } = promptVariables.substitute(text.trim(), pitchbook.variables);
+      fragments.push({
+        scope,
+        source,
+        label,
+        text: substituted,
+        mode: this.getMode(record),
+        variables: promptVariables.find(text),
+        missingVariables: missing
+      });
+    };
+
+    add('pitchbook', 'pitchbookPrompt', 'Pitchbook', pitchbook.pitchbookPrompt, scoped.pitchbook);
+    if (sectionTitle) {
+      add('section', `sectionPrompts["${sectionTitle}"]`, `Section "${sectionTitle}"`,
+        pitchbook.sectionPrompts?.[sectionTitle], scoped.sections?.[sectionTitle]);
+    }
+    add('slide', `slides[${slide.slideNumber}].slidePrompt`, `Slide ${slide.slideNumber}`, slide.slidePrompt,
+      slide.slidePromptScoped);
+
+    // Placeholder prompts shared more widely than their own placeholder; these only add guidance
+    for (const shared of this.getSharedPrompts(pitchbook)) {
+      if (shared.slideKey === slideKey && shared.placeholderKey === placeholderKey) continue;
+
+      const reaches = shared.scope === 'pitchbook' ||
+        (shared.scope === 'section' && sectionTitle && shared.sectionTitle === sectionTitle) ||
+        (shared.scope === 'slide' && shared.slideKey === slideKey);
+      if (reaches) {
+        add(shared.scope, `prompts.${shared.slideKey}["${shared.placeholderKey}"]`,
+          `Placeholder ${shared.placeholderKey} on slide ${shared.slideKey.replace('slide_', '')}`, shared.text, null);
+      }
+    }
+
+    const ownRecord = pitchbook.scopedPlaceholderPrompts?.[slideKey]?.[placeholderKey];
+    const ownText = prompt !== undefined ? prompt : pitchbook.prompts?.[slideKey]?.[placeholderKey] ?? ownRecord?.text;
+    add('placeholder', `prompts.${slideKey}["${placeholderKey}"]`, 'Placeholder', ownText, ownRecord);
+
+    return fragments.sort((a, b) => SCOPES.indexOf(a.scope) - SCOPES.indexOf(b.scope));
+  }
+
+  // Placeholder prompts whose scoped record reaches past their placeholder
+  getSharedPrompts(pitchbook) {
+    const shared = [];
+    for (const [slideKey, records] of Object.entries(pitchbook.scopedPlaceholderPrompts || {})) {
+      const slide = pitchbook.slides?.find(s => `slide_${s.slideNumber}` === slideKey);
+      for (const [placeholderKey, record] of Object.entries(records || {})) {
+        if (!SCOPES.slice(0, 3).includes(record?.scope)) continue;
+        shared.push({
+          slideKey,
+          placeholderKey,
+          scope: record.scope,
+          sectionTitle: slide?.sectionTitle || null,
+          text: pitchbook.prompts?.[slideKey]?.[placeholderKey] ?? record.text
+        });
+      }
+    }
+    return shared;
+  }
+
+  getMode(record) {
+    return MODES.includes(record?.mode) ? record.mode : 'append';
+  }
+
+  // Guidance from the broader scopes, then the placeholder's own prompt
+  compose(fragments) {
+    const guidance = fragments.filter(fragment => fragment.scope !== 'placeholder');
+    const own = fragments.find(fragment => fragment.scope === 'placeholder');
+    return [this.formatGuidance(guidance), own?.text].filter(Boolean).join('\n\n');
+  }
+
+  formatGuidance(fragments) {
+    if (fragments.length === 0) return '';
+    const lines = fragments.map(fragment => `- ${fragment.label}: ${fragment.text}`);
+    return `Follow these instructions, listed from the whole pitchbook down to this slide; where they conflict, the later one wins:\n${lines.join('\n')}`;
+  }
+}
+
+module.exports = new PromptResolver();
\ No newline at end of file
@@ -0,0 +1,122 @@
+// Pitchbook variables: facts the prompts share (client name, deal size, sector, advisers), written once per
+// pitchbook and referenced in any prompt as {{client_name}}:
+//   pitchbook.variables = { client_name: 'Northwind Systems', deal_size: '$450m' }
+// Prompts keep their references, so template prompts copied into a pitchbook stay reusable across deals; the
+// prompt resolver fills them in when generating. The client edits and flags them with the same patterns
+// (client/src/services/promptVariables.js); keep the two in step.
+
+const NAME = /^[a-z][a-z0-9_]*$/;
+
+// Only names a variable can have are references, so {{Client}} is never reported as a variable nobody can define
+const REFERENCE = /\{\{\s*([a-z][a-z0-9_]*)\s*\}\}/g;
+
+const MAX_VARIABLES = 100;
+
+const MAX_NAME_LENGTH = 50;
+
+const MAX_VALUE_LENGTH = 2000;
+
+// Problems with the submitted variables; routes answer these with 400
+const invalidVariables = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+class PromptVariables {
+  // Validate a pitchbook's variables; empty values are dropped, so they count as undefined
+  normalize(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      throw invalidVariables('variables must be an object of names and values');
+    }
+
+    const entries = Object.entries(input);
+    if (entries.length > MAX_VARIABLES) {
+      throw invalidVariables(`A pitchbook can have at most ${MAX_VARIABLES} variables`);
+    }
+
+    const variables = {};
+    for (const [name, value] of entries) {
+      if (!NAME.test(name) || name.length > MAX_NAME_LENGTH) {
+        throw invalidVariables(`"${name}" is not a valid variable name: use lowercase letters, digits and underscores, starting with a letter`);
+      }
+      if (value === null || value === undefined) continue;
+      if (typeof value !== 'string' && typeof value !== 'number') {
+        throw invalidVariables(`${name} must be text`);
+      }
+      const text = String(value).trim();
+      if (text.length > MAX_VALUE_LENGTH) {
+        throw invalidVariables(`${name} must be at most ${MAX_VALUE_LENGTH} characters`);
+      }
+      if (text) {
+        variables[name] = text;
+      }
+    }
+    return variables;
+  }
+
+  // Names a text refers to, each once, in order of first use
+  find(text) {
+    if (typeof text !== 'string') return [];
+    return [...new Set([...text.matchAll(REFERENCE)].map(match => match[1]))];
+  }
+
+  // { text, missing }: references to defined variables are replaced; undefined ones are left in place and listed
+  substitute(text, variables = {}) {
+    const missing = new Set();
+    const substituted = text.replace(REFERENCE, (reference, name) => {
+      if (Object.prototype.hasOwnProperty.call(variables, name)) {
+        return variables[name];
+      }
+      missing.add(name);
+      return reference;
+    });
+    return { text: substituted, missing: [...missing] };
+  }
+
+  // The pitchbook's data dictionary: every defined or referenced variable with its value and the prompts using it,
+  // { name, value, defined, usedIn: [{ scope, source, label }] }, defined variables first
+  describe(pitchbook) {
+    const variables = pitchbook.variables || {};
+    const dictionary = new Map(Object.entries(variables).map(([name, value]) =>
+      [name, { name, value, defined: true, usedIn: [] }]
+    ));
+
+    for (const prompt of this.getPrompts(pitchbook)) {
+      for (const name of this.find(prompt.text)) {
+        if (!dictionary.has(name)) {
+          dictionary.set(name, { name, value: null, defined: false, usedIn: [] });
+        }
+        dictionary.get(name).usedIn.push({ scope: prompt.scope, source: prompt.source, label: prompt.label });
+      }
+    }
+    return [...dictionary.values()];
+  }
+
+  // Every stored prompt, at each scope
+  getPrompts(pitchbook) {
+    const prompts = [
+      { scope: 'pitchbook', source: 'pitchbookPrompt', label: 'Pitchbook', text: pitchbook.pitchbookPrompt }
+    ];
+    for (const [title, text] of Object.entries(pitchbook.sectionPrompts || {})) {
+      prompts.push({ scope: 'section', source: `sectionPrompts["${title}"]`, label: `Section "${title}"`, text });
+    }
+    for (const slide of pitchbook.slides || []) {
+      prompts.push({
+        scope: 'slide',
+        source: `slides[${slide.slideNumber}].slidePrompt`,
+        label: `Slide ${slide.slideNumber}`,
+        text: slide.slidePrompt
+      });
+    }
+    for (const [slideKey, slidePrompts] of Object.entries(pitchbook.prompts || {})) {
+      for (const [placeholderKey, text] of Object.entries(slidePrompts || {})) {
+        prompts.push({
+          scope: 'placeholder',
+          source: `prompts.${slideKey}["${placeholderKey}"]`,
+          label: `Placeholder ${placeholderKey} on slide ${slideKey.replace('slide_', '')}`,
+          text
+        });
+      }
+    }
+    return prompts.filter(prompt => typeof prompt.text === 'string' && prompt.text.trim());
+  }
+}
+
+module.exports = new PromptVariables();
\ No newline at end of file
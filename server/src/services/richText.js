@@ -0,0 +1,242 @@
+// Rich text for generated content. Gemini answers in light markdown (bullets, numbered lists, **bold**, *italic*,
+// headings); parse() turns it into the paragraph model both the .pptx writer and the HTML previews render:
+//   [{ list: null | 'bullet' | 'number', level, runs: [{ text, bold, italic } | { break: true }] }]
+// level is the list nesting depth, 0 for top-level items and plain paragraphs.
+// client/src/services/richText.js mirrors parse() for the previews; keep the two in step.
+
+// DrawingML has nine list levels (a:lvl1pPr..a:lvl9pPr, written as lvl="0".."8")
+const MAX_LEVEL = 8;
+
+const LIST_ITEM = /^(\s*)([-*+•]|\d{1,3}[.)])\s+(.*)$/;
+const HEADING = /^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/;
+const RULE = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+const HARD_BREAK = /( {2,}|\\)$/;
+
+// Emphasis, code spans and <br>; emphasis content is parsed again so styles can nest
+const INLINE = /\*\*\*(\S(?:.*?\S)??)\*\*\*|\*\*(\S(?:.*?\S)??)\*\*(?!\*)|__(\S(?:.*?\S)??)__|\*(\S(?:.*?\S)??)\*(?!\*)|(?<![\p{L}\p{N}])_(\S(?:.*?\S)??)_(?![\p{L}\p{N}])|`([^`]+)`|<br\s*\/?>/giu;
+
+// Backslash escapes are swapped for private-use characters while parsing, then restored
+const ESCAPABLE = '\\*_`#-+.<>•';
+const protectEscapes = (text) => text.replace(/\\([\\*_`#\-+.<>•])/g, (match, char) => String.fromCharCode(0xe000 + ESCAPABLE.indexOf(char)));
+const restoreEscapes = (text) => text.replace(/[\ue000-\ue00f]/g, char => ESCAPABLE[char.charCodeAt(0) - 0xe000]);
+
+const sameStyle = (a, b) => !a.break && !b.break && Boolean(a.bold) === Boolean(b.bold) && Boolean(a.italic) === Boolean(b.italic);
+
+const bulletType = (levelBullets, lvl) => levelBullets[lvl]?.type || 'none';
+
+class RichText {
+  parse(text) {
+    const lines = protectEscapes(String(text || '')).replace(/\r\n?/g, '\n').split('\n');
+    const paragraphs = [];
+    // Indent widths of the open list levels
+    const indents = [];
+    let afterBlank = false;
+
+    for (let i = 0; i < lines.length; i++) {
+      let line = lines[i];
+      if (!line.trim()) {
+        afterBlank = paragraphs.length > 0;
+        continue;
+      }
+
+      // A line ending in two spaces or a backslash continues on the next line after a line break
+      while (HARD_BREAK.test(line) && lines[i + 1]?.trim() && !LIST_ITEM.test(lines[i + 1]) && !HEADING.test(lines[i + 1])) {
+        line = `${line.replace(HARD_BREAK, '')}<br>${lines[++i].trim()}`;
+      }
+
+      if (RULE.test(line)) {
+        continue;
+      }
+
+      const heading = line.match(HEADING);
+      const item = !heading && line.match(LIST_ITEM);
+      const previous = paragraphs[paragraphs.length - 1];
+
+      if (item) {
+        const indent = item[1].replace(/\t/g, '    ').length;
+        while (indents.length && indents[indents.length - 1] > indent) indents.pop();
+        if (!indents.length || indents[indents.length - 1] < indent) indents.push(indent);
+
+        paragraphs.push({
+          list: /\d/.test(item[2]) ? 'number' : 'bullet',
+          level: Math.min(indents.length - 1, MAX_LEVEL),
+          runs: this.parseInline(item[3])
+        });
+      } else if (previous?.list && /^\s/.test(line) && !afterBlank) {
+        // Indented lines under a list item are part of it
+        previous.runs.push(...this.parseInline(` ${line.trim()}`));
+      } else {
+        indents.length = 0;
+        // Blank lines between plain paragraphs are kept as spacing; lists bring their own
+        if (afterBlank && previous && !previous.list) {
+          paragraphs.push({ list: null, level: 0, runs: [] });
+        }
+        paragraphs.push({
+          list: null,
+          level: 0,
+          runs: heading ? this.parseInline(heading[1], { bold: true }) : this.parseInline(line.trim())
+        });
+      }
+      afterBlank = false;
+    }
+
+    return this.normalize(paragraphs).map(paragraph => ({
+      ...paragraph,
+      runs: paragraph.runs.map(run => (run.break ? run : { ...run, text: restoreEscapes(run.text) }))
+    }));
+  }
+
+  parseInline(text, style = {}) {
+    const runs = [];
+    let last = 0;
+
+    for (const match of text.matchAll(INLINE)) {
+      const [whole, boldItalic, bold, boldUnderscore, italic, italicUnderscore, code] = match;
+      if (match.index > last) {
+        runs.push(this.buildRun(text.slice(last, match.index), style));
+      }
+
+      if (boldItalic !== undefined) {
+        runs.push(...this.parseInline(boldItalic, { ...style, bold: true, italic: true }));
+      } else if ((bold ?? boldUnderscore) !== undefined) {
+        runs.push(...this.parseInline(bold ?? boldUnderscore, { ...style, bold: true }));
+      } else if ((italic ?? italicUnderscore) !== undefined) {
+        runs.push(...this.parseInline(italic ?? italicUnderscore, { ...style, italic: true }));
+      } else if (code !== undefined) {
+        runs.push(this.buildRun(code, style));
+      } else {
+        runs.push({ break: true });
+      }
+      last = match.index + whole.length;
+    }
+
+    if (last < text.length) {
+      runs.push(this.buildRun(text.slice(last), style));
+    }
+    return runs;
+  }
+
+  buildRun(text, { bold, italic }) {
+    return { text, ...(bold && { bold: true }), ...(italic && { italic: true }) };
+  }
+
+  // Merge neighbouring runs with the same style and drop empty ones, so paragraphs read back from a deck
+  // (where PowerPoint splits runs freely) compare equal to parsed ones
+  normalize(paragraphs) {
+    const normalized = paragraphs.map(paragraph => ({
+      list: paragraph.list || null,
+      level: paragraph.list ? Math.min(Math.max(paragraph.level || 0, 0), MAX_LEVEL) : 0,
+      runs: paragraph.runs.reduce((runs, run) => {
+        const previous = runs[runs.length - 1];
+        if (!run.break && !run.text) return runs;
+        if (previous && sameStyle(previous, run)) {
+          runs[runs.length - 1] = { ...previous, text: previous.text + run.text };
+        } else {
+          runs.push(run.break ? { break: true } : this.buildRun(run.text, run));
+        }
+        return runs;
+      }, [])
+    }));
+
+    const isEmpty = (paragraph) => !paragraph.list && paragraph.runs.length === 0;
+    while (normalized.length && isEmpty(normalized[0])) normalized.shift();
+    while (normalized.length && isEmpty(normalized[normalized.length - 1])) normalized.pop();
+    return normalized;
+  }
+
+  // Markdown that parses back to the same paragraphs; used for text read back from a deck
+  toMarkdown(paragraphs) {
+    const counters = [];
+
+    return paragraphs.map(paragraph => {
+      const text = paragraph.runs.map(run => this.runToMarkdown(run)).join('');
+      if (!paragraph.list) {
+        counters.length = 0;
+        return text.replace(/^(\s*)([-*+•#]|\d{1,3}[.)])(?=\s)/, (match, space, marker) => `${space}${marker.replace(/([-*+•#.)])$/, '\\$1')}`);
+      }
+
+      // Numbering restarts when a level switches between bullets and numbers
+      counters.length = paragraph.level + 1;
+      const previous = counters[paragraph.level];
+      counters[paragraph.level] = { list: paragraph.list, count: previous?.list === paragraph.list ? previous.count + 1 : 1 };
+      const marker = paragraph.list === 'number' ? `${counters[paragraph.level].count}.` : '-';
+      return `${'  '.repeat(paragraph.level)}${marker} ${text}`;
+    }).join('\n');
+  }
+
+  runToMarkdown(run) {
+    if (run.break) {
+      return '<br>';
+    }
+
+    const text = run.text.replace(/[\\*`]/g, '\\$&').replace(/(?<![\p{L}\p{N}])_|_(?![\p{L}\p{N}])/gu, '\\_');
+    const marker = run.bold && run.italic ? '***' : run.bold ? '**' : run.italic ? '*' : '';
+    if (!marker || !text.trim()) {
+      return text;
+    }
+
+    // Emphasis markers must hug the text, so surrounding spaces stay outside them
+    const [, before, core, after] = text.match(/^(\s*)(.*?)(\s*)$/s);
+    return `${before}${marker}${core}${marker}${after}`;
+  }
+
+  toPlainText(paragraphs) {
+    return paragraphs
+      .map(paragraph => paragraph.runs.map(run => (run.break ? '\n' : run.text)).join(''))
+      .join('\n');
+  }
+
+  // Levels of the placeholder's list style a list maps onto: its numbered levels, else the levels sharing the first
+  // bullet character (so a tick/cross bullet set further down is not used for plain nesting)
+  getListLevels(levelBullets, list) {
+    const levels = [...Array(MAX_LEVEL + 1).keys()];
+    const numbered = levels.filter(lvl => bulletType(levelBullets, lvl) === 'number');
+    if (list === 'number' && numbered.length) {
+      return numbered;
+    }
+
+    const first = levels.find(lvl => bulletType(levelBullets, lvl) === 'char');
+    return first === undefined
+      ? []
+      : levels.filter(lvl => bulletType(levelBullets, lvl) === 'char' && levelBullets[lvl].char === levelBullets[first].char);
+  }
+
+  // a:pPr settings for a paragraph in a placeholder whose lstStyle cascade gives levelBullets (see OpenXMLParser):
+  // { lvl, bullet, indent }. bullet is null when the level's own bullet fits, else 'none' | 'char' | 'number'.
+  // indent is set when the list falls back to levels without bullets, which then have no hanging indent either.
+  getDrawingLevel(paragraph, levelBullets = []) {
+    if (!paragraph.list) {
+      const lvl = [...Array(MAX_LEVEL + 1).keys()].find(l => bulletType(levelBullets, l) === 'none') ?? 0;
+      return { lvl, bullet: bulletType(levelBullets, lvl) === 'none' ? null : 'none', indent: false };
+    }
+
+    const wanted = paragraph.list === 'number' ? 'number' : 'char';
+    const listLevels = this.getListLevels(levelBullets, paragraph.list);
+    if (listLevels.length === 0) {
+      return { lvl: paragraph.level, bullet: wanted, indent: true };
+    }
+
+    const lvl = listLevels[Math.min(paragraph.level, listLevels.length - 1)];
+    return { lvl, bullet: bulletType(levelBullets, lvl) === wanted ? null : wanted, indent: false };
+  }
+
+  // Inverse of getDrawingLevel for a paragraph read from a deck; bullet is the a:pPr override, if any
+  getListFromLevel(lvl, bullet, levelBullets = []) {
+    const type = bullet || bulletType(levelBullets, lvl);
+    if (type === 'none') {
+      return { list: null, level: 0 };
+    }
+
+    const list = type === 'number' ? 'number' : 'bullet';
+    const listLevels = this.getListLevels(levelBullets, list);
+    if (listLevels.length === 0) {
+      return { list, level: Math.min(lvl, MAX_LEVEL) };
+    }
+
+    // Levels outside the placeholder's list levels (a tick/cross set, say) are read as a list of their own
+    const index = listLevels.indexOf(lvl);
+    return { list, level: Math.max(index, 0) };
+  }
+}
+
+module.exports = new RichText();
\ No newline at end of file
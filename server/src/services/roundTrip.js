@@ -0,0 +1,152 @@
+const pptxImporter = require('./pptxImporter');
+const pptxExporter = require('./pptxExporter');
+const richText = require('./richText');
+
+// Placeholder types PowerPoint only puts on a slide when header/footer is switched on
+const HEADER_FOOTER_TYPES = ['dt', 'ftr', 'hdr', 'sldNum'];
+
+// Problems with the uploaded deck; routes answer these with 400
+const invalidDeck = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+// Text is compared as the markdown its paragraphs write back to, since PowerPoint keeps the formatting but not
+// the way it was written (bullet markers, emphasis style, trailing spaces)
+const normalizeText = (text) => richText.toMarkdown(richText.parse(text))
+  .split('\n')
+  .map(line => line.trimEnd())
+  .join('\n')
+  .trim();
+
+// Placeholders holding a chart, table or image are edited in the app, so only text is compared
+const isStructured = (entry) => Boolean(entry && (entry.chart || entry.table || entry.image));
+
+class RoundTrip {
+  // Compare an edited copy of an exported deck with the pitchbook. Slides are matched by the tags written on export.
+  // Returns { slides: [{ slideNumber, layoutName, sectionTitle, changes: [{ placeholderId, name, before, after }] }],
+  //           missingSlides, warnings }
+  async diffDeck(buffer, pitchbook, templateParser) {
+    const layouts = await templateParser.getAllLayouts();
+    const deckSlides = await pptxImporter.readDeck(buffer, templateParser);
+    const { pitchbookId, slideKey } = pptxExporter.slideTags;
+
+    const tagged = deckSlides.filter(deckSlide => deckSlide.tags[slideKey]);
+    if (tagged.length === 0) {
+      throw invalidDeck('Deck has no slides exported from a pitchbook');
+    }
+    const foreign = tagged.find(deckSlide => deckSlide.tags[pitchbookId] !== pitchbook.id);
+    if (foreign) {
+      throw invalidDeck(`Slide ${foreign.position} was exported from a different pitchbook`);
+    }
+
+    const warnings = [];
+    const bySlideKey = new Map();
+    for (const deckSlide of deckSlides) {
+      const key = deckSlide.tags[slideKey];
+      if (!key) {
+        warnings.push(`Slide ${deckSlide.position} was added in PowerPoint and has no pitchbook slide to update`);
+      } else if (bySlideKey.has(key)) {
+        // Duplicating a slide in PowerPoint copies its tags; the first copy wins
+        warnings.push(`Slide ${deckSlide.position} is a copy of slide ${bySlideKey.get(key).position} and was skipped`);
+      } else {
+        bySlideKey.set(key, deckSlide);
+      }
+    }
+
+    const slides = [];
+    const missingSlides = [];
+    const pitchbookSlides = [...(pitchbook.slides || [])].sort((a, b) => a.slideNumber - b.slideNumber);
+
+    for (const slide of pitchbookSlides) {
+      const deckSlide = bySlideKey.get(`slide_${slide.slideNumber}`);
+      if (!deckSlide) {
+        missingSlides.push(slide.slideNumber);
+        continue;
+      }
+
+      // A Contents slide's entries are a text box of the export's own, which the import reports as not imported
+      if (slide.type !== 'contents') {
+        deckSlide.warnings.forEach(warning => warnings.push(`Slide ${deckSlide.position}: ${warning}`));
+      }
+
+      const layout = pptxExporter.resolveLayout(slide, layouts, templateParser);
+      if (!deckSlide.layout || deckSlide.layout.id !== layout.id) {
+        warnings.push(`Slide ${deckSlide.position} was moved to another layout in PowerPoint and was not compared`);
+        continue;
+      }
+
+      const changes = this.diffSlide(slide, layout, pitchbook.generatedContent?.[`slide_${slide.slideNumber}`] || {}, deckSlide.content);
+      if (changes.length) {
+        slides.push({
+          slideNumber: slide.slideNumber,
+          position: deckSlide.position,
+          layoutName: slide.layoutName || layout.name,
+          sectionTitle: slide.sectionTitle || null,
+          changes
+        });
+      }
+    }
+
+    return { slides, missingSlides, warnings };
+  }
+
+  // Contents entries are rebuilt from the sections on every export, so only a Contents slide's title is compared
+  diffSlide(slide, layout, content, deckContent) {
+    return this.getTextPlaceholders(layout, content)
+      .filter(placeholder => !isStructured(deckContent[placeholder.id]))
+      .filter(placeholder => slide.type !== 'contents' || placeholder.type === 'title')
+      .map(placeholder => ({
+        placeholderId: placeholder.id,
+        name: placeholder.name,
+        before: normalizeText(pptxExporter.getPlaceholderText(slide, layout, placeholder, content)),
+        after: normalizeText(deckContent[placeholder.id]?.content)
+      }))
+      .filter(change => change.before !== change.after);
+  }
+
+  getTextPlaceholders(layout, content) {
+    return layout.placeholders.filter(placeholder =>
+      !HEADER_FOOTER_TYPES.includes(placeholder.phType) && !isStructured(content[placeholder.id])
+    );
+  }
+
+  // Write accepted changes ({ slideNumber, changes: [{ placeholderId, before, after }] }) into the pitchbook.
+  // Each change must still start from the stored text; otherwise nothing is applied and a 409 lists the conflicts.
+  applyChanges(pitchbook, accepted, layouts, templateParser) {
+    const updates = [];
+    const conflicts = [];
+
+    for (const { slideNumber, changes = [] } of accepted || []) {
+      const slide = pitchbook.slides?.find(s => s.slideNumber === Number(slideNumber));
+      const layout = slide && pptxExporter.resolveLayout(slide, layouts, templateParser);
+      const content = pitchbook.generatedContent?.[`slide_${slideNumber}`] || {};
+
+      for (const change of changes) {
+        const placeholder = layout && this.getTextPlaceholders(layout, content).find(p => p.id === change.placeholderId);
+        const current = placeholder ? normalizeText(pptxExporter.getPlaceholderText(slide, layout, placeholder, content)) : null;
+
+        if (current === null || current !== normalizeText(change.before)) {
+          conflicts.push({ slideNumber: Number(slideNumber), placeholderId: change.placeholderId });
+        } else {
+          updates.push({ slideKey: `slide_${slideNumber}`, placeholderId: change.placeholderId, text: normalizeText(change.after) });
+        }
+      }
+    }
+
+    if (conflicts.length) {
+      throw Object.assign(new Error('The pitchbook changed since the deck was compared; upload it again to refresh the changes'), {
+        statusCode: 409,
+        conflicts
+      });
+    }
+
+    pitchbook.generatedContent = { ...(pitchbook.generatedContent || {}) };
+    for (const { slideKey, placeholderId, text } of updates) {
+      pitchbook.generatedContent[slideKey] = {
+        ...(pitchbook.generatedContent[slideKey] || {}),
+        [placeholderId]: { success: true, content: text, source: 'powerpoint' }
+      };
+    }
+    return updates.length;
+  }
+}
+
+module.exports = new RoundTrip();
@@ -0,0 +1,127 @@
+// Passages of a pitchbook's source documents and a BM25 ranking over them, computed locally:
+//   chunk: { id, documentId, location, text, terms: { term: count }, length }
+// Documents are split into chunks of about CHUNK_WORDS words along line breaks, overlapping by OVERLAP_WORDS
+// so a sentence at a boundary is whole in at least one chunk. Terms are lower-cased words and numbers with
+// stopwords dropped and simple plurals folded, which is enough for the company names, figures and deal terms
+// prompts ask about. Term counts are stored with each chunk; document frequencies are worked out per search.
+
+const CHUNK_WORDS = 200;
+
+const OVERLAP_WORDS = 40;
+
+// BM25 term frequency saturation and length normalization
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'because',
+  'been', 'before', 'being', 'below', 'between', 'both', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'doing',
+  'down', 'during', 'each', 'few', 'for', 'from', 'further', 'had', 'has', 'have', 'having', 'he', 'her', 'here',
+  'hers', 'him', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'itself', 'just', 'may', 'me', 'more',
+  'most', 'must', 'my', 'no', 'nor', 'not', 'of', 'off', 'on', 'once', 'only', 'or', 'other', 'our', 'ours', 'out',
+  'over', 'own', 'same', 'she', 'should', 'so', 'some', 'such', 'than', 'that', 'the', 'their', 'theirs', 'them',
+  'then', 'there', 'these', 'they', 'this', 'those', 'through', 'to', 'too', 'under', 'until', 'up', 'very', 'was',
+  'we', 'were', 'what', 'when', 'where', 'which', 'while', 'who', 'whom', 'why', 'will', 'with', 'would', 'you',
+  'your', 'yours',
+  // Words prompts use to ask for content rather than to describe it
+  'bullet', 'bullets', 'concise', 'create', 'describe', 'generate', 'include', 'key', 'list', 'point', 'points',
+  'provide', 'slide', 'summarize', 'summary', 'write', 'words'
+]);
+
+class SourceIndex {
+  tokenize(text) {
+    const words = String(text || '').toLowerCase().match(/[\p{L}\p{N}]+(?:[.,'’][\p{L}\p{N}]+)*/gu) || [];
+    return words
+      .map(word => word.replace(/['’]s$/, '').replace(/[,'’]/g, ''))
+      .filter(word => !STOPWORDS.has(word) && (word.length > 1 || /\d/.test(word)))
+      .map(word => this.stem(word));
+  }
+
+  // Fold regular plurals so "margins" finds "margin"; words with digits are left as they are
+  stem(word) {
+    if (/\d/.test(word) || word.length <= 3) return word;
+    if (word.endsWith('ies') && word.length > 4) return `${word.slice(0, -3)}y`;
+    if (word.endsWith('sses')) return word.slice(0, -2);
+    if (word.endsWith('s') && !/(ss|us|is)$/.test(word)) return word.slice(0, -1);
+    return word;
+  }
+
+  // Chunks of one section's text: { text } with about CHUNK_WORDS words each, breaking at line ends where possible
+  chunk(text) {
+    const lines = text.split('\n').map(line => line.split(/\s+/).filter(Boolean)).filter(words => words.length);
+    const chunks = [];
+    let current = [];
+
+    const flush = () => {
+      if (current.length === 0) return;
+      chunks.push({ text: current.map(words => words.join(' ')).join('\n') });
+
+      // Carry the last lines (or the end of one long line) into the next chunk
+      const carried = [];
+      let count = 0;
+      for (let i = current.length - 1; i >= 0 && count < OVERLAP_WORDS; i--) {
+        const words = current[i].slice(-(OVERLAP_WORDS - count));
+        carried.unshift(words);
+        count += words.length;
+      }
+      current = count < CHUNK_WORDS / 2 ? carried : [];
+    };
+
+    let pending = false;
+    for (const words of lines) {
+      for (let start = 0; start < words.length; start += CHUNK_WORDS) {
+        const piece = words.slice(start, start + CHUNK_WORDS);
+        if (this.countWords(current) + piece.length > CHUNK_WORDS && pending) {
+          flush();
+          pending = false;
+        }
+        current.push(piece);
+        pending = true;
+      }
+    }
+    if (pending) flush();
+    return chunks;
+  }
+
+  countWords(lines) {
+    return lines.reduce((total, words) => total + words.length, 0);
+  }
+
+  // Term counts for a chunk, stored alongside it so searches don't tokenize every document again
+  describe(text) {
+    const terms = {};
+    const tokens = this.tokenize(text);
+    tokens.forEach(term => {
+      terms[term] = (Object.hasOwn(terms, term) ? terms[term] : 0) + 1;
+    });
+    return { terms, length: tokens.length };
+  }
+
+  // The chunks best matching query, best first: [{ chunk, score }]
+  search(chunks, query, limit) {
+    const queryTerms = [...new Set(this.tokenize(query))];
+    if (queryTerms.length === 0 || chunks.length === 0) return [];
+
+    const averageLength = chunks.reduce((total, chunk) => total + chunk.length, 0) / chunks.length || 1;
+    const idf = new Map(queryTerms.map(term => {
+      const frequency = chunks.filter(chunk => Object.hasOwn(chunk.terms, term)).length;
+      return [term, Math.log(1 + (chunks.length - frequency + 0.5) / (frequency + 0.5))];
+    }));
+
+    return chunks
+      .map(chunk => {
+        let score = 0;
+        for (const term of queryTerms) {
+          if (!Object.hasOwn(chunk.terms, term)) continue;
+          const count = chunk.terms[term];
+          score += idf.get(term) * (count * (K1 + 1)) / (count + K1 * (1 - B + B * chunk.length / averageLength));
+        }
+        return { chunk, score };
+      })
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
+
+module.exports = new SourceIndex();
\ No newline at end of file
@@ -0,0 +1,192 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { v4: uuidv4 } = require('uuid');
+const documentText = require('./documentText');
+const sourceIndex = require('./sourceIndex');
+const promptVariables = require('./promptVariables');
+const dataPath = require('../utils/dataPath');
+
+// Source documents a pitchbook's content is grounded in, one file per pitchbook in data/sources/<id>.json:
+//   { documents: [{ id, name, fileName, format, size, sections, characters, chunkCount, warnings, uploaded }],
+//     chunks: [{ id, documentId, location, text, terms, length }] }
+// Only the extracted text is kept, split into chunks and indexed by sourceIndex. Before a placeholder is
+// generated, its prompt (with its slide's and section's) is the search query, and the best passages are put in
+// front of the prompt with their document and page, sheet or heading, so the model works from the deal's own
+// material and can say where a figure came from. Extraction and search run on this machine; the passages reach
+// the LLM provider only as part of the prompt.
+const sourcesPath = path.join(dataPath, 'sources');
+
+const MAX_DOCUMENTS = 50;
+
+const MAX_CHUNKS = 5000;
+
+// Passages added to each prompt, and the most text they may add together
+const PASSAGE_COUNT = 5;
+const PASSAGE_CHARACTERS = 6000;
+
+const MAX_SEARCH_RESULTS = 20;
+
+// Problems with the uploaded file or fields; routes answer these with 400
+const invalidSource = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+class SourceStore {
+  constructor() {
+    this.cache = new Map();
+    this.queues = new Map();
+  }
+
+  getFile(pitchbookId) {
+    return path.join(sourcesPath, `${pitchbookId}.json`);
+  }
+
+  async read(pitchbookId) {
+    if (!this.cache.has(pitchbookId)) {
+      const file = this.getFile(pitchbookId);
+      const sources = await fs.exists(file) ? await fs.readJson(file) : { documents: [], chunks: [] };
+      this.cache.set(pitchbookId, sources);
+    }
+    return this.cache.get(pitchbookId);
+  }
+
+  // Changes to one pitchbook's sources run one at a time
+  update(pitchbookId, mutate) {
+    const previous = this.queues.get(pitchbookId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+      const sources = await this.read(pitchbookId);
+      const updated = { documents: [...sources.documents], chunks: [...sources.chunks] };
+      const result = await mutate(updated);
+
+      await fs.ensureDir(sourcesPath);
+      await fs.writeJson(this.getFile(pitchbookId), updated);
+      this.cache.set(pitchbookId, updated);
+      return result;
+    });
+
+    this.queues.set(pitchbookId, next);
+    next.catch(() => {}).finally(() => {
+      if (this.queues.get(pitchbookId) === next) this.queues.delete(pitchbookId);
+    });
+    return next;
+  }
+
+  async list(pitchbookId) {
+    const { documents } = await this.read(pitchbookId);
+    return documents;
+  }
+
+  // Extract, chunk and index an uploaded file; returns the document record
+  async addDocument(pitchbookId, buffer, { name, fileName } = {}) {
+    if (!buffer?.length) {
+      throw invalidSource('Upload a PDF, Word (.docx), Excel (.xlsx) or text file as the request body');
+    }
+
+    // Extract before queueing so one slow upload doesn't hold up the pitchbook's other changes
+    const { format, sections, warnings } = await documentText.extract(buffer);
+    const id = uuidv4();
+    const chunks = sections.flatMap(section => sourceIndex.chunk(section.text).map(chunk => ({
+      id: uuidv4(),
+      documentId: id,
+      location: section.location,
+      text: chunk.text,
+      ...sourceIndex.describe(chunk.text)
+    })));
+
+    return this.update(pitchbookId, sources => {
+      if (sources.documents.length >= MAX_DOCUMENTS) {
+        throw invalidSource(`A pitchbook can have at most ${MAX_DOCUMENTS} source documents`);
+      }
+      if (sources.chunks.length + chunks.length > MAX_CHUNKS) {
+        throw invalidSource('This document would take the pitchbook past its source text limit; remove a document first');
+      }
+
+      const document = {
+        id,
+        name: String(name || fileName || 'Untitled document').trim().slice(0, 200),
+        fileName: fileName ? String(fileName).slice(0, 255) : null,
+        format,
+        size: buffer.length,
+        sections: sections.length,
+        characters: sections.reduce((total, section) => total + section.text.length, 0),
+        chunkCount: chunks.length,
+        warnings,
+        uploaded: new Date().toISOString()
+      };
+      sources.documents.push(document);
+      sources.chunks.push(...chunks);
+      return document;
+    });
+  }
+
+  // Remove a document and its passages; false when the pitchbook has no such document
+  removeDocument(pitchbookId, documentId) {
+    return this.update(pitchbookId, sources => {
+      const before = sources.documents.length;
+      sources.documents = sources.documents.filter(document => document.id !== documentId);
+      sources.chunks = sources.chunks.filter(chunk => chunk.documentId !== documentId);
+      return sources.documents.length < before;
+    });
+  }
+
+  // Called when the pitchbook itself is deleted
+  async removeAll(pitchbookId) {
+    await (this.queues.get(pitchbookId) || Promise.resolve()).catch(() => {});
+    this.cache.delete(pitchbookId);
+    await fs.remove(this.getFile(pitchbookId));
+  }
+
+  // Passages best matching query, best first: [{ documentId, documentName, location, text, score }]. limit is
+  // kept between 1 and MAX_SEARCH_RESULTS.
+  async search(pitchbookId, query, limit = PASSAGE_COUNT) {
+    const { documents, chunks } = await this.read(pitchbookId);
+    const names = new Map(documents.map(document => [document.id, document.name]));
+    const count = Math.min(Math.max(limit, 1), MAX_SEARCH_RESULTS);
+    return sourceIndex.search(chunks, query, count).map(({ chunk, score }) => ({
+      documentId: chunk.documentId,
+      documentName: names.get(chunk.documentId),
+      location: chunk.location,
+      text: chunk.text,
+      score: Math.round(score * 100) / 100
+    }));
+  }
+
+  // Put the passages relevant to one placeholder in front of its resolved prompt: { prompt, passages }.
+  // The search uses the placeholder's own prompt (original, before enhancement) with its slide and section
+  // prompts and section title, so boilerplate the enhancer adds doesn't decide what is found. Without source
+  // documents, or when nothing matches, the prompt is returned unchanged.
+  async ground(pitchbook, slideNumber, original, prompt) {
+    const { chunks } = await this.read(pitchbook.id);
+    if (chunks.length === 0) {
+      return { prompt, passages: [] };
+    }
+
+    const slide = pitchbook.slides?.find(s => s.slideNumber === slideNumber);
+    const sectionTitle = slide?.sectionTitle || null;
+    const query = [original, slide?.slidePrompt, sectionTitle && pitchbook.sectionPrompts?.[sectionTitle], sectionTitle]
+      .filter(text => typeof text === 'string' && text.trim())
+      .map(text => promptVariables.substitute(text, pitchbook.variables).text)
+      .join('\n');
+
+    const passages = [];
+    let characters = 0;
+    for (const passage of await this.search(pitchbook.id, query)) {
+      if (characters + passage.text.length > PASSAGE_CHARACTERS && passages.length > 0) break;
+      characters += passage.text.length;
+      passages.push(passage);
+    }
+    if (passages.length === 0) {
+      return { prompt, passages };
+    }
+
+    return { prompt: `${this.formatPassages(passages)}\n\n${prompt}`, passages };
+  }
+
+  formatPassages(passages) {
+    const blocks = passages.map((passage, index) =>
+      `[${index + 1}] ${passage.documentName}${passage.location ? `, ${passage.location}` : ''}:\n${passage.text}`);
+    return 'Source material from the documents attached to this pitchbook. Base names, figures and facts on it ' +
+      'rather than on general knowledge, and do not invent figures it does not contain:\n\n' +
+      `${blocks.join('\n\n')}\n\nEnd of source material.`;
+  }
+}
+
+module.exports = new SourceStore();
\ No newline at end of file
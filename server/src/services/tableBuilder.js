@@ -0,0 +1,86 @@
+const tableData = require('./tableData');
+
+// Text columns (company names, line items) get twice the width of numeric ones
+const TEXT_COLUMN_WEIGHT = 2;
+const NUMERIC_COLUMN_WEIGHT = 1;
+
+// Rows stop growing past this so short tables do not stretch over the whole placeholder
+const MAX_ROW_HEIGHT = 370840;
+
+// Smaller text for longer tables; sizes are in hundredths of a point
+const FONT_SIZES = [
+  { maxRows: 8, size: 1200 },
+  { maxRows: 14, size: 1000 },
+  { maxRows: Infinity, size: 900 }
+];
+
+const FOOTNOTE_FONT_SIZE = 800;
+const FOOTNOTE_LINE_HEIGHT = 137160;
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+class TableBuilder {
+  // Height taken from the bottom of the placeholder for the footnotes text box
+  getFootnotesHeight(table) {
+    return table.footnotes.length ? table.footnotes.length * FOOTNOTE_LINE_HEIGHT + FOOTNOTE_LINE_HEIGHT / 2 : 0;
+  }
+
+  getFontSize(table) {
+    const rowCount = table.rows.length + 1;
+    return FONT_SIZES.find(({ maxRows }) => rowCount <= maxRows).size;
+  }
+
+  // Fills come from the table style, so only alignment, size and weight are set on cells
+  buildTableXml(table, { styleId, width, height }) {
+    const weights = table.columns.map(column => (column.type === 'text' ? TEXT_COLUMN_WEIGHT : NUMERIC_COLUMN_WEIGHT));
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    const columnWidths = weights.map(weight => Math.floor(width * weight / totalWeight));
+    const rowHeight = Math.min(MAX_ROW_HEIGHT, Math.floor(height / (table.rows.length + 1)));
+    const fontSize = this.getFontSize(table);
+
+    const tableProperties = [
+      'firstRow="1"',
+      'bandRow="1"',
+      ...(table.columns[0].type === 'text' ? ['firstCol="1"'] : []),
+      ...(table.totalRow ? ['lastRow="1"'] : [])
+    ].join(' ');
+    const style = styleId ? `<a:tableStyleId>${escapeXml(styleId)}</a:tableStyleId>` : '';
+    const grid = columnWidths.map(columnWidth => `<a:gridCol w="${columnWidth}"/>`).join('');
+
+    const header = table.columns.map(column => this.buildCell(tableData.formatHeader(column), column, fontSize, true));
+    const body = table.rows.map((row, rowIndex) => row.map((value, columnIndex) => {
+      const column = table.columns[columnIndex];
+      const isTotal = table.totalRow && rowIndex === table.rows.length - 1;
+      return this.buildCell(tableData.formatValue(value, column), column, fontSize, isTotal);
+    }));
+
+    const rows = [header, ...body]
+      .map(cells => `<a:tr h="${rowHeight}">${cells.join('')}</a:tr>`)
+      .join('');
+
+    return `<a:tbl><a:tblPr ${tableProperties}>${style}</a:tblPr><a:tblGrid>${grid}</a:tblGrid>${rows}</a:tbl>`;
+  }
+
+  buildCell(text, column, fontSize, bold) {
+    const alignment = column.type === 'text' ? '' : '<a:pPr algn="r"/>';
+    const runProperties = `lang="en-GB" sz="${fontSize}"${bold ? ' b="1"' : ''} dirty="0"`;
+    const paragraph = text
+      ? `<a:p>${alignment}<a:r><a:rPr ${runProperties}/><a:t>${escapeXml(text)}</a:t></a:r></a:p>`
+      : `<a:p>${alignment}<a:endParaRPr ${runProperties}/></a:p>`;
+
+    return `<a:tc><a:txBody><a:bodyPr/><a:lstStyle/>${paragraph}</a:txBody><a:tcPr anchor="ctr"/></a:tc>`;
+  }
+
+  // Footnote paragraphs for the text box under the table
+  buildFootnoteParagraphs(table) {
+    return table.footnotes
+      .map(footnote => `<a:p><a:r><a:rPr lang="en-GB" sz="${FOOTNOTE_FONT_SIZE}" dirty="0"/><a:t>${escapeXml(footnote)}</a:t></a:r></a:p>`)
+      .join('');
+  }
+}
+
+module.exports = new TableBuilder();
\ No newline at end of file
@@ -0,0 +1,123 @@
+// Table data for table-capable placeholders, as stored in a pitchbook's generatedContent:
+//   { title, columns: [{ header, type, decimals, currency, unit }], rows: [[..]], footnotes: [..], style, totalRow }
+// Column types: text, number, currency, percent (values are fractions, 0.125 -> 12.5%) and multiple (8.5x).
+const chartData = require('./chartData');
+
+const COLUMN_TYPES = ['text', 'number', 'currency', 'percent', 'multiple'];
+
+const DEFAULT_DECIMALS = { number: 0, currency: 1, percent: 1, multiple: 1 };
+
+const CURRENCY_SYMBOLS = { USD: '$', EUR: '€', GBP: '£', JPY: '¥' };
+
+const MAX_COLUMNS = 12;
+const MAX_ROWS = 40;
+
+// Shown for numeric cells with no value
+const EMPTY_VALUE = '–';
+
+// Problems with the submitted data; routes answer these with 400
+const invalidTable = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+class TableData {
+  get columnTypes() {
+    return COLUMN_TYPES;
+  }
+
+  // Validate table data from any source and fill in defaults
+  normalize(input = {}) {
+    const columns = (input.columns || []).map((column, index) => this.normalizeColumn(column, index));
+    if (columns.length === 0 || columns.length > MAX_COLUMNS) {
+      throw invalidTable(`Tables need between 1 and ${MAX_COLUMNS} columns`);
+    }
+
+    const rows = (input.rows || []).map((row, rowIndex) => {
+      if (!Array.isArray(row)) {
+        throw invalidTable(`Row ${rowIndex + 1} is not a list of cells`);
+      }
+      return columns.map((column, columnIndex) => {
+        const value = row[columnIndex];
+        if (column.type === 'text') {
+          return value === undefined || value === null ? '' : String(value);
+        }
+        return chartData.parseNumber(value, rowIndex + 2);
+      });
+    });
+    if (rows.length === 0 || rows.length > MAX_ROWS) {
+      throw invalidTable(`Tables need between 1 and ${MAX_ROWS} rows`);
+    }
+
+    return {
+      title: input.title ? String(input.title) : null,
+      columns,
+      rows,
+      footnotes: (input.footnotes || []).filter(Boolean).map(String),
+      // A style id ({GUID}) or name from the template's tableStyles.xml; the template default when missing
+      style: input.style ? String(input.style) : null,
+      totalRow: Boolean(input.totalRow)
+    };
+  }
+
+  normalizeColumn(column, index) {
+    const source = typeof column === 'string' ? { header: column } : (column || {});
+    const type = source.type || (index === 0 ? 'text' : 'number');
+    if (!COLUMN_TYPES.includes(type)) {
+      throw invalidTable(`Unknown column type "${type}" (expected one of ${COLUMN_TYPES.join(', ')})`);
+    }
+
+    const decimals = Number.isInteger(source.decimals) ? Math.min(Math.max(source.decimals, 0), 4) : DEFAULT_DECIMALS[type];
+
+    return {
+      header: String(source.header ?? ''),
+      type,
+      ...(type !== 'text' && { decimals }),
+      ...(type === 'currency' && { currency: source.currency ? String(source.currency).toUpperCase() : 'USD' }),
+      // Scale such as "m" or "bn" that values are already in; shown once in the header
+      ...((type === 'number' || type === 'currency') && source.unit && { unit: String(source.unit) })
+    };
+  }
+
+  // Financial convention: thousands separators, fixed decimals per column, negatives in parentheses
+  formatValue(value, column) {
+    if (column.type === 'text') {
+      return value;
+    }
+    if (value === null || value === undefined) {
+      return EMPTY_VALUE;
+    }
+
+    const scaled = column.type === 'percent' ? value * 100 : value;
+    const digits = Math.abs(scaled).toLocaleString('en-US', {
+      minimumFractionDigits: column.decimals,
+      maximumFractionDigits: column.decimals
+    });
+
+    // With a unit, the currency and unit sit in the header (see formatHeader) and cells stay bare
+    let text = digits;
+    if (column.type === 'currency' && !column.unit) {
+      text = `${this.getCurrencySymbol(column)}${text}`;
+    }
+    if (column.type === 'percent') {
+      text += '%';
+    } else if (column.type === 'multiple') {
+      text += 'x';
+    }
+
+    // Values that round to zero are not shown as negative
+    return scaled < 0 && Number(digits.replace(/,/g, '')) !== 0 ? `(${text})` : text;
+  }
+
+  // e.g. "Revenue ($m)"
+  formatHeader(column) {
+    if (!column.unit || !column.header) {
+      return column.header;
+    }
+    const currency = column.type === 'currency' ? this.getCurrencySymbol(column) : '';
+    return `${column.header} (${currency}${column.unit})`;
+  }
+
+  getCurrencySymbol(column) {
+    return CURRENCY_SYMBOLS[column.currency] || `${column.currency} `;
+  }
+}
+
+module.exports = new TableData();
\ No newline at end of file
@@ -1,9 +1,10 @@
 const fs = require('fs-extra');
 const path = require('path');
+const dataPath = require('../utils/dataPath');
 
 class TemplatePromptsService {
   constructor() {
-    this.dataPath = path.join(__dirname, '../data');
+    this.dataPath = dataPath;
     this.promptsFile = path.join(this.dataPath, 'template_prompts.json');
     this.ensureDataFile();
   }
@@ -79,6 +80,8 @@ class TemplatePromptsService {
   }
 
   // Get default prompts for multiple layouts (used when creating pitchbook)
+  // Prompts are copied as written: {{client_name}}-style references are filled in from each pitchbook's
+  // variables when it is generated (see promptVariables), so the same template prompts serve every deal
   async getPromptsForLayouts(layoutNames) {
     try {
       const allPrompts = await fs.readJson(this.promptsFile);
@@ -0,0 +1,235 @@
+const fs = require('fs-extra');
+const path = require('path');
+const JSZip = require('jszip');
+const { v4: uuidv4 } = require('uuid');
+const openXmlParser = require('../parsers/openXmlParser');
+const themeParser = require('../parsers/themeParser');
+const tableStyleParser = require('../parsers/tableStyleParser');
+const fontParser = require('../parsers/fontParser');
+const pitchbookStore = require('./pitchbookStore');
+const dataPath = require('../utils/dataPath');
+
+const { OpenXMLParser } = openXmlParser;
+const { ThemeParser } = themeParser;
+const { TableStyleParser } = tableStyleParser;
+const { FontParser } = fontParser;
+
+const DEFAULT_TEMPLATE_ID = 'default';
+
+// Uploaded decks are unpacked to the same shape as OpenXMLTemplate: the contents of the ppt/ folder
+const PACKAGE_FOLDER = 'ppt/';
+
+// Problems with the uploaded file itself; routes answer these with 400
+const invalidPackage = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+class TemplateStore {
+  constructor() {
+    this.dataPath = dataPath;
+    this.storePath = path.join(this.dataPath, 'templates');
+    this.indexFile = path.join(this.dataPath, 'templates.json');
+    this.parsers = new Map([[DEFAULT_TEMPLATE_ID, openXmlParser]]);
+    this.themeParsers = new Map([[DEFAULT_TEMPLATE_ID, themeParser]]);
+    this.tableStyleParsers = new Map([[DEFAULT_TEMPLATE_ID, tableStyleParser]]);
+    this.fontParsers = new Map([[DEFAULT_TEMPLATE_ID, fontParser]]);
+    // Changes to templates.json run one at a time, after the file has been created
+    this.writes = this.ensureDataFile();
+  }
+
+  async ensureDataFile() {
+    await fs.ensureDir(this.storePath);
+    if (!await fs.exists(this.indexFile)) {
+      await fs.writeJson(this.indexFile, [], { spaces: 2 });
+    }
+  }
+
+  getDefaultTemplate() {
+    return {
+      id: DEFAULT_TEMPLATE_ID,
+      name: 'Default template',
+      organizationId: null,
+      fileName: null,
+      isDefault: true,
+      created: null
+    };
+  }
+
+  async readIndex() {
+    await this.writes.catch(() => {});
+    try {
+      return await fs.readJson(this.indexFile);
+    } catch (error) {
+      console.error('Error reading template index:', error);
+      return [];
+    }
+  }
+
+  // Read-modify-write of templates.json behind the previous one; resolves to what update returns. When update
+  // throws, the file is left as it was.
+  updateIndex(update) {
+    const next = this.writes.catch(() => {}).then(async () => {
+      const templates = await fs.readJson(this.indexFile);
+      const result = update(templates);
+      await fs.writeJson(this.indexFile, templates, { spaces: 2 });
+      return result;
+    });
+
+    this.writes = next;
+    return next;
+  }
+
+  // Templates visible to an organization: its own uploads plus shared ones (no organizationId)
+  async getTemplates(organizationId) {
+    const templates = await this.readIndex();
+    const visible = organizationId
+      ? templates.filter(template => !template.organizationId || template.organizationId === organizationId)
+      : templates;
+    return [this.getDefaultTemplate(), ...visible];
+  }
+
+  async getTemplate(templateId) {
+    if (!templateId || templateId === DEFAULT_TEMPLATE_ID) {
+      return this.getDefaultTemplate();
+    }
+
+    const templates = await this.readIndex();
+    return templates.find(template => template.id === templateId) || null;
+  }
+
+  getTemplatePath(template) {
+    return template.isDefault ? openXmlParser.templatePath : path.join(this.storePath, template.id);
+  }
+
+  getParser(template) {
+    if (!this.parsers.has(template.id)) {
+      this.parsers.set(template.id, new OpenXMLParser(this.getTemplatePath(template)));
+    }
+    return this.parsers.get(template.id);
+  }
+
+  getThemeParser(template) {
+    if (!this.themeParsers.has(template.id)) {
+      this.themeParsers.set(template.id, new ThemeParser(this.getParser(template)));
+    }
+    return this.themeParsers.get(template.id);
+  }
+
+  getTableStyleParser(template) {
+    if (!this.tableStyleParsers.has(template.id)) {
+      this.tableStyleParsers.set(template.id, new TableStyleParser(this.getParser(template)));
+    }
+    return this.tableStyleParsers.get(template.id);
+  }
+
+  getFontParser(template) {
+    if (!this.fontParsers.has(template.id)) {
+      this.fontParsers.set(template.id, new FontParser(this.getParser(template)));
+    }
+    return this.fontParsers.get(template.id);
+  }
+
+  // Look up a template with its parsers; null when the id is unknown
+  async resolve(templateId) {
+    const template = await this.getTemplate(templateId);
+    if (!template) {
+      return null;
+    }
+
+    return {
+      template,
+      parser: this.getParser(template),
+      themeParser: this.getThemeParser(template),
+      tableStyleParser: this.getTableStyleParser(template),
+      fontParser: this.getFontParser(template)
+    };
+  }
+
+  // Unpack an uploaded .pptx/.potx into the store and register it
+  async createTemplate(buffer, { name, organizationId, fileName }) {
+    let zip;
+    try {
+      zip = await JSZip.loadAsync(buffer);
+    } catch (error) {
+      throw invalidPackage('Uploaded file is not a valid .pptx or .potx package');
+    }
+
+    if (!zip.file(`${PACKAGE_FOLDER}presentation.xml`) || !zip.folder(`${PACKAGE_FOLDER}slideLayouts`).file(/\.xml$/).length) {
+      throw invalidPackage('Package has no ppt/presentation.xml or slide layouts');
+    }
+
+    const id = uuidv4();
+    const templatePath = path.join(this.storePath, id);
+
+    try {
+      for (const entry of Object.values(zip.files)) {
+        if (entry.dir || !entry.name.startsWith(PACKAGE_FOLDER)) continue;
+
+        // Refuse entries that would escape the template folder ("zip slip")
+        const target = path.resolve(templatePath, entry.name.slice(PACKAGE_FOLDER.length));
+        if (!target.startsWith(templatePath + path.sep)) {
+          throw invalidPackage(`Invalid entry in package: ${entry.name}`);
+        }
+
+        await fs.outputFile(target, await entry.async('nodebuffer'));
+      }
+
+      const parser = new OpenXMLParser(templatePath);
+      const layouts = await parser.getAllLayouts();
+      const { slideSize } = await parser.getPresentation();
+
+      const template = {
+        id,
+        name: name || (fileName ? path.parse(fileName).name : 'Untitled template'),
+        organizationId: organizationId || null,
+        fileName: fileName || null,
+        isDefault: false,
+        layoutCount: layouts.length,
+        slideSize: { width: slideSize.width, height: slideSize.height },
+        created: new Date().toISOString()
+      };
+
+      await this.updateIndex(templates => templates.push(template));
+
+      this.parsers.set(id, parser);
+      return template;
+    } catch (error) {
+      await fs.remove(templatePath);
+      throw error;
+    }
+  }
+
+  // Remove an uploaded template; false when it does not exist. A template that pitchbooks are still built on
+  // is refused with 409, listing them, since they could no longer be exported.
+  async deleteTemplate(templateId) {
+    const inUse = (await pitchbookStore.list())
+      .filter(pitchbook => pitchbook.templateId === templateId)
+      .map(({ id, title }) => ({ id, title }));
+
+    const deleted = await this.updateIndex(templates => {
+      const index = templates.findIndex(t => t.id === templateId);
+      if (index === -1) {
+        return false;
+      }
+      if (inUse.length) {
+        throw Object.assign(
+          new Error(`Template is used by ${inUse.length} pitchbook${inUse.length === 1 ? '' : 's'}: ${inUse.map(p => p.title).join(', ')}`),
+          { statusCode: 409, pitchbooks: inUse }
+        );
+      }
+      templates.splice(index, 1);
+      return true;
+    });
+    if (!deleted) {
+      return false;
+    }
+
+    await fs.remove(path.join(this.storePath, templateId));
+    this.parsers.delete(templateId);
+    this.themeParsers.delete(templateId);
+    this.tableStyleParsers.delete(templateId);
+    this.fontParsers.delete(templateId);
+    return true;
+  }
+}
+
+module.exports = new TemplateStore();
+module.exports.DEFAULT_TEMPLATE_ID = DEFAULT_TEMPLATE_ID;
\ No newline at end of file
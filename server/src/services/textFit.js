@@ -0,0 +1,65 @@
+// How much text a placeholder holds, from its size and insets, its font size and line spacing (see
+// OpenXMLParser.extractPlaceholder) and the metrics of its font (see FontParser). The client estimates
+// overflow against this capacity (client/src/services/textFit.js) and gives it to the AI as a budget.
+
+// Placeholder geometry is parsed to pixels at 96 DPI
+const POINTS_PER_PIXEL = 0.75;
+
+// PowerPoint's size for text that no style sets
+const DEFAULT_FONT_SIZE = 18;
+
+// Hanging indent per list level, as the exporter writes it for lists without bullet levels of their own
+const LIST_INDENT_POINTS = 18;
+
+// Pictures, charts, tables and diagrams, and the header/footer placeholders PowerPoint fills itself
+const NON_TEXT_TYPES = ['pic', 'chart', 'tbl', 'dgm', 'media', 'clipArt', 'dt', 'ftr', 'hdr', 'sldNum'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class TextFit {
+  // { fontSize, charsPerLine, lines, characters, paragraphSpacing, indentChars, metrics }; null for non-text placeholders.
+  // paragraphSpacing is the space before each paragraph in lines; indentChars the characters a list level costs.
+  getCapacity(placeholder, metrics) {
+    if (NON_TEXT_TYPES.includes(placeholder.phType)) {
+      return null;
+    }
+
+    const style = placeholder.textStyle || {};
+    const insets = placeholder.insets || { left: 0, top: 0, right: 0, bottom: 0 };
+    const fontSize = style.fontSize || DEFAULT_FONT_SIZE;
+    const lineHeight = fontSize * metrics.lineHeight * (style.lineSpacing || 1);
+    const charWidth = fontSize * metrics.averageWidth;
+
+    const width = (placeholder.width - insets.left - insets.right) * POINTS_PER_PIXEL;
+    const height = (placeholder.height - insets.top - insets.bottom) * POINTS_PER_PIXEL;
+    const charsPerLine = Math.max(1, Math.floor(width / charWidth));
+    const lines = Math.max(1, Math.floor(height / lineHeight));
+
+    return {
+      fontSize,
+      charsPerLine,
+      lines,
+      characters: charsPerLine * lines,
+      paragraphSpacing: round((style.spaceBefore || 0) / lineHeight),
+      indentChars: Math.ceil(LIST_INDENT_POINTS / charWidth),
+      metrics: metrics.source
+    };
+  }
+
+  // Layouts with a capacity on each placeholder; fonts resolve through the theme like the renderer's do
+  async addCapacity(layouts, { fontParser, themeParser }) {
+    const theme = await themeParser.getTheme();
+
+    return Promise.all(layouts.map(async layout => ({
+      ...layout,
+      placeholders: await Promise.all(layout.placeholders.map(async placeholder => {
+        const style = placeholder.textStyle || {};
+        const typeface = themeParser.resolveFont(theme, style.fontFace || '+mn-lt');
+        const metrics = await fontParser.getMetrics(typeface, { bold: style.bold, italic: style.italic });
+        return { ...placeholder, capacity: this.getCapacity(placeholder, metrics) };
+      }))
+    })));
+  }
+}
+
+module.exports = new TextFit();
\ No newline at end of file
@@ -0,0 +1,5 @@
+const path = require('path');
+
+// Where the JSON stores keep their files: DATA_DIR when it is set (the tests point it at a temporary directory),
+// else src/data
+module.exports = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : path.join(__dirname, '../data');
\ No newline at end of file
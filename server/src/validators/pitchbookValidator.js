@@ -17,6 +17,7 @@ const schemas = {
       })
     ).min(1).max(50).required(),
     pitchbookPrompt: Joi.string().max(10000).allow(''),
+    templateId: Joi.string().max(64),
     inheritTemplatePrompts: Joi.boolean().default(true)
   }),
 
@@ -0,0 +1,75 @@
+require('./helpers/dataDir');
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers/server');
+
+const pitchbookRoutes = require('../src/routes/pitchbooks');
+const pitchbookStore = require('../src/services/pitchbookStore');
+const templateStore = require('../src/services/templateStore');
+
+const sections = [
+  { title: 'Market overview', numberOfSlides: 2 },
+  { title: 'Valuation', numberOfSlides: 1 }
+];
+
+const BODY_TEXT = '**Revenue** grew 12% in 2024\n- Cloud up *18%*\n  - SaaS led the growth\n1. First priority\n2. Second priority';
+
+let server;
+
+before(async () => {
+  server = await startServer({ '/api/pitchbooks': pitchbookRoutes });
+});
+
+after(() => server.close());
+
+// The first placeholder of a slide's layout that takes generated text rather than the slide title
+const findTextPlaceholder = async (slide) => {
+  const layouts = await templateStore.getParser(await templateStore.getTemplate()).getAllLayouts();
+  const layout = layouts.find(l => l.id === slide.layoutId);
+  return layout.placeholders.find(placeholder => placeholder.type === 'text' || placeholder.type === 'body');
+};
+
+test('an exported pitchbook imports back with its slides, sections and content', async () => {
+  const created = await server.request('POST', '/api/pitchbooks', {
+    title: 'Round trip',
+    presetId: 'investor-pitch',
+    sections,
+    inheritTemplatePrompts: false
+  });
+  assert.strictEqual(created.status, 200);
+  const { pitchbook } = created.body;
+  assert.deepStrictEqual(pitchbook.contentsEntries.map(entry => entry.title), sections.map(section => section.title));
+
+  const bodySlide = pitchbook.slides.find(slide => slide.type === 'body');
+  const placeholder = await findTextPlaceholder(bodySlide);
+  await pitchbookStore.update(pitchbook.id, stored => {
+    stored.generatedContent = { [`slide_${bodySlide.slideNumber}`]: { [placeholder.id]: { content: BODY_TEXT } } };
+  });
+
+  const exported = await server.request('GET', `/api/pitchbooks/${pitchbook.id}/export.pptx`);
+  assert.strictEqual(exported.status, 200);
+  assert.ok(Buffer.isBuffer(exported.body));
+
+  const imported = await server.request('POST', '/api/pitchbooks/import?title=Imported&presetId=investor-pitch',
+    exported.body);
+  assert.strictEqual(imported.status, 200, JSON.stringify(imported.body));
+  const copy = imported.body.pitchbook;
+  assert.strictEqual(copy.presetId, 'investor-pitch');
+  assert.strictEqual(copy.presetVersion, pitchbook.presetVersion);
+
+  assert.deepStrictEqual(copy.sections, sections);
+  // The legal notice is laid out on a body layout, so it comes back as a body slide
+  assert.deepStrictEqual(
+    copy.slides.map(slide => [slide.type, slide.layoutId, slide.sectionTitle || null]),
+    pitchbook.slides.map(slide => [slide.type === 'legal' ? 'body' : slide.type, slide.layoutId, slide.sectionTitle || null])
+  );
+  assert.strictEqual(copy.generatedContent[`slide_${bodySlide.slideNumber}`][placeholder.id].content, BODY_TEXT);
+});
+
+test('an import without a preset is refused', async () => {
+  const { status, body } = await server.request('POST', '/api/pitchbooks/import', Buffer.from('not a deck'));
+
+  assert.strictEqual(status, 400);
+  assert.match(body.error, /presetId/);
+});
\ No newline at end of file
@@ -0,0 +1,80 @@
+require('./helpers/dataDir');
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers/server');
+
+// Each test sets LLM_PROVIDER itself; the provider is created on first use
+delete process.env.LLM_PROVIDER;
+delete process.env.GEMINI_API_KEY;
+delete process.env.LLM_MOCK_FIXTURES;
+delete process.env.LLM_MOCK_LATENCY_MS;
+
+const generateRoutes = require('../src/routes/generate');
+const pitchbookStore = require('../src/services/pitchbookStore');
+const generationJobs = require('../src/services/generationJobs');
+
+const pitchbook = {
+  id: 'generation-smoke-test',
+  title: 'Generation smoke test',
+  slides: [{ slideNumber: 1, type: 'body', title: 'Overview', placeholders: [] }]
+};
+
+const tasks = [
+  { slideKey: 'slide_1', placeholderKey: 'body', prompt: 'Write an executive summary of the deal' },
+  { slideKey: 'slide_1', placeholderKey: 'chart', kind: 'chart', prompt: 'Return the data for a revenue chart' }
+];
+
+let server;
+
+const waitForJob = async (jobId) => {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const { body } = await server.request('GET', `/api/generate/jobs/${jobId}`);
+    if (!generationJobs.isActive(body.job)) return body.job;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error(`Job ${jobId} did not finish`);
+};
+
+before(async () => {
+  await pitchbookStore.create(pitchbook);
+  server = await startServer({ '/api/generate': generateRoutes });
+});
+
+after(() => server.close());
+
+test('without LLM_PROVIDER or GEMINI_API_KEY, generation answers 503', async () => {
+  const { status, body } = await server.request('POST', `/api/generate/${pitchbook.id}`, { tasks });
+
+  assert.strictEqual(status, 503);
+  assert.strictEqual(body.success, false);
+  assert.match(body.error, /LLM_PROVIDER/);
+});
+
+test('with LLM_PROVIDER=mock, a job generates from the mock fixtures', async () => {
+  process.env.LLM_PROVIDER = 'mock';
+
+  const started = await server.request('POST', `/api/generate/${pitchbook.id}`, { tasks });
+  assert.strictEqual(started.status, 202);
+
+  const job = await waitForJob(started.body.job.id);
+  assert.strictEqual(job.status, 'completed');
+
+  const stored = await pitchbookStore.read(pitchbook.id);
+  const { body, chart } = stored.generatedContent.slide_1;
+  assert.strictEqual(body.provider, 'mock');
+  assert.match(body.content, /market leader/);
+  assert.strictEqual(chart.chart.type, 'bar');
+  assert.strictEqual(stored.status, 'generated');
+});
+
+test('a second job for the same pitchbook is refused while the first is being created', async () => {
+  const body = { tasks, regenerate: true };
+  const responses = await Promise.all([
+    server.request('POST', `/api/generate/${pitchbook.id}`, body),
+    server.request('POST', `/api/generate/${pitchbook.id}`, body)
+  ]);
+
+  assert.deepStrictEqual(responses.map(response => response.status).sort(), [202, 409]);
+  await waitForJob(responses.find(response => response.status === 202).body.job.id);
+});
\ No newline at end of file
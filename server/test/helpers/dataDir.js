@@ -0,0 +1,11 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Points the stores at a temporary data directory of their own, so tests never read or write src/data.
+// Require this before anything under src: the stores read DATA_DIR when they are loaded.
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pitchbook-test-'));
+process.env.DATA_DIR = dataDir;
+process.on('exit', () => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+module.exports = dataDir;
\ No newline at end of file
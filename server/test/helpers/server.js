@@ -0,0 +1,34 @@
+const express = require('express');
+
+// An app with only the given routers, listening on a free port: { baseUrl, request(method, url, body?), close() }.
+// JSON bodies are sent as JSON; Buffers are sent raw, as the upload routes expect.
+async function startServer(routes) {
+  const app = express();
+  app.use(express.json());
+  for (const [mountPath, router] of Object.entries(routes)) {
+    app.use(mountPath, router);
+  }
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const baseUrl = `http://localhost:${server.address().port}`;
+
+  const request = async (method, url, body) => {
+    const raw = Buffer.isBuffer(body);
+    const response = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers: { 'Content-Type': raw ? 'application/octet-stream' : 'application/json' },
+      body: body === undefined ? undefined : raw ? body : JSON.stringify(body)
+    });
+    const isJson = (response.headers.get('content-type') || '').includes('application/json');
+    return {
+      status: response.status,
+      body: isJson ? await response.json() : Buffer.from(await response.arrayBuffer())
+    };
+  };
+
+  return { baseUrl, request, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+module.exports = { startServer };
\ No newline at end of file
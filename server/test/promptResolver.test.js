@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const promptResolver = require('../src/services/promptResolver');
+
+const GUIDANCE = 'Follow these instructions, listed from the whole pitchbook down to this slide; where they conflict, the later one wins:';
+
+const buildPitchbook = (overrides = {}) => ({
+  pitchbookPrompt: 'Write for {{client_name}}',
+  sectionPrompts: { Valuation: 'Quote multiples' },
+  variables: { client_name: 'Northwind Systems' },
+  slides: [{ slideNumber: 3, sectionTitle: 'Valuation', slidePrompt: 'Keep it to one chart' }],
+  prompts: { slide_3: { body: 'Summarise the valuation' } },
+  ...overrides
+});
+
+test('each scope appends to the ones above it, broadest first, with variables filled in', () => {
+  const resolved = promptResolver.resolve(buildPitchbook(), 3, 'body');
+
+  assert.strictEqual(resolved.prompt, [
+    GUIDANCE,
+    '- Pitchbook: Write for Northwind Systems',
+    '- Section "Valuation": Quote multiples',
+    '- Slide 3: Keep it to one chart',
+    '',
+    'Summarise the valuation'
+  ].join('\n'));
+  assert.deepStrictEqual(resolved.fragments.map(fragment => fragment.scope), ['pitchbook', 'section', 'slide', 'placeholder']);
+  assert.ok(resolved.fragments.every(fragment => fragment.applied));
+  assert.deepStrictEqual(resolved.missingVariables, []);
+});
+
+test('an override sets aside every broader scope', () => {
+  const pitchbook = buildPitchbook({
+    slides: [{
+      slideNumber: 3,
+      sectionTitle: 'Valuation',
+      slidePrompt: 'Ignore the house style',
+      slidePromptScoped: { mode: 'override' }
+    }]
+  });
+  const resolved = promptResolver.resolve(pitchbook, 3, 'body');
+
+  assert.strictEqual(resolved.prompt, `${GUIDANCE}\n- Slide 3: Ignore the house style\n\nSummarise the valuation`);
+  const [pitchbookFragment, sectionFragment] = resolved.fragments;
+  assert.strictEqual(pitchbookFragment.applied, false);
+  assert.deepStrictEqual(pitchbookFragment.overriddenBy, { scope: 'slide', source: 'slides[3].slidePrompt' });
+  assert.strictEqual(sectionFragment.applied, false);
+});
+
+test('a placeholder override stands alone', () => {
+  const pitchbook = buildPitchbook({
+    scopedPlaceholderPrompts: { slide_3: { body: { mode: 'override' } } }
+  });
+
+  assert.strictEqual(promptResolver.resolve(pitchbook, 3, 'body').prompt, 'Summarise the valuation');
+});
+
+test('the prompt given replaces the stored placeholder prompt', () => {
+  const resolved = promptResolver.resolve(buildPitchbook({ pitchbookPrompt: '' }), 3, 'body', 'Draft a football field');
+
+  assert.match(resolved.prompt, /\n\nDraft a football field$/);
+});
+
+test('undefined variables are listed and left in place', () => {
+  const resolved = promptResolver.resolve(buildPitchbook({ variables: {} }), 3, 'body');
+
+  assert.deepStrictEqual(resolved.missingVariables, ['client_name']);
+  assert.match(resolved.prompt, /Write for \{\{client_name\}\}/);
+});
+
+test('an unknown slide resolves to null', () => {
+  assert.strictEqual(promptResolver.resolve(buildPitchbook(), 9, 'body'), null);
+});
+test('only valid variable names are references', () => {
+  const resolved = promptResolver.resolve(buildPitchbook({ pitchbookPrompt: 'Keep {{Client_Name}} and {{_draft}} as written' }), 3, 'body');
+
+  assert.deepStrictEqual(resolved.missingVariables, []);
+  assert.match(resolved.prompt, /Keep \{\{Client_Name\}\} and \{\{_draft\}\} as written/);
+});
\ No newline at end of file
@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const richText = require('../src/services/richText');
+
+test('parse reads paragraphs, nested lists and emphasis', () => {
+  const paragraphs = richText.parse('Intro with **bold** and *italic*\n\n- one\n  - nested\n1. first\n2. second');
+
+  assert.deepStrictEqual(paragraphs, [
+    {
+      list: null,
+      level: 0,
+      runs: [{ text: 'Intro with ' }, { text: 'bold', bold: true }, { text: ' and ' }, { text: 'italic', italic: true }]
+    },
+    { list: 'bullet', level: 0, runs: [{ text: 'one' }] },
+    { list: 'bullet', level: 1, runs: [{ text: 'nested' }] },
+    { list: 'number', level: 0, runs: [{ text: 'first' }] },
+    { list: 'number', level: 0, runs: [{ text: 'second' }] }
+  ]);
+});
+
+test('parse turns headings bold and <br> into line breaks', () => {
+  assert.deepStrictEqual(richText.parse('# Heading\nline<br>break'), [
+    { list: null, level: 0, runs: [{ text: 'Heading', bold: true }] },
+    { list: null, level: 0, runs: [{ text: 'line' }, { break: true }, { text: 'break' }] }
+  ]);
+});
+
+test('backslash escapes stay literal text', () => {
+  const paragraphs = richText.parse('Escaped \\*star\\*');
+
+  assert.deepStrictEqual(paragraphs[0].runs, [{ text: 'Escaped *star*' }]);
+  assert.strictEqual(richText.toMarkdown(paragraphs), 'Escaped \\*star\\*');
+});
+
+test('toMarkdown writes back what parse reads', () => {
+  const markdown = '**Summary** of the *deal*\n- one\n  - nested **b**\n1. first\n2. second';
+  const paragraphs = richText.parse(markdown);
+
+  assert.strictEqual(richText.toMarkdown(paragraphs), markdown);
+  assert.deepStrictEqual(richText.parse(richText.toMarkdown(paragraphs)), paragraphs);
+});
+
+test('toPlainText drops the formatting', () => {
+  const paragraphs = richText.parse('- **Revenue** up\n- Margin *flat*');
+
+  assert.strictEqual(richText.toPlainText(paragraphs), 'Revenue up\nMargin flat');
+});
\ No newline at end of file
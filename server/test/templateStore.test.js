@@ -0,0 +1,57 @@
+require('./helpers/dataDir');
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs-extra');
+const JSZip = require('jszip');
+
+const templateStore = require('../src/services/templateStore');
+const pitchbookStore = require('../src/services/pitchbookStore');
+const { templatePath } = require('../src/parsers/openXmlParser');
+
+// The bundled template, packed back into a .pptx as an upload would arrive
+const packDefaultTemplate = async () => {
+  const zip = new JSZip();
+  const addFolder = async (folder) => {
+    for (const entry of await fs.readdir(folder, { withFileTypes: true })) {
+      const file = path.join(folder, entry.name);
+      if (entry.isDirectory()) {
+        await addFolder(file);
+      } else {
+        zip.file(`ppt/${path.relative(templatePath, file).split(path.sep).join('/')}`, await fs.readFile(file));
+      }
+    }
+  };
+  await addFolder(templatePath);
+  return zip.generateAsync({ type: 'nodebuffer' });
+};
+
+test('templates uploaded side by side are both kept', async () => {
+  const buffer = await packDefaultTemplate();
+  const created = await Promise.all([
+    templateStore.createTemplate(buffer, { name: 'First' }),
+    templateStore.createTemplate(buffer, { name: 'Second' })
+  ]);
+
+  const ids = (await templateStore.getTemplates()).map(template => template.id);
+  for (const template of created) {
+    assert.ok(ids.includes(template.id), `${template.name} is missing from the index`);
+  }
+});
+
+test('a template that a pitchbook is built on cannot be deleted', async () => {
+  const template = await templateStore.createTemplate(await packDefaultTemplate(), { name: 'In use' });
+  await pitchbookStore.create({ id: 'uses-template', title: 'Uses template', templateId: template.id, slides: [] });
+
+  await assert.rejects(templateStore.deleteTemplate(template.id), error => {
+    assert.strictEqual(error.statusCode, 409);
+    assert.deepStrictEqual(error.pitchbooks, [{ id: 'uses-template', title: 'Uses template' }]);
+    return true;
+  });
+  assert.ok(await templateStore.getTemplate(template.id));
+
+  await pitchbookStore.delete('uses-template');
+  assert.strictEqual(await templateStore.deleteTemplate(template.id), true);
+  assert.strictEqual(await templateStore.getTemplate(template.id), null);
+});
\ No newline at end of file
@@ -0,0 +1,72 @@
+-- PowerPoint AI Builder - Uploaded templates
+-- Each organization can upload its own branded .pptx/.potx templates. Layouts belong to a
+-- parent template, and each pitchbook records the template it was built from.
+
+CREATE TABLE templates (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  file_name TEXT,
+  storage_path TEXT,
+  slide_width INTEGER,
+  slide_height INTEGER,
+  layout_count INTEGER DEFAULT 0,
+  is_default BOOLEAN DEFAULT FALSE,
+  created_by UUID REFERENCES profiles(id),
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Layouts are now unique per template rather than globally
+ALTER TABLE layout_templates ADD COLUMN template_id UUID REFERENCES templates(id) ON DELETE CASCADE;
+ALTER TABLE layout_templates DROP CONSTRAINT layout_templates_name_key;
+ALTER TABLE layout_templates ADD CONSTRAINT layout_templates_template_name_key UNIQUE (template_id, name);
+
+ALTER TABLE pitchbooks ADD COLUMN template_id UUID REFERENCES templates(id) ON DELETE SET NULL;
+
+-- Existing layouts belong to the built-in template
+INSERT INTO templates (name, file_name, is_default)
+VALUES ('Default template', 'OpenXMLTemplate', TRUE);
+
+UPDATE layout_templates
+SET template_id = (SELECT id FROM templates WHERE is_default LIMIT 1)
+WHERE template_id IS NULL;
+
+CREATE INDEX idx_templates_org ON templates(organization_id);
+CREATE INDEX idx_layout_templates_template ON layout_templates(template_id);
+CREATE INDEX idx_pitchbooks_template ON pitchbooks(template_id);
+
+ALTER TABLE templates ENABLE ROW LEVEL SECURITY;
+
+-- Members see their organization's templates and shared ones (no organization)
+CREATE POLICY "Members can view templates" ON templates
+  FOR SELECT USING (
+    organization_id IS NULL OR
+    organization_id IN (
+      SELECT organization_id FROM organization_members 
+      WHERE user_id = auth.uid()
+    )
+  );
+
+-- Owners and admins manage their organization's templates
+CREATE POLICY "Admins can create templates" ON templates
+  FOR INSERT WITH CHECK (
+    organization_id IN (
+      SELECT organization_id FROM organization_members 
+      WHERE user_id = auth.uid() 
+      AND role IN ('owner', 'admin')
+    )
+  );
+
+CREATE POLICY "Admins can delete templates" ON templates
+  FOR DELETE USING (
+    organization_id IN (
+      SELECT organization_id FROM organization_members 
+      WHERE user_id = auth.uid() 
+      AND role IN ('owner', 'admin')
+    )
+  );
+
+CREATE TRIGGER update_templates_updated_at BEFORE UPDATE ON templates
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
\ No newline at end of file
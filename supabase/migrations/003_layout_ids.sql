@@ -0,0 +1,8 @@
+-- PowerPoint AI Builder - Stable layout identifiers
+-- Slides reference their layout by id (part file name plus p14:creationId or a content hash,
+-- e.g. "slideLayout12-4088468386"); layout_name is kept as the display name.
+-- Existing rows are filled in by scripts/migrate-layout-ids.js, which resolves names against the template.
+
+ALTER TABLE slides ADD COLUMN layout_id TEXT;
+
+CREATE INDEX idx_slides_layout_id ON slides(layout_id);
\ No newline at end of file
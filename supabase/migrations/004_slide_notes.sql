@@ -0,0 +1,5 @@
+-- PowerPoint AI Builder - Speaker notes
+-- Per-slide talking points, exported to the slide's notes page. notes_source is 'ai' for drafted notes and 'manual' otherwise.
+
+ALTER TABLE slides ADD COLUMN IF NOT EXISTS notes TEXT;
+ALTER TABLE slides ADD COLUMN IF NOT EXISTS notes_source TEXT CHECK (notes_source IN ('ai', 'manual'));
\ No newline at end of file
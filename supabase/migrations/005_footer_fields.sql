@@ -0,0 +1,6 @@
+-- PowerPoint AI Builder - Footer fields
+-- Pitchbook-wide footer settings ({ clientName, confidentiality, asOfDate, showSlideNumbers }) and per-slide
+-- overrides of which fields show ({ footer, date, slideNumber }; a missing field follows the pitchbook).
+
+ALTER TABLE pitchbooks ADD COLUMN IF NOT EXISTS footer JSONB;
+ALTER TABLE slides ADD COLUMN IF NOT EXISTS footer JSONB;
\ No newline at end of file